@@ -11,14 +11,26 @@ import StockDetail from './pages/StockDetail';
 import Leaderboard from './pages/Leaderboard';
 import Transactions from './pages/Transactions';
 import Portfolio from './pages/Portfolio';
+import Settings from './pages/Settings';
+import Alerts from './pages/Alerts';
+import BasketTrade from './pages/BasketTrade';
+import Backtest from './pages/Backtest';
+import Bots from './pages/Bots';
 import Admin from './pages/Admin';
 import AdminUsers from './pages/AdminUsers';
 import AdminStocks from './pages/AdminStocks';
 import AdminSystemTweaks from './pages/AdminSystemTweaks';
 import ProtectedRoute from './components/ProtectedRoute';
 import AdminRoute from './components/AdminRoute';
+import AlertToasts from './components/AlertToasts';
 import { isAuthenticated } from './services/auth';
 
+// Recurring buy plans run on every page, not just the portfolio
+import './services/dca';
+
+// Trading bots keep running while the user moves between pages
+import './services/bots';
+
 function App() {
   return (
     <Router>
@@ -34,6 +46,11 @@ function App() {
           <Route path="/portfolio" element={<ProtectedRoute element={<Portfolio />} />} />
           <Route path="/leaderboard" element={<ProtectedRoute element={<Leaderboard />} />} />
           <Route path="/transactions" element={<ProtectedRoute element={<Transactions />} />} />
+          <Route path="/settings" element={<ProtectedRoute element={<Settings />} />} />
+          <Route path="/alerts" element={<ProtectedRoute element={<Alerts />} />} />
+          <Route path="/basket" element={<ProtectedRoute element={<BasketTrade />} />} />
+          <Route path="/backtest" element={<ProtectedRoute element={<Backtest />} />} />
+          <Route path="/bots" element={<ProtectedRoute element={<Bots />} />} />
 
           {/* Admin routes */}
           <Route path="/admin" element={<AdminRoute element={<Admin />} />} />
@@ -44,6 +61,9 @@ function App() {
           {/* Default redirect */}
           <Route path="*" element={<Navigate to={isAuthenticated() ? "/dashboard" : "/login"} />} />
         </Routes>
+
+        {/* Price alert toasts on every page */}
+        <AlertToasts />
       </div>
     </Router>
   );
@@ -0,0 +1,69 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import '../services/alerts';
+import './AlertToasts.css';
+
+// How long a toast stays on screen
+const TOAST_DURATION_MS = 8000;
+
+// Maximum number of toasts shown at once
+const MAX_TOASTS = 4;
+
+/**
+ * In-app toasts for fired price alerts
+ * Mounted once for the whole app, which also starts the alert monitor for the session
+ */
+const AlertToasts = () => {
+  const [toasts, setToasts] = useState([]);
+
+  useEffect(() => {
+    const timers = new Set();
+
+    const dismiss = (id) => setToasts(prevToasts => prevToasts.filter(toast => toast.id !== id));
+
+    const handleAlertTriggered = (event) => {
+      const { notification } = event.detail;
+      setToasts(prevToasts => [notification, ...prevToasts].slice(0, MAX_TOASTS));
+
+      const timer = setTimeout(() => {
+        timers.delete(timer);
+        dismiss(notification.id);
+      }, TOAST_DURATION_MS);
+      timers.add(timer);
+    };
+
+    document.addEventListener('alert-triggered', handleAlertTriggered);
+
+    return () => {
+      document.removeEventListener('alert-triggered', handleAlertTriggered);
+      timers.forEach(timer => clearTimeout(timer));
+    };
+  }, []);
+
+  if (toasts.length === 0) return null;
+
+  return (
+    <div className="alert-toasts">
+      {toasts.map(toast => (
+        <div key={toast.id} className="alert-toast">
+          <div className="alert-toast-title">
+            <span>🔔 {toast.symbol}</span>
+            <button
+              className="alert-toast-close"
+              onClick={() => setToasts(prevToasts => prevToasts.filter(t => t.id !== toast.id))}
+            >
+              ×
+            </button>
+          </div>
+          <div className="alert-toast-message">{toast.message}</div>
+          <div className="alert-toast-links">
+            <Link to={`/stock/${toast.stock_id}`}>View stock</Link>
+            <Link to="/alerts">Manage alerts</Link>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default AlertToasts;
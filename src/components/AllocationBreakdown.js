@@ -0,0 +1,181 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Link } from 'react-router-dom';
+import { getAllStocks } from '../services/stock';
+import { getSettings } from '../services/settings';
+import { calculateAllocation, findConcentrationWarnings } from '../utils/allocation';
+import './AllocationBreakdown.css';
+
+const COLORS = ['#3498db', '#2ecc71', '#e67e22', '#9b59b6', '#e74c3c', '#1abc9c', '#f1c40f', '#34495e', '#d35400', '#7f8c8d'];
+
+const SIZE = 200;
+const RADIUS = 90;
+const INNER_RADIUS = 55;
+
+const formatCurrency = (value) => new Intl.NumberFormat('en-US', {
+  style: 'currency',
+  currency: 'USD'
+}).format(value);
+
+const formatWeight = (weight) => `${(weight * 100).toFixed(1)}%`;
+
+/**
+ * SVG path for one donut slice between two angles (radians, clockwise from 12 o'clock)
+ */
+const slicePath = (start, end) => {
+  const point = (radius, angle) => [
+    SIZE / 2 + radius * Math.sin(angle),
+    SIZE / 2 - radius * Math.cos(angle)
+  ];
+  const largeArc = end - start > Math.PI ? 1 : 0;
+  const [x1, y1] = point(RADIUS, start);
+  const [x2, y2] = point(RADIUS, end);
+  const [x3, y3] = point(INNER_RADIUS, end);
+  const [x4, y4] = point(INNER_RADIUS, start);
+
+  return `M ${x1} ${y1} A ${RADIUS} ${RADIUS} 0 ${largeArc} 1 ${x2} ${y2} ` +
+    `L ${x3} ${y3} A ${INNER_RADIUS} ${INNER_RADIUS} 0 ${largeArc} 0 ${x4} ${y4} Z`;
+};
+
+/**
+ * Allocation by sector or by holding as a donut and table, with concentration warnings
+ * @param {Array} portfolioItems - Portfolio items with current prices applied
+ */
+const AllocationBreakdown = ({ portfolioItems }) => {
+  const [view, setView] = useState('sector'); // 'sector' or 'holding'
+  const [sectorLookup, setSectorLookup] = useState({});
+  const [limits, setLimits] = useState(getSettings());
+
+  // Portfolio items from the API may not carry a sector, so look it up from the stock list
+  useEffect(() => {
+    const fetchSectors = async () => {
+      const stocks = await getAllStocks();
+      const lookup = {};
+      (stocks || []).forEach(stock => {
+        if (stock && stock.sector) lookup[stock.id] = stock.sector;
+      });
+      setSectorLookup(lookup);
+    };
+
+    fetchSectors();
+
+    const handleSettingsUpdated = (event) => setLimits(event.detail.settings);
+    document.addEventListener('settings-updated', handleSettingsUpdated);
+
+    return () => {
+      document.removeEventListener('settings-updated', handleSettingsUpdated);
+    };
+  }, []);
+
+  const allocation = useMemo(
+    () => calculateAllocation(portfolioItems, sectorLookup),
+    [portfolioItems, sectorLookup]
+  );
+  const warnings = findConcentrationWarnings(allocation, limits);
+
+  if (allocation.total <= 0) return null;
+
+  const rows = view === 'sector'
+    ? allocation.sectors.map(sector => ({
+        key: sector.sector,
+        label: sector.sector,
+        detail: sector.holdings.join(', '),
+        value: sector.value,
+        weight: sector.weight,
+        overLimit: limits.maxSectorWeight > 0 && sector.weight * 100 > limits.maxSectorWeight
+      }))
+    : allocation.holdings.map(holding => ({
+        key: holding.stock_id,
+        label: holding.symbol,
+        detail: holding.is_short ? `${holding.sector} · Short` : holding.sector,
+        value: holding.value,
+        weight: holding.weight,
+        overLimit: limits.maxStockWeight > 0 && holding.weight * 100 > limits.maxStockWeight
+      }));
+
+  // Lay slices end to end around the circle
+  let angle = 0;
+  const slices = rows.map((row, index) => {
+    const start = angle;
+    angle += row.weight * 2 * Math.PI;
+    return { ...row, start, end: angle, color: COLORS[index % COLORS.length] };
+  });
+
+  return (
+    <div className="allocation-breakdown">
+      <div className="allocation-header">
+        <h2>Allocation</h2>
+        <div className="allocation-views">
+          <button
+            className={`allocation-view ${view === 'sector' ? 'active' : ''}`}
+            onClick={() => setView('sector')}
+          >
+            By Sector
+          </button>
+          <button
+            className={`allocation-view ${view === 'holding' ? 'active' : ''}`}
+            onClick={() => setView('holding')}
+          >
+            By Holding
+          </button>
+        </div>
+      </div>
+
+      {warnings.length > 0 && (
+        <div className="concentration-warnings">
+          {warnings.map(warning => (
+            <div key={`${warning.kind}-${warning.label}`} className="concentration-warning">
+              {warning.kind === 'sector' ? 'Sector' : 'Stock'} <strong>{warning.label}</strong> is{' '}
+              {formatWeight(warning.weight)} of your portfolio, above your {warning.limit}% limit.
+            </div>
+          ))}
+          <Link to="/settings" className="concentration-settings-link">Change limits</Link>
+        </div>
+      )}
+
+      <div className="allocation-body">
+        <svg className="allocation-donut" viewBox={`0 0 ${SIZE} ${SIZE}`}>
+          {slices.length === 1 ? (
+            <>
+              <circle cx={SIZE / 2} cy={SIZE / 2} r={RADIUS} fill={slices[0].color} />
+              <circle cx={SIZE / 2} cy={SIZE / 2} r={INNER_RADIUS} fill="white" />
+            </>
+          ) : (
+            slices.map(slice => (
+              <path key={slice.key} d={slicePath(slice.start, slice.end)} fill={slice.color}>
+                <title>{`${slice.label}: ${formatWeight(slice.weight)}`}</title>
+              </path>
+            ))
+          )}
+          <text className="allocation-donut-total" x={SIZE / 2} y={SIZE / 2 + 5} textAnchor="middle">
+            {formatCurrency(allocation.total)}
+          </text>
+        </svg>
+
+        <table className="allocation-table">
+          <thead>
+            <tr>
+              <th>{view === 'sector' ? 'Sector' : 'Holding'}</th>
+              <th>Value</th>
+              <th>Weight</th>
+            </tr>
+          </thead>
+          <tbody>
+            {slices.map(slice => (
+              <tr key={slice.key} className={slice.overLimit ? 'over-limit' : ''}>
+                <td>
+                  <span className="allocation-swatch" style={{ backgroundColor: slice.color }}></span>
+                  <span className="allocation-label">{slice.label}</span>
+                  <span className="allocation-detail">{slice.detail}</span>
+                </td>
+                <td>{formatCurrency(slice.value)}</td>
+                <td>{formatWeight(slice.weight)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default AllocationBreakdown;
@@ -0,0 +1,224 @@
+import React, { useState } from 'react';
+import useIndicators from '../hooks/useIndicators';
+import { INTERVALS } from '../services/price-history';
+import './IndicatorPanel.css';
+
+const WIDTH = 800;
+const PRICE_HEIGHT = 220;
+const PANE_HEIGHT = 100;
+const PADDING = { top: 10, right: 60, bottom: 10, left: 10 };
+const PLOT_WIDTH = WIDTH - PADDING.left - PADDING.right;
+
+const OVERLAYS = [
+  { key: 'sma', label: 'SMA 20' },
+  { key: 'ema', label: 'EMA 12' },
+  { key: 'bollinger', label: 'Bollinger' }
+];
+
+const PANES = [
+  { key: 'rsi', label: 'RSI 14' },
+  { key: 'macd', label: 'MACD' }
+];
+
+/**
+ * Build an SVG path through a series, breaking the line where values are missing
+ * @param {Array<number|null>} values - Values aligned with the candles
+ * @param {Function} xFor - Index to x coordinate
+ * @param {Function} yFor - Value to y coordinate
+ * @returns {string} Path data
+ */
+const linePath = (values, xFor, yFor) => {
+  let drawing = false;
+  return values.reduce((path, value, index) => {
+    if (value === null || value === undefined) {
+      drawing = false;
+      return path;
+    }
+    const command = drawing ? 'L' : 'M';
+    drawing = true;
+    return `${path}${command}${xFor(index).toFixed(1)},${yFor(value).toFixed(1)} `;
+  }, '');
+};
+
+/**
+ * Linear scale mapping a value range onto a pane's height
+ * @param {Array<number|null>} values - Values that must fit in the pane
+ * @param {number} height - Pane height
+ * @param {Array<number>} fixedRange - Optional [min, max] to use instead of the data range
+ * @returns {Object} { min, max, yFor }
+ */
+const createScale = (values, height, fixedRange = null) => {
+  const defined = values.filter(v => v !== null && v !== undefined);
+  let [min, max] = fixedRange || [Math.min(...defined), Math.max(...defined)];
+  if (!fixedRange) {
+    const padding = max > min ? (max - min) * 0.05 : Math.abs(max) * 0.01 || 1;
+    min -= padding;
+    max += padding;
+  }
+  const plotHeight = height - PADDING.top - PADDING.bottom;
+
+  return {
+    min,
+    max,
+    yFor: (value) => PADDING.top + ((max - value) / (max - min)) * plotHeight
+  };
+};
+
+const formatValue = (value) => (value === null || value === undefined ? '—' : value.toFixed(2));
+
+/**
+ * Indicator panel for StockDetail: price with toggleable SMA/EMA/Bollinger overlays
+ * and RSI/MACD sub-panes, computed from the recorded price history
+ *
+ * @param {Object} props - Component props
+ * @param {Number} props.stockId - ID of the stock
+ */
+const IndicatorPanel = ({ stockId }) => {
+  const [interval, setCandleInterval] = useState('1m');
+  const [overlays, setOverlays] = useState({ sma: true, ema: false, bollinger: false });
+  const [panes, setPanes] = useState({ rsi: true, macd: false });
+
+  const { candles, series, latest } = useIndicators(stockId, interval);
+
+  const toggle = (setter) => (key) => setter(prev => ({ ...prev, [key]: !prev[key] }));
+  const toggleOverlay = toggle(setOverlays);
+  const togglePane = toggle(setPanes);
+
+  const slotWidth = candles.length > 0 ? PLOT_WIDTH / candles.length : PLOT_WIDTH;
+  const xFor = (index) => PADDING.left + slotWidth * (index + 0.5);
+
+  const closes = candles.map(c => c.close);
+  const pick = (key) => series.map(values => values[key]);
+
+  const priceValues = [
+    ...closes,
+    ...(overlays.sma ? pick('sma') : []),
+    ...(overlays.ema ? pick('ema') : []),
+    ...(overlays.bollinger ? [...pick('upper'), ...pick('lower')] : [])
+  ];
+  const priceScale = candles.length > 0 ? createScale(priceValues, PRICE_HEIGHT) : null;
+  const rsiScale = createScale([], PANE_HEIGHT, [0, 100]);
+  const macdValues = [...pick('macd'), ...pick('signal'), ...pick('histogram'), 0];
+  const macdScale = candles.length > 0 ? createScale(macdValues, PANE_HEIGHT) : null;
+
+  const renderAxisLabels = (scale, values) => values.map(value => (
+    <text key={value} className="indicator-axis-label" x={WIDTH - PADDING.right + 6} y={scale.yFor(value) + 4}>
+      {value.toFixed(2)}
+    </text>
+  ));
+
+  return (
+    <div className="indicator-panel">
+      <div className="indicator-toolbar">
+        <h2>Indicators</h2>
+        <div className="indicator-toggles">
+          {Object.keys(INTERVALS).map(key => (
+            <button
+              key={key}
+              className={`indicator-interval ${interval === key ? 'active' : ''}`}
+              onClick={() => setCandleInterval(key)}
+            >
+              {key}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="indicator-toolbar">
+        <div className="indicator-toggles">
+          {OVERLAYS.map(overlay => (
+            <label key={overlay.key} className={`indicator-toggle ${overlay.key}`}>
+              <input type="checkbox" checked={overlays[overlay.key]} onChange={() => toggleOverlay(overlay.key)} />
+              {overlay.label}
+            </label>
+          ))}
+          {PANES.map(pane => (
+            <label key={pane.key} className={`indicator-toggle ${pane.key}`}>
+              <input type="checkbox" checked={panes[pane.key]} onChange={() => togglePane(pane.key)} />
+              {pane.label}
+            </label>
+          ))}
+        </div>
+      </div>
+
+      {candles.length === 0 ? (
+        <div className="indicator-empty">
+          No price history for this interval yet. Prices are recorded while the app is open.
+        </div>
+      ) : (
+        <>
+          <svg className="indicator-pane" viewBox={`0 0 ${WIDTH} ${PRICE_HEIGHT}`}>
+            {renderAxisLabels(priceScale, [priceScale.min, (priceScale.min + priceScale.max) / 2, priceScale.max])}
+            {overlays.bollinger && (
+              <>
+                <path className="indicator-line bollinger" d={linePath(pick('upper'), xFor, priceScale.yFor)} />
+                <path className="indicator-line bollinger" d={linePath(pick('lower'), xFor, priceScale.yFor)} />
+              </>
+            )}
+            <path className="indicator-line price" d={linePath(closes, xFor, priceScale.yFor)} />
+            {overlays.sma && <path className="indicator-line sma" d={linePath(pick('sma'), xFor, priceScale.yFor)} />}
+            {overlays.ema && <path className="indicator-line ema" d={linePath(pick('ema'), xFor, priceScale.yFor)} />}
+          </svg>
+
+          {panes.rsi && (
+            <div className="indicator-subpane">
+              <div className="indicator-subpane-label">RSI 14: {formatValue(latest?.rsi)}</div>
+              <svg className="indicator-pane" viewBox={`0 0 ${WIDTH} ${PANE_HEIGHT}`}>
+                {[30, 70].map(level => (
+                  <line
+                    key={level}
+                    className="indicator-threshold"
+                    x1={PADDING.left}
+                    x2={WIDTH - PADDING.right}
+                    y1={rsiScale.yFor(level)}
+                    y2={rsiScale.yFor(level)}
+                  />
+                ))}
+                {renderAxisLabels(rsiScale, [30, 70])}
+                <path className="indicator-line rsi" d={linePath(pick('rsi'), xFor, rsiScale.yFor)} />
+              </svg>
+            </div>
+          )}
+
+          {panes.macd && (
+            <div className="indicator-subpane">
+              <div className="indicator-subpane-label">
+                MACD: {formatValue(latest?.macd)} · Signal: {formatValue(latest?.signal)} · Histogram: {formatValue(latest?.histogram)}
+              </div>
+              <svg className="indicator-pane" viewBox={`0 0 ${WIDTH} ${PANE_HEIGHT}`}>
+                <line
+                  className="indicator-threshold"
+                  x1={PADDING.left}
+                  x2={WIDTH - PADDING.right}
+                  y1={macdScale.yFor(0)}
+                  y2={macdScale.yFor(0)}
+                />
+                {renderAxisLabels(macdScale, [0])}
+                {pick('histogram').map((value, index) => value !== null && (
+                  <rect
+                    key={candles[index].time}
+                    className={`macd-bar ${value >= 0 ? 'up' : 'down'}`}
+                    x={xFor(index) - Math.max(1, slotWidth * 0.6) / 2}
+                    y={Math.min(macdScale.yFor(value), macdScale.yFor(0))}
+                    width={Math.max(1, slotWidth * 0.6)}
+                    height={Math.abs(macdScale.yFor(value) - macdScale.yFor(0))}
+                  />
+                ))}
+                <path className="indicator-line macd" d={linePath(pick('macd'), xFor, macdScale.yFor)} />
+                <path className="indicator-line signal" d={linePath(pick('signal'), xFor, macdScale.yFor)} />
+              </svg>
+            </div>
+          )}
+
+          <div className="indicator-readout">
+            <span>SMA: {formatValue(latest?.sma)}</span>
+            <span>EMA: {formatValue(latest?.ema)}</span>
+            <span>Bollinger: {formatValue(latest?.lower)} – {formatValue(latest?.upper)}</span>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default IndicatorPanel;
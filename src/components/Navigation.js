@@ -43,9 +43,21 @@ const Navigation = () => {
         <li>
           <Link to="/portfolio">Portfolio</Link>
         </li>
+        <li>
+          <Link to="/alerts">Alerts</Link>
+        </li>
+        <li>
+          <Link to="/backtest">Backtest</Link>
+        </li>
+        <li>
+          <Link to="/bots">Bots</Link>
+        </li>
         <li>
           <Link to="/leaderboard">Leaderboard</Link>
         </li>
+        <li>
+          <Link to="/settings">Settings</Link>
+        </li>
         {userIsAdmin && (
           <li>
             <Link to="/admin" className="admin-link">Admin</Link>
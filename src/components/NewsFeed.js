@@ -5,6 +5,20 @@ import { addListener } from '../services/websocket';
 import { sampleNewsItems, simulateNewsUpdate } from '../utils/news-test-data';
 import './NewsFeed.css';
 
+// Badge showing whether a news item is a market, sector or company event
+export const EventTypeBadge = ({ eventType }) => {
+  switch(eventType) {
+    case 'market_event':
+      return <span className="badge market-event">Market</span>;
+    case 'sector_event':
+      return <span className="badge sector-event">Sector</span>;
+    case 'company_event':
+      return <span className="badge company-event">Company</span>;
+    default:
+      return null;
+  }
+};
+
 const NewsItem = ({ item }) => {
   const [expanded, setExpanded] = useState(false);
   
@@ -14,20 +28,6 @@ const NewsItem = ({ item }) => {
   // Determine importance class (1-5 scale)
   const importanceClass = `importance-${item.importance || 1}`;
   
-  // Determine event type badge class
-  const getEventTypeBadge = () => {
-    switch(item.event_type) {
-      case 'market_event':
-        return <span className="badge market-event">Market</span>;
-      case 'sector_event':
-        return <span className="badge sector-event">Sector</span>;
-      case 'company_event':
-        return <span className="badge company-event">Company</span>;
-      default:
-        return null;
-    }
-  };
-  
   // Format price impact
   const formatPriceImpact = () => {
     if (!item.price_impact && item.price_impact !== 0) return null;
@@ -74,7 +74,7 @@ const NewsItem = ({ item }) => {
     <div className={`news-item ${importanceClass}`}>
       <div className="news-header" onClick={() => setExpanded(!expanded)}>
         <h3 className="news-headline">
-          {getEventTypeBadge()}
+          <EventTypeBadge eventType={item.event_type} />
           {item.headline}
           {formatPriceImpact()}
         </h3>
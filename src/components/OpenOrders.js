@@ -0,0 +1,109 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { getOpenOrders, cancelOrder } from '../services/orders';
+import { formatShares } from '../utils/shares';
+import './OpenOrders.css';
+
+/**
+ * Panel listing the user's pending limit orders with a cancel action
+ *
+ * @param {Object} props - Component props
+ * @param {Number} props.stockId - Optional stock ID to only show orders for one stock
+ */
+const OpenOrders = ({ stockId = null }) => {
+  const [orders, setOrders] = useState([]);
+  const [error, setError] = useState(null);
+  const [cancelling, setCancelling] = useState(null);
+
+  const loadOrders = useCallback(async () => {
+    try {
+      setOrders(await getOpenOrders(stockId));
+    } catch (err) {
+      console.error('Error loading open orders:', err);
+      setError('Failed to load open orders');
+    }
+  }, [stockId]);
+
+  useEffect(() => {
+    loadOrders();
+
+    // Orders change when placed, cancelled, filled by a price update or expired
+    document.addEventListener('orders-updated', loadOrders);
+
+    return () => {
+      document.removeEventListener('orders-updated', loadOrders);
+    };
+  }, [loadOrders]);
+
+  const handleCancel = async (orderId) => {
+    setCancelling(orderId);
+    setError(null);
+
+    try {
+      await cancelOrder(orderId);
+    } catch (err) {
+      setError(err.message || 'Failed to cancel order');
+    } finally {
+      setCancelling(null);
+    }
+  };
+
+  const formatExpiry = (order) => {
+    if (!order.expires_at) return 'Good \'til cancelled';
+    return `Expires ${new Date(order.expires_at).toLocaleString()}`;
+  };
+
+  return (
+    <div className="open-orders">
+      <h2>Open Orders</h2>
+      {error && <div className="error-message">{error}</div>}
+
+      {orders.length === 0 ? (
+        <p className="open-orders-empty">No open orders.</p>
+      ) : (
+        <table className="open-orders-table">
+          <thead>
+            <tr>
+              {stockId === null && <th>Stock</th>}
+              <th>Side</th>
+              <th>Quantity</th>
+              <th>Limit Price</th>
+              <th>Time in Force</th>
+              <th>Placed</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {orders.map(order => (
+              <tr key={order.id}>
+                {stockId === null && (
+                  <td>
+                    <Link to={`/stock/${order.stock_id}`} className="stock-symbol">{order.symbol}</Link>
+                  </td>
+                )}
+                <td>
+                  <span className={`order-side ${order.side}`}>{order.side}</span>
+                </td>
+                <td>{formatShares(order.quantity)}</td>
+                <td>${order.limit_price.toFixed(2)}</td>
+                <td>{formatExpiry(order)}</td>
+                <td>{new Date(order.created_at).toLocaleString()}</td>
+                <td>
+                  <button
+                    className="cancel-order-button"
+                    onClick={() => handleCancel(order.id)}
+                    disabled={cancelling === order.id}
+                  >
+                    {cancelling === order.id ? 'Cancelling...' : 'Cancel'}
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default OpenOrders;
@@ -0,0 +1,176 @@
+import React, { useState, useEffect } from 'react';
+import { getLatestPrice } from '../services/websocket';
+import { getSetting, updateSettings } from '../services/settings';
+import { calculateTradeCosts } from '../utils/fees';
+import { formatShares, roundShares } from '../utils/shares';
+import './OrderTicket.css';
+
+const ACTION_LABELS = { buy: 'Buy', sell: 'Sell', short: 'Sell Short', cover: 'Buy to Cover' };
+
+/**
+ * Percentage move from the quoted price to the live price
+ * @param {number} quotedPrice - Price the ticket was quoted at
+ * @param {number} livePrice - Latest price
+ * @returns {number} Signed move in percent
+ */
+const priceDrift = (quotedPrice, livePrice) => (
+  quotedPrice > 0 ? ((livePrice - quotedPrice) / quotedPrice) * 100 : 0
+);
+
+/**
+ * Review step for a market order
+ * Shows the quote, trading costs and the resulting cash and position. If the live price moves
+ * further from the quote than the drift tolerance, the ticket is re-quoted at the new price
+ * and has to be confirmed again instead of executing at a price the user never saw
+ * @param {Object} props
+ * @param {Object} props.stock - Stock being traded, with a live current_price
+ * @param {string} props.action - 'buy', 'sell', 'short' or 'cover'
+ * @param {number} props.quantity - Shares to trade
+ * @param {number} props.cashBalance - Cash available for the trade, as the trade form counts it (buying power,
+ *   or all cash when covering since the cover frees its collateral)
+ * @param {number} props.position - Shares held before the trade (negative when short)
+ * @param {Object} props.feeModel - Fee model used to price the trade
+ * @param {boolean} props.executing - Whether the trade is being submitted
+ * @param {Function} props.onConfirm - Called with the accepted quote once the user confirms
+ * @param {Function} props.onCancel - Called when the ticket is closed without trading
+ */
+const OrderTicket = ({ stock, action, quantity, cashBalance, position, feeModel, executing, onConfirm, onCancel }) => {
+  const [quote, setQuote] = useState(stock.current_price);
+  const [tolerance, setTolerance] = useState(getSetting('maxPriceDrift'));
+  const [requote, setRequote] = useState(null);
+
+  const livePrice = stock.current_price;
+  const drift = priceDrift(quote, livePrice);
+
+  // Re-quote as soon as a price update moves past the tolerance
+  useEffect(() => {
+    if (Math.abs(priceDrift(quote, livePrice)) > tolerance) {
+      setRequote({ from: quote, to: livePrice, drift: priceDrift(quote, livePrice) });
+      setQuote(livePrice);
+    }
+  }, [livePrice, quote, tolerance]);
+
+  const handleToleranceChange = (value) => {
+    const maxPriceDrift = Math.max(0, Number(value) || 0);
+    setTolerance(maxPriceDrift);
+    updateSettings({ maxPriceDrift });
+  };
+
+  const handleConfirm = () => {
+    // The cache can be ahead of the last render - check once more before submitting
+    const latest = getLatestPrice(stock.id, livePrice);
+    const latestDrift = priceDrift(quote, latest);
+
+    if (Math.abs(latestDrift) > tolerance) {
+      setRequote({ from: quote, to: latest, drift: latestDrift });
+      setQuote(latest);
+      return;
+    }
+
+    onConfirm({ price: quote, livePrice: latest, drift: latestDrift });
+  };
+
+  const costs = calculateTradeCosts(quote, quantity, action, feeModel);
+  const paysCash = action === 'buy' || action === 'cover';
+  const cashAfter = cashBalance + (paysCash ? -costs.total : costs.total);
+  const positionAfter = roundShares(position + (paysCash ? quantity : -quantity));
+
+  // A re-quote can push the cost of the order past the cash available
+  const insufficientCash = paysCash && cashAfter < 0;
+
+  const formatPosition = (shares) => {
+    if (shares < 0) return `${formatShares(-shares)} shares short`;
+    return `${formatShares(shares)} shares`;
+  };
+
+  return (
+    <div className="order-ticket-backdrop">
+      <div className="order-ticket">
+        <h2>Review Order</h2>
+        <p className="order-ticket-summary">
+          {ACTION_LABELS[action]} <b>{formatShares(quantity)}</b> {stock.symbol} at market
+        </p>
+
+        {requote && (
+          <div className="order-ticket-requote">
+            Price moved {requote.drift >= 0 ? '+' : ''}{requote.drift.toFixed(2)}% from
+            ${requote.from.toFixed(2)} to ${requote.to.toFixed(2)}. The order was re-quoted - review it and confirm again.
+          </div>
+        )}
+
+        <table className="order-ticket-table">
+          <tbody>
+            <tr>
+              <td>Quote</td>
+              <td>${quote.toFixed(2)}</td>
+            </tr>
+            <tr>
+              <td>Live price</td>
+              <td className={drift > 0 ? 'positive' : drift < 0 ? 'negative' : ''}>
+                ${livePrice.toFixed(2)} ({drift >= 0 ? '+' : ''}{drift.toFixed(2)}%)
+              </td>
+            </tr>
+            <tr>
+              <td>Expected fill</td>
+              <td>${costs.execution_price.toFixed(2)}</td>
+            </tr>
+            <tr>
+              <td>Slippage</td>
+              <td>${costs.slippage.toFixed(2)}</td>
+            </tr>
+            <tr>
+              <td>Fees</td>
+              <td>${costs.fees.toFixed(2)}</td>
+            </tr>
+            <tr className="order-ticket-total">
+              <td>Total {paysCash ? 'Cost' : 'Proceeds'}</td>
+              <td>${costs.total.toFixed(2)}</td>
+            </tr>
+            <tr>
+              <td>Available cash after</td>
+              <td>${cashAfter.toFixed(2)}</td>
+            </tr>
+            <tr>
+              <td>Position after</td>
+              <td>{formatPosition(positionAfter)}</td>
+            </tr>
+          </tbody>
+        </table>
+
+        {insufficientCash && (
+          <div className="order-ticket-requote">
+            You do not have enough cash for this order at the current quote.
+          </div>
+        )}
+
+        <div className="order-ticket-tolerance">
+          <label htmlFor="max-price-drift">Max price drift (%)</label>
+          <input
+            id="max-price-drift"
+            type="number"
+            min="0"
+            step="0.1"
+            value={tolerance}
+            onChange={(e) => handleToleranceChange(e.target.value)}
+            disabled={executing}
+          />
+        </div>
+
+        <div className="order-ticket-actions">
+          <button className="order-ticket-cancel" onClick={onCancel} disabled={executing}>
+            Cancel
+          </button>
+          <button
+            className={`trade-button ${action}-button`}
+            onClick={handleConfirm}
+            disabled={executing || insufficientCash}
+          >
+            {executing ? 'Processing...' : `Confirm ${ACTION_LABELS[action]}`}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default OrderTicket;
@@ -0,0 +1,145 @@
+import React, { useState, useEffect } from 'react';
+import { getPortfolioSnapshots } from '../services/portfolio-history';
+import { timeWeightedReturn } from '../utils/performance';
+import './PerformanceChart.css';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const RANGES = [
+  { key: '1D', span: DAY_MS },
+  { key: '1W', span: 7 * DAY_MS },
+  { key: '1M', span: 30 * DAY_MS },
+  { key: 'All', span: null }
+];
+
+const WIDTH = 800;
+const HEIGHT = 240;
+const PADDING = { top: 10, right: 80, bottom: 24, left: 10 };
+
+const formatCurrency = (value) => new Intl.NumberFormat('en-US', {
+  style: 'currency',
+  currency: 'USD'
+}).format(value);
+
+const formatPercent = (value) => `${value >= 0 ? '+' : ''}${(value * 100).toFixed(2)}%`;
+
+/**
+ * Portfolio performance chart: total value over time with time-weighted return
+ */
+const PerformanceChart = () => {
+  const [range, setRange] = useState('1W');
+  const [snapshots, setSnapshots] = useState([]);
+
+  const { span } = RANGES.find(r => r.key === range);
+
+  useEffect(() => {
+    const loadSnapshots = () => {
+      setSnapshots(getPortfolioSnapshots(span ? Date.now() - span : null));
+    };
+
+    loadSnapshots();
+    document.addEventListener('portfolio-snapshot-recorded', loadSnapshots);
+
+    return () => {
+      document.removeEventListener('portfolio-snapshot-recorded', loadSnapshots);
+    };
+  }, [span]);
+
+  const first = snapshots[0];
+  const last = snapshots[snapshots.length - 1];
+  const twr = timeWeightedReturn(snapshots);
+  const valueChange = first && last ? last.total_value - first.total_value : 0;
+
+  // Time axis is linear so irregular snapshot spacing is drawn faithfully
+  const times = snapshots.map(s => new Date(s.timestamp).getTime());
+  const values = snapshots.map(s => s.total_value);
+  const minTime = Math.min(...times);
+  const maxTime = Math.max(...times);
+  const rawMin = Math.min(...values);
+  const rawMax = Math.max(...values);
+  const padding = rawMax > rawMin ? (rawMax - rawMin) * 0.05 : rawMax * 0.01 || 1;
+  const minValue = rawMin - padding;
+  const maxValue = rawMax + padding;
+
+  const xFor = (time) => maxTime > minTime
+    ? PADDING.left + ((time - minTime) / (maxTime - minTime)) * (WIDTH - PADDING.left - PADDING.right)
+    : WIDTH - PADDING.right;
+  const yFor = (value) => PADDING.top +
+    ((maxValue - value) / (maxValue - minValue)) * (HEIGHT - PADDING.top - PADDING.bottom);
+
+  const points = snapshots.map((s, i) => `${xFor(times[i]).toFixed(1)},${yFor(s.total_value).toFixed(1)}`);
+  const baseline = HEIGHT - PADDING.bottom;
+
+  return (
+    <div className="performance-chart">
+      <div className="performance-header">
+        <h2>Performance</h2>
+        <div className="performance-ranges">
+          {RANGES.map(r => (
+            <button
+              key={r.key}
+              className={`performance-range ${range === r.key ? 'active' : ''}`}
+              onClick={() => setRange(r.key)}
+            >
+              {r.key}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {snapshots.length < 2 ? (
+        <div className="performance-empty">
+          Not enough history for this range yet. Snapshots are taken when you load your portfolio,
+          after each trade and every minute while prices move.
+        </div>
+      ) : (
+        <>
+          <div className="performance-stats">
+            <div className="performance-stat">
+              <span className="performance-label">Time-Weighted Return</span>
+              <span className={`performance-value ${twr >= 0 ? 'positive' : 'negative'}`}>{formatPercent(twr)}</span>
+            </div>
+            <div className="performance-stat">
+              <span className="performance-label">Value Change</span>
+              <span className={`performance-value ${valueChange >= 0 ? 'positive' : 'negative'}`}>
+                {formatCurrency(valueChange)}
+              </span>
+            </div>
+            <div className="performance-stat">
+              <span className="performance-label">Start</span>
+              <span className="performance-value">{formatCurrency(first.total_value)}</span>
+            </div>
+            <div className="performance-stat">
+              <span className="performance-label">Latest</span>
+              <span className="performance-value">{formatCurrency(last.total_value)}</span>
+            </div>
+          </div>
+
+          <svg className="performance-svg" viewBox={`0 0 ${WIDTH} ${HEIGHT}`}>
+            {[minValue, (minValue + maxValue) / 2, maxValue].map(value => (
+              <g key={value}>
+                <line className="performance-grid" x1={PADDING.left} x2={WIDTH - PADDING.right} y1={yFor(value)} y2={yFor(value)} />
+                <text className="performance-axis-label" x={WIDTH - PADDING.right + 6} y={yFor(value) + 4}>
+                  {formatCurrency(value)}
+                </text>
+              </g>
+            ))}
+            <text className="performance-axis-label" x={PADDING.left} y={HEIGHT - 6}>
+              {new Date(minTime).toLocaleString()}
+            </text>
+            <text className="performance-axis-label" x={WIDTH - PADDING.right} y={HEIGHT - 6} textAnchor="end">
+              {new Date(maxTime).toLocaleString()}
+            </text>
+            <polygon
+              className={`performance-area ${valueChange >= 0 ? 'up' : 'down'}`}
+              points={`${xFor(minTime)},${baseline} ${points.join(' ')} ${xFor(maxTime)},${baseline}`}
+            />
+            <polyline className={`performance-line ${valueChange >= 0 ? 'up' : 'down'}`} points={points.join(' ')} />
+          </svg>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default PerformanceChart;
@@ -0,0 +1,145 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  getTriggers,
+  createTrigger,
+  cancelTrigger,
+  getTriggerPrice,
+  TRIGGER_TYPE,
+  TRIGGER_MODE
+} from '../services/triggers';
+import { formatShares } from '../utils/shares';
+import './PositionTriggers.css';
+
+const TYPE_LABELS = {
+  [TRIGGER_TYPE.STOP_LOSS]: 'Stop',
+  [TRIGGER_TYPE.TAKE_PROFIT]: 'Target',
+  [TRIGGER_TYPE.TRAILING_STOP]: 'Trail'
+};
+
+/**
+ * Armed stop-loss / take-profit / trailing-stop triggers for one position,
+ * with a small form to arm new ones
+ *
+ * @param {Object} props - Component props
+ * @param {Number} props.stockId - ID of the held stock
+ * @param {String} props.symbol - Stock symbol
+ * @param {Number} props.quantity - Shares held
+ * @param {Number} props.averageCost - Average cost per share
+ * @param {Number} props.currentPrice - Latest price
+ */
+const PositionTriggers = ({ stockId, symbol, quantity, averageCost, currentPrice }) => {
+  const [triggers, setTriggers] = useState([]);
+  const [showForm, setShowForm] = useState(false);
+  const [type, setType] = useState(TRIGGER_TYPE.STOP_LOSS);
+  const [mode, setMode] = useState(TRIGGER_MODE.PERCENT);
+  const [value, setValue] = useState('');
+  const [error, setError] = useState(null);
+
+  const loadTriggers = useCallback(async () => {
+    setTriggers(await getTriggers(stockId));
+  }, [stockId]);
+
+  useEffect(() => {
+    loadTriggers();
+
+    // Triggers change when armed, cancelled, fired or when a trailing stop ratchets up
+    document.addEventListener('triggers-updated', loadTriggers);
+
+    return () => {
+      document.removeEventListener('triggers-updated', loadTriggers);
+    };
+  }, [loadTriggers]);
+
+  const formatTrigger = (trigger) => {
+    const price = `$${getTriggerPrice(trigger).toFixed(2)}`;
+    if (trigger.type === TRIGGER_TYPE.TRAILING_STOP) {
+      const trail = trigger.mode === TRIGGER_MODE.PERCENT ? `${trigger.value}%` : `$${trigger.value.toFixed(2)}`;
+      return `${TYPE_LABELS[trigger.type]} ${trail} (${price})`;
+    }
+    return `${TYPE_LABELS[trigger.type]} ${price}`;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+
+    try {
+      await createTrigger({
+        stockId,
+        symbol,
+        type,
+        mode,
+        value: parseFloat(value),
+        quantity,
+        averageCost,
+        currentPrice
+      });
+      setValue('');
+      setShowForm(false);
+    } catch (err) {
+      setError(err.message || 'Failed to arm trigger');
+    }
+  };
+
+  const handleCancel = async (triggerId) => {
+    try {
+      await cancelTrigger(triggerId);
+    } catch (err) {
+      setError(err.message || 'Failed to cancel trigger');
+    }
+  };
+
+  const percentLabel = type === TRIGGER_TYPE.TRAILING_STOP ? '% below high' : '% from avg cost';
+  const priceLabel = type === TRIGGER_TYPE.TRAILING_STOP ? '$ below high' : 'Price';
+
+  return (
+    <div className="position-triggers">
+      {triggers.map(trigger => (
+        <span key={trigger.id} className={`trigger-badge ${trigger.type}`} title={`Sells ${formatShares(trigger.quantity)} shares`}>
+          {formatTrigger(trigger)}
+          <button
+            className="trigger-remove"
+            onClick={() => handleCancel(trigger.id)}
+            aria-label={`Cancel ${formatTrigger(trigger)}`}
+          >
+            ×
+          </button>
+        </span>
+      ))}
+
+      {showForm ? (
+        <form className="trigger-form" onSubmit={handleSubmit}>
+          <select value={type} onChange={(e) => setType(e.target.value)}>
+            <option value={TRIGGER_TYPE.STOP_LOSS}>Stop-loss</option>
+            <option value={TRIGGER_TYPE.TAKE_PROFIT}>Take-profit</option>
+            <option value={TRIGGER_TYPE.TRAILING_STOP}>Trailing stop</option>
+          </select>
+          <select value={mode} onChange={(e) => setMode(e.target.value)}>
+            <option value={TRIGGER_MODE.PERCENT}>{percentLabel}</option>
+            <option value={TRIGGER_MODE.PRICE}>{priceLabel}</option>
+          </select>
+          <input
+            type="number"
+            min="0.01"
+            step="0.01"
+            value={value}
+            onChange={(e) => setValue(e.target.value)}
+            required
+          />
+          <button type="submit" className="btn small">Arm</button>
+          <button type="button" className="trigger-form-cancel" onClick={() => setShowForm(false)}>
+            Cancel
+          </button>
+        </form>
+      ) : (
+        <button className="trigger-add" onClick={() => setShowForm(true)}>
+          + Protect
+        </button>
+      )}
+
+      {error && <div className="trigger-error">{error}</div>}
+    </div>
+  );
+};
+
+export default PositionTriggers;
@@ -0,0 +1,324 @@
+import React, { useState, useEffect } from 'react';
+import { getPriceHistory, INTERVALS } from '../services/price-history';
+import { getStockEvents } from '../services/event-history';
+import { EventTypeBadge } from './NewsFeed';
+import './PriceChart.css';
+
+// Chart ranges: which candle interval to use and how far back to look (null = everything)
+const RANGES = [
+  { key: '1H', interval: '1m', span: 60 * 60 * 1000 },
+  { key: '6H', interval: '1m', span: 6 * 60 * 60 * 1000 },
+  { key: '1D', interval: '5m', span: 24 * 60 * 60 * 1000 },
+  { key: '1W', interval: '1h', span: 7 * 24 * 60 * 60 * 1000 },
+  { key: 'All', interval: '1d', span: null }
+];
+
+// SVG drawing area (scaled to the container width through the viewBox)
+const WIDTH = 800;
+const HEIGHT = 300;
+const PADDING = { top: 10, right: 60, bottom: 24, left: 10 };
+const PLOT_WIDTH = WIDTH - PADDING.left - PADDING.right;
+const PLOT_HEIGHT = HEIGHT - PADDING.top - PADDING.bottom;
+const GRID_LINES = 4;
+
+// Vertical gap between a candle's high and the event markers pinned above it
+const MARKER_OFFSET = 10;
+const MARKER_SPACING = 12;
+
+/**
+ * Format a candle time for the x axis and tooltip
+ * @param {number} time - Candle start time in milliseconds
+ * @param {string} interval - Candle interval
+ * @returns {string} Formatted time
+ */
+const formatTime = (time, interval) => {
+  const date = new Date(time);
+  if (interval === '1d') return date.toLocaleDateString();
+  if (interval === '1h') {
+    return `${date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' })} ${date.getHours()}:00`;
+  }
+  return date.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
+};
+
+/**
+ * Dependency-free SVG price chart with candlestick and line modes
+ * Market events that moved the stock are pinned to the candle they happened in
+ *
+ * @param {Object} props - Component props
+ * @param {Number} props.stockId - ID of the stock to chart
+ */
+const PriceChart = ({ stockId }) => {
+  const [range, setRange] = useState('1H');
+  const [chartType, setChartType] = useState('candles');
+  const [candles, setCandles] = useState([]);
+  const [hoverIndex, setHoverIndex] = useState(null);
+  const [events, setEvents] = useState([]);
+  const [showEvents, setShowEvents] = useState(true);
+  const [hoveredEvent, setHoveredEvent] = useState(null);
+  const [selectedEvent, setSelectedEvent] = useState(null);
+
+  const { interval, span } = RANGES.find(r => r.key === range);
+
+  useEffect(() => {
+    const loadCandles = () => {
+      setCandles(getPriceHistory(stockId, interval, span ? Date.now() - span : null));
+    };
+
+    loadCandles();
+
+    // Redraw whenever a new price is recorded for this stock
+    const handleHistoryUpdated = (event) => {
+      if (event?.detail?.stockId === stockId) {
+        loadCandles();
+      }
+    };
+    document.addEventListener('price-history-updated', handleHistoryUpdated);
+
+    return () => {
+      document.removeEventListener('price-history-updated', handleHistoryUpdated);
+    };
+  }, [stockId, interval, span]);
+
+  useEffect(() => {
+    const loadEvents = () => {
+      setEvents(getStockEvents(stockId, span ? Date.now() - span : null));
+    };
+
+    loadEvents();
+
+    // Add markers as soon as an event moves this stock
+    const handleEventHistoryUpdated = (event) => {
+      if (event?.detail?.stockIds?.includes(stockId)) {
+        loadEvents();
+      }
+    };
+    document.addEventListener('event-history-updated', handleEventHistoryUpdated);
+
+    return () => {
+      document.removeEventListener('event-history-updated', handleEventHistoryUpdated);
+    };
+  }, [stockId, span]);
+
+  // Price scale with a little headroom above and below
+  const lows = candles.map(c => c.low);
+  const highs = candles.map(c => c.high);
+  const rawMin = Math.min(...lows);
+  const rawMax = Math.max(...highs);
+  const padding = rawMax > rawMin ? (rawMax - rawMin) * 0.05 : rawMax * 0.01 || 1;
+  const minPrice = rawMin - padding;
+  const maxPrice = rawMax + padding;
+
+  const slotWidth = candles.length > 0 ? PLOT_WIDTH / candles.length : PLOT_WIDTH;
+  const bodyWidth = Math.max(1, slotWidth * 0.6);
+  const xFor = (index) => PADDING.left + slotWidth * (index + 0.5);
+  const yFor = (price) => PADDING.top + ((maxPrice - price) / (maxPrice - minPrice)) * PLOT_HEIGHT;
+
+  const gridPrices = Array.from({ length: GRID_LINES + 1 }, (_, i) =>
+    minPrice + ((maxPrice - minPrice) * i) / GRID_LINES);
+
+  const labelIndexes = candles.length > 2
+    ? [0, Math.floor((candles.length - 1) / 2), candles.length - 1]
+    : candles.map((_, i) => i);
+
+  // Map the mouse position to the candle under it
+  const handleMouseMove = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    const x = ((e.clientX - rect.left) / rect.width) * WIDTH;
+    const index = Math.floor((x - PADDING.left) / slotWidth);
+    setHoverIndex(index >= 0 && index < candles.length ? index : null);
+  };
+
+  // Pin each event to the candle covering its publish time, stacking events in the same candle
+  const intervalMs = INTERVALS[interval].ms;
+  const stackHeights = {};
+  const markers = showEvents ? events.reduce((placed, event) => {
+    const time = new Date(event.published_at).getTime();
+    const index = candles.findIndex((candle, i) =>
+      time >= candle.time && (time < candle.time + intervalMs || i === candles.length - 1));
+    if (index === -1) return placed;
+
+    const stack = stackHeights[index] || 0;
+    stackHeights[index] = stack + 1;
+
+    placed.push({
+      event,
+      x: xFor(index),
+      y: Math.max(6, yFor(candles[index].high) - MARKER_OFFSET - stack * MARKER_SPACING)
+    });
+    return placed;
+  }, []) : [];
+
+  const activeMarker = markers.find(m => m.event.id === (selectedEvent || hoveredEvent));
+
+  const hovered = hoverIndex !== null ? candles[hoverIndex] : null;
+  const first = candles[0];
+  const last = candles[candles.length - 1];
+  const rangeChange = first && last ? ((last.close - first.open) / first.open) * 100 : 0;
+
+  return (
+    <div className="price-chart">
+      <div className="price-chart-toolbar">
+        <div className="price-chart-ranges">
+          {RANGES.map(r => (
+            <button
+              key={r.key}
+              className={`chart-button ${range === r.key ? 'active' : ''}`}
+              onClick={() => setRange(r.key)}
+            >
+              {r.key}
+            </button>
+          ))}
+        </div>
+
+        {first && last && (
+          <span className={`price-chart-change ${rangeChange >= 0 ? 'positive' : 'negative'}`}>
+            {rangeChange >= 0 ? '+' : ''}{rangeChange.toFixed(2)}%
+          </span>
+        )}
+
+        <div className="price-chart-types">
+          <button
+            className={`chart-button ${showEvents ? 'active' : ''}`}
+            onClick={() => setShowEvents(!showEvents)}
+          >
+            Events
+          </button>
+          <button
+            className={`chart-button ${chartType === 'candles' ? 'active' : ''}`}
+            onClick={() => setChartType('candles')}
+          >
+            Candles
+          </button>
+          <button
+            className={`chart-button ${chartType === 'line' ? 'active' : ''}`}
+            onClick={() => setChartType('line')}
+          >
+            Line
+          </button>
+        </div>
+      </div>
+
+      {candles.length === 0 ? (
+        <div className="price-chart-empty">
+          No price history for this range yet. Prices are recorded while the app is open.
+        </div>
+      ) : (
+        <div className="price-chart-canvas">
+          <svg
+            viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+            onMouseMove={handleMouseMove}
+            onMouseLeave={() => setHoverIndex(null)}
+          >
+            {gridPrices.map(price => (
+              <g key={price}>
+                <line
+                  className="chart-grid"
+                  x1={PADDING.left}
+                  x2={WIDTH - PADDING.right}
+                  y1={yFor(price)}
+                  y2={yFor(price)}
+                />
+                <text className="chart-axis-label" x={WIDTH - PADDING.right + 6} y={yFor(price) + 4}>
+                  {price.toFixed(2)}
+                </text>
+              </g>
+            ))}
+
+            {labelIndexes.map(index => (
+              <text
+                key={index}
+                className="chart-axis-label"
+                x={xFor(index)}
+                y={HEIGHT - 6}
+                textAnchor="middle"
+              >
+                {formatTime(candles[index].time, interval)}
+              </text>
+            ))}
+
+            {chartType === 'candles' ? (
+              candles.map((candle, index) => {
+                const direction = candle.close >= candle.open ? 'up' : 'down';
+                const bodyTop = yFor(Math.max(candle.open, candle.close));
+                const bodyBottom = yFor(Math.min(candle.open, candle.close));
+
+                return (
+                  <g key={candle.time} className={`candle ${direction}`}>
+                    <line x1={xFor(index)} x2={xFor(index)} y1={yFor(candle.high)} y2={yFor(candle.low)} />
+                    <rect
+                      x={xFor(index) - bodyWidth / 2}
+                      y={bodyTop}
+                      width={bodyWidth}
+                      height={Math.max(1, bodyBottom - bodyTop)}
+                    />
+                  </g>
+                );
+              })
+            ) : (
+              <polyline
+                className={`chart-line ${rangeChange >= 0 ? 'up' : 'down'}`}
+                points={candles.map((candle, index) => `${xFor(index)},${yFor(candle.close)}`).join(' ')}
+              />
+            )}
+
+            {markers.map(({ event, x, y }) => (
+              <circle
+                key={event.id}
+                className={`event-marker ${event.change_percentage >= 0 ? 'up' : 'down'} ${selectedEvent === event.id ? 'selected' : ''}`}
+                cx={x}
+                cy={y}
+                r={5}
+                onMouseEnter={() => setHoveredEvent(event.id)}
+                onMouseLeave={() => setHoveredEvent(null)}
+                onClick={() => setSelectedEvent(selectedEvent === event.id ? null : event.id)}
+              />
+            ))}
+
+            {hovered && (
+              <line
+                className="chart-crosshair"
+                x1={xFor(hoverIndex)}
+                x2={xFor(hoverIndex)}
+                y1={PADDING.top}
+                y2={HEIGHT - PADDING.bottom}
+              />
+            )}
+          </svg>
+
+          {activeMarker && (
+            <div
+              className="event-marker-tooltip"
+              style={{
+                left: `${(activeMarker.x / WIDTH) * 100}%`,
+                top: `${(activeMarker.y / HEIGHT) * 100}%`
+              }}
+            >
+              <div className="event-marker-header">
+                <EventTypeBadge eventType={activeMarker.event.event_type} />
+                <span className={`event-marker-change ${activeMarker.event.change_percentage >= 0 ? 'positive' : 'negative'}`}>
+                  {activeMarker.event.change_percentage >= 0 ? '+' : ''}
+                  {activeMarker.event.change_percentage.toFixed(2)}%
+                </span>
+              </div>
+              <div className="event-marker-headline">{activeMarker.event.headline}</div>
+              <div className="event-marker-meta">
+                {new Date(activeMarker.event.published_at).toLocaleString()} · $
+                {activeMarker.event.previous_price.toFixed(2)} → ${activeMarker.event.new_price.toFixed(2)}
+              </div>
+            </div>
+          )}
+
+          {hovered && !activeMarker && (
+            <div className="price-chart-tooltip">
+              <div>{formatTime(hovered.time, interval)}</div>
+              <div>O {hovered.open.toFixed(2)} H {hovered.high.toFixed(2)}</div>
+              <div>L {hovered.low.toFixed(2)} C {hovered.close.toFixed(2)}</div>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PriceChart;
@@ -0,0 +1,305 @@
+import React, { useState, useEffect } from 'react';
+import { getLatestPrice } from '../services/websocket';
+import { getFeeModel } from '../services/fees';
+import { getRebalanceTargets, updateRebalanceTargets, executeRebalance } from '../services/rebalance';
+import { planRebalance, REBALANCE_MODES, REBALANCE_MODE_LABELS } from '../utils/rebalance';
+import { UNCLASSIFIED_SECTOR } from '../utils/allocation';
+import { formatShares } from '../utils/shares';
+import useLiveQuotes from '../hooks/useLiveQuotes';
+import './RebalanceAssistant.css';
+
+const STATUS_LABELS = {
+  pending: 'Pending',
+  success: 'Filled',
+  failed: 'Failed'
+};
+
+const formatCurrency = (value) => new Intl.NumberFormat('en-US', {
+  style: 'currency',
+  currency: 'USD'
+}).format(value);
+
+const formatWeight = (weight) => `${(weight * 100).toFixed(1)}%`;
+
+// Targets for the mode being edited are stored under these keys
+const TARGET_KEYS = {
+  [REBALANCE_MODES.STOCK]: 'stocks',
+  [REBALANCE_MODES.SECTOR]: 'sectors'
+};
+
+/**
+ * Rebalancing assistant: target weights per stock or per sector, live drift from target
+ * and a proposed set of orders that can be executed in one click
+ * @param {Object} portfolio - Portfolio from getUserPortfolio
+ */
+const RebalanceAssistant = ({ portfolio }) => {
+  const { quotes, loading } = useLiveQuotes();
+  const [settings, setSettings] = useState(getRebalanceTargets());
+  const [feeModel, setFeeModel] = useState(getFeeModel());
+  const [executing, setExecuting] = useState(false);
+  const [results, setResults] = useState(null);
+
+  useEffect(() => {
+    const handleTargetsUpdated = (event) => setSettings(event.detail.targets);
+    const handleFeeModelUpdated = (event) => setFeeModel(event.detail.model);
+
+    document.addEventListener('rebalance-targets-updated', handleTargetsUpdated);
+    document.addEventListener('fee-model-updated', handleFeeModelUpdated);
+
+    return () => {
+      document.removeEventListener('rebalance-targets-updated', handleTargetsUpdated);
+      document.removeEventListener('fee-model-updated', handleFeeModelUpdated);
+    };
+  }, []);
+
+  if (loading || !portfolio) return null;
+
+  const { mode } = settings;
+  const targets = settings[TARGET_KEYS[mode]] || {};
+
+  const stocks = Object.values(quotes).map(quote => ({
+    id: quote.id,
+    symbol: quote.symbol,
+    sector: quote.sector || UNCLASSIFIED_SECTOR
+  }));
+
+  const prices = {};
+  Object.values(quotes).forEach(quote => {
+    prices[quote.id] = quote.current_price;
+  });
+
+  // Weigh holdings at the latest price seen this session
+  const positions = (portfolio.portfolio_items || [])
+    .filter(item => item && item.stock && !item.is_short)
+    .map(item => {
+      prices[item.stock_id] = getLatestPrice(item.stock_id, prices[item.stock_id] ?? item.stock.current_price);
+      return {
+        stock_id: item.stock_id,
+        symbol: item.stock.symbol,
+        sector: item.stock.sector || quotes[item.stock_id]?.sector || UNCLASSIFIED_SECTOR,
+        quantity: item.quantity
+      };
+    });
+
+  const cash = portfolio.buying_power ?? portfolio.cash_balance ?? 0;
+  const plan = planRebalance({
+    mode,
+    targets,
+    positions,
+    stocks,
+    prices,
+    cash,
+    minTradeValue: Number(settings.minTradeValue) || 0,
+    feeModel
+  });
+
+  const setTarget = (key, value) => {
+    const nextTargets = { ...targets };
+    if (value === null) {
+      delete nextTargets[key];
+    } else {
+      nextTargets[key] = value;
+    }
+    updateRebalanceTargets({ [TARGET_KEYS[mode]]: nextTargets });
+    setResults(null);
+  };
+
+  const handleExecute = async () => {
+    setExecuting(true);
+    await executeRebalance(plan.orders, setResults);
+    setExecuting(false);
+  };
+
+  // Stocks or sectors that can still be given a target
+  const rowKeys = plan.rows.map(row => row.key);
+  const addOptions = mode === REBALANCE_MODES.SECTOR
+    ? [...new Set(stocks.map(stock => stock.sector))]
+        .filter(sector => !rowKeys.includes(sector))
+        .sort()
+        .map(sector => ({ value: sector, label: sector }))
+    : stocks
+        .filter(stock => !rowKeys.includes(String(stock.id)))
+        .sort((a, b) => a.symbol.localeCompare(b.symbol))
+        .map(stock => ({ value: String(stock.id), label: stock.symbol }));
+
+  const filledCount = results ? results.filter(result => result.status === 'success').length : 0;
+
+  return (
+    <div className="rebalance-assistant">
+      <div className="rebalance-header">
+        <h2>Rebalance</h2>
+        <div className="rebalance-modes">
+          {Object.values(REBALANCE_MODES).map(option => (
+            <button
+              key={option}
+              className={`rebalance-mode ${mode === option ? 'active' : ''}`}
+              onClick={() => {
+                updateRebalanceTargets({ mode: option });
+                setResults(null);
+              }}
+              disabled={executing}
+            >
+              {REBALANCE_MODE_LABELS[option]}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <p className="rebalance-hint">
+        Targets are a percentage of your cash plus long holdings ({formatCurrency(plan.total_value)}).
+        {mode === REBALANCE_MODES.SECTOR && ' A sector target is split between the stocks you hold in it by their value.'}
+        {' '}Anything without a target is left as it is.
+      </p>
+
+      <table className="rebalance-table">
+        <thead>
+          <tr>
+            <th>{mode === REBALANCE_MODES.SECTOR ? 'Sector' : 'Stock'}</th>
+            <th>Value</th>
+            <th>Current</th>
+            <th>Target</th>
+            <th>Drift</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          {plan.rows.map(row => (
+            <tr key={row.key}>
+              <td>{row.label}</td>
+              <td>{formatCurrency(row.value)}</td>
+              <td>{formatWeight(row.current_weight)}</td>
+              <td>
+                <input
+                  type="number"
+                  min="0"
+                  max="100"
+                  step="0.1"
+                  placeholder="No target"
+                  value={targets[row.key] ?? ''}
+                  onChange={(e) => setTarget(row.key, e.target.value === '' ? null : e.target.value)}
+                  disabled={executing}
+                />
+                <span className="rebalance-unit">%</span>
+              </td>
+              <td className={row.drift > 0 ? 'rebalance-over' : row.drift < 0 ? 'rebalance-under' : ''}>
+                {row.drift === null ? '—' : `${row.drift > 0 ? '+' : ''}${formatWeight(row.drift)}`}
+              </td>
+              <td>
+                {targets[row.key] !== undefined && (
+                  <button className="rebalance-remove" onClick={() => setTarget(row.key, null)} disabled={executing}>×</button>
+                )}
+              </td>
+            </tr>
+          ))}
+          <tr className="rebalance-cash-row">
+            <td>Cash</td>
+            <td>{formatCurrency(cash)}</td>
+            <td>{formatWeight(plan.cash_weight)}</td>
+            <td>{formatWeight(plan.cash_target)}</td>
+            <td></td>
+            <td></td>
+          </tr>
+        </tbody>
+      </table>
+
+      <div className="rebalance-options">
+        <select value="" onChange={(e) => e.target.value && setTarget(e.target.value, '0')} disabled={executing}>
+          <option value="">{mode === REBALANCE_MODES.SECTOR ? 'Add a sector...' : 'Add a stock...'}</option>
+          {addOptions.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+        <label>
+          Minimum trade $
+          <input
+            type="number"
+            min="0"
+            step="1"
+            value={settings.minTradeValue}
+            onChange={(e) => updateRebalanceTargets({ minTradeValue: e.target.value })}
+            disabled={executing}
+          />
+        </label>
+      </div>
+
+      {plan.errors.length > 0 && (
+        <div className="rebalance-errors">
+          {plan.errors.map(error => <div key={error}>{error}</div>)}
+        </div>
+      )}
+
+      {(results || plan.orders.length > 0) && (
+        <>
+          <h3>Proposed Orders</h3>
+          <table className="rebalance-table">
+            <thead>
+              <tr>
+                <th>Order</th>
+                <th>Quantity</th>
+                <th>Fill</th>
+                <th>Costs</th>
+                <th>Total</th>
+                {results && <th>Result</th>}
+              </tr>
+            </thead>
+            <tbody>
+              {(results || plan.orders).map(order => (
+                <tr key={order.stock_id}>
+                  <td>
+                    <span className={`rebalance-side ${order.action}`}>{order.action}</span> {order.symbol}
+                  </td>
+                  <td>{formatShares(order.quantity)}</td>
+                  <td>{formatCurrency(order.costs.execution_price)}</td>
+                  <td>{formatCurrency(order.costs.cost)}</td>
+                  <td>{formatCurrency(order.costs.total)}</td>
+                  {results && (
+                    <td>
+                      <span className={`rebalance-status ${order.status}`}>{STATUS_LABELS[order.status]}</span>
+                      {order.message && <div className="rebalance-hint">{order.message}</div>}
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+
+      {!results && plan.orders.length > 0 && (
+        <>
+          <div className="rebalance-totals">
+            <div><span>Sales</span><b>{formatCurrency(plan.sell_total)}</b></div>
+            <div><span>Purchases</span><b>{formatCurrency(plan.buy_total)}</b></div>
+            <div><span>Fees and slippage</span><b>{formatCurrency(plan.fees + plan.slippage)}</b></div>
+            <div><span>Cash after</span><b>{formatCurrency(plan.cash_after)}</b></div>
+          </div>
+          {plan.scaled && (
+            <p className="rebalance-hint">
+              There is not enough cash to reach every target, so the purchases have been scaled down to fit.
+            </p>
+          )}
+          <button className="rebalance-execute" onClick={handleExecute} disabled={executing || !plan.can_execute}>
+            Execute {plan.orders.length} Orders
+          </button>
+        </>
+      )}
+
+      {!results && plan.orders.length === 0 && plan.errors.length === 0 && Object.keys(targets).length > 0 && (
+        <p className="rebalance-hint">
+          Your portfolio is within {formatCurrency(Number(settings.minTradeValue) || 0)} of every target. Nothing to trade.
+        </p>
+      )}
+
+      {executing && <p className="rebalance-hint">Sending orders one at a time... Sells go first so their proceeds fund the buys.</p>}
+
+      {results && !executing && (
+        <div className="rebalance-done">
+          <p>{filledCount} of {results.length} orders were filled.</p>
+          <button className="rebalance-secondary" onClick={() => setResults(null)}>Done</button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RebalanceAssistant;
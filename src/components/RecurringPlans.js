@@ -0,0 +1,200 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { getAllStocks } from '../services/stock';
+import {
+  getPlans,
+  getPlanRuns,
+  createPlan,
+  pausePlan,
+  resumePlan,
+  deletePlan,
+  PLAN_INTERVALS,
+  PLAN_STATUS,
+  RUN_STATUS
+} from '../services/dca';
+import { formatShares } from '../utils/shares';
+import './RecurringPlans.css';
+
+// Number of runs shown in the run log
+const RUN_LOG_LIMIT = 20;
+
+const RUN_STATUS_LABELS = {
+  [RUN_STATUS.FILLED]: 'Bought',
+  [RUN_STATUS.SKIPPED]: 'Skipped',
+  [RUN_STATUS.FAILED]: 'Failed'
+};
+
+/**
+ * Recurring buy plans: create, pause, resume and delete plans and see every run
+ */
+const RecurringPlans = () => {
+  const [stocks, setStocks] = useState([]);
+  const [plans, setPlans] = useState([]);
+  const [runs, setRuns] = useState([]);
+  const [showForm, setShowForm] = useState(false);
+  const [error, setError] = useState(null);
+  const [form, setForm] = useState({ stockId: '', amount: '', interval: '10m', runNow: true });
+
+  useEffect(() => {
+    const fetchStocks = async () => {
+      const data = await getAllStocks();
+      setStocks(data || []);
+    };
+
+    const loadPlans = async () => {
+      setPlans(await getPlans());
+      setRuns(await getPlanRuns(null, RUN_LOG_LIMIT));
+    };
+
+    fetchStocks();
+    loadPlans();
+
+    document.addEventListener('dca-plans-updated', loadPlans);
+    return () => document.removeEventListener('dca-plans-updated', loadPlans);
+  }, []);
+
+  const handleChange = (key, value) => setForm(prevForm => ({ ...prevForm, [key]: value }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+
+    const stock = stocks.find(s => s.id === Number(form.stockId));
+
+    try {
+      await createPlan({
+        stockId: stock?.id,
+        symbol: stock?.symbol,
+        amount: parseFloat(form.amount),
+        interval: form.interval,
+        runNow: form.runNow
+      });
+      setForm(prevForm => ({ ...prevForm, amount: '' }));
+      setShowForm(false);
+    } catch (err) {
+      setError(err.message || 'Failed to create plan');
+    }
+  };
+
+  const handleAction = async (action, planId) => {
+    setError(null);
+    try {
+      await action(planId);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const formatTime = (isoString) => (isoString ? new Date(isoString).toLocaleString() : '—');
+
+  return (
+    <div className="recurring-plans">
+      <div className="recurring-plans-header">
+        <h2>Recurring Buys</h2>
+        <button className="recurring-plans-button" onClick={() => setShowForm(!showForm)}>
+          {showForm ? 'Cancel' : 'New Plan'}
+        </button>
+      </div>
+
+      {error && <div className="recurring-plans-error">{error}</div>}
+
+      {showForm && (
+        <form className="recurring-plan-form" onSubmit={handleSubmit}>
+          <span>Buy $</span>
+          <input
+            type="number"
+            min="1"
+            step="0.01"
+            placeholder="Amount"
+            value={form.amount}
+            onChange={(e) => handleChange('amount', e.target.value)}
+          />
+          <span>of</span>
+          <select value={form.stockId} onChange={(e) => handleChange('stockId', e.target.value)}>
+            <option value="">Choose a stock...</option>
+            {stocks.map(stock => (
+              <option key={stock.id} value={stock.id}>{stock.symbol} - {stock.name}</option>
+            ))}
+          </select>
+          <select value={form.interval} onChange={(e) => handleChange('interval', e.target.value)}>
+            {Object.entries(PLAN_INTERVALS).map(([key, interval]) => (
+              <option key={key} value={key}>{interval.label.toLowerCase()}</option>
+            ))}
+          </select>
+          <label className="recurring-plan-option">
+            <input
+              type="checkbox"
+              checked={form.runNow}
+              onChange={(e) => handleChange('runNow', e.target.checked)}
+            />
+            Buy now
+          </label>
+          <button type="submit" className="recurring-plans-button">Create Plan</button>
+        </form>
+      )}
+
+      {plans.length === 0 ? (
+        <p className="recurring-plans-empty">
+          No recurring buys. A plan invests a fixed amount on a schedule while the app is open,
+          skipping a run when you do not have enough cash.
+        </p>
+      ) : (
+        <table className="recurring-plans-table">
+          <thead>
+            <tr>
+              <th>Plan</th>
+              <th>Next Run</th>
+              <th>Runs</th>
+              <th>Shares</th>
+              <th>Invested</th>
+              <th>Status</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {plans.map(plan => (
+              <tr key={plan.id}>
+                <td>
+                  ${plan.amount.toFixed(2)} of <Link to={`/stock/${plan.stock_id}`}>{plan.symbol}</Link>{' '}
+                  {PLAN_INTERVALS[plan.interval].label.toLowerCase()}
+                </td>
+                <td>{plan.status === PLAN_STATUS.ACTIVE ? formatTime(plan.next_run_at) : '—'}</td>
+                <td>{plan.runs}</td>
+                <td>{formatShares(plan.shares_bought)}</td>
+                <td>${plan.invested.toFixed(2)}</td>
+                <td><span className={`plan-status ${plan.status}`}>{plan.status}</span></td>
+                <td className="recurring-plan-actions">
+                  {plan.status === PLAN_STATUS.ACTIVE ? (
+                    <button onClick={() => handleAction(pausePlan, plan.id)}>Pause</button>
+                  ) : (
+                    <button onClick={() => handleAction(resumePlan, plan.id)}>Resume</button>
+                  )}
+                  <button onClick={() => handleAction(deletePlan, plan.id)}>Delete</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {runs.length > 0 && (
+        <>
+          <h3>Run Log</h3>
+          <ul className="recurring-plan-runs">
+            {runs.map(run => (
+              <li key={run.id}>
+                <span className="recurring-plan-run-time">{formatTime(run.created_at)}</span>
+                <span className={`plan-run-status ${run.status}`}>{RUN_STATUS_LABELS[run.status]}</span>
+                {run.status === RUN_STATUS.FILLED
+                  ? `${formatShares(run.quantity)} ${run.symbol} at $${run.price.toFixed(2)} ($${run.total.toFixed(2)})`
+                  : `${run.symbol}: ${run.reason}`}
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default RecurringPlans;
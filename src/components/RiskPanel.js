@@ -0,0 +1,241 @@
+import React, { useState, useEffect } from 'react';
+import { getPriceHistory, getRecordedStockIds, INTERVALS } from '../services/price-history';
+import { getPortfolioSnapshots } from '../services/portfolio-history';
+import { getSetting } from '../services/settings';
+import {
+  YEAR_MS,
+  candleReturns,
+  marketIndexReturns,
+  weightedReturns,
+  volatility,
+  beta,
+  sharpeRatio,
+  maxDrawdown
+} from '../utils/risk';
+import './RiskPanel.css';
+
+// How often the metrics are recomputed from newly recorded prices
+const REFRESH_INTERVAL_MS = 30 * 1000;
+
+const RISK_INTERVALS = ['1m', '5m', '1h', '1d'];
+
+const EXPLANATIONS = [
+  {
+    term: 'Volatility',
+    text: 'How much returns swing around their average, scaled to a year. 40% means a typical year could ' +
+      'easily end 40% higher or lower than expected.'
+  },
+  {
+    term: 'Beta',
+    text: 'How strongly a holding moves with the market index (the average of every stock). 1 moves with ' +
+      'the market, above 1 exaggerates its moves, below 1 dampens them and negative moves against it.'
+  },
+  {
+    term: 'Sharpe Ratio',
+    text: 'Return earned above the risk-free rate for each unit of volatility, scaled to a year. Higher is ' +
+      'better; below 0 means you would have done better without taking the risk.'
+  },
+  {
+    term: 'Max Drawdown',
+    text: 'The largest fall from a peak to a later low. For the portfolio this uses your recorded portfolio ' +
+      'value history; for holdings it uses their price history.'
+  }
+];
+
+const formatPercent = (value) => value === null ? '—' : `${(value * 100).toFixed(1)}%`;
+const formatRatio = (value) => value === null ? '—' : value.toFixed(2);
+
+/**
+ * Compute holding and portfolio risk metrics from the recorded price history
+ * @param {Array} portfolioItems - Portfolio items with current prices applied
+ * @param {string} interval - Key of INTERVALS used to sample returns
+ * @param {number} riskFreeRate - Annual risk-free rate in percent
+ * @returns {Object} { holdings, portfolio }
+ */
+const computeRiskMetrics = (portfolioItems, interval, riskFreeRate) => {
+  const intervalMs = INTERVALS[interval].ms;
+  const periodsPerYear = YEAR_MS / intervalMs;
+  const rate = (riskFreeRate || 0) / 100;
+  const items = (portfolioItems || []).filter(item => item && item.stock && item.quantity);
+
+  // Returns of every recorded stock make up the market index, not just the ones held
+  const stockIds = [...new Set([...getRecordedStockIds(), ...items.map(item => Number(item.stock_id))])];
+  const returnsById = {};
+  const closesById = {};
+  stockIds.forEach(id => {
+    const candles = getPriceHistory(id, interval);
+    returnsById[id] = candleReturns(candles, intervalMs);
+    closesById[id] = candles.map(candle => candle.close);
+  });
+  const market = marketIndexReturns(Object.values(returnsById));
+
+  const holdings = items.map(item => {
+    const returns = Object.values(returnsById[Number(item.stock_id)]);
+    return {
+      stock_id: item.stock_id,
+      symbol: item.stock.symbol,
+      is_short: !!item.is_short,
+      observations: returns.length,
+      volatility: volatility(returns, periodsPerYear),
+      beta: beta(returnsById[Number(item.stock_id)], market),
+      sharpe: sharpeRatio(returns, periodsPerYear, rate),
+      maxDrawdown: maxDrawdown(closesById[Number(item.stock_id)])
+    };
+  });
+
+  // Current holdings weighted by exposure, shorts counting against the portfolio
+  const grossValue = items.reduce((sum, item) => sum + Math.abs(item.quantity * item.stock.current_price), 0);
+  const portfolioReturns = grossValue > 0
+    ? weightedReturns(items.map(item => ({
+        returns: returnsById[Number(item.stock_id)],
+        weight: (item.quantity * item.stock.current_price) / grossValue
+      })))
+    : {};
+  const returns = Object.values(portfolioReturns);
+
+  return {
+    holdings,
+    portfolio: {
+      observations: returns.length,
+      volatility: volatility(returns, periodsPerYear),
+      beta: beta(portfolioReturns, market),
+      sharpe: sharpeRatio(returns, periodsPerYear, rate),
+      maxDrawdown: maxDrawdown(getPortfolioSnapshots().map(snapshot => snapshot.total_value))
+    }
+  };
+};
+
+/**
+ * Risk metrics for each holding and the whole portfolio, computed from recorded price history
+ * @param {Array} portfolioItems - Portfolio items with current prices applied
+ */
+const RiskPanel = ({ portfolioItems }) => {
+  const [interval, setRiskInterval] = useState('5m');
+  const [metrics, setMetrics] = useState(null);
+  const [riskFreeRate, setRiskFreeRate] = useState(getSetting('riskFreeRate'));
+  const [showExplanations, setShowExplanations] = useState(false);
+
+  useEffect(() => {
+    const handleSettingsUpdated = (event) => setRiskFreeRate(event.detail.settings.riskFreeRate);
+    document.addEventListener('settings-updated', handleSettingsUpdated);
+
+    return () => {
+      document.removeEventListener('settings-updated', handleSettingsUpdated);
+    };
+  }, []);
+
+  // Price history changes outside React, so recompute periodically and after each portfolio snapshot
+  useEffect(() => {
+    const loadMetrics = () => setMetrics(computeRiskMetrics(portfolioItems, interval, riskFreeRate));
+
+    loadMetrics();
+    const timer = setInterval(loadMetrics, REFRESH_INTERVAL_MS);
+    document.addEventListener('portfolio-snapshot-recorded', loadMetrics);
+
+    return () => {
+      clearInterval(timer);
+      document.removeEventListener('portfolio-snapshot-recorded', loadMetrics);
+    };
+  }, [portfolioItems, interval, riskFreeRate]);
+
+  if (!metrics || !portfolioItems || portfolioItems.length === 0) return null;
+
+  const { portfolio } = metrics;
+
+  return (
+    <div className="risk-panel">
+      <div className="risk-header">
+        <h2>Risk</h2>
+        <div className="risk-intervals">
+          {RISK_INTERVALS.map(key => (
+            <button
+              key={key}
+              className={`risk-interval ${interval === key ? 'active' : ''}`}
+              onClick={() => setRiskInterval(key)}
+            >
+              {key}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="risk-summary">
+        <div className="risk-metric">
+          <span className="risk-label">Volatility</span>
+          <span className="risk-value">{formatPercent(portfolio.volatility)}</span>
+        </div>
+        <div className="risk-metric">
+          <span className="risk-label">Beta</span>
+          <span className="risk-value">{formatRatio(portfolio.beta)}</span>
+        </div>
+        <div className="risk-metric">
+          <span className="risk-label">Sharpe Ratio</span>
+          <span className={`risk-value ${portfolio.sharpe !== null && portfolio.sharpe < 0 ? 'negative' : ''}`}>
+            {formatRatio(portfolio.sharpe)}
+          </span>
+        </div>
+        <div className="risk-metric">
+          <span className="risk-label">Max Drawdown</span>
+          <span className={`risk-value ${portfolio.maxDrawdown ? 'negative' : ''}`}>
+            {portfolio.maxDrawdown ? `-${formatPercent(portfolio.maxDrawdown)}` : formatPercent(portfolio.maxDrawdown)}
+          </span>
+        </div>
+      </div>
+
+      <p className="risk-note">
+        Based on {portfolio.observations} {interval} returns of your current holdings
+        {portfolio.observations < 10 && ' — leave the market running to collect more history for reliable figures'}.
+      </p>
+
+      <table className="risk-table">
+        <thead>
+          <tr>
+            <th>Holding</th>
+            <th>Returns</th>
+            <th>Volatility</th>
+            <th>Beta</th>
+            <th>Sharpe</th>
+            <th>Max Drawdown</th>
+          </tr>
+        </thead>
+        <tbody>
+          {metrics.holdings.map(holding => (
+            <tr key={holding.stock_id}>
+              <td>
+                <span className="stock-symbol">{holding.symbol}</span>
+                {holding.is_short && <span className="risk-short">Short</span>}
+              </td>
+              <td>{holding.observations}</td>
+              <td>{formatPercent(holding.volatility)}</td>
+              <td>{formatRatio(holding.beta)}</td>
+              <td>{formatRatio(holding.sharpe)}</td>
+              <td>{holding.maxDrawdown ? `-${formatPercent(holding.maxDrawdown)}` : formatPercent(holding.maxDrawdown)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <button className="risk-explain-toggle" onClick={() => setShowExplanations(!showExplanations)}>
+        {showExplanations ? 'Hide explanations' : 'What do these mean?'}
+      </button>
+
+      {showExplanations && (
+        <dl className="risk-explanations">
+          {EXPLANATIONS.map(({ term, text }) => (
+            <React.Fragment key={term}>
+              <dt>{term}</dt>
+              <dd>{text}</dd>
+            </React.Fragment>
+          ))}
+          <dt>Sampling</dt>
+          <dd>
+            Figures use {interval} price candles recorded while you play, and a {riskFreeRate}% risk-free rate
+            (change it in Settings). Holding metrics describe the stock itself; short positions gain when it falls.
+          </dd>
+        </dl>
+      )}
+    </div>
+  );
+};
+
+export default RiskPanel;
@@ -0,0 +1,82 @@
+import React, { useState, useEffect } from 'react';
+import { getLocalWatchlists, addToWatchlist, removeFromWatchlist, createWatchlist } from '../services/watchlist';
+import './WatchlistButton.css';
+
+/**
+ * Button with a menu for adding a stock to, or removing it from, the user's watchlists
+ * @param {number} stockId - ID of the stock
+ */
+const WatchlistButton = ({ stockId }) => {
+  const [watchlists, setWatchlists] = useState(getLocalWatchlists());
+  const [open, setOpen] = useState(false);
+  const [newName, setNewName] = useState('');
+
+  const id = Number(stockId);
+
+  useEffect(() => {
+    const handleWatchlistsUpdated = (event) => setWatchlists(event.detail.watchlists);
+    document.addEventListener('watchlists-updated', handleWatchlistsUpdated);
+
+    return () => {
+      document.removeEventListener('watchlists-updated', handleWatchlistsUpdated);
+    };
+  }, []);
+
+  const watching = watchlists.some(list => list.stock_ids.includes(id));
+
+  const handleToggle = (list) => {
+    if (list.stock_ids.includes(id)) {
+      removeFromWatchlist(list.id, id);
+    } else {
+      addToWatchlist(list.id, id);
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!newName.trim()) return;
+
+    const watchlist = await createWatchlist(newName);
+    await addToWatchlist(watchlist.id, id);
+    setNewName('');
+  };
+
+  return (
+    <div className="watchlist-button-wrapper">
+      <button
+        className={`watchlist-button ${watching ? 'watching' : ''}`}
+        onClick={() => setOpen(!open)}
+        title="Add to watchlist"
+      >
+        {watching ? '★ Watching' : '☆ Watch'}
+      </button>
+
+      {open && (
+        <div className="watchlist-menu">
+          {watchlists.map(list => (
+            <label key={list.id} className="watchlist-menu-item">
+              <input
+                type="checkbox"
+                checked={list.stock_ids.includes(id)}
+                onChange={() => handleToggle(list)}
+              />
+              {list.name}
+            </label>
+          ))}
+          <form className="watchlist-menu-create" onSubmit={handleCreate}>
+            <input
+              type="text"
+              placeholder="New watchlist"
+              value={newName}
+              onChange={(e) => setNewName(e.target.value)}
+            />
+            <button type="submit" disabled={!newName.trim()}>Add</button>
+          </form>
+          <button className="watchlist-menu-close" onClick={() => setOpen(false)}>Done</button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default WatchlistButton;
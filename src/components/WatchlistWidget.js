@@ -0,0 +1,173 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import {
+  getWatchlists,
+  createWatchlist,
+  renameWatchlist,
+  deleteWatchlist,
+  moveWatchlist,
+  removeFromWatchlist,
+  moveWatchlistStock
+} from '../services/watchlist';
+import useLiveQuotes from '../hooks/useLiveQuotes';
+import './WatchlistWidget.css';
+
+const formatChange = (value) => `${value >= 0 ? '+' : ''}${value.toFixed(2)}`;
+
+/**
+ * Dashboard widget with the user's watchlists and live mini-quotes
+ */
+const WatchlistWidget = () => {
+  const [watchlists, setWatchlists] = useState([]);
+  const [activeId, setActiveId] = useState(null);
+  const [editing, setEditing] = useState(null); // null, 'create' or 'rename'
+  const [name, setName] = useState('');
+  const { quotes, loading } = useLiveQuotes();
+
+  useEffect(() => {
+    const fetchWatchlists = async () => {
+      setWatchlists(await getWatchlists());
+    };
+
+    fetchWatchlists();
+
+    const handleWatchlistsUpdated = (event) => setWatchlists(event.detail.watchlists);
+    document.addEventListener('watchlists-updated', handleWatchlistsUpdated);
+
+    return () => {
+      document.removeEventListener('watchlists-updated', handleWatchlistsUpdated);
+    };
+  }, []);
+
+  const active = watchlists.find(list => list.id === activeId) || watchlists[0];
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+
+    if (editing === 'create') {
+      const watchlist = await createWatchlist(name);
+      setActiveId(watchlist.id);
+    } else if (active) {
+      await renameWatchlist(active.id, name);
+    }
+    setEditing(null);
+    setName('');
+  };
+
+  const handleDelete = async () => {
+    if (!active || !window.confirm(`Delete the watchlist "${active.name}"?`)) return;
+    await deleteWatchlist(active.id);
+    setActiveId(null);
+  };
+
+  return (
+    <div className="watchlist-widget">
+      <div className="watchlist-tabs">
+        {watchlists.map(list => (
+          <button
+            key={list.id}
+            className={`watchlist-tab ${active && active.id === list.id ? 'active' : ''}`}
+            onClick={() => setActiveId(list.id)}
+          >
+            {list.name}
+            <span className="watchlist-count">{list.stock_ids.length}</span>
+          </button>
+        ))}
+        <button
+          className="watchlist-tab new"
+          onClick={() => { setEditing('create'); setName(''); }}
+        >
+          + New
+        </button>
+      </div>
+
+      {editing && (
+        <form className="watchlist-name-form" onSubmit={handleSubmit}>
+          <input
+            type="text"
+            autoFocus
+            placeholder="Watchlist name"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+          />
+          <button type="submit" disabled={!name.trim()}>{editing === 'create' ? 'Create' : 'Rename'}</button>
+          <button type="button" className="secondary" onClick={() => setEditing(null)}>Cancel</button>
+        </form>
+      )}
+
+      {active && (
+        <>
+          <div className="watchlist-actions">
+            <button onClick={() => moveWatchlist(active.id, -1)} title="Move list left">◀</button>
+            <button onClick={() => moveWatchlist(active.id, 1)} title="Move list right">▶</button>
+            <button onClick={() => { setEditing('rename'); setName(active.name); }}>Rename</button>
+            <button className="danger" onClick={handleDelete}>Delete</button>
+          </div>
+
+          {active.stock_ids.length === 0 ? (
+            <div className="empty-list">
+              <p>This watchlist is empty.</p>
+              <Link to="/stocks" className="action-button">Find Stocks to Watch</Link>
+            </div>
+          ) : (
+            <table className="dashboard-table watchlist-table">
+              <thead>
+                <tr>
+                  <th>Symbol</th>
+                  <th>Price</th>
+                  <th>Session</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {active.stock_ids.map((stockId, index) => {
+                  const quote = quotes[stockId];
+
+                  return (
+                    <tr key={stockId} className={quote?.direction ? `price-${quote.direction}` : ''}>
+                      <td>
+                        <Link to={`/stock/${stockId}`} className="watchlist-symbol">
+                          {quote ? quote.symbol : `#${stockId}`}
+                        </Link>
+                        {quote && <span className="watchlist-name">{quote.name}</span>}
+                      </td>
+                      <td>{quote ? `$${quote.current_price.toFixed(2)}` : (loading ? '…' : '—')}</td>
+                      <td className={quote && quote.session_change < 0 ? 'negative' : 'positive'}>
+                        {quote && (
+                          <>
+                            {formatChange(quote.session_change)}
+                            <span className="watchlist-percent">({formatChange(quote.session_change_percent)}%)</span>
+                          </>
+                        )}
+                      </td>
+                      <td className="watchlist-row-actions">
+                        <button
+                          onClick={() => moveWatchlistStock(active.id, stockId, -1)}
+                          disabled={index === 0}
+                          title="Move up"
+                        >
+                          ▲
+                        </button>
+                        <button
+                          onClick={() => moveWatchlistStock(active.id, stockId, 1)}
+                          disabled={index === active.stock_ids.length - 1}
+                          title="Move down"
+                        >
+                          ▼
+                        </button>
+                        <button onClick={() => removeFromWatchlist(active.id, stockId)} title="Remove">×</button>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default WatchlistWidget;
@@ -0,0 +1,365 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { getTransactionHistory } from '../services/stock';
+import { getLatestPrice } from '../services/websocket';
+import { getFeeModel } from '../services/fees';
+import { getSetting } from '../services/settings';
+import { buildTaxLots, valueOpenLots } from '../utils/tax-lots';
+import { createSandbox, runWhatIf, SHOCK_SCOPES, SHOCK_SCOPE_LABELS } from '../utils/what-if';
+import { UNCLASSIFIED_SECTOR } from '../utils/allocation';
+import { formatShares, parseShares } from '../utils/shares';
+import useLiveQuotes from '../hooks/useLiveQuotes';
+import './WhatIfSimulator.css';
+
+const ACTION_LABELS = { buy: 'Buy', sell: 'Sell', short: 'Short', cover: 'Cover' };
+
+const formatCurrency = (value) => new Intl.NumberFormat('en-US', {
+  style: 'currency',
+  currency: 'USD'
+}).format(value);
+
+const formatWeight = (weight) => `${(weight * 100).toFixed(1)}%`;
+
+const formatChange = (value) => `${value > 0 ? '+' : ''}${formatCurrency(value)}`;
+
+const changeClass = (value) => (value > 0.005 ? 'positive' : value < -0.005 ? 'negative' : '');
+
+/**
+ * What-if sandbox: hypothetical trades and price shocks applied to an in-memory copy of the
+ * portfolio, showing the resulting value, allocation and P&L - nothing is traded
+ * @param {Object} portfolio - Portfolio from getUserPortfolio
+ * @param {Object} stock - Stock being viewed, used as the default for new trades and shocks
+ * @param {Object} draftTrade - Order being entered on the trade form ({ action, quantity })
+ */
+const WhatIfSimulator = ({ portfolio, stock = null, draftTrade = null }) => {
+  const { quotes, loading } = useLiveQuotes();
+  const [costBasis, setCostBasis] = useState({});
+  const [feeModel, setFeeModel] = useState(getFeeModel());
+  const [trades, setTrades] = useState([]);
+  const [shocks, setShocks] = useState([]);
+  const [tradeForm, setTradeForm] = useState({ stockId: stock ? String(stock.id) : '', action: 'buy', quantity: '' });
+  const [shockForm, setShockForm] = useState({
+    scope: stock ? SHOCK_SCOPES.SECTOR : SHOCK_SCOPES.MARKET,
+    target: stock?.sector || '',
+    percent: '-10'
+  });
+
+  // Average cost per held stock, the same way the Portfolio page works it out
+  useEffect(() => {
+    const fetchCostBasis = async () => {
+      try {
+        const transactions = await getTransactionHistory(1000, 0);
+        const lots = buildTaxLots(transactions || [], getSetting('lotMethod'));
+        const averages = {};
+        Object.entries(lots).forEach(([stockId, position]) => {
+          averages[stockId] = valueOpenLots(position, 0).averageCost;
+        });
+        setCostBasis(averages);
+      } catch (err) {
+        console.error('Error loading cost basis for the what-if sandbox:', err);
+      }
+    };
+
+    const handleFeeModelUpdated = (event) => setFeeModel(event.detail.model);
+
+    fetchCostBasis();
+    document.addEventListener('fee-model-updated', handleFeeModelUpdated);
+
+    return () => {
+      document.removeEventListener('fee-model-updated', handleFeeModelUpdated);
+    };
+  }, []);
+
+  const sectors = useMemo(() => {
+    const lookup = {};
+    Object.values(quotes).forEach(quote => {
+      lookup[quote.id] = quote.sector || UNCLASSIFIED_SECTOR;
+    });
+    return lookup;
+  }, [quotes]);
+
+  if (loading || !portfolio) return null;
+
+  // Copy the portfolio at the latest prices seen this session
+  const prices = {};
+  (portfolio.portfolio_items || []).forEach(item => {
+    if (item && item.stock) {
+      prices[item.stock_id] = getLatestPrice(item.stock_id, quotes[item.stock_id]?.current_price ?? item.stock.current_price);
+    }
+  });
+  const sandbox = createSandbox(portfolio, { prices, sectors, costBasis });
+  const pricedTrades = trades.map(trade => ({
+    ...trade,
+    price: getLatestPrice(trade.stock_id, quotes[trade.stock_id]?.current_price)
+  }));
+  const result = runWhatIf(sandbox, pricedTrades, shocks, feeModel);
+  const { before, after } = result;
+
+  const sortedQuotes = Object.values(quotes).sort((a, b) => a.symbol.localeCompare(b.symbol));
+  const sectorNames = [...new Set(Object.values(sectors))].sort();
+
+  const addTrade = (stockId, action, quantityValue) => {
+    const quote = quotes[Number(stockId)];
+    const quantity = parseShares(quantityValue);
+    if (!quote || quantity <= 0) return;
+
+    setTrades(prevTrades => [...prevTrades, {
+      stock_id: quote.id,
+      symbol: quote.symbol,
+      name: quote.name,
+      sector: quote.sector || UNCLASSIFIED_SECTOR,
+      action,
+      quantity
+    }]);
+  };
+
+  const handleAddTrade = (e) => {
+    e.preventDefault();
+    addTrade(tradeForm.stockId, tradeForm.action, tradeForm.quantity);
+    setTradeForm(prevForm => ({ ...prevForm, quantity: '' }));
+  };
+
+  const handleAddShock = (e) => {
+    e.preventDefault();
+    const percent = parseFloat(shockForm.percent);
+    if (!Number.isFinite(percent) || percent <= -100) return;
+    if (shockForm.scope !== SHOCK_SCOPES.MARKET && !shockForm.target) return;
+
+    setShocks(prevShocks => [...prevShocks, { ...shockForm, percent }]);
+  };
+
+  const shockLabel = (shock) => {
+    const percent = `${shock.percent > 0 ? '+' : ''}${shock.percent}%`;
+    if (shock.scope === SHOCK_SCOPES.MARKET) return `${percent} on the whole market`;
+    if (shock.scope === SHOCK_SCOPES.SECTOR) return `${percent} on ${shock.target}`;
+    return `${percent} on ${quotes[Number(shock.target)]?.symbol || shock.target}`;
+  };
+
+  const summaryRows = [
+    { label: 'Total value', key: 'total_value' },
+    { label: 'Cash', key: 'cash' },
+    { label: 'Stock value', key: 'stock_value' },
+    { label: 'Unrealized P&L', key: 'unrealized_pl' },
+    { label: 'Realized P&L', key: 'realized_pl' }
+  ];
+
+  // Sector weights before and after, for every sector in either
+  const sectorRows = [...new Set([
+    ...before.allocation.sectors.map(sector => sector.sector),
+    ...after.allocation.sectors.map(sector => sector.sector)
+  ])].map(name => ({
+    sector: name,
+    before: before.allocation.sectors.find(sector => sector.sector === name)?.weight || 0,
+    after: after.allocation.sectors.find(sector => sector.sector === name)?.weight || 0
+  }));
+
+  const scenarioEmpty = trades.length === 0 && shocks.length === 0;
+
+  return (
+    <div className="what-if-simulator">
+      <div className="what-if-header">
+        <h2>What-If Sandbox</h2>
+        {!scenarioEmpty && (
+          <button
+            className="what-if-secondary"
+            onClick={() => {
+              setTrades([]);
+              setShocks([]);
+            }}
+          >
+            Reset
+          </button>
+        )}
+      </div>
+      <p className="what-if-hint">
+        Try trades and price moves on a copy of your portfolio. Nothing here is traded. Trades fill at today's
+        prices with your trading costs, then the price shocks are applied.
+      </p>
+
+      <div className="what-if-inputs">
+        <form className="what-if-form" onSubmit={handleAddTrade}>
+          <h3>Hypothetical Trade</h3>
+          <select
+            value={tradeForm.action}
+            onChange={(e) => setTradeForm(prevForm => ({ ...prevForm, action: e.target.value }))}
+          >
+            {Object.entries(ACTION_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          <input
+            type="number"
+            min="0"
+            step="any"
+            placeholder="Shares"
+            value={tradeForm.quantity}
+            onChange={(e) => setTradeForm(prevForm => ({ ...prevForm, quantity: e.target.value }))}
+          />
+          <select
+            value={tradeForm.stockId}
+            onChange={(e) => setTradeForm(prevForm => ({ ...prevForm, stockId: e.target.value }))}
+          >
+            <option value="">Stock...</option>
+            {sortedQuotes.map(quote => (
+              <option key={quote.id} value={quote.id}>{quote.symbol}</option>
+            ))}
+          </select>
+          <button type="submit" className="what-if-button">Add</button>
+          {stock && draftTrade && parseShares(draftTrade.quantity) > 0 && (
+            <button
+              type="button"
+              className="what-if-secondary"
+              onClick={() => addTrade(stock.id, draftTrade.action, draftTrade.quantity)}
+            >
+              Add {ACTION_LABELS[draftTrade.action]} {formatShares(parseShares(draftTrade.quantity))} {stock.symbol} from the order form
+            </button>
+          )}
+        </form>
+
+        <form className="what-if-form" onSubmit={handleAddShock}>
+          <h3>Price Shock</h3>
+          <input
+            type="number"
+            step="any"
+            value={shockForm.percent}
+            onChange={(e) => setShockForm(prevForm => ({ ...prevForm, percent: e.target.value }))}
+          />
+          <span>% on</span>
+          <select
+            value={shockForm.scope}
+            onChange={(e) => setShockForm(prevForm => ({ ...prevForm, scope: e.target.value, target: '' }))}
+          >
+            {Object.values(SHOCK_SCOPES).map(scope => (
+              <option key={scope} value={scope}>{SHOCK_SCOPE_LABELS[scope]}</option>
+            ))}
+          </select>
+          {shockForm.scope === SHOCK_SCOPES.SECTOR && (
+            <select
+              value={shockForm.target}
+              onChange={(e) => setShockForm(prevForm => ({ ...prevForm, target: e.target.value }))}
+            >
+              <option value="">Sector...</option>
+              {sectorNames.map(sector => <option key={sector} value={sector}>{sector}</option>)}
+            </select>
+          )}
+          {shockForm.scope === SHOCK_SCOPES.STOCK && (
+            <select
+              value={shockForm.target}
+              onChange={(e) => setShockForm(prevForm => ({ ...prevForm, target: e.target.value }))}
+            >
+              <option value="">Stock...</option>
+              {sortedQuotes.map(quote => <option key={quote.id} value={quote.id}>{quote.symbol}</option>)}
+            </select>
+          )}
+          <button type="submit" className="what-if-button">Add</button>
+        </form>
+      </div>
+
+      {!scenarioEmpty && (
+        <ol className="what-if-steps">
+          {result.trades.map((trade, index) => (
+            <li key={`trade-${index}`} className={trade.error ? 'what-if-step-error' : ''}>
+              {ACTION_LABELS[trade.action]} {formatShares(trade.quantity)} {trade.symbol}
+              {trade.costs && ` at ${formatCurrency(trade.costs.execution_price)} (${formatCurrency(trade.costs.total)})`}
+              {trade.error && ` - skipped: ${trade.error}`}
+              <button
+                className="what-if-remove"
+                onClick={() => setTrades(prevTrades => prevTrades.filter((t, i) => i !== index))}
+              >
+                ×
+              </button>
+            </li>
+          ))}
+          {shocks.map((shock, index) => (
+            <li key={`shock-${index}`}>
+              {shockLabel(shock)}
+              <button
+                className="what-if-remove"
+                onClick={() => setShocks(prevShocks => prevShocks.filter((s, i) => i !== index))}
+              >
+                ×
+              </button>
+            </li>
+          ))}
+        </ol>
+      )}
+
+      <div className="what-if-results">
+        <table className="what-if-table">
+          <thead>
+            <tr>
+              <th></th>
+              <th>Now</th>
+              <th>What-if</th>
+              <th>Change</th>
+            </tr>
+          </thead>
+          <tbody>
+            {summaryRows.map(row => (
+              <tr key={row.key}>
+                <td>{row.label}</td>
+                <td>{formatCurrency(before[row.key])}</td>
+                <td>{formatCurrency(after[row.key])}</td>
+                <td className={changeClass(after[row.key] - before[row.key])}>
+                  {formatChange(after[row.key] - before[row.key])}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        {sectorRows.length > 0 && (
+          <table className="what-if-table">
+            <thead>
+              <tr>
+                <th>Sector</th>
+                <th>Now</th>
+                <th>What-if</th>
+              </tr>
+            </thead>
+            <tbody>
+              {sectorRows.map(row => (
+                <tr key={row.sector}>
+                  <td>{row.sector}</td>
+                  <td>{formatWeight(row.before)}</td>
+                  <td>{formatWeight(row.after)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {after.positions.length > 0 && (
+        <table className="what-if-table what-if-positions">
+          <thead>
+            <tr>
+              <th>Holding</th>
+              <th>Shares</th>
+              <th>Price</th>
+              <th>Value</th>
+              <th>Weight</th>
+              <th>Unrealized P&L</th>
+            </tr>
+          </thead>
+          <tbody>
+            {after.positions.map(position => {
+              const holding = after.allocation.holdings.find(h => h.stock_id === position.stock_id);
+              return (
+                <tr key={position.stock_id}>
+                  <td>{position.symbol}{position.quantity < 0 && <span className="what-if-short">Short</span>}</td>
+                  <td>{formatShares(Math.abs(position.quantity))}</td>
+                  <td>{formatCurrency(position.price)}</td>
+                  <td>{formatCurrency(position.value)}</td>
+                  <td>{formatWeight(holding?.weight || 0)}</td>
+                  <td className={changeClass(position.unrealized_pl)}>{formatChange(position.unrealized_pl)}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default WhatIfSimulator;
@@ -55,7 +55,9 @@ export const ENDPOINTS = {
   STOCK_DETAIL: (id) => `stocks/${id}`,
   PORTFOLIO: 'portfolio',
   TRADING: 'trading',
+  FEE_MODEL: 'trading/fees',
   TRANSACTIONS: 'transactions',
+  WATCHLISTS: 'watchlists',
 
   // Admin endpoints (already using relative paths which will be prefixed with API_URL)
   ADMIN_STATUS: 'admin/status',
@@ -63,6 +65,7 @@ export const ENDPOINTS = {
   ADMIN_USER: (id) => `admin/users/${id}`,
   ADMIN_STOCKS_RESET: 'admin/stocks/reset',
   ADMIN_CHAT_CLEAR: 'admin/chat/clear',
+  ADMIN_FEE_MODEL: 'admin/fees',
 
   // Chat endpoints
   CHAT_MESSAGES: 'chat/messages',
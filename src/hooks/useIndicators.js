@@ -0,0 +1,73 @@
+import { useState, useEffect, useRef } from 'react';
+import { getPriceHistory } from '../services/price-history';
+import { updateIndicators, DEFAULT_INDICATOR_SETTINGS } from '../utils/indicators';
+
+/**
+ * Custom hook computing technical indicators for a stock from its recorded candles
+ *
+ * Indicators are folded over the closed candles once; live price updates only
+ * re-apply the still-forming last candle to that saved state.
+ *
+ * @param {number} stockId - ID of the stock
+ * @param {string} interval - Candle interval (see INTERVALS in price-history)
+ * @param {Object} settings - Indicator periods (see DEFAULT_INDICATOR_SETTINGS)
+ */
+const useIndicators = (stockId, interval = '1m', settings = DEFAULT_INDICATOR_SETTINGS) => {
+  const [candles, setCandles] = useState([]);
+  const [series, setSeries] = useState([]);
+
+  // Indicator state after the last closed candle, and the series up to it
+  const closedRef = useRef({ time: null, state: null, series: [] });
+
+  useEffect(() => {
+    closedRef.current = { time: null, state: null, series: [] };
+
+    const refresh = () => {
+      const history = getPriceHistory(stockId, interval);
+      if (history.length === 0) {
+        setCandles([]);
+        setSeries([]);
+        return;
+      }
+
+      const last = history[history.length - 1];
+      const closed = closedRef.current;
+
+      // A new candle started (or first load) - fold the candles that are now closed
+      if (closed.time !== last.time) {
+        let state = null;
+        const closedSeries = history.slice(0, -1).map(candle => {
+          const result = updateIndicators(state, candle.close, settings);
+          state = result.state;
+          return result.values;
+        });
+        closedRef.current = { time: last.time, state, series: closedSeries };
+      }
+
+      const live = updateIndicators(closedRef.current.state, last.close, settings);
+      setCandles(history);
+      setSeries([...closedRef.current.series, live.values]);
+    };
+
+    refresh();
+
+    const handleHistoryUpdated = (event) => {
+      if (event?.detail?.stockId === stockId) {
+        refresh();
+      }
+    };
+    document.addEventListener('price-history-updated', handleHistoryUpdated);
+
+    return () => {
+      document.removeEventListener('price-history-updated', handleHistoryUpdated);
+    };
+  }, [stockId, interval, settings]);
+
+  return {
+    candles,
+    series,
+    latest: series.length > 0 ? series[series.length - 1] : null
+  };
+};
+
+export default useIndicators;
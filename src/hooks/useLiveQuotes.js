@@ -0,0 +1,97 @@
+import { useState, useEffect } from 'react';
+import { getAllStocks } from '../services/stock';
+import { getLatestPrice, subscribeToStockUpdates } from '../services/websocket';
+
+// Session storage key for the first price seen of each stock in this browser session
+const SESSION_OPEN_STORAGE_KEY = 'officestonks_session_open_prices';
+
+const loadSessionOpens = () => {
+  try {
+    return JSON.parse(sessionStorage.getItem(SESSION_OPEN_STORAGE_KEY) || '{}');
+  } catch (e) {
+    console.error('Error reading session open prices:', e);
+    return {};
+  }
+};
+
+/**
+ * Build a quote with its change since the session opened
+ * @param {Object} stock - Stock from getAllStocks
+ * @param {number} price - Latest price
+ * @param {number} open - Session open price
+ * @param {string} direction - 'up' or 'down' for the last tick
+ */
+const toQuote = (stock, price, open, direction = null) => ({
+  ...stock,
+  current_price: price,
+  session_open: open,
+  session_change: price - open,
+  session_change_percent: open > 0 ? ((price - open) / open) * 100 : 0,
+  direction
+});
+
+/**
+ * Custom hook giving live quotes for every stock with their change this session
+ *
+ * The session open is the first price seen for a stock since the browser tab
+ * was opened; it is kept in sessionStorage so navigating between pages keeps it.
+ *
+ * @returns {Object} { quotes: { [stockId]: quote }, loading }
+ */
+const useLiveQuotes = () => {
+  const [quotes, setQuotes] = useState({});
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    let active = true;
+
+    const fetchStocks = async () => {
+      const stocks = await getAllStocks();
+      if (!active) return;
+
+      const opens = loadSessionOpens();
+      const initial = {};
+      (stocks || []).forEach(stock => {
+        if (!stock || !stock.id) return;
+        const price = getLatestPrice(stock.id, stock.current_price);
+        if (opens[stock.id] === undefined) {
+          opens[stock.id] = price;
+        }
+        initial[stock.id] = toQuote(stock, price, opens[stock.id]);
+      });
+
+      sessionStorage.setItem(SESSION_OPEN_STORAGE_KEY, JSON.stringify(opens));
+      setQuotes(initial);
+      setLoading(false);
+    };
+
+    fetchStocks();
+
+    // The session feed keeps delivering prices even after a page closes the socket listeners
+    const unsubscribe = subscribeToStockUpdates(update => {
+      setQuotes(prevQuotes => {
+        const quote = prevQuotes[update.stock_id];
+        if (!quote) return prevQuotes;
+
+        return {
+          ...prevQuotes,
+          [update.stock_id]: toQuote(
+            quote,
+            update.price,
+            quote.session_open,
+            update.price >= quote.current_price ? 'up' : 'down'
+          )
+        };
+      });
+    });
+
+    return () => {
+      active = false;
+      unsubscribe();
+    };
+  }, []);
+
+  return { quotes, loading };
+};
+
+export default useLiveQuotes;
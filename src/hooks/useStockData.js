@@ -1,6 +1,7 @@
 import { useState, useEffect, useCallback } from 'react';
 import { getUserPortfolio, getTransactionHistory, getAllStocks } from '../services/stock';
 import { initWebSocket, addListener, closeWebSocket, getLatestPrice } from '../services/websocket';
+import { recordPortfolioSnapshot } from '../services/portfolio-history';
 
 /**
  * Custom hook for fetching and managing stock data with WebSocket updates
@@ -92,6 +93,7 @@ const useStockData = () => {
       
       // Update state
       setPortfolio(updatedPortfolio);
+      recordPortfolioSnapshot(updatedPortfolio, 'load');
       setTransactions(transactionsData);
       setStocks(updatedStocks);
       setTopStocks(top5Stocks);
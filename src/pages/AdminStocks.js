@@ -20,6 +20,7 @@ import {
   clearStockPriceCache,
   forceSystemReset
 } from '../services/websocket';
+import { priceModelParams, validatePriceModel, DEFAULT_PRICE_MODEL } from '../utils/price-model';
 
 const AdminStocks = () => {
   const [stocks, setStocks] = useState([]);
@@ -37,7 +38,9 @@ const AdminStocks = () => {
     current_price: 0,
     description: '',
     sector: '',
-    volume: 0
+    volume: 0,
+    fair_value: 0,
+    ...DEFAULT_PRICE_MODEL
   });
   
   // Create stock modal state
@@ -156,7 +159,8 @@ const AdminStocks = () => {
       current_price: stock.current_price,
       description: stock.description || '',
       sector: stock.sector || '',
-      volume: stock.volume || 0
+      volume: stock.volume || 0,
+      ...priceModelParams(stock)
     });
     setShowModal(true);
   };
@@ -169,7 +173,9 @@ const AdminStocks = () => {
       current_price: 100.00,
       description: '',
       sector: '',
-      volume: 1000000
+      volume: 1000000,
+      fair_value: 100.00,
+      ...DEFAULT_PRICE_MODEL
     });
     setShowCreateModal(true);
   };
@@ -183,9 +189,27 @@ const AdminStocks = () => {
     });
   };
 
+  // Price model parameters from the form, or null after reporting what's wrong with them
+  const getPriceModelData = () => {
+    const modelErrors = validatePriceModel(formData);
+    if (modelErrors.length > 0) {
+      setError(modelErrors.join('. '));
+      return null;
+    }
+    
+    return {
+      fair_value: parseFloat(formData.fair_value),
+      drift: parseFloat(formData.drift),
+      volatility: parseFloat(formData.volatility),
+      mean_reversion: parseFloat(formData.mean_reversion)
+    };
+  };
+
   // Handle edit form submission
   const handleEditSubmit = async (e) => {
     e.preventDefault();
+    const priceModel = getPriceModelData();
+    if (!priceModel) return;
     setLoading(true);
     
     try {
@@ -212,7 +236,8 @@ const AdminStocks = () => {
         current_price: newPrice,
         description: formData.description,
         sector: formData.sector,
-        volume: parseInt(formData.volume, 10)
+        volume: parseInt(formData.volume, 10),
+        ...priceModel
       });
       
       // Manually update the price in the WebSocket cache
@@ -274,6 +299,8 @@ const AdminStocks = () => {
   // Handle create form submission
   const handleCreateSubmit = async (e) => {
     e.preventDefault();
+    const priceModel = getPriceModelData();
+    if (!priceModel) return;
     setLoading(true);
     
     try {
@@ -295,7 +322,8 @@ const AdminStocks = () => {
         current_price: initialPrice,
         description: formData.description,
         sector: formData.sector,
-        volume: parseInt(formData.volume, 10)
+        volume: parseInt(formData.volume, 10),
+        ...priceModel
       });
       
       // If we got the ID of the new stock, set its price in the WebSocket cache
@@ -774,6 +802,7 @@ const AdminStocks = () => {
                   <th style={{ padding: '12px 15px', textAlign: 'left', borderBottom: '1px solid #ddd' }}>Symbol</th>
                   <th style={{ padding: '12px 15px', textAlign: 'left', borderBottom: '1px solid #ddd' }}>Name</th>
                   <th style={{ padding: '12px 15px', textAlign: 'right', borderBottom: '1px solid #ddd' }}>Current Price</th>
+                  <th style={{ padding: '12px 15px', textAlign: 'right', borderBottom: '1px solid #ddd' }}>Fair Value</th>
                   <th style={{ padding: '12px 15px', textAlign: 'left', borderBottom: '1px solid #ddd' }}>Sector</th>
                   <th style={{ padding: '12px 15px', textAlign: 'right', borderBottom: '1px solid #ddd' }}>Volume</th>
                   <th style={{ padding: '12px 15px', textAlign: 'center', borderBottom: '1px solid #ddd' }}>Actions</th>
@@ -797,6 +826,9 @@ const AdminStocks = () => {
                       ${stock.current_price.toFixed(2)}
                       {stock.price_updated && <span style={{ marginLeft: '5px', fontSize: '10px' }}>✓</span>}
                     </td>
+                    <td style={{ padding: '12px 15px', borderBottom: '1px solid #ddd', textAlign: 'right' }}>
+                      {stock.fair_value ? `$${Number(stock.fair_value).toFixed(2)}` : '-'}
+                    </td>
                     <td style={{ padding: '12px 15px', borderBottom: '1px solid #ddd' }}>{stock.sector || '-'}</td>
                     <td style={{ padding: '12px 15px', borderBottom: '1px solid #ddd', textAlign: 'right' }}>
                       {stock.volume ? stock.volume.toLocaleString() : '-'}
@@ -920,6 +952,71 @@ const AdminStocks = () => {
                   step="1"
                 />
               </div>
+              <h3>Price Model</h3>
+              <div className="form-group">
+                <label htmlFor="fair_value">Fair Value ($)</label>
+                <input
+                  type="number"
+                  id="fair_value"
+                  name="fair_value"
+                  value={formData.fair_value}
+                  onChange={handleInputChange}
+                  min="0.01"
+                  step="0.01"
+                  required
+                />
+                <small style={{ display: 'block', marginTop: '5px', color: '#666' }}>
+                  Price the stock is pulled back toward between market events
+                </small>
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="drift">Drift (% per hour)</label>
+                <input
+                  type="number"
+                  id="drift"
+                  name="drift"
+                  value={formData.drift}
+                  onChange={handleInputChange}
+                  min="-100"
+                  max="100"
+                  step="0.1"
+                  required
+                />
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="volatility">Volatility (% per hour)</label>
+                <input
+                  type="number"
+                  id="volatility"
+                  name="volatility"
+                  value={formData.volatility}
+                  onChange={handleInputChange}
+                  min="0"
+                  max="100"
+                  step="0.1"
+                  required
+                />
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="mean_reversion">Mean Reversion (per hour)</label>
+                <input
+                  type="number"
+                  id="mean_reversion"
+                  name="mean_reversion"
+                  value={formData.mean_reversion}
+                  onChange={handleInputChange}
+                  min="0"
+                  max="60"
+                  step="0.1"
+                  required
+                />
+                <small style={{ display: 'block', marginTop: '5px', color: '#666' }}>
+                  Share of the gap to fair value closed each hour (0 turns it off)
+                </small>
+              </div>
               
               <div className="modal-actions">
                 <button 
@@ -1027,6 +1124,71 @@ const AdminStocks = () => {
                   placeholder="e.g. 1000000"
                 />
               </div>
+              <h3>Price Model</h3>
+              <div className="form-group">
+                <label htmlFor="fair_value">Fair Value ($)</label>
+                <input
+                  type="number"
+                  id="fair_value"
+                  name="fair_value"
+                  value={formData.fair_value}
+                  onChange={handleInputChange}
+                  min="0.01"
+                  step="0.01"
+                  required
+                />
+                <small style={{ display: 'block', marginTop: '5px', color: '#666' }}>
+                  Price the stock is pulled back toward between market events
+                </small>
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="drift">Drift (% per hour)</label>
+                <input
+                  type="number"
+                  id="drift"
+                  name="drift"
+                  value={formData.drift}
+                  onChange={handleInputChange}
+                  min="-100"
+                  max="100"
+                  step="0.1"
+                  required
+                />
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="volatility">Volatility (% per hour)</label>
+                <input
+                  type="number"
+                  id="volatility"
+                  name="volatility"
+                  value={formData.volatility}
+                  onChange={handleInputChange}
+                  min="0"
+                  max="100"
+                  step="0.1"
+                  required
+                />
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="mean_reversion">Mean Reversion (per hour)</label>
+                <input
+                  type="number"
+                  id="mean_reversion"
+                  name="mean_reversion"
+                  value={formData.mean_reversion}
+                  onChange={handleInputChange}
+                  min="0"
+                  max="60"
+                  step="0.1"
+                  required
+                />
+                <small style={{ display: 'block', marginTop: '5px', color: '#666' }}>
+                  Share of the gap to fair value closed each hour (0 turns it off)
+                </small>
+              </div>
               
               <div className="modal-actions">
                 <button 
@@ -2,8 +2,33 @@ import React, { useState, useEffect } from 'react';
 import { useNavigate, Link } from 'react-router-dom';
 import Navigation from '../components/Navigation';
 import './Admin.css';
-import { checkAdminStatus } from '../services/admin';
-import { setEventFrequencyRange, setEventImpactRange } from '../services/market-event-generator';
+import { checkAdminStatus, adminGetAllStocks } from '../services/admin';
+import {
+  setEventFrequencyRange,
+  setEventImpactRange,
+  getEventSeed,
+  isEventSeedPinned,
+  setEventSeed,
+  getSpilloverWeights,
+  updateSpilloverWeights,
+  resetSpilloverWeights
+} from '../services/market-event-generator';
+import { getFeeModel, syncFeeModel, updateFeeModel, resetFeeModel } from '../services/fees';
+import {
+  getScenarioState,
+  loadScenario,
+  unloadScenario,
+  playScenario,
+  pauseScenario,
+  seekScenario,
+  exportScenario,
+  BUILT_IN_SCENARIOS
+} from '../services/scenario-player';
+import { SCENARIO_MODE_LABELS } from '../utils/scenario';
+import { listSectors, normalizeSpilloverWeights } from '../utils/sector-events';
+
+// Seconds as m:ss
+const formatClock = (seconds) => `${Math.floor(seconds / 60)}:${String(Math.floor(seconds % 60)).padStart(2, '0')}`;
 
 const AdminSystemTweaks = () => {
   const navigate = useNavigate();
@@ -17,7 +42,28 @@ const AdminSystemTweaks = () => {
   const [eventMaxTime, setEventMaxTime] = useState(30);
   const [eventImpactMin, setEventImpactMin] = useState(1);
   const [eventImpactMax, setEventImpactMax] = useState(7);
+
+  // Trading cost settings
+  const [feeModel, setFeeModel] = useState(getFeeModel());
+
+  // Event seed settings
+  const [seedInput, setSeedInput] = useState(getEventSeed());
+  const [seedPinned, setSeedPinned] = useState(isEventSeedPinned());
+  const [activeSeed, setActiveSeed] = useState(getEventSeed());
+
+  // Scenario playback
+  const [scenarioState, setScenarioState] = useState(getScenarioState());
+  const [builtInScenario, setBuiltInScenario] = useState('0');
+
+  // Sector spillover settings
+  const [spilloverWeights, setSpilloverWeights] = useState(getSpilloverWeights());
+  const [sectors, setSectors] = useState([]);
   
+  // Show the fee model the server is charging, not just the cached copy
+  useEffect(() => {
+    syncFeeModel().then(setFeeModel);
+  }, []);
+
   // Load saved impact settings on mount
   useEffect(() => {
     const savedMinImpact = localStorage.getItem('eventMinImpact');
@@ -27,6 +73,30 @@ const AdminSystemTweaks = () => {
     if (savedMaxImpact) setEventImpactMax(Number(savedMaxImpact));
   }, []);
   
+  // Load the sectors of the listed stocks for the spillover weights
+  useEffect(() => {
+    const loadSectors = async () => {
+      try {
+        const stocks = await adminGetAllStocks();
+        const listed = listSectors(stocks || []);
+        setSectors(listed);
+        // Show the saved weights under the sectors as the stocks spell them
+        setSpilloverWeights(prevWeights => normalizeSpilloverWeights(prevWeights, listed));
+      } catch (err) {
+        console.error('Admin UI: Load sectors error:', err);
+      }
+    };
+    
+    loadSectors();
+  }, []);
+  
+  // Follow scenario playback
+  useEffect(() => {
+    const handleScenarioUpdate = () => setScenarioState(getScenarioState());
+    document.addEventListener('scenario-updated', handleScenarioUpdate);
+    return () => document.removeEventListener('scenario-updated', handleScenarioUpdate);
+  }, []);
+
   // Verify admin access on mount
   useEffect(() => {
     const verifyAdmin = async () => {
@@ -141,6 +211,119 @@ const AdminSystemTweaks = () => {
     }
   };
   
+  // Update the trading cost model on the server
+  const handleFeeModelChange = async () => {
+    setMessage('');
+    setError('');
+
+    try {
+      const model = await updateFeeModel(feeModel);
+      setFeeModel(model);
+      setMessage(`Trading costs set to $${model.commission.toFixed(2)} commission, ${model.percentFee}% fee and ${model.slippagePer100Shares}% slippage per 100 shares (max ${model.maxSlippage}%)`);
+    } catch (err) {
+      console.error('Admin UI: Set fee model error:', err);
+      setError(`Failed to set trading costs: ${err.message}`);
+    }
+  };
+
+  // Restore the default trading cost model
+  const handleFeeModelReset = async () => {
+    setMessage('');
+    setError('');
+
+    try {
+      setFeeModel(await resetFeeModel());
+      setMessage('Trading costs reset to defaults');
+    } catch (err) {
+      console.error('Admin UI: Reset fee model error:', err);
+      setError(`Failed to reset trading costs: ${err.message}`);
+    }
+  };
+
+  const handleFeeFieldChange = (key, value) => {
+    setFeeModel(prevModel => ({ ...prevModel, [key]: value }));
+  };
+
+  // Run a scenario action, showing any error it throws
+  const handleScenarioAction = (action, successMessage) => {
+    setMessage('');
+    setError('');
+
+    try {
+      action();
+      if (successMessage) setMessage(successMessage);
+    } catch (err) {
+      console.error('Admin UI: Scenario error:', err);
+      setError(`Scenario error: ${err.message}`);
+    }
+  };
+
+  const handleScenarioImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const text = await file.text();
+    handleScenarioAction(() => loadScenario(text), `Imported scenario from ${file.name}`);
+  };
+
+  const handleScenarioExport = () => {
+    const json = exportScenario();
+    if (!json) return;
+
+    const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${scenarioState.scenario.name.replace(/[^a-z0-9]+/gi, '-').toLowerCase()}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleSpilloverFieldChange = (from, to, value) => {
+    setSpilloverWeights(prevWeights => ({
+      ...prevWeights,
+      [from]: { ...(prevWeights[from] || {}), [to]: value }
+    }));
+  };
+
+  // Update the cross-sector spillover weights
+  const handleSpilloverChange = () => {
+    setMessage('');
+    setError('');
+
+    try {
+      setSpilloverWeights(updateSpilloverWeights(spilloverWeights));
+      setMessage('Sector spillover weights updated');
+    } catch (err) {
+      console.error('Admin UI: Set spillover weights error:', err);
+      setError(`Failed to set spillover weights: ${err.message}`);
+    }
+  };
+
+  // Restore the default cross-sector spillover weights
+  const handleSpilloverReset = () => {
+    setMessage('');
+    setError('');
+    setSpilloverWeights(normalizeSpilloverWeights(resetSpilloverWeights(), sectors));
+    setMessage('Sector spillover weights reset to defaults');
+  };
+
+  // Restart the event sequence from the entered seed, or a new random one
+  const handleSeedChange = (seed) => {
+    setMessage('');
+    setError('');
+
+    try {
+      const nextSeed = setEventSeed(seed, seedPinned);
+      setActiveSeed(nextSeed);
+      setSeedInput(nextSeed);
+      setMessage(`Market events restarted from seed "${nextSeed}"${seedPinned ? ' (kept after reload)' : ''}`);
+    } catch (err) {
+      console.error('Admin UI: Set event seed error:', err);
+      setError(`Failed to set event seed: ${err.message}`);
+    }
+  };
+
   return (
     <div className="admin-page">
       <Navigation />
@@ -273,6 +456,276 @@ const AdminSystemTweaks = () => {
             </button>
           </div>
           
+          <div className="admin-card">
+            <h2>Trading Costs</h2>
+            <p>Charged on every trade so that rapid flipping is not free. Saved on the server, so it applies to every player.</p>
+
+            <div className="setting-group">
+              <label>Fees:</label>
+              <div className="range-inputs">
+                <div className="input-with-label">
+                  <span>Commission ($):</span>
+                  <input
+                    type="number"
+                    value={feeModel.commission}
+                    onChange={(e) => handleFeeFieldChange('commission', e.target.value)}
+                    min="0"
+                    step="0.01"
+                  />
+                </div>
+                <div className="input-with-label">
+                  <span>Fee (%):</span>
+                  <input
+                    type="number"
+                    value={feeModel.percentFee}
+                    onChange={(e) => handleFeeFieldChange('percentFee', e.target.value)}
+                    min="0"
+                    step="0.01"
+                  />
+                </div>
+              </div>
+            </div>
+
+            <div className="setting-group">
+              <label>Slippage (%):</label>
+              <div className="range-inputs">
+                <div className="input-with-label">
+                  <span>Per 100 shares:</span>
+                  <input
+                    type="number"
+                    value={feeModel.slippagePer100Shares}
+                    onChange={(e) => handleFeeFieldChange('slippagePer100Shares', e.target.value)}
+                    min="0"
+                    step="0.01"
+                  />
+                </div>
+                <div className="input-with-label">
+                  <span>Max:</span>
+                  <input
+                    type="number"
+                    value={feeModel.maxSlippage}
+                    onChange={(e) => handleFeeFieldChange('maxSlippage', e.target.value)}
+                    min="0"
+                    step="0.1"
+                  />
+                </div>
+              </div>
+            </div>
+
+            <button
+              className="admin-button"
+              onClick={handleFeeModelChange}
+            >
+              Apply Trading Costs
+            </button>
+            <button
+              className="admin-button small"
+              onClick={handleFeeModelReset}
+              style={{ marginLeft: '10px' }}
+            >
+              Reset to Defaults
+            </button>
+          </div>
+
+          <div className="admin-card">
+            <h2>Event Seed</h2>
+            <p>Market events, their price impacts and timing all follow this seed. Replaying a seed from the same stock prices reproduces the session exactly.</p>
+
+            <div className="setting-group">
+              <label>Current Seed:</label>
+              <code>{activeSeed}</code>
+            </div>
+
+            <div className="setting-group">
+              <label>Replay Seed:</label>
+              <div className="range-inputs">
+                <div className="input-with-label">
+                  <input
+                    type="text"
+                    value={seedInput}
+                    onChange={(e) => setSeedInput(e.target.value)}
+                  />
+                </div>
+                <div className="input-with-label">
+                  <input
+                    type="checkbox"
+                    id="seed-pinned"
+                    checked={seedPinned}
+                    onChange={(e) => setSeedPinned(e.target.checked)}
+                  />
+                  <label htmlFor="seed-pinned">Keep after reload</label>
+                </div>
+              </div>
+            </div>
+
+            <button
+              className="admin-button"
+              onClick={() => handleSeedChange(seedInput)}
+              disabled={!seedInput.trim()}
+            >
+              Restart From Seed
+            </button>
+            <button
+              className="admin-button small"
+              onClick={() => handleSeedChange(null)}
+              style={{ marginLeft: '10px' }}
+            >
+              New Random Seed
+            </button>
+          </div>
+
+          <div className="admin-card">
+            <h2>Scenario</h2>
+            <p>Play a scripted timeline of market events for a themed session</p>
+
+            {!scenarioState.scenario ? (
+              <>
+                <div className="setting-group">
+                  <label>Built-in Scenarios:</label>
+                  <select value={builtInScenario} onChange={(e) => setBuiltInScenario(e.target.value)}>
+                    {BUILT_IN_SCENARIOS.map((builtIn, index) => (
+                      <option key={builtIn.name} value={index}>{builtIn.name}</option>
+                    ))}
+                  </select>
+                  <button
+                    className="admin-button small"
+                    onClick={() => handleScenarioAction(
+                      () => loadScenario(BUILT_IN_SCENARIOS[Number(builtInScenario)]),
+                      `Loaded scenario ${BUILT_IN_SCENARIOS[Number(builtInScenario)].name}`
+                    )}
+                    style={{ marginLeft: '10px' }}
+                  >
+                    Load
+                  </button>
+                </div>
+
+                <div className="setting-group">
+                  <label>Import Scenario (JSON):</label>
+                  <input type="file" accept="application/json,.json" onChange={handleScenarioImport} />
+                </div>
+              </>
+            ) : (
+              <>
+                <div className="admin-status-item">
+                  <span className="status-label">{scenarioState.scenario.name}</span>
+                  <span className={`status-value ${scenarioState.playing ? 'active' : ''}`}>
+                    {scenarioState.playing ? 'Playing' : scenarioState.finished ? 'Finished' : 'Paused'}
+                  </span>
+                </div>
+                {scenarioState.scenario.description && <p>{scenarioState.scenario.description}</p>}
+                <p>{SCENARIO_MODE_LABELS[scenarioState.scenario.mode]}</p>
+
+                <div className="setting-group">
+                  <label>Position: {formatClock(scenarioState.position)} / {formatClock(scenarioState.duration)}</label>
+                  <input
+                    type="range"
+                    className="scenario-seek"
+                    min="0"
+                    max={scenarioState.duration}
+                    step="1"
+                    value={scenarioState.position}
+                    onChange={(e) => handleScenarioAction(() => seekScenario(e.target.value))}
+                  />
+                </div>
+
+                <ol className="scenario-timeline">
+                  {scenarioState.scenario.events.map((event, index) => (
+                    <li
+                      key={index}
+                      className={scenarioState.position > 0 && event.at <= scenarioState.position ? 'played' : ''}
+                    >
+                      <span className="scenario-time">{formatClock(event.at)}</span>
+                      <span className="scenario-headline">{event.headline}</span>
+                      <span className={event.impact >= 0 ? 'positive' : 'negative'}>
+                        {event.impact >= 0 ? '+' : ''}{event.impact}%
+                      </span>
+                    </li>
+                  ))}
+                </ol>
+
+                {scenarioState.playing ? (
+                  <button className="admin-button" onClick={() => handleScenarioAction(pauseScenario)}>
+                    Pause
+                  </button>
+                ) : (
+                  <button className="admin-button" onClick={() => handleScenarioAction(playScenario)}>
+                    {scenarioState.finished ? 'Play Again' : 'Play'}
+                  </button>
+                )}
+                <button
+                  className="admin-button small"
+                  onClick={handleScenarioExport}
+                  style={{ marginLeft: '10px' }}
+                >
+                  Export
+                </button>
+                <button
+                  className="admin-button small"
+                  onClick={() => handleScenarioAction(unloadScenario, 'Scenario unloaded')}
+                  style={{ marginLeft: '10px' }}
+                >
+                  Unload
+                </button>
+              </>
+            )}
+          </div>
+
+          <div className="admin-card">
+            <h2>Sector Spillover</h2>
+            <p>Sector events move the stocks in their sector. Each weight is the share of that move (0 to 1) passed on to stocks in another sector.</p>
+
+            {sectors.length < 2 ? (
+              <p>Spillover needs stocks in at least two sectors.</p>
+            ) : (
+              <div className="spillover-table-wrapper">
+                <table className="spillover-table">
+                  <thead>
+                    <tr>
+                      <th>News in ↓ / Felt by →</th>
+                      {sectors.map(sector => <th key={sector}>{sector}</th>)}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {sectors.map(from => (
+                      <tr key={from}>
+                        <th>{from}</th>
+                        {sectors.map(to => (
+                          <td key={to}>
+                            {from === to ? '1' : (
+                              <input
+                                type="number"
+                                value={(spilloverWeights[from] || {})[to] ?? 0}
+                                onChange={(e) => handleSpilloverFieldChange(from, to, e.target.value)}
+                                min="0"
+                                max="1"
+                                step="0.05"
+                              />
+                            )}
+                          </td>
+                        ))}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
+            <button
+              className="admin-button"
+              onClick={handleSpilloverChange}
+              disabled={sectors.length < 2}
+            >
+              Apply Spillover Weights
+            </button>
+            <button
+              className="admin-button small"
+              onClick={handleSpilloverReset}
+              style={{ marginLeft: '10px' }}
+            >
+              Reset to Defaults
+            </button>
+          </div>
+
           {/* Future system tweak cards can be added here */}
         </div>
       </div>
@@ -0,0 +1,261 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { getAllStocks } from '../services/stock';
+import { getLatestPrice } from '../services/websocket';
+import {
+  getAlerts,
+  getAlertNotifications,
+  createAlert,
+  cancelAlert,
+  rearmAlert,
+  clearAlertNotifications,
+  requestNotificationPermission,
+  describeAlert,
+  ALERT_TYPE,
+  ALERT_TYPE_LABELS,
+  ALERT_STATUS
+} from '../services/alerts';
+import Navigation from '../components/Navigation';
+import './Alerts.css';
+
+const notificationPermission = () => (
+  typeof window !== 'undefined' && 'Notification' in window ? Notification.permission : 'unsupported'
+);
+
+const Alerts = () => {
+  const [searchParams] = useSearchParams();
+  const [stocks, setStocks] = useState([]);
+  const [alerts, setAlerts] = useState([]);
+  const [notifications, setNotifications] = useState([]);
+  const [permission, setPermission] = useState(notificationPermission());
+  const [error, setError] = useState(null);
+  const [form, setForm] = useState({
+    stockId: searchParams.get('stock') || '',
+    type: ALERT_TYPE.PRICE_ABOVE,
+    threshold: '',
+    repeat: false
+  });
+
+  useEffect(() => {
+    const fetchStocks = async () => {
+      const data = await getAllStocks();
+      setStocks(data || []);
+    };
+
+    const loadAlerts = async () => {
+      setAlerts(await getAlerts());
+      setNotifications(getAlertNotifications());
+    };
+
+    fetchStocks();
+    loadAlerts();
+
+    document.addEventListener('alerts-updated', loadAlerts);
+    document.addEventListener('alert-triggered', loadAlerts);
+
+    return () => {
+      document.removeEventListener('alerts-updated', loadAlerts);
+      document.removeEventListener('alert-triggered', loadAlerts);
+    };
+  }, []);
+
+  const selectedStock = stocks.find(stock => stock.id === Number(form.stockId));
+  const currentPrice = selectedStock ? getLatestPrice(selectedStock.id, selectedStock.current_price) : null;
+  const priceFor = (stockId) => {
+    const stock = stocks.find(s => s.id === stockId);
+    return stock ? getLatestPrice(stock.id, stock.current_price) : null;
+  };
+
+  const handleChange = (key, value) => setForm(prevForm => ({ ...prevForm, [key]: value }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+
+    if (!selectedStock) {
+      setError('Choose a stock for the alert');
+      return;
+    }
+
+    try {
+      await createAlert({
+        stockId: selectedStock.id,
+        symbol: selectedStock.symbol,
+        type: form.type,
+        threshold: parseFloat(form.threshold),
+        currentPrice,
+        repeat: form.repeat
+      });
+      setForm(prevForm => ({ ...prevForm, threshold: '' }));
+    } catch (err) {
+      setError(err.message || 'Failed to create alert');
+    }
+  };
+
+  const handleEnableNotifications = async () => {
+    setPermission(await requestNotificationPermission());
+  };
+
+  const activeAlerts = alerts.filter(alert => alert.status === ALERT_STATUS.ACTIVE);
+  const inactiveAlerts = alerts.filter(alert => alert.status !== ALERT_STATUS.ACTIVE);
+
+  return (
+    <div className="alerts-page">
+      <Navigation />
+      <div className="alerts-container">
+        <h1>Price Alerts</h1>
+
+        <div className="alerts-card">
+          <h2>New Alert</h2>
+          {error && <div className="error-message">{error}</div>}
+          <form className="alert-form" onSubmit={handleSubmit}>
+            <select value={form.stockId} onChange={(e) => handleChange('stockId', e.target.value)}>
+              <option value="">Choose a stock...</option>
+              {stocks.map(stock => (
+                <option key={stock.id} value={stock.id}>{stock.symbol} - {stock.name}</option>
+              ))}
+            </select>
+            <select value={form.type} onChange={(e) => handleChange('type', e.target.value)}>
+              {Object.values(ALERT_TYPE).map(type => (
+                <option key={type} value={type}>{ALERT_TYPE_LABELS[type]}</option>
+              ))}
+            </select>
+            {form.type !== ALERT_TYPE.COMPANY_EVENT && (
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                placeholder={form.type === ALERT_TYPE.PERCENT_MOVE ? 'Percent' : 'Price'}
+                value={form.threshold}
+                onChange={(e) => handleChange('threshold', e.target.value)}
+              />
+            )}
+            <label className="alert-repeat">
+              <input
+                type="checkbox"
+                checked={form.repeat}
+                onChange={(e) => handleChange('repeat', e.target.checked)}
+              />
+              Repeat
+            </label>
+            <button type="submit">Create Alert</button>
+          </form>
+          {selectedStock && (
+            <p className="alert-hint">
+              {selectedStock.symbol} is at ${currentPrice.toFixed(2)}.
+              {form.type === ALERT_TYPE.PERCENT_MOVE && ' The move is measured from this price, up or down.'}
+              {form.type === ALERT_TYPE.COMPANY_EVENT && ' You will be alerted for every company news event about this stock.'}
+            </p>
+          )}
+        </div>
+
+        <div className="alerts-card">
+          <h2>Browser Notifications</h2>
+          {permission === 'granted' && (
+            <p className="alert-hint">Alerts that fire while this tab is in the background are shown as browser notifications.</p>
+          )}
+          {permission === 'default' && (
+            <p className="alert-hint">
+              Get a browser notification when an alert fires while this tab is in the background.{' '}
+              <button className="link-button" onClick={handleEnableNotifications}>Enable notifications</button>
+            </p>
+          )}
+          {permission === 'denied' && (
+            <p className="alert-hint">Notifications are blocked for this site. Allow them in your browser settings to be alerted in the background.</p>
+          )}
+          {permission === 'unsupported' && (
+            <p className="alert-hint">This browser does not support notifications. Alerts are shown in the app only.</p>
+          )}
+        </div>
+
+        <div className="alerts-card">
+          <h2>Active Alerts ({activeAlerts.length})</h2>
+          {activeAlerts.length === 0 ? (
+            <p className="alert-empty">No active alerts.</p>
+          ) : (
+            <table className="alerts-table">
+              <thead>
+                <tr>
+                  <th>Alert</th>
+                  <th>Current Price</th>
+                  <th>Fired</th>
+                  <th>Created</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {activeAlerts.map(alert => (
+                  <tr key={alert.id}>
+                    <td>
+                      <Link to={`/stock/${alert.stock_id}`}>{describeAlert(alert)}</Link>
+                      {alert.repeat && <span className="alert-badge">Repeat</span>}
+                    </td>
+                    <td>{priceFor(alert.stock_id) ? `$${priceFor(alert.stock_id).toFixed(2)}` : '—'}</td>
+                    <td>{alert.trigger_count || 0}×</td>
+                    <td>{new Date(alert.created_at).toLocaleString()}</td>
+                    <td>
+                      <button className="alert-action" onClick={() => cancelAlert(alert.id)}>Cancel</button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+
+        {inactiveAlerts.length > 0 && (
+          <div className="alerts-card">
+            <h2>Past Alerts</h2>
+            <table className="alerts-table">
+              <thead>
+                <tr>
+                  <th>Alert</th>
+                  <th>Status</th>
+                  <th>Last Fired</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {inactiveAlerts.map(alert => (
+                  <tr key={alert.id}>
+                    <td>{describeAlert(alert)}</td>
+                    <td><span className={`alert-status ${alert.status}`}>{alert.status}</span></td>
+                    <td>{alert.triggered_at ? new Date(alert.triggered_at).toLocaleString() : '—'}</td>
+                    <td>
+                      <button className="alert-action" onClick={() => rearmAlert(alert.id, priceFor(alert.stock_id))}>
+                        Re-arm
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        <div className="alerts-card">
+          <div className="alerts-card-header">
+            <h2>Notification History</h2>
+            {notifications.length > 0 && (
+              <button className="link-button" onClick={clearAlertNotifications}>Clear</button>
+            )}
+          </div>
+          {notifications.length === 0 ? (
+            <p className="alert-empty">No alerts have fired yet.</p>
+          ) : (
+            <ul className="alert-history">
+              {notifications.map(notification => (
+                <li key={notification.id}>
+                  <span className="alert-history-time">{new Date(notification.timestamp).toLocaleString()}</span>
+                  {notification.message}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Alerts;
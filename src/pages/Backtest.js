@@ -0,0 +1,348 @@
+import React, { useState, useEffect } from 'react';
+import { getAllStocks } from '../services/stock';
+import { getPriceHistory, INTERVALS } from '../services/price-history';
+import { getStockEvents } from '../services/event-history';
+import { getFeeModel } from '../services/fees';
+import { runBacktest, defaultStrategyParams, STRATEGIES, STRATEGY_DETAILS } from '../utils/backtest';
+import { formatShares } from '../utils/shares';
+import Navigation from '../components/Navigation';
+import './Backtest.css';
+
+const INTERVAL_LABELS = {
+  '1m': '1 minute',
+  '5m': '5 minutes',
+  '1h': '1 hour',
+  '1d': '1 day'
+};
+
+const WIDTH = 800;
+const HEIGHT = 260;
+const PADDING = { top: 10, right: 90, bottom: 24, left: 10 };
+
+const formatCurrency = (value) => new Intl.NumberFormat('en-US', {
+  style: 'currency',
+  currency: 'USD'
+}).format(value);
+
+const formatPercent = (value) => (value === null ? '—' : `${value >= 0 ? '+' : ''}${(value * 100).toFixed(2)}%`);
+
+const signClass = (value) => (value > 0 ? 'positive' : value < 0 ? 'negative' : '');
+
+/**
+ * Equity curve of a backtest against the buy-and-hold benchmark
+ * @param {Array} equity - Points { time, value, benchmark }
+ */
+const EquityChart = ({ equity }) => {
+  const times = equity.map(point => point.time);
+  const values = equity.flatMap(point => [point.value, point.benchmark]);
+  const minTime = times[0];
+  const maxTime = times[times.length - 1];
+  const rawMin = Math.min(...values);
+  const rawMax = Math.max(...values);
+  const padding = rawMax > rawMin ? (rawMax - rawMin) * 0.05 : rawMax * 0.01 || 1;
+  const minValue = rawMin - padding;
+  const maxValue = rawMax + padding;
+
+  const xFor = (time) => maxTime > minTime
+    ? PADDING.left + ((time - minTime) / (maxTime - minTime)) * (WIDTH - PADDING.left - PADDING.right)
+    : WIDTH - PADDING.right;
+  const yFor = (value) => PADDING.top +
+    ((maxValue - value) / (maxValue - minValue)) * (HEIGHT - PADDING.top - PADDING.bottom);
+  const line = (key) => equity.map(point => `${xFor(point.time).toFixed(1)},${yFor(point[key]).toFixed(1)}`).join(' ');
+
+  return (
+    <svg className="backtest-chart" viewBox={`0 0 ${WIDTH} ${HEIGHT}`}>
+      {[minValue, (minValue + maxValue) / 2, maxValue].map(value => (
+        <g key={value}>
+          <line className="backtest-grid" x1={PADDING.left} x2={WIDTH - PADDING.right} y1={yFor(value)} y2={yFor(value)} />
+          <text className="backtest-axis-label" x={WIDTH - PADDING.right + 6} y={yFor(value) + 4}>
+            {formatCurrency(value)}
+          </text>
+        </g>
+      ))}
+      <text className="backtest-axis-label" x={PADDING.left} y={HEIGHT - 6}>
+        {new Date(minTime).toLocaleString()}
+      </text>
+      <text className="backtest-axis-label" x={WIDTH - PADDING.right} y={HEIGHT - 6} textAnchor="end">
+        {new Date(maxTime).toLocaleString()}
+      </text>
+      <polyline className="backtest-line benchmark" points={line('benchmark')} />
+      <polyline className="backtest-line strategy" points={line('value')} />
+    </svg>
+  );
+};
+
+/**
+ * Backtesting page: replay recorded price history through a built-in strategy
+ */
+const Backtest = () => {
+  const [stocks, setStocks] = useState([]);
+  const [strategy, setStrategy] = useState(STRATEGIES.MA_CROSSOVER);
+  const [params, setParams] = useState(defaultStrategyParams(STRATEGIES.MA_CROSSOVER));
+  const [candleInterval, setCandleInterval] = useState('1m');
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const [startingCash, setStartingCash] = useState('10000');
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchStocks = async () => {
+      const data = await getAllStocks();
+      setStocks((data || []).filter(stock => stock && stock.id));
+    };
+
+    fetchStocks();
+  }, []);
+
+  // Stocks with enough recorded candles at the chosen interval to test on
+  const available = stocks
+    .map(stock => ({ ...stock, candleCount: getPriceHistory(stock.id, candleInterval).length }))
+    .filter(stock => stock.candleCount >= 2)
+    .sort((a, b) => a.symbol.localeCompare(b.symbol));
+
+  const handleStrategyChange = (value) => {
+    setStrategy(value);
+    setParams(defaultStrategyParams(value));
+  };
+
+  const toggleStock = (stockId) => {
+    setSelectedIds(prevIds => (prevIds.includes(stockId)
+      ? prevIds.filter(id => id !== stockId)
+      : [...prevIds, stockId]));
+  };
+
+  const handleRun = (e) => {
+    e.preventDefault();
+    setError(null);
+    setResult(null);
+
+    const cash = parseFloat(startingCash);
+    const fromMs = from ? new Date(from).getTime() : null;
+    const toMs = to ? new Date(to).getTime() : null;
+    const universe = available
+      .filter(stock => selectedIds.includes(stock.id))
+      .map(stock => ({
+        stock_id: stock.id,
+        symbol: stock.symbol,
+        candles: getPriceHistory(stock.id, candleInterval, fromMs).filter(candle => !toMs || candle.time <= toMs),
+        events: getStockEvents(stock.id, fromMs)
+      }));
+
+    const invalidParam = STRATEGY_DETAILS[strategy].params.find(param => !(Number(params[param.key]) >= param.min));
+    if (invalidParam) {
+      setError(`${invalidParam.label} must be at least ${invalidParam.min}`);
+      return;
+    }
+    if (universe.length === 0) {
+      setError('Choose at least one stock to test on');
+      return;
+    }
+    if (!(cash > 0)) {
+      setError('Starting cash must be greater than zero');
+      return;
+    }
+    if (universe.every(stock => stock.candles.length < 2)) {
+      setError('Not enough recorded history in this time range. Try a wider range or a shorter interval.');
+      return;
+    }
+
+    setResult(runBacktest({
+      strategy,
+      params,
+      universe,
+      intervalMs: INTERVALS[candleInterval].ms,
+      startingCash: cash,
+      feeModel: getFeeModel()
+    }));
+  };
+
+  const details = STRATEGY_DETAILS[strategy];
+  const stats = result?.stats;
+
+  return (
+    <div className="backtest-page">
+      <Navigation />
+      <div className="backtest-container">
+        <h1>Backtest</h1>
+
+        <form className="backtest-card" onSubmit={handleRun}>
+          <h2>Strategy</h2>
+          <div className="backtest-row">
+            <select value={strategy} onChange={(e) => handleStrategyChange(e.target.value)}>
+              {Object.values(STRATEGIES).map(key => (
+                <option key={key} value={key}>{STRATEGY_DETAILS[key].label}</option>
+              ))}
+            </select>
+            {details.params.map(param => (
+              <label key={param.key}>
+                {param.label}
+                <input
+                  type="number"
+                  min={param.min}
+                  max={param.max}
+                  step={param.step || 1}
+                  value={params[param.key]}
+                  onChange={(e) => setParams(prevParams => ({ ...prevParams, [param.key]: e.target.value }))}
+                />
+              </label>
+            ))}
+          </div>
+          <p className="backtest-hint">{details.description}</p>
+
+          <h2>Stocks</h2>
+          {available.length === 0 ? (
+            <p className="backtest-hint">
+              No price history has been recorded at this interval yet. Prices are recorded while the app is open,
+              so come back after the market has moved for a while.
+            </p>
+          ) : (
+            <>
+              <div className="backtest-universe">
+                {available.map(stock => (
+                  <label key={stock.id} className="backtest-stock">
+                    <input
+                      type="checkbox"
+                      checked={selectedIds.includes(stock.id)}
+                      onChange={() => toggleStock(stock.id)}
+                    />
+                    {stock.symbol}
+                    <span className="backtest-hint">{stock.candleCount} candles</span>
+                  </label>
+                ))}
+              </div>
+              <div className="backtest-row">
+                <button type="button" className="backtest-secondary" onClick={() => setSelectedIds(available.map(stock => stock.id))}>
+                  Select All
+                </button>
+                <button type="button" className="backtest-secondary" onClick={() => setSelectedIds([])}>
+                  Clear
+                </button>
+              </div>
+            </>
+          )}
+
+          <h2>Time Range</h2>
+          <div className="backtest-row">
+            <label>
+              Candles
+              <select value={candleInterval} onChange={(e) => setCandleInterval(e.target.value)}>
+                {Object.keys(INTERVALS).map(key => (
+                  <option key={key} value={key}>{INTERVAL_LABELS[key]}</option>
+                ))}
+              </select>
+            </label>
+            <label>
+              From
+              <input type="datetime-local" value={from} onChange={(e) => setFrom(e.target.value)} />
+            </label>
+            <label>
+              To
+              <input type="datetime-local" value={to} onChange={(e) => setTo(e.target.value)} />
+            </label>
+            <label>
+              Starting cash $
+              <input type="number" min="1" step="100" value={startingCash} onChange={(e) => setStartingCash(e.target.value)} />
+            </label>
+          </div>
+          <p className="backtest-hint">Leave the dates empty to use all recorded history. Trades include your current trading costs.</p>
+
+          {error && <div className="backtest-error">{error}</div>}
+          <button type="submit" className="backtest-run">Run Backtest</button>
+        </form>
+
+        {result && (
+          <>
+            <div className="backtest-card">
+              <h2>Results</h2>
+              <div className="backtest-stats">
+                <div className="backtest-stat">
+                  <span>Final Value</span>
+                  <b>{formatCurrency(stats.final_value)}</b>
+                </div>
+                <div className="backtest-stat">
+                  <span>Total Return</span>
+                  <b className={signClass(stats.total_return)}>{formatPercent(stats.total_return)}</b>
+                </div>
+                <div className="backtest-stat">
+                  <span>Buy and Hold</span>
+                  <b className={signClass(stats.benchmark_return)}>{formatPercent(stats.benchmark_return)}</b>
+                </div>
+                <div className="backtest-stat">
+                  <span>Max Drawdown</span>
+                  <b>{stats.max_drawdown === null ? '—' : `${(stats.max_drawdown * 100).toFixed(2)}%`}</b>
+                </div>
+                <div className="backtest-stat">
+                  <span>Sharpe Ratio</span>
+                  <b>{stats.sharpe_ratio === null ? '—' : stats.sharpe_ratio.toFixed(2)}</b>
+                </div>
+                <div className="backtest-stat">
+                  <span>Trades</span>
+                  <b>{stats.trade_count}</b>
+                </div>
+                <div className="backtest-stat">
+                  <span>Win Rate</span>
+                  <b>{stats.win_rate === null ? '—' : `${(stats.win_rate * 100).toFixed(0)}% of ${stats.round_trips}`}</b>
+                </div>
+                <div className="backtest-stat">
+                  <span>Trading Costs</span>
+                  <b>{formatCurrency(stats.trading_costs)}</b>
+                </div>
+              </div>
+              {stats.open_positions.length > 0 && (
+                <p className="backtest-hint">
+                  Still holding {stats.open_positions.join(', ')} at the end; they are valued at the last close.
+                </p>
+              )}
+
+              {result.equity.length >= 2 && (
+                <>
+                  <div className="backtest-legend">
+                    <span className="strategy">{details.label}</span>
+                    <span className="benchmark">Buy and hold (no costs)</span>
+                  </div>
+                  <EquityChart equity={result.equity} />
+                </>
+              )}
+            </div>
+
+            <div className="backtest-card">
+              <h2>Trades</h2>
+              {result.trades.length === 0 ? (
+                <p className="backtest-hint">The strategy did not trade in this range.</p>
+              ) : (
+                <table className="backtest-table">
+                  <thead>
+                    <tr>
+                      <th>Time</th>
+                      <th>Order</th>
+                      <th>Shares</th>
+                      <th>Fill</th>
+                      <th>Total</th>
+                      <th>P&L</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {result.trades.map((trade, index) => (
+                      <tr key={index}>
+                        <td>{new Date(trade.time).toLocaleString()}</td>
+                        <td><span className={`backtest-side ${trade.action}`}>{trade.action}</span> {trade.symbol}</td>
+                        <td>{formatShares(trade.quantity)}</td>
+                        <td>{formatCurrency(trade.costs.execution_price)}</td>
+                        <td>{formatCurrency(trade.costs.total)}</td>
+                        <td className={signClass(trade.pnl)}>{trade.pnl === null ? '' : formatCurrency(trade.pnl)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Backtest;
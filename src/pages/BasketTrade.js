@@ -0,0 +1,390 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { executeTrade, getUserPortfolio } from '../services/stock';
+import { initWebSocket, closeWebSocket } from '../services/websocket';
+import { getFeeModel } from '../services/fees';
+import { planBasket, reversalLegs, LEG_MODES, LEG_MODE_LABELS } from '../utils/basket';
+import { formatShares } from '../utils/shares';
+import useLiveQuotes from '../hooks/useLiveQuotes';
+import Navigation from '../components/Navigation';
+import './BasketTrade.css';
+
+const STATUS_LABELS = {
+  pending: 'Pending',
+  success: 'Filled',
+  failed: 'Failed',
+  skipped: 'Skipped'
+};
+
+const newLeg = (quote) => ({
+  stock_id: quote.id,
+  symbol: quote.symbol,
+  mode: LEG_MODES.SHARES,
+  side: 'buy',
+  value: ''
+});
+
+const BasketTrade = () => {
+  const [searchParams] = useSearchParams();
+  const { quotes, loading } = useLiveQuotes();
+  const [portfolio, setPortfolio] = useState(null);
+  const [legs, setLegs] = useState([]);
+  const [legsSeeded, setLegsSeeded] = useState(false);
+  const [stopOnFailure, setStopOnFailure] = useState(true);
+  const [executing, setExecuting] = useState(false);
+  const [results, setResults] = useState(null);
+  const [feeModel, setFeeModel] = useState(getFeeModel());
+
+  useEffect(() => {
+    const fetchPortfolio = async () => {
+      setPortfolio(await getUserPortfolio());
+    };
+
+    const handleFeeModelUpdated = (event) => setFeeModel(event.detail.model);
+
+    fetchPortfolio();
+    initWebSocket();
+    document.addEventListener('fee-model-updated', handleFeeModelUpdated);
+
+    return () => {
+      closeWebSocket();
+      document.removeEventListener('fee-model-updated', handleFeeModelUpdated);
+    };
+  }, []);
+
+  // Start with the stocks selected on the stock list
+  useEffect(() => {
+    if (loading || legsSeeded) return;
+
+    const selectedIds = (searchParams.get('stocks') || '')
+      .split(',')
+      .map(Number)
+      .filter(id => quotes[id]);
+
+    setLegs(selectedIds.map(id => newLeg(quotes[id])));
+    setLegsSeeded(true);
+  }, [loading, legsSeeded, quotes, searchParams]);
+
+  const prices = {};
+  Object.values(quotes).forEach(quote => {
+    prices[quote.id] = quote.current_price;
+  });
+
+  const holdings = {};
+  let stockValue = 0;
+  (portfolio?.portfolio_items || []).forEach(item => {
+    if (!item || !item.stock) return;
+    const price = prices[item.stock_id] ?? item.stock.current_price;
+    stockValue += item.quantity * price;
+    if (!item.is_short) {
+      holdings[item.stock_id] = item.quantity;
+    }
+  });
+
+  const cash = portfolio?.buying_power ?? portfolio?.cash_balance ?? 0;
+  const totalValue = (portfolio?.cash_balance ?? 0) + stockValue;
+  const plan = planBasket(legs, { prices, holdings, cash, totalValue, feeModel });
+
+  const updateLeg = (index, changes) => {
+    setLegs(prevLegs => prevLegs.map((leg, i) => (i === index ? { ...leg, ...changes } : leg)));
+    setResults(null);
+  };
+
+  const removeLeg = (index) => {
+    setLegs(prevLegs => prevLegs.filter((leg, i) => i !== index));
+    setResults(null);
+  };
+
+  const addLeg = (stockId) => {
+    const quote = quotes[Number(stockId)];
+    if (!quote || legs.some(leg => leg.stock_id === quote.id)) return;
+    setLegs(prevLegs => [...prevLegs, newLeg(quote)]);
+    setResults(null);
+  };
+
+  // Submit every leg in turn through the regular trade flow
+  const handleExecute = async () => {
+    const orders = plan.orders.filter(order => order.quantity > 0);
+    const legResults = orders.map(order => ({ ...order, status: 'pending', message: '' }));
+
+    setExecuting(true);
+    setResults([...legResults]);
+
+    let failed = false;
+    for (let i = 0; i < legResults.length; i++) {
+      const leg = legResults[i];
+
+      if (failed && stopOnFailure) {
+        legResults[i] = { ...leg, status: 'skipped', message: 'Not sent after an earlier leg failed' };
+        continue;
+      }
+
+      try {
+        await executeTrade(leg.stock_id, leg.quantity, leg.action);
+        legResults[i] = { ...leg, status: 'success' };
+      } catch (err) {
+        console.error(`Basket leg ${leg.action} ${leg.quantity} ${leg.symbol} failed:`, err);
+        legResults[i] = { ...leg, status: 'failed', message: err.message || 'Trade failed' };
+        failed = true;
+      }
+
+      setResults([...legResults]);
+    }
+
+    setResults([...legResults]);
+    setPortfolio(await getUserPortfolio());
+    setExecuting(false);
+  };
+
+  // Load the trades that undo the legs that went through
+  const handleLoadReversal = () => {
+    setLegs(reversalLegs(results));
+    setResults(null);
+  };
+
+  // Load the legs that did not go through, as share quantities
+  const handleRetryUnfilled = () => {
+    setLegs(results
+      .filter(result => result.status !== 'success')
+      .map(result => ({
+        stock_id: result.stock_id,
+        symbol: result.symbol,
+        mode: LEG_MODES.SHARES,
+        side: result.action,
+        value: result.quantity
+      })));
+    setResults(null);
+  };
+
+  const filledCount = results ? results.filter(result => result.status === 'success').length : 0;
+  const partiallyFilled = results && !executing && filledCount > 0 && filledCount < results.length;
+  const nothingFilled = results && !executing && filledCount === 0 && results.length > 0;
+
+  if (loading) {
+    return <div className="loading">Loading stocks...</div>;
+  }
+
+  return (
+    <div className="basket-page">
+      <Navigation />
+      <div className="basket-container">
+        <h1>Basket Trade</h1>
+
+        <div className="basket-card">
+          <div className="basket-card-header">
+            <h2>Legs</h2>
+            <select value="" onChange={(e) => addLeg(e.target.value)} disabled={executing}>
+              <option value="">Add a stock...</option>
+              {Object.values(quotes)
+                .filter(quote => !legs.some(leg => leg.stock_id === quote.id))
+                .sort((a, b) => a.symbol.localeCompare(b.symbol))
+                .map(quote => (
+                  <option key={quote.id} value={quote.id}>{quote.symbol} - {quote.name}</option>
+                ))}
+            </select>
+          </div>
+
+          {legs.length === 0 ? (
+            <p className="basket-empty">
+              No stocks in the basket. Select stocks on the <Link to="/stocks">stock list</Link> or add them here.
+            </p>
+          ) : (
+            <table className="basket-table">
+              <thead>
+                <tr>
+                  <th>Stock</th>
+                  <th>Price</th>
+                  <th>Held</th>
+                  <th>Size by</th>
+                  <th>Side</th>
+                  <th>Amount</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {legs.map((leg, index) => (
+                  <tr key={leg.stock_id}>
+                    <td><Link to={`/stock/${leg.stock_id}`}>{leg.symbol}</Link></td>
+                    <td>{prices[leg.stock_id] ? `$${prices[leg.stock_id].toFixed(2)}` : '—'}</td>
+                    <td>{formatShares(holdings[leg.stock_id])}</td>
+                    <td>
+                      <select
+                        value={leg.mode}
+                        onChange={(e) => updateLeg(index, { mode: e.target.value })}
+                        disabled={executing}
+                      >
+                        {Object.values(LEG_MODES).map(mode => (
+                          <option key={mode} value={mode}>{LEG_MODE_LABELS[mode]}</option>
+                        ))}
+                      </select>
+                    </td>
+                    <td>
+                      {leg.mode === LEG_MODES.WEIGHT ? (
+                        <span className="basket-hint">Auto</span>
+                      ) : (
+                        <select
+                          value={leg.side}
+                          onChange={(e) => updateLeg(index, { side: e.target.value })}
+                          disabled={executing}
+                        >
+                          <option value="buy">Buy</option>
+                          <option value="sell">Sell</option>
+                        </select>
+                      )}
+                    </td>
+                    <td>
+                      <input
+                        type="number"
+                        min="0"
+                        step={leg.mode === LEG_MODES.SHARES ? 'any' : '0.01'}
+                        value={leg.value}
+                        onChange={(e) => updateLeg(index, { value: e.target.value })}
+                        disabled={executing}
+                      />
+                    </td>
+                    <td>
+                      <button className="basket-remove" onClick={() => removeLeg(index)} disabled={executing}>×</button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          <p className="basket-hint">
+            Target weights are a percentage of your total portfolio value (${totalValue.toFixed(2)}); the leg buys or
+            sells the difference from what you hold now.
+          </p>
+        </div>
+
+        {legs.length > 0 && (
+          <div className="basket-card">
+            <h2>Preview</h2>
+            <table className="basket-table">
+              <thead>
+                <tr>
+                  <th>Order</th>
+                  <th>Quantity</th>
+                  <th>Fill</th>
+                  <th>Costs</th>
+                  <th>Total</th>
+                  {results && <th>Result</th>}
+                </tr>
+              </thead>
+              <tbody>
+                {(results || plan.orders).map(order => (
+                  <tr key={order.stock_id}>
+                    <td>
+                      <span className={`basket-side ${order.action}`}>{order.action}</span> {order.symbol}
+                    </td>
+                    <td>{formatShares(order.quantity)}</td>
+                    <td>{order.costs ? `$${order.costs.execution_price.toFixed(2)}` : '—'}</td>
+                    <td>{order.costs ? `$${order.costs.cost.toFixed(2)}` : '—'}</td>
+                    <td>
+                      {order.error
+                        ? <span className="basket-error">{order.error}</span>
+                        : order.costs ? `$${order.costs.total.toFixed(2)}` : 'Nothing to trade'}
+                    </td>
+                    {results && (
+                      <td>
+                        <span className={`basket-status ${order.status}`} title={order.message}>
+                          {STATUS_LABELS[order.status]}
+                        </span>
+                        {order.message && <div className="basket-hint">{order.message}</div>}
+                      </td>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            {!results && (
+              <div className="basket-totals">
+                <div><span>Sales</span><b>${plan.sell_total.toFixed(2)}</b></div>
+                <div><span>Purchases</span><b>${plan.buy_total.toFixed(2)}</b></div>
+                <div><span>Fees and slippage</span><b>${(plan.fees + plan.slippage).toFixed(2)}</b></div>
+                <div><span>Cash available</span><b>${cash.toFixed(2)}</b></div>
+                <div className={plan.cash_after < 0 ? 'basket-error' : ''}>
+                  <span>Cash after</span><b>${plan.cash_after.toFixed(2)}</b>
+                </div>
+              </div>
+            )}
+
+            {!results && plan.cash_after < 0 && (
+              <p className="basket-error">
+                The basket needs ${(-plan.cash_after).toFixed(2)} more cash than you have. Reduce the purchases or add sells.
+              </p>
+            )}
+
+            {!results && (
+              <div className="basket-actions">
+                <label className="basket-option">
+                  <input
+                    type="checkbox"
+                    checked={stopOnFailure}
+                    onChange={(e) => setStopOnFailure(e.target.checked)}
+                  />
+                  Stop at the first failed leg
+                </label>
+                <button
+                  className="basket-execute"
+                  onClick={handleExecute}
+                  disabled={executing || !plan.can_execute}
+                >
+                  Execute {plan.orders.filter(order => order.quantity > 0).length} Orders
+                </button>
+              </div>
+            )}
+
+            {executing && <p className="basket-hint">Sending orders one at a time... Sells go first so their proceeds fund the buys.</p>}
+
+            {partiallyFilled && (
+              <div className="basket-rollback">
+                <p>
+                  <b>The basket was only partly filled.</b> {filledCount} of {results.length} legs went through. Your
+                  portfolio now holds the filled legs without the rest of the basket.
+                </p>
+                <p>To undo the filled legs:</p>
+                <ul>
+                  {reversalLegs(results).map(leg => (
+                    <li key={leg.stock_id}>{leg.side === 'buy' ? 'Buy back' : 'Sell'} {formatShares(leg.value)} shares of {leg.symbol}</li>
+                  ))}
+                </ul>
+                <p>Prices and trading costs will have changed, so undoing the legs will not restore your cash exactly.</p>
+                <div className="basket-actions">
+                  <button className="basket-secondary" onClick={handleRetryUnfilled}>Retry Unfilled Legs</button>
+                  <button className="basket-secondary" onClick={handleLoadReversal}>Load Reversal Basket</button>
+                </div>
+              </div>
+            )}
+
+            {nothingFilled && (
+              <div className="basket-rollback">
+                <p><b>No legs were filled.</b> Your portfolio is unchanged.</p>
+                <div className="basket-actions">
+                  <button className="basket-secondary" onClick={handleRetryUnfilled}>Retry</button>
+                </div>
+              </div>
+            )}
+
+            {results && !executing && filledCount === results.length && (
+              <div className="basket-actions">
+                <p className="basket-success">All {results.length} legs were filled.</p>
+                <button
+                  className="basket-secondary"
+                  onClick={() => {
+                    setLegs([]);
+                    setResults(null);
+                  }}
+                >
+                  New Basket
+                </button>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default BasketTrade;
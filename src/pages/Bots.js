@@ -0,0 +1,245 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  getBots,
+  getBotLogs,
+  clearBotLogs,
+  saveBot,
+  deleteBot,
+  startBot,
+  stopBot,
+  stopAllBots,
+  isBotRunning,
+  isBotStarting,
+  EXAMPLE_BOT_CODE,
+  DEFAULT_MAX_TRADES_PER_MINUTE
+} from '../services/bots';
+import Navigation from '../components/Navigation';
+import './Bots.css';
+
+const newBotForm = () => ({
+  id: null,
+  name: '',
+  code: EXAMPLE_BOT_CODE,
+  maxTradesPerMinute: String(DEFAULT_MAX_TRADES_PER_MINUTE)
+});
+
+const Bots = () => {
+  const [bots, setBots] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [form, setForm] = useState(newBotForm());
+  const [logs, setLogs] = useState([]);
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const loadBots = useCallback(async () => {
+    setBots(await getBots());
+  }, []);
+
+  useEffect(() => {
+    loadBots();
+    document.addEventListener('bots-updated', loadBots);
+    return () => document.removeEventListener('bots-updated', loadBots);
+  }, [loadBots]);
+
+  useEffect(() => {
+    const loadLogs = async () => {
+      setLogs(selectedId ? await getBotLogs(selectedId) : []);
+    };
+
+    loadLogs();
+    document.addEventListener('bot-log', loadLogs);
+    document.addEventListener('bots-updated', loadLogs);
+
+    return () => {
+      document.removeEventListener('bot-log', loadLogs);
+      document.removeEventListener('bots-updated', loadLogs);
+    };
+  }, [selectedId]);
+
+  const selectBot = (bot) => {
+    setError(null);
+    setSelectedId(bot ? bot.id : null);
+    setForm(bot ? {
+      id: bot.id,
+      name: bot.name,
+      code: bot.code,
+      maxTradesPerMinute: String(bot.max_trades_per_minute)
+    } : newBotForm());
+  };
+
+  const handleChange = (key, value) => setForm(prevForm => ({ ...prevForm, [key]: value }));
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setSaving(true);
+
+    try {
+      const bot = await saveBot({
+        id: form.id,
+        name: form.name,
+        code: form.code,
+        maxTradesPerMinute: Number(form.maxTradesPerMinute)
+      });
+      setSelectedId(bot.id);
+      setForm(prevForm => ({ ...prevForm, id: bot.id }));
+    } catch (err) {
+      setError(err.message || 'Failed to save bot');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggle = async (bot) => {
+    if (isBotStarting(bot.id)) return;
+
+    setError(null);
+    try {
+      if (isBotRunning(bot.id)) {
+        stopBot(bot.id);
+      } else {
+        await startBot(bot.id);
+      }
+    } catch (err) {
+      setError(err.message || 'Failed to start bot');
+    }
+  };
+
+  const handleDelete = async (bot) => {
+    if (!window.confirm(`Delete the bot "${bot.name}"?`)) return;
+
+    await deleteBot(bot.id);
+    if (bot.id === selectedId) selectBot(null);
+  };
+
+  const runningCount = bots.filter(bot => isBotRunning(bot.id)).length;
+  const selectedBot = bots.find(bot => bot.id === selectedId);
+
+  return (
+    <div className="bots-page">
+      <Navigation />
+      <div className="bots-container">
+        <div className="bots-header">
+          <h1>Trading Bots</h1>
+          <button
+            className="kill-switch"
+            onClick={stopAllBots}
+            disabled={runningCount === 0}
+            title="Stop every running bot immediately"
+          >
+            Stop All Bots{runningCount > 0 ? ` (${runningCount} running)` : ''}
+          </button>
+        </div>
+
+        {error && <div className="error-message">{error}</div>}
+
+        <div className="bots-layout">
+          <div className="bots-card bots-list-card">
+            <div className="bots-card-header">
+              <h2>Your Bots</h2>
+              <button className="link-button" onClick={() => selectBot(null)}>+ New Bot</button>
+            </div>
+            {bots.length === 0 ? (
+              <p className="bots-empty">No bots yet. Write one on the right and save it.</p>
+            ) : (
+              <ul className="bots-list">
+                {bots.map(bot => {
+                  const running = isBotRunning(bot.id);
+                  const starting = isBotStarting(bot.id);
+                  return (
+                    <li key={bot.id} className={bot.id === selectedId ? 'selected' : ''}>
+                      <button className="bot-name" onClick={() => selectBot(bot)}>
+                        <span className={`bot-status ${running ? 'running' : 'stopped'}`}></span>
+                        {bot.name}
+                      </button>
+                      <span className="bot-limit">{bot.max_trades_per_minute}/min</span>
+                      <button className="bot-action" onClick={() => handleToggle(bot)} disabled={starting}>
+                        {starting ? 'Starting...' : running ? 'Stop' : 'Start'}
+                      </button>
+                      <button className="bot-action delete" onClick={() => handleDelete(bot)}>Delete</button>
+                    </li>
+                  );
+                })}
+              </ul>
+            )}
+          </div>
+
+          <div className="bots-card bots-editor-card">
+            <h2>{form.id ? `Edit ${selectedBot ? selectedBot.name : 'Bot'}` : 'New Bot'}</h2>
+            <form className="bot-form" onSubmit={handleSave}>
+              <div className="bot-form-row">
+                <label>
+                  Name
+                  <input
+                    type="text"
+                    value={form.name}
+                    onChange={(e) => handleChange('name', e.target.value)}
+                    placeholder="e.g. Disney dip buyer"
+                  />
+                </label>
+                <label>
+                  Max trades per minute
+                  <input
+                    type="number"
+                    min="1"
+                    step="1"
+                    value={form.maxTradesPerMinute}
+                    onChange={(e) => handleChange('maxTradesPerMinute', e.target.value)}
+                  />
+                </label>
+              </div>
+              <textarea
+                className="bot-code"
+                value={form.code}
+                onChange={(e) => handleChange('code', e.target.value)}
+                spellCheck={false}
+                rows={16}
+              />
+              <div className="bot-form-actions">
+                <button type="submit" disabled={saving}>
+                  {saving ? 'Saving...' : form.id && isBotRunning(form.id) ? 'Save and Restart' : 'Save Bot'}
+                </button>
+              </div>
+            </form>
+            <div className="bot-api-help">
+              <h3>Bot API</h3>
+              <ul>
+                <li><code>onPriceUpdate(fn)</code> - <code>fn</code> gets every price update: <code>{'{ stock_id, symbol, price, timestamp }'}</code></li>
+                <li><code>onNewsEvent(fn)</code> - <code>fn</code> gets every market, sector and company news event</li>
+                <li><code>portfolio</code> - <code>{'{ cash, total_value, positions }'}</code>, where positions are shares by symbol, kept up to date after each trade</li>
+                <li><code>buy(stock, quantity)</code> and <code>sell(stock, quantity)</code> - stock is a symbol or ID; both return a promise of <code>{'{ ok, error }'}</code></li>
+                <li><code>log(...)</code> - write to the log console</li>
+              </ul>
+              <p>Bots run in a separate worker that keeps only the JavaScript built-ins, <code>console</code> and timers: no network, storage or page access, no <code>import</code> and no code built from strings. Orders over the trade limit are rejected.</p>
+            </div>
+          </div>
+        </div>
+
+        <div className="bots-card">
+          <div className="bots-card-header">
+            <h2>Log Console{selectedBot ? ` - ${selectedBot.name}` : ''}</h2>
+            {selectedId && logs.length > 0 && (
+              <button className="link-button" onClick={() => clearBotLogs(selectedId)}>Clear</button>
+            )}
+          </div>
+          {!selectedId ? (
+            <p className="bots-empty">Select a bot to see its log.</p>
+          ) : logs.length === 0 ? (
+            <p className="bots-empty">Nothing logged yet this session.</p>
+          ) : (
+            <ol className="bot-console">
+              {logs.map((entry, index) => (
+                <li key={index} className={entry.level}>
+                  <span className="bot-console-time">{new Date(entry.time).toLocaleTimeString()}</span>
+                  {entry.message}
+                </li>
+              ))}
+            </ol>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Bots;
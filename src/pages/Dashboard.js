@@ -3,9 +3,12 @@ import { Link } from 'react-router-dom';
 import { getUserPortfolio, getTransactionHistory, getAllStocks } from '../services/stock';
 import { initWebSocket, addListener, closeWebSocket, getLatestPrice } from '../services/websocket';
 import { startEventGenerator, stopEventGenerator } from '../services/market-event-generator';
+import { recordPortfolioSnapshot } from '../services/portfolio-history';
+import { formatShares } from '../utils/shares';
 import Navigation from '../components/Navigation';
 import Chat from '../components/Chat';
 import NewsFeed from '../components/NewsFeed';
+import WatchlistWidget from '../components/WatchlistWidget';
 import './Dashboard.css';
 
 // Default empty states to prevent null references
@@ -77,6 +80,7 @@ const Dashboard = () => {
         });
 
         setPortfolio(portfolioData);
+        recordPortfolioSnapshot(portfolioData, 'load');
         setTransactions(transactionsData);
 
         // Get top 5 stocks by price
@@ -330,7 +334,7 @@ const Dashboard = () => {
                           className={item.valueChange ? `value-${item.valueChange}` : ''}
                         >
                           <td>{item.stock.symbol}</td>
-                          <td>{item.quantity}</td>
+                          <td>{formatShares(item.quantity)}</td>
                           <td>${(item.stock.current_price || 0).toFixed(2)}</td>
                           <td>${(item.quantity * (item.stock.current_price || 0)).toFixed(2)}</td>
                           <td>
@@ -351,6 +355,14 @@ const Dashboard = () => {
               )}
             </div>
             
+            <div className="dashboard-section">
+              <div className="section-header">
+                <h2>Watchlists</h2>
+                <Link to="/stocks" className="view-all">Add Stocks</Link>
+              </div>
+              <WatchlistWidget />
+            </div>
+            
             <div className="dashboard-section">
               <div className="section-header">
                 <h2>Top Stocks</h2>
@@ -418,7 +430,7 @@ const Dashboard = () => {
                         <td className={`transaction-type ${transaction.transaction_type}`}>
                           {transaction.transaction_type}
                         </td>
-                        <td>{transaction.quantity}</td>
+                        <td>{formatShares(transaction.quantity)}</td>
                         <td>${(transaction.price || 0).toFixed(2)}</td>
                         <td>${(transaction.quantity * (transaction.price || 0)).toFixed(2)}</td>
                       </tr>
@@ -1,16 +1,32 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { Link } from 'react-router-dom';
 import { getUserPortfolio, getTransactionHistory } from '../services/stock';
 import { initWebSocket, addListener, closeWebSocket, getLatestPrice } from '../services/websocket';
+import { ORDER_STATUS } from '../services/orders';
+import { TRIGGER_STATUS } from '../services/triggers';
+import { getSetting } from '../services/settings';
+import { recordPortfolioSnapshot } from '../services/portfolio-history';
+import { buildTaxLots, valueOpenLots, LOT_METHOD_LABELS } from '../utils/tax-lots';
+import { formatShares } from '../utils/shares';
 import Navigation from '../components/Navigation';
+import OpenOrders from '../components/OpenOrders';
+import PositionTriggers from '../components/PositionTriggers';
+import PerformanceChart from '../components/PerformanceChart';
+import AllocationBreakdown from '../components/AllocationBreakdown';
+import RiskPanel from '../components/RiskPanel';
+import RebalanceAssistant from '../components/RebalanceAssistant';
+import WhatIfSimulator from '../components/WhatIfSimulator';
+import RecurringPlans from '../components/RecurringPlans';
 import './Portfolio.css';
 
 const Portfolio = () => {
   const [portfolio, setPortfolio] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
-  const [costBasis, setCostBasis] = useState({});
+  const [transactions, setTransactions] = useState([]);
+  const [lotMethod, setLotMethod] = useState(getSetting('lotMethod'));
   const [transactionData, setTransactionData] = useState({});
+  const [marginCall, setMarginCall] = useState(null);
 
   // Fetch portfolio data
   useEffect(() => {
@@ -44,6 +60,7 @@ const Portfolio = () => {
 
         setPortfolio(data);
         setLoading(false);
+        recordPortfolioSnapshot(data, 'load');
 
         // After getting portfolio, fetch transaction history to calculate cost basis
         const transactions = await getTransactionHistory(1000, 0); // Get a large number of transactions
@@ -120,25 +137,58 @@ const Portfolio = () => {
       }
     });
 
+    // Reload holdings and cost basis when a limit order fills
+    const handleOrdersUpdated = (event) => {
+      if (event?.detail?.order?.status === ORDER_STATUS.FILLED) {
+        fetchPortfolio();
+      }
+    };
+    document.addEventListener('orders-updated', handleOrdersUpdated);
+
+    // Reload holdings when a stop-loss, take-profit or trailing stop sells a position
+    const handleTriggersUpdated = (event) => {
+      if (event?.detail?.trigger?.status === TRIGGER_STATUS.TRIGGERED) {
+        fetchPortfolio();
+      }
+    };
+    document.addEventListener('triggers-updated', handleTriggersUpdated);
+
+    // Reload holdings when a margin call force-covers a short position
+    const handleMarginCall = (event) => {
+      setMarginCall(event.detail);
+      fetchPortfolio();
+    };
+    document.addEventListener('margin-call', handleMarginCall);
+
+    // Reload holdings after a rebalancing proposal is executed
+    document.addEventListener('rebalance-executed', fetchPortfolio);
+
+    // Recalculate lots when the tax lot method is changed in settings
+    const handleSettingsUpdated = (event) => {
+      if (event?.detail?.settings?.lotMethod) {
+        setLotMethod(event.detail.settings.lotMethod);
+      }
+    };
+    document.addEventListener('settings-updated', handleSettingsUpdated);
+
     // Clean up on unmount
     return () => {
       removeListener();
       closeWebSocket();
+      document.removeEventListener('orders-updated', handleOrdersUpdated);
+      document.removeEventListener('triggers-updated', handleTriggersUpdated);
+      document.removeEventListener('margin-call', handleMarginCall);
+      document.removeEventListener('rebalance-executed', fetchPortfolio);
+      document.removeEventListener('settings-updated', handleSettingsUpdated);
     };
   }, []);
 
-  // Calculate cost basis and average price for each stock
+  // Keep the transactions for tax lot replay and summarize trading activity per stock
   const calculateCostBasis = (transactions, portfolioItems) => {
-    const stockCostData = {};
     const stockTransactionData = {};
 
     // Initialize data structure for each stock in portfolio
     portfolioItems.forEach(item => {
-      stockCostData[item.stock_id] = {
-        totalCost: 0,
-        totalShares: 0,
-        averagePrice: 0
-      };
       stockTransactionData[item.stock_id] = {
         buys: 0,
         sells: 0,
@@ -147,39 +197,57 @@ const Portfolio = () => {
       };
     });
 
-    // Process all transactions to calculate cost basis
+    // Process all transactions for the activity summary
     transactions.forEach(transaction => {
       const { stock_id, quantity, price, transaction_type } = transaction;
       
       // Only process stocks still in portfolio
-      if (!stockCostData[stock_id]) return;
+      if (!stockTransactionData[stock_id]) return;
       
       if (transaction_type === 'buy') {
-        stockCostData[stock_id].totalCost += price * quantity;
-        stockCostData[stock_id].totalShares += quantity;
-        
         stockTransactionData[stock_id].buys += quantity;
         stockTransactionData[stock_id].buyValue += price * quantity;
       } else if (transaction_type === 'sell') {
-        // For sells, we don't change the cost basis calculation
-        // But we track them for the transaction summary
         stockTransactionData[stock_id].sells += quantity;
         stockTransactionData[stock_id].sellValue += price * quantity;
       }
     });
 
-    // Calculate average price for each stock
-    Object.keys(stockCostData).forEach(stockId => {
-      const data = stockCostData[stockId];
-      if (data.totalShares > 0) {
-        data.averagePrice = data.totalCost / data.totalShares;
-      }
-    });
-
-    setCostBasis(stockCostData);
+    setTransactions(transactions);
     setTransactionData(stockTransactionData);
   };
 
+  // Replay the transaction history into tax lots with the selected method
+  const taxLots = useMemo(() => buildTaxLots(transactions, lotMethod), [transactions, lotMethod]);
+
+  // Average cost per held stock from its open lots
+  const costBasis = useMemo(() => {
+    const stockCostData = {};
+
+    (portfolio?.portfolio_items || []).forEach(item => {
+      // Short positions are valued against the average price they were sold at
+      const averagePrice = item.is_short
+        ? item.entry_price
+        : valueOpenLots(taxLots[item.stock_id], 0).averageCost;
+      stockCostData[item.stock_id] = { averagePrice };
+    });
+
+    return stockCostData;
+  }, [portfolio, taxLots]);
+
+  // Every realized sale across stocks, newest first
+  const realizedSales = useMemo(() => Object.entries(taxLots)
+    .flatMap(([stockId, position]) => position.sales.map(sale => ({ ...sale, stock_id: Number(stockId) })))
+    .sort((a, b) => new Date(b.sold_at) - new Date(a.sold_at)), [taxLots]);
+
+  // Realized P&L from lot sales plus covered shorts
+  const totalRealizedPnl = realizedSales.reduce((total, sale) => total + sale.realized_pnl, 0) +
+    transactions
+      .filter(t => t.transaction_type === 'cover')
+      .reduce((total, t) => total + (t.realized_pnl || 0), 0);
+
+  const symbolFor = (stockId) => transactions.find(t => t.stock_id === stockId)?.stock?.symbol || `#${stockId}`;
+
   // Calculate gain/loss for a stock
   const calculateGainLoss = (stockId, currentPrice, shares) => {
     if (!costBasis[stockId]) return { value: 0, percentage: 0 };
@@ -187,7 +255,7 @@ const Portfolio = () => {
     const costBasisValue = costBasis[stockId].averagePrice * shares;
     const currentValue = currentPrice * shares;
     const gainLossValue = currentValue - costBasisValue;
-    const gainLossPercentage = costBasisValue > 0 ? (gainLossValue / costBasisValue) * 100 : 0;
+    const gainLossPercentage = costBasisValue !== 0 ? (gainLossValue / Math.abs(costBasisValue)) * 100 : 0;
     
     return {
       value: gainLossValue,
@@ -250,12 +318,40 @@ const Portfolio = () => {
             <h3>Stock Value</h3>
             <div className="summary-value">{formatCurrency(portfolio.stock_value)}</div>
           </div>
+          {portfolio.short_collateral > 0 && (
+            <div className="summary-card">
+              <h3>Buying Power</h3>
+              <div className="summary-value">{formatCurrency(portfolio.buying_power)}</div>
+              <div className="summary-note">{formatCurrency(portfolio.short_collateral)} held as short collateral</div>
+            </div>
+          )}
+          <div className="summary-card">
+            <h3>Realized P&L</h3>
+            <div className={`summary-value ${totalRealizedPnl >= 0 ? 'positive' : 'negative'}`}>
+              {formatCurrency(totalRealizedPnl)}
+            </div>
+          </div>
           <div className="summary-card highlight">
             <h3>Total Portfolio Value</h3>
             <div className="summary-value">{formatCurrency(portfolio.total_value)}</div>
           </div>
         </div>
         
+        <PerformanceChart />
+        
+        {marginCall && (
+          <div className="margin-call-warning">
+            Margin call: {formatShares(marginCall.quantity)} shares of {marginCall.symbol} were force-covered at{' '}
+            {formatCurrency(marginCall.price)} ({formatCurrency(marginCall.realized_pnl)} realized)
+          </div>
+        )}
+        {!marginCall && portfolio.margin_call && (
+          <div className="margin-call-warning">
+            Your cash is below the maintenance requirement for your short positions.
+            Shorts will be covered automatically on the next price update.
+          </div>
+        )}
+        
         {/* Stock Holdings */}
         <div className="portfolio-holdings">
           <h2>Your Holdings</h2>
@@ -278,6 +374,7 @@ const Portfolio = () => {
                     <th>Cost Basis</th>
                     <th>Gain/Loss</th>
                     <th>Gain/Loss %</th>
+                    <th>Triggers</th>
                     <th>Actions</th>
                   </tr>
                 </thead>
@@ -298,7 +395,10 @@ const Portfolio = () => {
                             <span className="stock-name">{stock.name}</span>
                           </Link>
                         </td>
-                        <td>{quantity}</td>
+                        <td>
+                          {formatShares(quantity)}
+                          {item.is_short && <span className="short-tag">Short</span>}
+                        </td>
                         <td className={`price ${item.priceChange || ''}`}>
                           {formatCurrency(stock.current_price)}
                           {item.priceChange === 'up' && <span className="arrow up">▲</span>}
@@ -313,6 +413,17 @@ const Portfolio = () => {
                         <td className={isPositive ? 'positive' : 'negative'}>
                           {formatPercentage(gainLoss.percentage)}
                         </td>
+                        <td>
+                          {!item.is_short && (
+                            <PositionTriggers
+                              stockId={stock_id}
+                              symbol={stock.symbol}
+                              quantity={quantity}
+                              averageCost={averageCost}
+                              currentPrice={stock.current_price}
+                            />
+                          )}
+                        </td>
                         <td>
                           <Link to={`/stock/${stock_id}`} className="btn small">Trade</Link>
                         </td>
@@ -325,6 +436,109 @@ const Portfolio = () => {
           )}
         </div>
         
+        {/* Weights by sector and holding */}
+        <AllocationBreakdown portfolioItems={portfolio.portfolio_items} />
+        
+        {/* Target weights and the orders that restore them */}
+        <RebalanceAssistant portfolio={portfolio} />
+        
+        {/* Hypothetical trades and price shocks on a copy of the portfolio */}
+        <WhatIfSimulator portfolio={portfolio} />
+        
+        {/* Volatility, beta, Sharpe and drawdown */}
+        <RiskPanel portfolioItems={portfolio.portfolio_items} />
+        
+        {/* Open tax lots and realized sales */}
+        {(portfolio.portfolio_items.some(item => !item.is_short) || realizedSales.length > 0) && (
+          <div className="tax-lots">
+            <div className="tax-lots-header">
+              <h2>Tax Lots</h2>
+              <span className="tax-lot-method">
+                {LOT_METHOD_LABELS[lotMethod]} · <Link to="/settings">Change</Link>
+              </span>
+            </div>
+
+            {portfolio.portfolio_items.filter(item => !item.is_short).map(item => {
+              const valued = valueOpenLots(taxLots[item.stock_id], item.stock.current_price);
+              if (valued.lots.length === 0) return null;
+
+              return (
+                <div className="holdings-table-container" key={item.stock_id}>
+                  <table className="holdings-table lots-table">
+                    <thead>
+                      <tr>
+                        <th>{item.stock.symbol} Lot</th>
+                        <th>Shares</th>
+                        <th>Cost / Share</th>
+                        <th>Cost Basis</th>
+                        <th>Market Value</th>
+                        <th>Unrealized P&L</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {valued.lots.map(lot => (
+                        <tr key={lot.id}>
+                          <td>{new Date(lot.acquired_at).toLocaleDateString()} @ {formatCurrency(lot.price)}</td>
+                          <td>{formatShares(lot.quantity)}</td>
+                          <td>{formatCurrency(lot.cost_per_share)}</td>
+                          <td>{formatCurrency(lot.cost_basis)}</td>
+                          <td>{formatCurrency(lot.market_value)}</td>
+                          <td className={lot.unrealized_pnl >= 0 ? 'positive' : 'negative'}>
+                            {formatCurrency(lot.unrealized_pnl)}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              );
+            })}
+
+            {realizedSales.length > 0 && (
+              <div className="holdings-table-container">
+                <table className="holdings-table lots-table">
+                  <thead>
+                    <tr>
+                      <th>Sale</th>
+                      <th>Shares</th>
+                      <th>Proceeds</th>
+                      <th>Cost Basis</th>
+                      <th>Realized P&L</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {realizedSales.map(sale => (
+                      <tr key={sale.transaction_id}>
+                        <td>
+                          <span className="stock-symbol">{symbolFor(sale.stock_id)}</span>{' '}
+                          {new Date(sale.sold_at).toLocaleDateString()} @ {formatCurrency(sale.price)}
+                        </td>
+                        <td>{formatShares(sale.quantity)}</td>
+                        <td>{formatCurrency(sale.proceeds)}</td>
+                        <td>
+                          {formatCurrency(sale.cost_basis)}
+                          {sale.uncovered > 0 && (
+                            <span className="lot-note" title="No matching buy found in the loaded history">*</span>
+                          )}
+                        </td>
+                        <td className={sale.realized_pnl >= 0 ? 'positive' : 'negative'}>
+                          {formatCurrency(sale.realized_pnl)}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        )}
+        
+        {/* Pending limit orders across all stocks */}
+        <OpenOrders />
+        
+        {/* Recurring dollar-cost-averaging buys */}
+        <RecurringPlans />
+        
         {/* Trading Activity */}
         {portfolio.portfolio_items.length > 0 && (
           <div className="trading-activity">
@@ -343,11 +557,11 @@ const Portfolio = () => {
                     <div className="activity-details">
                       <div className="activity-row">
                         <div className="activity-label">Shares Bought:</div>
-                        <div className="activity-value">{transactions.buys}</div>
+                        <div className="activity-value">{formatShares(transactions.buys)}</div>
                       </div>
                       <div className="activity-row">
                         <div className="activity-label">Shares Sold:</div>
-                        <div className="activity-value">{transactions.sells}</div>
+                        <div className="activity-value">{formatShares(transactions.sells)}</div>
                       </div>
                       <div className="activity-row">
                         <div className="activity-label">Total Buy Value:</div>
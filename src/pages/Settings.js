@@ -0,0 +1,123 @@
+import React, { useState } from 'react';
+import Navigation from '../components/Navigation';
+import { getSettings, updateSettings } from '../services/settings';
+import { LOT_METHODS, LOT_METHOD_LABELS } from '../utils/tax-lots';
+import './Settings.css';
+
+const LOT_METHOD_DESCRIPTIONS = {
+  [LOT_METHODS.FIFO]: 'Sales use up your oldest shares first.',
+  [LOT_METHODS.LIFO]: 'Sales use up your most recently bought shares first.',
+  [LOT_METHODS.AVERAGE]: 'Every share carries the average price you paid for the position.'
+};
+
+const Settings = () => {
+  const [settings, setSettings] = useState(getSettings());
+  const [message, setMessage] = useState(null);
+
+  const handleChange = (key, value) => {
+    setSettings(updateSettings({ [key]: value }));
+    setMessage('Settings saved');
+    setTimeout(() => setMessage(null), 3000);
+  };
+
+  return (
+    <div className="settings-page">
+      <Navigation />
+      <div className="settings-container">
+        <h1>Settings</h1>
+
+        {message && <div className="success-message">{message}</div>}
+
+        <div className="settings-card">
+          <h2>Cost Basis</h2>
+          <div className="setting-row">
+            <label htmlFor="lot-method">Tax lot method</label>
+            <select
+              id="lot-method"
+              value={settings.lotMethod}
+              onChange={(e) => handleChange('lotMethod', e.target.value)}
+            >
+              {Object.values(LOT_METHODS).map(method => (
+                <option key={method} value={method}>{LOT_METHOD_LABELS[method]}</option>
+              ))}
+            </select>
+          </div>
+          <p className="setting-description">
+            {LOT_METHOD_DESCRIPTIONS[settings.lotMethod]} This decides the average cost,
+            realized P&L of each sale and unrealized P&L of each open lot on your portfolio.
+          </p>
+        </div>
+
+        <div className="settings-card">
+          <h2>Concentration Warnings</h2>
+          <div className="setting-row">
+            <label htmlFor="max-stock-weight">Largest single stock (%)</label>
+            <input
+              id="max-stock-weight"
+              type="number"
+              min="0"
+              max="100"
+              value={settings.maxStockWeight}
+              onChange={(e) => handleChange('maxStockWeight', Math.min(100, Math.max(0, Number(e.target.value) || 0)))}
+            />
+          </div>
+          <div className="setting-row">
+            <label htmlFor="max-sector-weight">Largest single sector (%)</label>
+            <input
+              id="max-sector-weight"
+              type="number"
+              min="0"
+              max="100"
+              value={settings.maxSectorWeight}
+              onChange={(e) => handleChange('maxSectorWeight', Math.min(100, Math.max(0, Number(e.target.value) || 0)))}
+            />
+          </div>
+          <p className="setting-description">
+            Your portfolio warns you when one stock or sector makes up more of your invested value
+            than these limits. Set a limit to 0 to turn its warning off.
+          </p>
+        </div>
+
+        <div className="settings-card">
+          <h2>Trading</h2>
+          <div className="setting-row">
+            <label htmlFor="max-price-drift">Max price drift (%)</label>
+            <input
+              id="max-price-drift"
+              type="number"
+              min="0"
+              step="0.1"
+              value={settings.maxPriceDrift}
+              onChange={(e) => handleChange('maxPriceDrift', Math.max(0, Number(e.target.value) || 0))}
+            />
+          </div>
+          <p className="setting-description">
+            Market orders are reviewed on an order ticket before they are sent. If the price moves
+            further than this from the quote before you confirm, the ticket is re-quoted instead.
+          </p>
+        </div>
+
+        <div className="settings-card">
+          <h2>Risk</h2>
+          <div className="setting-row">
+            <label htmlFor="risk-free-rate">Risk-free rate (% per year)</label>
+            <input
+              id="risk-free-rate"
+              type="number"
+              min="0"
+              step="0.1"
+              value={settings.riskFreeRate}
+              onChange={(e) => handleChange('riskFreeRate', Math.max(0, Number(e.target.value) || 0))}
+            />
+          </div>
+          <p className="setting-description">
+            The return you could earn without taking any risk. The Sharpe ratio on your portfolio
+            only credits returns above this rate.
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Settings;
@@ -1,8 +1,20 @@
 import React, { useState, useEffect } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import { useParams, useNavigate, Link } from 'react-router-dom';
 import { getStockById, executeTrade, getUserPortfolio } from '../services/stock';
 import { initWebSocket, addListener, closeWebSocket, getLatestPrice } from '../services/websocket';
+import { createOrder, ORDER_STATUS } from '../services/orders';
+import { INITIAL_MARGIN } from '../services/shorts';
+import { getFeeModel } from '../services/fees';
+import { calculateTradeCosts, maxAffordableQuantity } from '../utils/fees';
+import { floorShares, formatShares, parseShares, MIN_SHARES } from '../utils/shares';
+import { recordPrice } from '../services/price-history';
 import Navigation from '../components/Navigation';
+import OpenOrders from '../components/OpenOrders';
+import OrderTicket from '../components/OrderTicket';
+import PriceChart from '../components/PriceChart';
+import IndicatorPanel from '../components/IndicatorPanel';
+import WatchlistButton from '../components/WatchlistButton';
+import WhatIfSimulator from '../components/WhatIfSimulator';
 import './StockDetail.css';
 
 const StockDetail = () => {
@@ -12,12 +24,21 @@ const StockDetail = () => {
 
   const [stock, setStock] = useState(null);
   const [portfolio, setPortfolio] = useState(null);
-  const [quantity, setQuantity] = useState(1);
+  // Orders are sized in shares (fractions allowed) or as a dollar amount
+  const [sizeBy, setSizeBy] = useState('shares');
+  const [quantityInput, setQuantityInput] = useState('1');
+  const [dollarAmount, setDollarAmount] = useState('');
   const [action, setAction] = useState('buy');
+  const [orderType, setOrderType] = useState('market');
+  const [limitPrice, setLimitPrice] = useState('');
+  const [timeInForce, setTimeInForce] = useState('gtc');
   const [loading, setLoading] = useState(true);
   const [executing, setExecuting] = useState(false);
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(null);
+  const [feeModel, setFeeModel] = useState(getFeeModel());
+  // Market order waiting for review in the order ticket
+  const [ticket, setTicket] = useState(null);
   const [priceChange, setPriceChange] = useState(null);
 
   // Define a fetch function that can be reused
@@ -32,6 +53,9 @@ const StockDetail = () => {
       if (stockData && stockData.id) {
         const latestPrice = getLatestPrice(stockData.id, stockData.current_price);
         stockData.current_price = latestPrice;
+
+        // Make sure the chart has at least the price we are showing
+        recordPrice(stockData.id, latestPrice);
       }
 
       // Apply cached prices to portfolio items
@@ -103,6 +127,25 @@ const StockDetail = () => {
       fetchData();
     };
 
+    // Refresh the portfolio when one of our limit orders for this stock fills
+    const handleOrdersUpdated = async (event) => {
+      const order = event?.detail?.order;
+      if (order && order.stock_id === stockId && order.status === ORDER_STATUS.FILLED) {
+        console.log(`Limit order ${order.id} filled - refreshing portfolio`);
+        setSuccess(`Limit ${order.side} order for ${formatShares(order.quantity)} shares of ${order.symbol} filled at $${order.fill_price.toFixed(2)}`);
+        setPortfolio(await getUserPortfolio());
+      }
+    };
+
+    // A margin call force-covers shorts - show it and reload the position
+    const handleMarginCall = async (event) => {
+      const detail = event?.detail;
+      if (detail) {
+        setError(`Margin call: ${formatShares(detail.quantity)} shares of ${detail.symbol} were force-covered at $${detail.price.toFixed(2)}`);
+        setPortfolio(await getUserPortfolio());
+      }
+    };
+
     const handleStockEdited = (event) => {
       // Check if the edited stock is the one we're viewing
       if (event && event.detail && event.detail.stockId === stockId) {
@@ -116,6 +159,8 @@ const StockDetail = () => {
     document.addEventListener('stock-edit-complete', handleStockEdited);
     document.addEventListener('stock-price-cache-cleared', handleStockReset);
     document.addEventListener('system-reset-complete', handleStockReset);
+    document.addEventListener('orders-updated', handleOrdersUpdated);
+    document.addEventListener('margin-call', handleMarginCall);
 
     // Cleanup on unmount
     return () => {
@@ -127,6 +172,8 @@ const StockDetail = () => {
       document.removeEventListener('stock-edit-complete', handleStockEdited);
       document.removeEventListener('stock-price-cache-cleared', handleStockReset);
       document.removeEventListener('system-reset-complete', handleStockReset);
+      document.removeEventListener('orders-updated', handleOrdersUpdated);
+      document.removeEventListener('margin-call', handleMarginCall);
       
       console.log(`StockDetail component unmounted for stock ID: ${stockId}`);
     };
@@ -134,28 +181,101 @@ const StockDetail = () => {
 
   // Calculate max quantity for sell action
   const maxSellQuantity = portfolio?.portfolio_items
-    ?.find(item => item.stock_id === stockId)?.quantity || 0;
+    ?.find(item => item.stock_id === stockId && !item.is_short)?.quantity || 0;
+
+  // Shares currently borrowed and sold short
+  const shortQuantity = -(portfolio?.portfolio_items
+    ?.find(item => item.stock_id === stockId && item.is_short)?.quantity || 0);
+
+  // Cash not held back as collateral for short positions
+  const availableCash = portfolio?.buying_power ?? portfolio?.cash_balance ?? 0;
+
+  // Limit orders are sized and validated at the limit price, market orders at the live price
+  const parsedLimitPrice = parseFloat(limitPrice);
+  const executionPrice = orderType === 'limit' && parsedLimitPrice > 0
+    ? parsedLimitPrice
+    : stock?.current_price;
+
+  // Shares for the order as entered - a dollar buy spends at most the amount, trading costs included
+  let quantity = parseShares(quantityInput);
+  if (sizeBy === 'dollars' && stock) {
+    const amount = parseFloat(dollarAmount) || 0;
+    quantity = action === 'buy' || action === 'cover'
+      ? maxAffordableQuantity(amount, executionPrice, feeModel)
+      : floorShares(amount / executionPrice);
+  }
+
+  // Commission, percentage fee and slippage for the order as entered
+  const tradeCosts = stock ? calculateTradeCosts(executionPrice, quantity, action, feeModel) : null;
+
+  // Calculate max buy quantity based on cash balance, leaving room for trading costs
+  const maxBuyQuantity = stock && portfolio && shortQuantity === 0
+    ? maxAffordableQuantity(availableCash, executionPrice, feeModel)
+    : 0;
+
+  // Shorting needs collateral of INITIAL_MARGIN x the short value and no long position
+  const maxShortQuantity = stock && portfolio && maxSellQuantity === 0
+    ? floorShares(availableCash / (stock.current_price * INITIAL_MARGIN))
+    : 0;
 
-  // Calculate max buy quantity based on cash balance
-  const maxBuyQuantity = stock && portfolio
-    ? Math.floor(portfolio.cash_balance / stock.current_price)
+  // Covering buys the borrowed shares back out of cash
+  const maxCoverQuantity = stock && portfolio
+    ? Math.min(shortQuantity, maxAffordableQuantity(portfolio.cash_balance, stock.current_price, feeModel))
     : 0;
 
+  const maxQuantity = {
+    buy: maxBuyQuantity,
+    sell: maxSellQuantity,
+    short: maxShortQuantity,
+    cover: maxCoverQuantity
+  }[action];
+
+  // Short and cover are booked as market orders
+  const isShortAction = action === 'short' || action === 'cover';
+
   // Update quantity if current value exceeds max
   useEffect(() => {
-    if (action === 'buy' && quantity > maxBuyQuantity && maxBuyQuantity > 0) {
-      setQuantity(maxBuyQuantity);
-    } else if (action === 'sell' && quantity > maxSellQuantity && maxSellQuantity > 0) {
-      setQuantity(maxSellQuantity);
+    if (sizeBy === 'shares' && quantity > maxQuantity && maxQuantity > 0) {
+      setQuantityInput(String(maxQuantity));
+    }
+  }, [sizeBy, maxQuantity, quantity]);
+
+  // Pick up fee model changes made from the admin panel
+  useEffect(() => {
+    const handleFeeModelUpdated = (event) => setFeeModel(event.detail.model);
+
+    document.addEventListener('fee-model-updated', handleFeeModelUpdated);
+    return () => document.removeEventListener('fee-model-updated', handleFeeModelUpdated);
+  }, []);
+
+  // Limit orders are only available for buys and sells
+  useEffect(() => {
+    if (isShortAction) {
+      setOrderType('market');
+    }
+  }, [isShortAction]);
+
+  // Switch between market and limit orders, seeding the limit with the live price
+  const handleOrderTypeChange = (type) => {
+    setOrderType(type);
+    if (type === 'limit' && !limitPrice && stock) {
+      setLimitPrice(stock.current_price.toFixed(2));
     }
-  }, [action, maxBuyQuantity, maxSellQuantity, quantity]);
+  };
 
   // Handle trade execution
   const handleTrade = async (e) => {
     e.preventDefault();
     
     if (quantity <= 0) {
-      setError('Quantity must be greater than zero');
+      setError(sizeBy === 'dollars'
+        ? 'The amount does not buy the smallest fraction of a share'
+        : 'Quantity must be greater than zero');
+      return;
+    }
+
+    if (orderType === 'limit' && !(parsedLimitPrice > 0)) {
+      setError('Limit price must be greater than zero');
       return;
     }
 
@@ -165,28 +285,68 @@ const StockDetail = () => {
     }
 
     if (action === 'buy') {
-      const totalCost = stock.current_price * quantity;
-      if (totalCost > portfolio.cash_balance) {
+      if (tradeCosts.total > availableCash) {
         setError('You do not have enough cash for this purchase');
         return;
       }
     }
+
+    if (action === 'short' && quantity > maxShortQuantity) {
+      setError('You do not have enough collateral to short this quantity');
+      return;
+    }
+
+    if (action === 'cover' && quantity > maxCoverQuantity) {
+      setError('You cannot cover more shares than you are short or can pay for');
+      return;
+    }
     
     setError(null);
     setSuccess(null);
+
+    if (orderType === 'limit') {
+      setExecuting(true);
+      try {
+        await createOrder({
+          stockId,
+          symbol: stock.symbol,
+          side: action,
+          quantity,
+          limitPrice: parsedLimitPrice,
+          timeInForce
+        });
+        setSuccess(`Limit ${action} order placed for ${formatShares(quantity)} shares of ${stock.symbol} at $${parsedLimitPrice.toFixed(2)}`);
+      } catch (err) {
+        setError(err.message || 'Failed to place limit order. Please try again.');
+      } finally {
+        setExecuting(false);
+      }
+      return;
+    }
+
+    // Market orders are reviewed in the order ticket before they execute
+    setTicket({ action, quantity });
+  };
+
+  // Execute the market order once the ticket is confirmed at an accepted quote
+  const handleTicketConfirm = async (acceptedQuote) => {
+    const { action: ticketAction, quantity: ticketQuantity } = ticket;
     setExecuting(true);
-    
+
     try {
-      await executeTrade(stockId, quantity, action);
+      console.log(`Executing ${ticketAction} of ${ticketQuantity} ${stock.symbol} quoted at $${acceptedQuote.price.toFixed(2)} (live $${acceptedQuote.livePrice.toFixed(2)})`);
+      await executeTrade(stockId, ticketQuantity, ticketAction);
       
       // Refresh portfolio data after successful trade
       const portfolioData = await getUserPortfolio();
       setPortfolio(portfolioData);
       
-      setSuccess(`Successfully ${action === 'buy' ? 'bought' : 'sold'} ${quantity} shares of ${stock.symbol}`);
-      setExecuting(false);
+      const pastTense = { buy: 'bought', sell: 'sold', short: 'shorted', cover: 'covered' }[ticketAction];
+      setSuccess(`Successfully ${pastTense} ${formatShares(ticketQuantity)} shares of ${stock.symbol}`);
     } catch (err) {
       setError(err.message || 'Failed to execute trade. Please try again.');
+    } finally {
+      setTicket(null);
       setExecuting(false);
     }
   };
@@ -199,11 +359,12 @@ const StockDetail = () => {
     return <div className="error">Stock not found</div>;
   }
 
-  // Calculate total cost for the current transaction
-  const totalCost = stock.current_price * quantity;
+  // Value of the current transaction before trading costs
+  const totalCost = executionPrice * quantity;
 
   // Find if the user owns this stock
-  const ownedStock = portfolio?.portfolio_items?.find(item => item.stock_id === stockId);
+  const ownedStock = portfolio?.portfolio_items?.find(item => item.stock_id === stockId && !item.is_short);
+  const shortStock = portfolio?.portfolio_items?.find(item => item.stock_id === stockId && item.is_short);
 
   return (
     <div className="stock-detail-page">
@@ -214,22 +375,44 @@ const StockDetail = () => {
             {stock.symbol} - {stock.name}
             <span className="sector-tag">{stock.sector}</span>
           </h1>
-          <div className={`stock-price ${priceChange ? `price-${priceChange}` : ''}`}>
-            ${stock.current_price.toFixed(2)}
+          <div className="stock-header-actions">
+            <WatchlistButton stockId={stock.id} />
+            <Link to={`/alerts?stock=${stock.id}`} className="alert-link">🔔 Alert</Link>
+            <div className={`stock-price ${priceChange ? `price-${priceChange}` : ''}`}>
+              ${stock.current_price.toFixed(2)}
+            </div>
           </div>
         </div>
         
+        <PriceChart stockId={stockId} />
+        
+        <IndicatorPanel stockId={stockId} />
+        
         <div className="trade-container">
           <div className="user-portfolio-summary">
             <h2>Your Portfolio</h2>
             <p className="cash-balance">Cash: <b>${portfolio?.cash_balance.toFixed(2)}</b></p>
+            {portfolio?.short_collateral > 0 && (
+              <p className="cash-balance">Buying Power: <b>${availableCash.toFixed(2)}</b></p>
+            )}
             
             {ownedStock && (
               <div className="owned-stock">
-                <p>You own: <b>{ownedStock.quantity} shares</b></p>
+                <p>You own: <b>{formatShares(ownedStock.quantity)} shares</b></p>
                 <p>Value: <b>${(ownedStock.quantity * stock.current_price).toFixed(2)}</b></p>
               </div>
             )}
+
+            {shortStock && (
+              <div className="owned-stock short-stock">
+                <p>You are short: <b>{formatShares(shortQuantity)} shares</b></p>
+                <p>Entry Price: <b>${shortStock.entry_price.toFixed(2)}</b></p>
+                <p>
+                  Unrealized P&L:{' '}
+                  <b>${((shortStock.entry_price - stock.current_price) * shortQuantity).toFixed(2)}</b>
+                </p>
+              </div>
+            )}
           </div>
           
           <div className="trade-form-container">
@@ -246,47 +429,185 @@ const StockDetail = () => {
                   onChange={(e) => setAction(e.target.value)}
                   disabled={executing}
                 >
-                  <option value="buy">Buy</option>
+                  <option value="buy" disabled={shortQuantity > 0}>Buy</option>
                   <option value="sell" disabled={!maxSellQuantity}>Sell</option>
+                  <option value="short" disabled={!maxShortQuantity}>Sell Short</option>
+                  <option value="cover" disabled={!shortQuantity}>Buy to Cover</option>
                 </select>
               </div>
               
               <div className="form-group">
-                <label htmlFor="quantity">Quantity</label>
-                <input 
-                  id="quantity" 
-                  type="number" 
-                  min="1" 
-                  max={action === 'buy' ? maxBuyQuantity : maxSellQuantity}
-                  value={quantity} 
-                  onChange={(e) => setQuantity(parseInt(e.target.value) || 1)}
+                <label htmlFor="order-type">Order Type</label>
+                <select
+                  id="order-type"
+                  value={orderType}
+                  onChange={(e) => handleOrderTypeChange(e.target.value)}
                   disabled={executing}
-                />
+                >
+                  <option value="market">Market</option>
+                  <option value="limit" disabled={isShortAction}>Limit</option>
+                </select>
+              </div>
+
+              {orderType === 'limit' && (
+                <>
+                  <div className="form-group">
+                    <label htmlFor="limit-price">Limit Price</label>
+                    <input
+                      id="limit-price"
+                      type="number"
+                      min="0.01"
+                      step="0.01"
+                      value={limitPrice}
+                      onChange={(e) => setLimitPrice(e.target.value)}
+                      disabled={executing}
+                    />
+                    <span className="max-quantity">
+                      Fills when the price {action === 'buy' ? 'falls to or below' : 'rises to or above'} this level
+                    </span>
+                  </div>
+
+                  <div className="form-group">
+                    <label htmlFor="time-in-force">Time in Force</label>
+                    <select
+                      id="time-in-force"
+                      value={timeInForce}
+                      onChange={(e) => setTimeInForce(e.target.value)}
+                      disabled={executing}
+                    >
+                      <option value="gtc">Good 'til Cancelled</option>
+                      <option value="day">Day (24 hours)</option>
+                    </select>
+                  </div>
+                </>
+              )}
+              
+              <div className="form-group">
+                <div className="size-by-toggle">
+                  <button
+                    type="button"
+                    className={sizeBy === 'shares' ? 'active' : ''}
+                    onClick={() => setSizeBy('shares')}
+                    disabled={executing}
+                  >
+                    Shares
+                  </button>
+                  <button
+                    type="button"
+                    className={sizeBy === 'dollars' ? 'active' : ''}
+                    onClick={() => setSizeBy('dollars')}
+                    disabled={executing}
+                  >
+                    Dollars
+                  </button>
+                </div>
+                {sizeBy === 'shares' ? (
+                  <>
+                    <label htmlFor="quantity">Quantity</label>
+                    <input
+                      id="quantity"
+                      type="number"
+                      min={MIN_SHARES}
+                      step="any"
+                      max={maxQuantity}
+                      value={quantityInput}
+                      onChange={(e) => setQuantityInput(e.target.value)}
+                      disabled={executing}
+                    />
+                  </>
+                ) : (
+                  <>
+                    <label htmlFor="dollar-amount">Amount ($)</label>
+                    <input
+                      id="dollar-amount"
+                      type="number"
+                      min="0.01"
+                      step="0.01"
+                      value={dollarAmount}
+                      onChange={(e) => setDollarAmount(e.target.value)}
+                      disabled={executing}
+                    />
+                    <span className="max-quantity">
+                      {action === 'buy' || action === 'cover' ? 'Buys' : 'Sells'} {formatShares(quantity)} shares
+                    </span>
+                  </>
+                )}
                 <span className="max-quantity">
-                  Max: {action === 'buy' ? maxBuyQuantity : maxSellQuantity}
+                  Max: {formatShares(maxQuantity)}
+                  {sizeBy === 'shares' && maxQuantity > 0 && (
+                    <button
+                      type="button"
+                      className="max-button"
+                      onClick={() => setQuantityInput(String(maxQuantity))}
+                      disabled={executing}
+                    >
+                      Use max
+                    </button>
+                  )}
                 </span>
+                {action === 'short' && (
+                  <span className="max-quantity">
+                    Requires ${(totalCost * INITIAL_MARGIN).toFixed(2)} collateral
+                  </span>
+                )}
               </div>
               
               <div className="form-group">
-                <label>Total {action === 'buy' ? 'Cost' : 'Proceeds'}</label>
-                <div className="total-cost">${totalCost.toFixed(2)}</div>
+                <label>Total {action === 'buy' || action === 'cover' ? 'Cost' : 'Proceeds'}</label>
+                <div className="total-cost">${tradeCosts.total.toFixed(2)}</div>
+                <div className="cost-breakdown">
+                  <div className="cost-row">
+                    <span>{formatShares(quantity)} × ${executionPrice.toFixed(2)}</span>
+                    <span>${totalCost.toFixed(2)}</span>
+                  </div>
+                  <div className="cost-row">
+                    <span>Slippage (fill at ${tradeCosts.execution_price.toFixed(2)})</span>
+                    <span>${tradeCosts.slippage.toFixed(2)}</span>
+                  </div>
+                  <div className="cost-row">
+                    <span>Commission</span>
+                    <span>${tradeCosts.commission.toFixed(2)}</span>
+                  </div>
+                  <div className="cost-row">
+                    <span>Fee ({feeModel.percentFee}%)</span>
+                    <span>${tradeCosts.percent_fee.toFixed(2)}</span>
+                  </div>
+                </div>
               </div>
               
               <button 
                 type="submit" 
                 className={`trade-button ${action}-button`}
-                disabled={
-                  executing || 
-                  (action === 'buy' && maxBuyQuantity === 0) || 
-                  (action === 'sell' && maxSellQuantity === 0)
-                }
+                disabled={executing || maxQuantity === 0}
               >
-                {executing ? 'Processing...' : `${action === 'buy' ? 'Buy' : 'Sell'} ${stock.symbol}`}
+                {executing
+                  ? 'Processing...'
+                  : `${orderType === 'limit' ? 'Place Limit ' : ''}${{ buy: 'Buy', sell: 'Sell', short: 'Short', cover: 'Cover' }[action]} ${stock.symbol}`}
               </button>
             </form>
           </div>
         </div>
         
+        <OpenOrders stockId={stockId} />
+
+        <WhatIfSimulator portfolio={portfolio} stock={stock} draftTrade={{ action, quantity }} />
+
+        {ticket && (
+          <OrderTicket
+            stock={stock}
+            action={ticket.action}
+            quantity={ticket.quantity}
+            cashBalance={ticket.action === 'cover' ? portfolio?.cash_balance ?? 0 : availableCash}
+            position={ticket.action === 'short' || ticket.action === 'cover'
+              ? -shortQuantity
+              : ownedStock?.quantity || 0}
+            feeModel={feeModel}
+            executing={executing}
+            onConfirm={handleTicketConfirm}
+            onCancel={() => setTicket(null)}
+          />
+        )}
+        
         <div className="action-buttons">
           <button onClick={() => navigate('/stocks')} className="back-button">
             Back to Stocks
@@ -1,8 +1,9 @@
 import React, { useState, useEffect } from 'react';
-import { Link } from 'react-router-dom';
+import { Link, useNavigate } from 'react-router-dom';
 import { getAllStocks } from '../services/stock';
 import { initWebSocket, addListener, closeWebSocket, getLatestPrice } from '../services/websocket';
 import Navigation from '../components/Navigation';
+import WatchlistButton from '../components/WatchlistButton';
 import './StockList.css';
 
 const StockList = () => {
@@ -12,6 +13,9 @@ const StockList = () => {
   const [searchTerm, setSearchTerm] = useState('');
   const [sortBy, setSortBy] = useState('symbol');
   const [sortDirection, setSortDirection] = useState('asc');
+  // Stocks picked for a basket trade
+  const [selectedIds, setSelectedIds] = useState([]);
+  const navigate = useNavigate();
 
   // Fetch stocks
   const fetchStocks = async () => {
@@ -112,6 +116,17 @@ const StockList = () => {
     }
   };
 
+  // Add or remove a stock from the basket selection
+  const toggleSelected = (stockId) => {
+    setSelectedIds(prevIds => (prevIds.includes(stockId)
+      ? prevIds.filter(id => id !== stockId)
+      : [...prevIds, stockId]));
+  };
+
+  const handleBasketTrade = () => {
+    navigate(`/basket?stocks=${selectedIds.join(',')}`);
+  };
+
   // Filter and sort stocks
   const filteredAndSortedStocks = stocks
     .filter(stock => 
@@ -172,12 +187,21 @@ const StockList = () => {
             onChange={(e) => setSearchTerm(e.target.value)}
             className="stock-search"
           />
+          <button
+            className="basket-button"
+            onClick={handleBasketTrade}
+            disabled={selectedIds.length === 0}
+            title="Trade the selected stocks together"
+          >
+            Basket Trade{selectedIds.length > 0 ? ` (${selectedIds.length})` : ''}
+          </button>
         </div>
         
         {/* Stocks table */}
         <table className="stock-table">
           <thead>
             <tr>
+              <th className="select-cell"></th>
               <th onClick={() => handleSortChange('symbol')}>
                 Symbol {sortBy === 'symbol' && (sortDirection === 'asc' ? '▲' : '▼')}
               </th>
@@ -199,14 +223,25 @@ const StockList = () => {
                 key={stock.id} 
                 className={stock.priceChange ? `price-${stock.priceChange}` : ''}
               >
+                <td className="select-cell">
+                  <input
+                    type="checkbox"
+                    checked={selectedIds.includes(stock.id)}
+                    onChange={() => toggleSelected(stock.id)}
+                    aria-label={`Select ${stock.symbol} for a basket trade`}
+                  />
+                </td>
                 <td>{stock.symbol}</td>
                 <td>{stock.name}</td>
                 <td>{stock.sector}</td>
                 <td className="price-cell">${stock.current_price.toFixed(2)}</td>
                 <td>
-                  <Link to={`/stock/${stock.id}`} className="trade-button">
-                    Trade
-                  </Link>
+                  <div className="action-cell">
+                    <Link to={`/stock/${stock.id}`} className="trade-button">
+                      Trade
+                    </Link>
+                    <WatchlistButton stockId={stock.id} />
+                  </div>
                 </td>
               </tr>
             ))}
@@ -1,10 +1,13 @@
 import React, { useState, useEffect } from 'react';
 import Navigation from '../components/Navigation';
 import { getTransactionHistory } from '../services/stock';
+import { getOrderHistory } from '../services/orders';
+import { formatShares } from '../utils/shares';
 import './Transactions.css';
 
 const Transactions = () => {
   const [transactions, setTransactions] = useState([]);
+  const [orderEvents, setOrderEvents] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [typeFilter, setTypeFilter] = useState('all');
@@ -17,9 +20,13 @@ const Transactions = () => {
       setLoading(true);
       setError(null);
       
-      const data = await getTransactionHistory(limit, offset);
+      const [data, orderHistory] = await Promise.all([
+        getTransactionHistory(limit, offset),
+        getOrderHistory(500)
+      ]);
       
       setTransactions(data);
+      setOrderEvents(orderHistory);
       setHasMore(data.length === limit);
       setLoading(false);
     } catch (err) {
@@ -36,11 +43,35 @@ const Transactions = () => {
     fetchTransactions();
   };
 
-  const filteredTransactions = transactions.filter(transaction => {
-    if (typeFilter === 'all') return true;
-    return transaction.transaction_type === typeFilter;
+  // Order status changes shown as history rows alongside executed trades
+  const orderRows = orderEvents.map(event => ({
+    id: `order-event-${event.id}`,
+    created_at: event.created_at,
+    stock: { symbol: event.symbol },
+    transaction_type: 'order',
+    order_side: event.side,
+    order_status: event.status,
+    reason: event.reason,
+    quantity: event.quantity,
+    price: event.fill_price || event.limit_price
+  }));
+
+  // Only merge order events that fall within the time span of the current page
+  const pageTimes = transactions.map(t => new Date(t.created_at).getTime());
+  const newestOnPage = offset === 0 || pageTimes.length === 0 ? Infinity : Math.max(...pageTimes);
+  const oldestOnPage = !hasMore || pageTimes.length === 0 ? -Infinity : Math.min(...pageTimes);
+  const orderRowsOnPage = orderRows.filter(row => {
+    const time = new Date(row.created_at).getTime();
+    return time <= newestOnPage && time >= oldestOnPage;
   });
 
+  const filteredTransactions = (typeFilter === 'order' ? orderRows : [...transactions, ...orderRowsOnPage])
+    .filter(transaction => {
+      if (typeFilter === 'all') return true;
+      return transaction.transaction_type === typeFilter;
+    })
+    .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+
   const formatCurrency = (value) => {
     return `$${value.toFixed(2).replace(/\d(?=(\d{3})+\.)/g, '$&,')}`;
   };
@@ -97,6 +128,9 @@ const Transactions = () => {
               <option value="all">All Transactions</option>
               <option value="buy">Buy Orders</option>
               <option value="sell">Sell Orders</option>
+              <option value="short">Short Sales</option>
+              <option value="cover">Short Covers</option>
+              <option value="order">Limit Orders</option>
             </select>
           </div>
           
@@ -131,6 +165,7 @@ const Transactions = () => {
                   <th>Type</th>
                   <th>Quantity</th>
                   <th className="value">Price</th>
+                  <th className="value">Costs</th>
                   <th className="value">Total</th>
                 </tr>
               </thead>
@@ -140,13 +175,34 @@ const Transactions = () => {
                     <td>{formatDate(transaction.created_at)}</td>
                     <td className="stock-symbol">{transaction.stock.symbol}</td>
                     <td>
-                      <span className={`transaction-type ${transaction.transaction_type}`}>
-                        {transaction.transaction_type}
-                      </span>
+                      {transaction.transaction_type === 'order' ? (
+                        <span
+                          className={`transaction-type order order-${transaction.order_status}`}
+                          title={transaction.reason || ''}
+                        >
+                          Limit {transaction.order_side} · {transaction.order_status}
+                        </span>
+                      ) : (
+                        <span className={`transaction-type ${transaction.transaction_type}`}>
+                          {transaction.transaction_type}
+                        </span>
+                      )}
                     </td>
-                    <td>{transaction.quantity}</td>
+                    <td>{formatShares(transaction.quantity)}</td>
                     <td className="value">{formatCurrency(transaction.price)}</td>
-                    <td className="value">{formatCurrency(transaction.quantity * transaction.price)}</td>
+                    <td
+                      className="value"
+                      title={transaction.net_amount !== undefined
+                        ? `Filled at ${formatCurrency(transaction.execution_price)}, fees ${formatCurrency(transaction.fees)}, slippage ${formatCurrency(transaction.slippage)}`
+                        : ''}
+                    >
+                      {transaction.net_amount !== undefined
+                        ? formatCurrency(transaction.fees + transaction.slippage)
+                        : '—'}
+                    </td>
+                    <td className="value">
+                      {formatCurrency(transaction.net_amount ?? transaction.quantity * transaction.price)}
+                    </td>
                   </tr>
                 ))}
               </tbody>
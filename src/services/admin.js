@@ -732,20 +732,10 @@ export const resetStockPrices = async () => {
           const stocks = JSON.parse(mockStocksJson);
           stockCount = stocks.length;
           
-          // Reset each stock to its original price
-          const defaultPrices = {
-            "AAPL": 175.34,
-            "MSFT": 320.45,
-            "AMZN": 128.95,
-            "GOOGL": 145.60,
-            "FB": 302.75
-          };
-  
-          // Reset the prices (use default prices for known symbols, or set to 100 for custom stocks)
+          // Reset the prices to each stock's fair value (100.00 for stocks without one)
           // Ensure all prices are at least $1.00 (minimum enforced by backend)
           const resetStocks = stocks.map(stock => {
-            // Get price from defaults or use 100.00
-            let price = defaultPrices[stock.symbol] || 100.00;
+            let price = Number(stock.fair_value) || 100.00;
             
             // Enforce $1.00 minimum price
             if (price < 1.00) {
@@ -985,6 +975,7 @@ export const adminGetAllStocks = async () => {
         symbol: "AAPL", 
         name: "Apple Inc.", 
         current_price: 175.34,
+        fair_value: 175.34,
         description: "Technology company that designs, manufactures, and markets smartphones, tablets, and computers.",
         sector: "Technology",
         volume: 25000000,
@@ -995,6 +986,7 @@ export const adminGetAllStocks = async () => {
         symbol: "MSFT", 
         name: "Microsoft Corporation", 
         current_price: 320.45,
+        fair_value: 320.45,
         description: "Technology company that develops and supports software and services.",
         sector: "Technology",
         volume: 18000000,
@@ -1005,6 +997,7 @@ export const adminGetAllStocks = async () => {
         symbol: "AMZN", 
         name: "Amazon.com, Inc.", 
         current_price: 128.95,
+        fair_value: 128.95,
         description: "E-commerce and cloud computing company.",
         sector: "Consumer Cyclical",
         volume: 22000000,
@@ -1015,6 +1008,7 @@ export const adminGetAllStocks = async () => {
         symbol: "GOOGL", 
         name: "Alphabet Inc.", 
         current_price: 145.60,
+        fair_value: 145.60,
         description: "Technology company specializing in internet-related services and products.",
         sector: "Communication Services",
         volume: 15000000,
@@ -1025,6 +1019,7 @@ export const adminGetAllStocks = async () => {
         symbol: "FB", 
         name: "Meta Platforms, Inc.", 
         current_price: 302.75,
+        fair_value: 302.75,
         description: "Social media conglomerate corporation.",
         sector: "Communication Services",
         volume: 12000000,
@@ -1035,6 +1030,7 @@ export const adminGetAllStocks = async () => {
         symbol: "TSLA", 
         name: "Tesla, Inc.", 
         current_price: 245.30,
+        fair_value: 245.30,
         description: "Electric vehicle and clean energy company.",
         sector: "Automotive",
         volume: 30000000,
@@ -1045,6 +1041,7 @@ export const adminGetAllStocks = async () => {
         symbol: "NFLX", 
         name: "Netflix, Inc.", 
         current_price: 552.80,
+        fair_value: 552.80,
         description: "Streaming service and production company.",
         sector: "Entertainment",
         volume: 8500000,
@@ -1055,6 +1052,7 @@ export const adminGetAllStocks = async () => {
         symbol: "NVDA", 
         name: "NVIDIA Corporation", 
         current_price: 468.25,
+        fair_value: 468.25,
         description: "Technology company specializing in graphics processing units (GPUs).",
         sector: "Technology",
         volume: 16500000,
@@ -1065,6 +1063,7 @@ export const adminGetAllStocks = async () => {
         symbol: "DIS", 
         name: "The Walt Disney Company", 
         current_price: 105.45,
+        fair_value: 105.45,
         description: "Media and entertainment conglomerate.",
         sector: "Entertainment",
         volume: 10500000,
@@ -1075,6 +1074,7 @@ export const adminGetAllStocks = async () => {
         symbol: "JPM", 
         name: "JPMorgan Chase & Co.", 
         current_price: 175.15,
+        fair_value: 175.15,
         description: "Global financial services firm and banking institution.",
         sector: "Financial",
         volume: 9800000,
@@ -0,0 +1,382 @@
+/**
+ * Price alerts service for frontend
+ * Handles alerts on price levels, percentage moves and company news for a stock
+ *
+ * Alerts are kept in localStorage per user and evaluated against every stock update
+ * and company event (real WebSocket and market event generator). When an alert fires
+ * it is shown as an in-app toast, and as a browser notification while the tab is hidden.
+ */
+
+import { getUserId } from './auth';
+import { subscribeToStockUpdates, subscribeToMarketEvents } from './websocket';
+
+// Local storage keys - suffixed with the user ID
+const ALERTS_STORAGE_KEY = 'officestonks_alerts';
+const NOTIFICATIONS_STORAGE_KEY = 'officestonks_alert_notifications';
+
+// Maximum number of fired alert notifications kept for the alerts page
+const MAX_NOTIFICATIONS = 200;
+
+export const ALERT_TYPE = {
+  PRICE_ABOVE: 'price_above',
+  PRICE_BELOW: 'price_below',
+  PERCENT_MOVE: 'percent_move',
+  COMPANY_EVENT: 'company_event'
+};
+
+export const ALERT_TYPE_LABELS = {
+  [ALERT_TYPE.PRICE_ABOVE]: 'Price above',
+  [ALERT_TYPE.PRICE_BELOW]: 'Price below',
+  [ALERT_TYPE.PERCENT_MOVE]: 'Moves more than',
+  [ALERT_TYPE.COMPANY_EVENT]: 'Any company news'
+};
+
+export const ALERT_STATUS = {
+  ACTIVE: 'active',
+  TRIGGERED: 'triggered',
+  CANCELLED: 'cancelled'
+};
+
+const storageKey = (baseKey) => `${baseKey}_${getUserId() || 'guest'}`;
+
+/**
+ * Read a JSON array from localStorage
+ * @param {string} baseKey - Storage key without the user suffix
+ * @returns {Array} Stored items or an empty array
+ */
+const loadList = (baseKey) => {
+  try {
+    const json = localStorage.getItem(storageKey(baseKey));
+    const list = json ? JSON.parse(json) : [];
+    return Array.isArray(list) ? list : [];
+  } catch (e) {
+    console.error(`Error reading ${baseKey} from localStorage:`, e);
+    return [];
+  }
+};
+
+const saveList = (baseKey, list) => {
+  localStorage.setItem(storageKey(baseKey), JSON.stringify(list));
+};
+
+/**
+ * Notify components that alerts changed
+ * @param {Object} alert - The alert that changed
+ */
+const dispatchAlertsUpdated = (alert) => {
+  document.dispatchEvent(new CustomEvent('alerts-updated', {
+    detail: { alert, timestamp: new Date().toISOString() }
+  }));
+};
+
+/**
+ * Describe an alert's rule in words
+ * @param {Object} alert - Alert to describe
+ * @returns {string} Description such as "AAPL above $180.00"
+ */
+export const describeAlert = (alert) => {
+  switch (alert.type) {
+    case ALERT_TYPE.PRICE_ABOVE:
+      return `${alert.symbol} above $${alert.threshold.toFixed(2)}`;
+    case ALERT_TYPE.PRICE_BELOW:
+      return `${alert.symbol} below $${alert.threshold.toFixed(2)}`;
+    case ALERT_TYPE.PERCENT_MOVE:
+      return `${alert.symbol} moves ${alert.threshold}% from $${alert.reference_price.toFixed(2)}`;
+    case ALERT_TYPE.COMPANY_EVENT:
+      return `Company news for ${alert.symbol}`;
+    default:
+      return alert.symbol;
+  }
+};
+
+/**
+ * Check whether a price alert's condition holds at the given price
+ * @param {Object} alert - Price alert
+ * @param {number} price - Latest market price
+ * @returns {boolean} True if the condition holds
+ */
+export const isAlertConditionMet = (alert, price) => {
+  if (!alert || !price) return false;
+
+  switch (alert.type) {
+    case ALERT_TYPE.PRICE_ABOVE:
+      return price >= alert.threshold;
+    case ALERT_TYPE.PRICE_BELOW:
+      return price <= alert.threshold;
+    case ALERT_TYPE.PERCENT_MOVE:
+      return Math.abs((price - alert.reference_price) / alert.reference_price) * 100 >= alert.threshold;
+    default:
+      return false;
+  }
+};
+
+/**
+ * Check whether a price alert should fire at the given price
+ * Repeating level alerts only fire again once the price has gone back across the level
+ * @param {Object} alert - Active alert
+ * @param {number} price - Latest market price
+ * @returns {boolean} True if the alert should fire
+ */
+export const shouldFireAlert = (alert, price) => {
+  if (!alert || alert.status !== ALERT_STATUS.ACTIVE) return false;
+  return isAlertConditionMet(alert, price) && !alert.condition_met;
+};
+
+/**
+ * Get alerts for the current user
+ * @param {number|null} stockId - Optional stock ID to filter by
+ * @param {boolean} activeOnly - Only return active alerts
+ * @returns {Promise<Array>} List of alerts, newest first
+ */
+export const getAlerts = async (stockId = null, activeOnly = false) => {
+  return loadList(ALERTS_STORAGE_KEY)
+    .filter(alert =>
+      (stockId === null || alert.stock_id === Number(stockId)) &&
+      (!activeOnly || alert.status === ALERT_STATUS.ACTIVE)
+    )
+    .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+};
+
+/**
+ * Get the most recent fired alert notifications
+ * @param {number} limit - Max number of notifications to return
+ * @returns {Array} Notifications, newest first
+ */
+export const getAlertNotifications = (limit = 50) => {
+  return loadList(NOTIFICATIONS_STORAGE_KEY).slice(0, limit);
+};
+
+/**
+ * Create an alert
+ * @param {Object} params - Alert parameters
+ * @param {number} params.stockId - ID of the stock
+ * @param {string} params.symbol - Stock symbol (for display)
+ * @param {string} params.type - One of ALERT_TYPE
+ * @param {number} params.threshold - Price for level alerts, percentage for move alerts
+ * @param {number} params.currentPrice - Price when the alert is set (reference for move alerts)
+ * @param {boolean} params.repeat - Keep the alert active after it fires
+ * @returns {Promise<Object>} The new alert
+ */
+export const createAlert = async ({ stockId, symbol, type, threshold, currentPrice, repeat = false }) => {
+  if (!Object.values(ALERT_TYPE).includes(type)) {
+    throw new Error(`Invalid alert type: ${type}`);
+  }
+  if (type !== ALERT_TYPE.COMPANY_EVENT && (!threshold || threshold <= 0)) {
+    throw new Error('Alert level must be greater than zero');
+  }
+  if (type === ALERT_TYPE.PERCENT_MOVE && !currentPrice) {
+    throw new Error('A current price is required for a percentage move alert');
+  }
+
+  const alert = {
+    id: `alert-${Date.now()}-${Math.random().toString(36).substring(2, 8)}`,
+    stock_id: Number(stockId),
+    symbol,
+    type,
+    threshold: type === ALERT_TYPE.COMPANY_EVENT ? null : Number(threshold),
+    reference_price: currentPrice || null,
+    repeat: !!repeat,
+    status: ALERT_STATUS.ACTIVE,
+    trigger_count: 0,
+    created_at: new Date().toISOString()
+  };
+
+  // A level that is already crossed waits for the price to come back before firing
+  alert.condition_met = type !== ALERT_TYPE.PERCENT_MOVE && isAlertConditionMet(alert, currentPrice);
+
+  const alerts = loadList(ALERTS_STORAGE_KEY);
+  alerts.push(alert);
+  saveList(ALERTS_STORAGE_KEY, alerts);
+
+  dispatchAlertsUpdated(alert);
+  console.log(`Created alert: ${describeAlert(alert)}`);
+
+  return alert;
+};
+
+/**
+ * Update a stored alert
+ * @param {string} alertId - ID of the alert
+ * @param {Object} changes - Fields to update
+ * @param {boolean} notify - Dispatch an alerts-updated event
+ * @returns {Object|null} The updated alert or null if not found
+ */
+const updateAlert = (alertId, changes, notify = true) => {
+  const alerts = loadList(ALERTS_STORAGE_KEY);
+  const index = alerts.findIndex(a => a.id === alertId);
+  if (index === -1) return null;
+
+  alerts[index] = { ...alerts[index], ...changes };
+  saveList(ALERTS_STORAGE_KEY, alerts);
+
+  if (notify) {
+    dispatchAlertsUpdated(alerts[index]);
+  }
+  return alerts[index];
+};
+
+/**
+ * Cancel an alert
+ * @param {string} alertId - ID of the alert
+ * @returns {Promise<Object>} The cancelled alert
+ */
+export const cancelAlert = async (alertId) => {
+  const alert = updateAlert(alertId, { status: ALERT_STATUS.CANCELLED });
+  if (!alert) {
+    throw new Error(`Alert ${alertId} not found`);
+  }
+  return alert;
+};
+
+/**
+ * Make a triggered or cancelled alert active again
+ * @param {string} alertId - ID of the alert
+ * @param {number} currentPrice - Current price (new reference for move alerts)
+ * @returns {Promise<Object>} The re-armed alert
+ */
+export const rearmAlert = async (alertId, currentPrice) => {
+  const existing = loadList(ALERTS_STORAGE_KEY).find(a => a.id === alertId);
+  if (!existing) {
+    throw new Error(`Alert ${alertId} not found`);
+  }
+
+  const changes = { status: ALERT_STATUS.ACTIVE };
+  if (existing.type === ALERT_TYPE.PERCENT_MOVE) {
+    changes.reference_price = currentPrice || existing.reference_price;
+    changes.condition_met = false;
+  } else {
+    changes.condition_met = isAlertConditionMet(existing, currentPrice);
+  }
+
+  return updateAlert(alertId, changes);
+};
+
+/**
+ * Delete every fired notification from the history
+ */
+export const clearAlertNotifications = () => {
+  saveList(NOTIFICATIONS_STORAGE_KEY, []);
+  dispatchAlertsUpdated(null);
+};
+
+/**
+ * Ask the browser for permission to show notifications
+ * @returns {Promise<string>} 'granted', 'denied', 'default' or 'unsupported'
+ */
+export const requestNotificationPermission = async () => {
+  if (typeof window === 'undefined' || !('Notification' in window)) {
+    return 'unsupported';
+  }
+  if (Notification.permission !== 'default') {
+    return Notification.permission;
+  }
+  return Notification.requestPermission();
+};
+
+/**
+ * Deliver a fired alert: history entry, in-app toast and browser notification
+ * @param {Object} alert - Alert that fired
+ * @param {string} message - What happened
+ */
+const deliverAlert = (alert, message) => {
+  const notification = {
+    id: `${alert.id}-${Date.now()}`,
+    alert_id: alert.id,
+    stock_id: alert.stock_id,
+    symbol: alert.symbol,
+    message,
+    timestamp: new Date().toISOString()
+  };
+
+  saveList(NOTIFICATIONS_STORAGE_KEY, [notification, ...loadList(NOTIFICATIONS_STORAGE_KEY)].slice(0, MAX_NOTIFICATIONS));
+
+  // In-app toast
+  document.dispatchEvent(new CustomEvent('alert-triggered', {
+    detail: { alert, notification, timestamp: notification.timestamp }
+  }));
+
+  // Browser notification when the user is looking at another tab
+  if (document.hidden && typeof window !== 'undefined' && 'Notification' in window &&
+      Notification.permission === 'granted') {
+    try {
+      new Notification(`OfficeStonks alert: ${alert.symbol}`, { body: message, tag: alert.id });
+    } catch (error) {
+      console.error('Error showing browser notification:', error);
+    }
+  }
+
+  console.log(`Alert fired: ${message}`);
+};
+
+/**
+ * Mark an alert as fired, keeping repeating alerts active
+ * @param {Object} alert - Alert that fired
+ * @param {Object} changes - Extra fields to update
+ */
+const markFired = (alert, changes = {}) => {
+  updateAlert(alert.id, {
+    ...changes,
+    status: alert.repeat ? ALERT_STATUS.ACTIVE : ALERT_STATUS.TRIGGERED,
+    trigger_count: (alert.trigger_count || 0) + 1,
+    triggered_at: new Date().toISOString()
+  });
+};
+
+/**
+ * Evaluate active price alerts against a stock price update
+ * @param {Object} update - Stock update with stock_id and price
+ */
+const handleStockUpdate = (update) => {
+  loadList(ALERTS_STORAGE_KEY)
+    .filter(alert =>
+      alert.stock_id === update.stock_id &&
+      alert.status === ALERT_STATUS.ACTIVE &&
+      alert.type !== ALERT_TYPE.COMPANY_EVENT
+    )
+    .forEach(alert => {
+      const met = isAlertConditionMet(alert, update.price);
+
+      if (shouldFireAlert(alert, update.price)) {
+        const price = `$${update.price.toFixed(2)}`;
+        const message = alert.type === ALERT_TYPE.PERCENT_MOVE
+          ? `${alert.symbol} moved ${(((update.price - alert.reference_price) / alert.reference_price) * 100).toFixed(2)}% to ${price}`
+          : `${alert.symbol} is ${alert.type === ALERT_TYPE.PRICE_ABOVE ? 'above' : 'below'} $${alert.threshold.toFixed(2)} at ${price}`;
+
+        deliverAlert(alert, message);
+
+        // Repeating move alerts measure the next move from here
+        markFired(alert, alert.type === ALERT_TYPE.PERCENT_MOVE
+          ? { reference_price: update.price, condition_met: false, fired_price: update.price }
+          : { condition_met: true, fired_price: update.price });
+      } else if (alert.condition_met && !met) {
+        // Price went back across the level - the alert can fire again
+        updateAlert(alert.id, { condition_met: false }, false);
+      }
+    });
+};
+
+/**
+ * Fire company news alerts for the stocks an event is about
+ * @param {Object} event - Market, sector or company event
+ */
+const handleMarketEvent = (event) => {
+  if (event.type !== 'company_event' && event.event_type !== 'company_event') return;
+
+  const stockIds = (event.related_stocks || event.stock_ids || []).map(Number);
+  if (stockIds.length === 0) return;
+
+  loadList(ALERTS_STORAGE_KEY)
+    .filter(alert =>
+      alert.type === ALERT_TYPE.COMPANY_EVENT &&
+      alert.status === ALERT_STATUS.ACTIVE &&
+      stockIds.includes(alert.stock_id)
+    )
+    .forEach(alert => {
+      deliverAlert(alert, event.headline || event.name || `New company event for ${alert.symbol}`);
+      markFired(alert);
+    });
+};
+
+// Evaluate alerts for the rest of the session as soon as the service is loaded
+subscribeToStockUpdates(handleStockUpdate);
+subscribeToMarketEvents(handleMarketEvent);
@@ -74,6 +74,17 @@ const storeAuthData = (data) => {
   } else {
     console.log("No admin status in response");
   }
+
+  dispatchAuthChanged();
+};
+
+/**
+ * Notify services that keep per-user state that the user changed
+ */
+const dispatchAuthChanged = () => {
+  document.dispatchEvent(new CustomEvent('auth-changed', {
+    detail: { userId: getUserId(), timestamp: new Date().toISOString() }
+  }));
 };
 
 /**
@@ -84,6 +95,7 @@ export const logout = () => {
   localStorage.removeItem('userId');
   localStorage.removeItem('isAdmin');
   localStorage.removeItem('username');
+  dispatchAuthChanged();
   window.location.href = '/login';
 };
 
@@ -0,0 +1,615 @@
+/**
+ * Trading bot service for frontend
+ * Runs user-written bot scripts, each in its own Web Worker
+ *
+ * A bot script registers handlers with onPriceUpdate and onNewsEvent, reads the `portfolio`
+ * object and places orders with buy and sell. The worker is fed from the session price and
+ * event feeds. Before the bot's code runs, the worker deletes every global not in BOT_GLOBALS
+ * (network, storage, script loading) and stops code being built from strings, so the bot cannot
+ * reach the network or the page. Every order it asks for is checked here against the bot's trade
+ * rate limit before going through executeTrade.
+ *
+ * Bot definitions are kept in localStorage per user and bots that were running start again when
+ * the app is next opened or the user logs back in. Bots only ever run for the logged in user:
+ * logging out or switching users stops them all. The log console is kept in memory for the session.
+ */
+
+import { getUserId, isAuthenticated } from './auth';
+import { executeTrade, getUserPortfolio, getAllStocks } from './stock';
+import { subscribeToStockUpdates, subscribeToMarketEvents } from './websocket';
+import { checkRateLimit, validateBotOrder, checkBotScript, BOT_GLOBALS } from '../utils/bots';
+import { formatShares } from '../utils/shares';
+
+// Local storage key - suffixed with the user ID
+const BOTS_STORAGE_KEY = 'officestonks_bots';
+
+// Log entries kept per bot
+const MAX_LOG_ENTRIES = 200;
+
+// How long to wait after a trade before sending bots the new portfolio
+const PORTFOLIO_REFRESH_DELAY_MS = 500;
+
+export const DEFAULT_MAX_TRADES_PER_MINUTE = 5;
+
+export const BOT_STATUS = {
+  RUNNING: 'running',
+  STOPPED: 'stopped'
+};
+
+export const EXAMPLE_BOT_CODE = `// Buy DIS below $100 and sell everything above $115
+onPriceUpdate(function (update) {
+  if (update.symbol !== 'DIS') return;
+
+  var held = portfolio.positions.DIS || 0;
+  if (update.price < 100 && held === 0 && portfolio.cash > update.price) {
+    buy('DIS', 1);
+  } else if (update.price > 115 && held > 0) {
+    sell('DIS', held);
+  }
+});
+
+onNewsEvent(function (event) {
+  if (event.importance >= 4) log('Big news:', event.headline);
+});
+`;
+
+// Runs inside the worker. Kept to plain ES5 because it is shipped as source, not through the build,
+// and wrapped in a function so none of it is a global the bot could reach.
+const BOT_WORKER_SOURCE = `
+(function () {
+  'use strict';
+  var ALLOWED_GLOBALS = ${JSON.stringify(BOT_GLOBALS)};
+  var send = self.postMessage.bind(self);
+  var listen = self.addEventListener.bind(self);
+  var compile = Function;
+  var priceHandlers = [];
+  var newsHandlers = [];
+  var portfolio = { cash: 0, total_value: 0, positions: {} };
+  var pending = {};
+  var nextOrderId = 1;
+
+  function format(args) {
+    return Array.prototype.map.call(args, function (arg) {
+      if (typeof arg === 'string') return arg;
+      try { return JSON.stringify(arg); } catch (e) { return String(arg); }
+    }).join(' ');
+  }
+
+  function log(level, args) {
+    send({ type: 'log', level: level, message: format(args) });
+  }
+
+  function order(action, stock, quantity) {
+    var id = nextOrderId++;
+    send({ type: 'order', id: id, action: action, stock: stock, quantity: quantity });
+    return new Promise(function (resolve) { pending[id] = resolve; });
+  }
+
+  function run(handlers, payload) {
+    handlers.forEach(function (handler) {
+      try {
+        var result = handler(payload);
+        if (result && typeof result.catch === 'function') {
+          result.catch(function (e) { log('error', ['Handler error:', e && e.message ? e.message : String(e)]); });
+        }
+      } catch (e) {
+        log('error', ['Handler error:', e && e.message ? e.message : String(e)]);
+      }
+    });
+  }
+
+  // Timers only take functions; a string would be run as code
+  function wrapTimer(name) {
+    var timer = self[name].bind(self);
+    self[name] = function (handler) {
+      if (typeof handler !== 'function') throw new TypeError(name + ' needs a function');
+      return timer.apply(null, arguments);
+    };
+  }
+
+  // Take away everything but the allowed globals, and code made from strings, which could
+  // reach import(). Returns the names that could not be taken away.
+  function lockDown() {
+    var blocked = function () { throw new Error('Bots cannot create code from strings'); };
+    ['function () {}', 'function* () {}', 'async function () {}', 'async function* () {}'].forEach(function (source) {
+      try {
+        Object.defineProperty(Object.getPrototypeOf(compile('return ' + source)()), 'constructor', { value: blocked });
+      } catch (err) {}
+    });
+    wrapTimer('setTimeout');
+    wrapTimer('setInterval');
+
+    var exposed = [];
+    for (var scope = self; scope && scope !== Object.prototype; scope = Object.getPrototypeOf(scope)) {
+      Object.getOwnPropertyNames(scope).forEach(function (name) {
+        if (ALLOWED_GLOBALS.indexOf(name) !== -1) return;
+        try { delete scope[name]; } catch (err) {}
+
+        var left = Object.getOwnPropertyDescriptor(scope, name);
+        if (left && !left.get && left.writable) {
+          Object.defineProperty(scope, name, { value: undefined, writable: false });
+          left = Object.getOwnPropertyDescriptor(scope, name);
+        }
+        if (left && (left.get || left.value !== undefined)) exposed.push(name);
+      });
+    }
+    return exposed;
+  }
+
+  function updatePortfolio(next) {
+    portfolio.cash = next.cash;
+    portfolio.total_value = next.total_value;
+    portfolio.positions = next.positions;
+  }
+
+  listen('message', function (e) {
+    var message = e.data;
+
+    if (message.type === 'init') {
+      updatePortfolio(message.portfolio);
+
+      var exposed = lockDown();
+      if (exposed.length > 0) {
+        send({ type: 'failed', message: 'the worker could not be locked down (' + exposed.join(', ') + ' left)' });
+        return;
+      }
+
+      try {
+        var script = compile(
+          'onPriceUpdate', 'onNewsEvent', 'buy', 'sell', 'log', 'portfolio',
+          '"use strict";\\n' + message.code
+        );
+        script(
+          function (handler) { if (typeof handler === 'function') priceHandlers.push(handler); },
+          function (handler) { if (typeof handler === 'function') newsHandlers.push(handler); },
+          function (stock, quantity) { return order('buy', stock, quantity); },
+          function (stock, quantity) { return order('sell', stock, quantity); },
+          function () { log('info', arguments); },
+          portfolio
+        );
+        send({ type: 'ready', handlers: { price: priceHandlers.length, news: newsHandlers.length } });
+      } catch (err) {
+        send({ type: 'failed', message: err && err.message ? err.message : String(err) });
+      }
+    } else if (message.type === 'price') {
+      run(priceHandlers, message.update);
+    } else if (message.type === 'news') {
+      run(newsHandlers, message.event);
+    } else if (message.type === 'portfolio') {
+      updatePortfolio(message.portfolio);
+    } else if (message.type === 'order-result') {
+      if (pending[message.id]) {
+        pending[message.id](message.result);
+        delete pending[message.id];
+      }
+    }
+  });
+}());
+`;
+
+// Running workers by bot ID: { worker, tradeTimes, stocks }
+// A bot's entry is added as soon as it starts starting, with no worker until its worker is up
+const runtimes = new Map();
+
+// Session log by bot ID, oldest first
+const logs = new Map();
+
+let workerUrl = null;
+let portfolioRefreshTimer = null;
+
+const storageKey = () => `${BOTS_STORAGE_KEY}_${getUserId() || 'guest'}`;
+
+const loadBots = () => {
+  try {
+    const json = localStorage.getItem(storageKey());
+    const list = json ? JSON.parse(json) : [];
+    return Array.isArray(list) ? list : [];
+  } catch (e) {
+    console.error('Error reading bots from localStorage:', e);
+    return [];
+  }
+};
+
+const saveBots = (bots) => {
+  localStorage.setItem(storageKey(), JSON.stringify(bots));
+};
+
+/**
+ * Notify components that a bot changed
+ * @param {Object|null} bot - The bot that changed, or null when several did
+ */
+const dispatchBotsUpdated = (bot) => {
+  document.dispatchEvent(new CustomEvent('bots-updated', {
+    detail: { bot, timestamp: new Date().toISOString() }
+  }));
+};
+
+const updateBot = (botId, changes) => {
+  const bots = loadBots();
+  const index = bots.findIndex(b => b.id === botId);
+  if (index === -1) return null;
+
+  bots[index] = { ...bots[index], ...changes, updated_at: new Date().toISOString() };
+  saveBots(bots);
+  return bots[index];
+};
+
+/**
+ * Add an entry to a bot's log console
+ * @param {string} botId - ID of the bot
+ * @param {string} level - 'info', 'trade', 'warning' or 'error'
+ * @param {string} message - Log message
+ */
+const addLog = (botId, level, message) => {
+  const entry = { time: new Date().toISOString(), level, message };
+  const entries = [...(logs.get(botId) || []), entry].slice(-MAX_LOG_ENTRIES);
+  logs.set(botId, entries);
+
+  document.dispatchEvent(new CustomEvent('bot-log', {
+    detail: { botId, entry, timestamp: entry.time }
+  }));
+};
+
+/**
+ * Portfolio as bots see it: cash, total value and shares by symbol (negative for shorts)
+ * @returns {Promise<Object>} { cash, total_value, positions }
+ */
+const fetchBotPortfolio = async () => {
+  const portfolio = await getUserPortfolio();
+  const positions = {};
+  (portfolio?.portfolio_items || []).forEach(item => {
+    if (item && item.stock) positions[item.stock.symbol] = item.quantity;
+  });
+
+  return {
+    cash: portfolio?.buying_power ?? portfolio?.cash_balance ?? 0,
+    total_value: portfolio?.total_value ?? 0,
+    positions
+  };
+};
+
+/**
+ * Send every running bot the latest portfolio, shortly after a trade
+ */
+const schedulePortfolioRefresh = () => {
+  if (portfolioRefreshTimer || runtimes.size === 0) return;
+
+  portfolioRefreshTimer = setTimeout(async () => {
+    portfolioRefreshTimer = null;
+    try {
+      const portfolio = await fetchBotPortfolio();
+      runtimes.forEach(runtime => runtime.worker && runtime.worker.postMessage({ type: 'portfolio', portfolio }));
+    } catch (error) {
+      console.error('Error refreshing the bot portfolio:', error);
+    }
+  }, PORTFOLIO_REFRESH_DELAY_MS);
+};
+
+/**
+ * Check and place an order requested by a bot, then tell the bot how it went
+ * @param {Object} bot - The bot placing the order
+ * @param {Object} message - Order message from the worker ({ id, action, stock, quantity })
+ */
+const handleOrder = async (bot, message) => {
+  const runtime = runtimes.get(bot.id);
+  if (!runtime) return;
+
+  const reply = (result) => {
+    // The bot may have been stopped while the trade was going through
+    if (runtimes.get(bot.id) === runtime) {
+      runtime.worker.postMessage({ type: 'order-result', id: message.id, result });
+    }
+  };
+
+  const order = validateBotOrder(message, runtime.stocks);
+  if (order.error) {
+    addLog(bot.id, 'warning', `Order rejected: ${order.error}`);
+    reply({ ok: false, error: order.error });
+    return;
+  }
+
+  const limit = checkRateLimit(runtime.tradeTimes, bot.max_trades_per_minute);
+  runtime.tradeTimes = limit.recent;
+  if (!limit.allowed) {
+    const error = `Rate limit reached (${bot.max_trades_per_minute} trades per minute)`;
+    addLog(bot.id, 'warning', `Order to ${order.action} ${formatShares(order.quantity)} ${order.stock.symbol} rejected: ${error}`);
+    reply({ ok: false, error });
+    return;
+  }
+  runtime.tradeTimes.push(Date.now());
+
+  try {
+    await executeTrade(order.stock.id, order.quantity, order.action);
+    addLog(bot.id, 'trade', `${order.action === 'buy' ? 'Bought' : 'Sold'} ${formatShares(order.quantity)} ${order.stock.symbol}`);
+    reply({ ok: true });
+  } catch (error) {
+    addLog(bot.id, 'error', `Order to ${order.action} ${formatShares(order.quantity)} ${order.stock.symbol} failed: ${error.message || error}`);
+    reply({ ok: false, error: error.message || 'Trade failed' });
+  }
+};
+
+/**
+ * Handle a message from a bot's worker
+ * @param {Object} bot - The bot
+ * @param {Object} message - Message data
+ */
+const handleWorkerMessage = (bot, message) => {
+  switch (message?.type) {
+    case 'log':
+      addLog(bot.id, message.level === 'error' ? 'error' : 'info', String(message.message).slice(0, 1000));
+      break;
+    case 'order':
+      handleOrder(bot, message);
+      break;
+    case 'ready':
+      addLog(bot.id, 'info', `Started with ${message.handlers.price} price and ${message.handlers.news} news handlers`);
+      break;
+    case 'failed':
+      addLog(bot.id, 'error', `Script error: ${message.message}`);
+      stopBot(bot.id);
+      break;
+    default:
+      break;
+  }
+};
+
+/**
+ * Get all bots for the current user, newest first
+ * @returns {Promise<Array>} Bots
+ */
+export const getBots = async () => (
+  loadBots().sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+);
+
+/**
+ * Get a bot's log console
+ * @param {string} botId - ID of the bot
+ * @returns {Promise<Array>} Log entries, oldest first
+ */
+export const getBotLogs = async (botId) => [...(logs.get(botId) || [])];
+
+/**
+ * Clear a bot's log console
+ * @param {string} botId - ID of the bot
+ */
+export const clearBotLogs = (botId) => {
+  logs.delete(botId);
+  dispatchBotsUpdated(null);
+};
+
+/**
+ * Whether a bot's worker is running
+ * @param {string} botId - ID of the bot
+ * @returns {boolean}
+ */
+export const isBotRunning = (botId) => runtimes.has(botId);
+
+/**
+ * Whether a bot is still being started (its worker is not up yet)
+ * @param {string} botId - ID of the bot
+ * @returns {boolean}
+ */
+export const isBotStarting = (botId) => runtimes.has(botId) && !runtimes.get(botId).worker;
+
+/**
+ * Start a bot in a new worker
+ * @param {string} botId - ID of the bot
+ * @returns {Promise<Object|null>} The started bot, or null if it was stopped before its worker was up
+ */
+export const startBot = async (botId) => {
+  const bot = loadBots().find(b => b.id === botId);
+  if (!bot) throw new Error(`Bot ${botId} not found`);
+  if (runtimes.has(botId)) return bot;
+  const scriptError = checkBotScript(bot.code);
+  if (scriptError) throw new Error(scriptError);
+  if (typeof Worker === 'undefined') {
+    throw new Error('This browser cannot run bots (Web Workers are not supported)');
+  }
+
+  // Claim the bot before waiting, so starting it twice cannot create two workers
+  const runtime = { worker: null, tradeTimes: [], stocks: [] };
+  runtimes.set(botId, runtime);
+  dispatchBotsUpdated(bot);
+
+  let stocks;
+  let portfolio;
+  try {
+    [stocks, portfolio] = await Promise.all([getAllStocks(), fetchBotPortfolio()]);
+  } catch (error) {
+    if (runtimes.get(botId) === runtime) runtimes.delete(botId);
+    dispatchBotsUpdated(bot);
+    throw error;
+  }
+
+  // Stopped while the stocks and portfolio were loading
+  if (runtimes.get(botId) !== runtime) return null;
+
+  if (!workerUrl) {
+    workerUrl = URL.createObjectURL(new Blob([BOT_WORKER_SOURCE], { type: 'application/javascript' }));
+  }
+
+  const worker = new Worker(workerUrl);
+  runtime.worker = worker;
+  runtime.stocks = (stocks || []).filter(stock => stock && stock.id).map(stock => ({ id: stock.id, symbol: stock.symbol }));
+
+  worker.onmessage = (event) => handleWorkerMessage(bot, event.data);
+  worker.onerror = (event) => {
+    event.preventDefault();
+    addLog(botId, 'error', `Worker error: ${event.message || 'unknown error'}`);
+  };
+  worker.postMessage({ type: 'init', code: bot.code, portfolio });
+
+  const started = updateBot(botId, { status: BOT_STATUS.RUNNING });
+  console.log(`Started bot ${bot.name}`);
+  dispatchBotsUpdated(started);
+  return started;
+};
+
+/**
+ * Stop a bot and end its worker, dropping any handler still running
+ * @param {string} botId - ID of the bot
+ * @returns {Object|null} The stopped bot
+ */
+export const stopBot = (botId) => {
+  const runtime = runtimes.get(botId);
+  if (runtime) {
+    if (runtime.worker) runtime.worker.terminate();
+    runtimes.delete(botId);
+    addLog(botId, 'info', 'Stopped');
+  }
+
+  const bot = updateBot(botId, { status: BOT_STATUS.STOPPED });
+  dispatchBotsUpdated(bot);
+  return bot;
+};
+
+/**
+ * Kill switch: stop every bot at once
+ * @returns {number} Number of bots that were running
+ */
+export const stopAllBots = () => {
+  const running = runtimes.size;
+
+  runtimes.forEach((runtime, botId) => {
+    if (runtime.worker) runtime.worker.terminate();
+    addLog(botId, 'warning', 'Stopped by the kill switch');
+  });
+  runtimes.clear();
+
+  saveBots(loadBots().map(bot => ({ ...bot, status: BOT_STATUS.STOPPED })));
+  console.log(`Kill switch stopped ${running} bots`);
+  dispatchBotsUpdated(null);
+  return running;
+};
+
+/**
+ * Create or update a bot - a running bot is restarted with its new script
+ * @param {Object} params - Bot fields
+ * @param {string} [params.id] - ID of the bot to update, omitted to create one
+ * @param {string} params.name - Bot name
+ * @param {string} params.code - Bot script
+ * @param {number} params.maxTradesPerMinute - Trade rate limit
+ * @returns {Promise<Object>} The saved bot
+ */
+export const saveBot = async ({ id = null, name, code, maxTradesPerMinute = DEFAULT_MAX_TRADES_PER_MINUTE }) => {
+  if (!name || !name.trim()) {
+    throw new Error('Give the bot a name');
+  }
+  if (!code || !code.trim()) {
+    throw new Error('The bot script is empty');
+  }
+  const scriptError = checkBotScript(code);
+  if (scriptError) {
+    throw new Error(scriptError);
+  }
+  const limit = Number(maxTradesPerMinute);
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new Error('Trades per minute must be a whole number of at least 1');
+  }
+
+  const fields = { name: name.trim(), code, max_trades_per_minute: limit };
+
+  if (id) {
+    const bot = updateBot(id, fields);
+    if (!bot) throw new Error(`Bot ${id} not found`);
+
+    if (runtimes.has(id)) {
+      stopBot(id);
+      await startBot(id);
+    }
+    dispatchBotsUpdated(bot);
+    return bot;
+  }
+
+  const now = new Date().toISOString();
+  const bot = {
+    id: `bot-${Date.now()}-${Math.random().toString(36).substring(2, 8)}`,
+    ...fields,
+    status: BOT_STATUS.STOPPED,
+    created_at: now,
+    updated_at: now
+  };
+  saveBots([...loadBots(), bot]);
+
+  console.log(`Created bot ${bot.name}`);
+  dispatchBotsUpdated(bot);
+  return bot;
+};
+
+/**
+ * Delete a bot, stopping it first
+ * @param {string} botId - ID of the bot
+ * @returns {Promise<void>}
+ */
+export const deleteBot = async (botId) => {
+  stopBot(botId);
+  logs.delete(botId);
+  saveBots(loadBots().filter(bot => bot.id !== botId));
+  dispatchBotsUpdated(null);
+};
+
+// Feed every running bot from the session price and event feeds
+subscribeToStockUpdates(update => {
+  runtimes.forEach(runtime => runtime.worker && runtime.worker.postMessage({
+    type: 'price',
+    update: {
+      stock_id: update.stock_id,
+      symbol: update.symbol || runtime.stocks.find(stock => stock.id === update.stock_id)?.symbol,
+      price: update.price,
+      timestamp: update.timestamp
+    }
+  }));
+});
+
+subscribeToMarketEvents(event => {
+  if (runtimes.size === 0) return;
+
+  // Only plain data can cross into a worker
+  const copy = JSON.parse(JSON.stringify(event));
+  runtimes.forEach(runtime => runtime.worker && runtime.worker.postMessage({ type: 'news', event: copy }));
+});
+
+/**
+ * Start the current user's bots that were running when they last used the app
+ */
+const restartRunningBots = () => {
+  if (!isAuthenticated()) return;
+
+  loadBots()
+    .filter(bot => bot.status === BOT_STATUS.RUNNING)
+    .forEach(bot => startBot(bot.id).catch(error => {
+      console.error(`Error restarting bot ${bot.name}:`, error);
+      addLog(bot.id, 'error', `Could not restart: ${error.message || error}`);
+      updateBot(bot.id, { status: BOT_STATUS.STOPPED });
+    }));
+};
+
+/**
+ * Stop the previous user's bots and start the new user's when someone logs in or out,
+ * so no bot trades with another user's token. Stored statuses are kept, so each user's
+ * bots start again when they log back in.
+ */
+const handleAuthChanged = () => {
+  if (portfolioRefreshTimer) {
+    clearTimeout(portfolioRefreshTimer);
+    portfolioRefreshTimer = null;
+  }
+
+  // Bots still starting see their entry is gone and never create a worker
+  runtimes.forEach(runtime => runtime.worker && runtime.worker.terminate());
+  runtimes.clear();
+  logs.clear();
+  dispatchBotsUpdated(null);
+
+  restartRunningBots();
+};
+
+document.addEventListener('trade-executed', schedulePortfolioRefresh);
+document.addEventListener('auth-changed', handleAuthChanged);
+
+// Logging in or out in another tab changes the user for this one too
+window.addEventListener('storage', (event) => {
+  if (event.key === 'userId' || event.key === null) handleAuthChanged();
+});
+
+restartRunningBots();
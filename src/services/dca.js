@@ -0,0 +1,327 @@
+/**
+ * Recurring investment plan service for frontend
+ * Handles dollar-cost-averaging plans that buy a fixed dollar amount of a stock on a schedule
+ *
+ * Plans and their run log are kept in localStorage per user. A scheduler checks for due plans
+ * for the whole session; each run is sized at the latest price and filled through executeTrade.
+ * Runs that fall due while the app is closed are not made up - a plan that is overdue runs
+ * once when the app is next open and then continues on its schedule.
+ */
+
+import { getUserId } from './auth';
+import { executeTrade, getUserPortfolio, getStockById } from './stock';
+import { getLatestPrice } from './websocket';
+import { getFeeModel } from './fees';
+import { calculateTradeCosts, maxAffordableQuantity } from '../utils/fees';
+import { roundShares } from '../utils/shares';
+
+// Local storage keys - suffixed with the user ID
+const PLANS_STORAGE_KEY = 'officestonks_dca_plans';
+const RUNS_STORAGE_KEY = 'officestonks_dca_runs';
+
+// Maximum number of runs kept in the run log
+const MAX_RUNS = 500;
+
+// How often the scheduler looks for due plans
+const SCHEDULER_INTERVAL_MS = 15 * 1000;
+
+export const PLAN_STATUS = {
+  ACTIVE: 'active',
+  PAUSED: 'paused'
+};
+
+export const RUN_STATUS = {
+  FILLED: 'filled',
+  SKIPPED: 'skipped',
+  FAILED: 'failed'
+};
+
+// Schedules a plan can run on
+export const PLAN_INTERVALS = {
+  '1m': { label: 'Every minute', ms: 60 * 1000 },
+  '10m': { label: 'Every 10 minutes', ms: 10 * 60 * 1000 },
+  '1h': { label: 'Every hour', ms: 60 * 60 * 1000 },
+  '1d': { label: 'Every day', ms: 24 * 60 * 60 * 1000 },
+  '1w': { label: 'Every week', ms: 7 * 24 * 60 * 60 * 1000 }
+};
+
+// Plans with a run in flight - prevents a slow trade from being run twice
+const runningPlans = new Set();
+
+const storageKey = (baseKey) => `${baseKey}_${getUserId() || 'guest'}`;
+
+/**
+ * Read a JSON array from localStorage
+ * @param {string} baseKey - Storage key without the user suffix
+ * @returns {Array} Stored items or an empty array
+ */
+const loadList = (baseKey) => {
+  try {
+    const json = localStorage.getItem(storageKey(baseKey));
+    const list = json ? JSON.parse(json) : [];
+    return Array.isArray(list) ? list : [];
+  } catch (e) {
+    console.error(`Error reading ${baseKey} from localStorage:`, e);
+    return [];
+  }
+};
+
+const saveList = (baseKey, list) => {
+  localStorage.setItem(storageKey(baseKey), JSON.stringify(list));
+};
+
+/**
+ * Notify components that plans or their run log changed
+ * @param {Object} plan - The plan that changed
+ * @param {Object} [run] - The run that was logged, if any
+ */
+const dispatchPlansUpdated = (plan, run = null) => {
+  document.dispatchEvent(new CustomEvent('dca-plans-updated', {
+    detail: { plan, run, timestamp: new Date().toISOString() }
+  }));
+};
+
+/**
+ * Update a stored plan
+ * @param {string} planId - ID of the plan
+ * @param {Object} changes - Fields to update
+ * @returns {Object|null} The updated plan or null if not found
+ */
+const updatePlan = (planId, changes) => {
+  const plans = loadList(PLANS_STORAGE_KEY);
+  const index = plans.findIndex(p => p.id === planId);
+  if (index === -1) return null;
+
+  plans[index] = { ...plans[index], ...changes, updated_at: new Date().toISOString() };
+  saveList(PLANS_STORAGE_KEY, plans);
+  return plans[index];
+};
+
+/**
+ * Get all plans for the current user, newest first
+ * @returns {Promise<Array>} List of plans
+ */
+export const getPlans = async () => (
+  loadList(PLANS_STORAGE_KEY).sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+);
+
+/**
+ * Get the run log, newest first
+ * @param {string|null} planId - Optional plan ID to filter by
+ * @param {number} limit - Max number of runs to return
+ * @returns {Promise<Array>} Runs
+ */
+export const getPlanRuns = async (planId = null, limit = 50) => (
+  loadList(RUNS_STORAGE_KEY)
+    .filter(run => planId === null || run.plan_id === planId)
+    .slice(0, limit)
+);
+
+/**
+ * Create a recurring buy plan
+ * @param {Object} params - Plan parameters
+ * @param {number} params.stockId - ID of the stock to buy
+ * @param {string} params.symbol - Stock symbol (for display)
+ * @param {number} params.amount - Dollars to invest each run, trading costs included
+ * @param {string} params.interval - Key of PLAN_INTERVALS
+ * @param {boolean} params.runNow - Make the first purchase straight away instead of after one interval
+ * @returns {Promise<Object>} The created plan
+ */
+export const createPlan = async ({ stockId, symbol, amount, interval, runNow = true }) => {
+  if (!stockId) {
+    throw new Error('Choose a stock for the plan');
+  }
+  if (!amount || amount <= 0) {
+    throw new Error('Amount must be greater than zero');
+  }
+  if (!(interval in PLAN_INTERVALS)) {
+    throw new Error(`Invalid interval: ${interval}`);
+  }
+
+  const now = Date.now();
+  const plan = {
+    id: `dca-${now}-${Math.random().toString(36).substring(2, 8)}`,
+    stock_id: Number(stockId),
+    symbol,
+    amount: Number(amount),
+    interval,
+    status: PLAN_STATUS.ACTIVE,
+    created_at: new Date(now).toISOString(),
+    next_run_at: new Date(runNow ? now : now + PLAN_INTERVALS[interval].ms).toISOString(),
+    last_run_at: null,
+    runs: 0,
+    shares_bought: 0,
+    invested: 0
+  };
+
+  const plans = loadList(PLANS_STORAGE_KEY);
+  plans.push(plan);
+  saveList(PLANS_STORAGE_KEY, plans);
+
+  console.log(`Created plan to buy $${plan.amount} of ${symbol} ${PLAN_INTERVALS[interval].label.toLowerCase()}`);
+  dispatchPlansUpdated(plan);
+
+  if (runNow) {
+    runDuePlans();
+  }
+
+  return plan;
+};
+
+/**
+ * Pause a plan so it stops buying until resumed
+ * @param {string} planId - ID of the plan
+ * @returns {Promise<Object>} The paused plan
+ */
+export const pausePlan = async (planId) => {
+  const plan = updatePlan(planId, { status: PLAN_STATUS.PAUSED });
+  if (!plan) throw new Error(`Plan ${planId} not found`);
+
+  dispatchPlansUpdated(plan);
+  return plan;
+};
+
+/**
+ * Resume a paused plan - the next purchase is one interval from now
+ * @param {string} planId - ID of the plan
+ * @returns {Promise<Object>} The resumed plan
+ */
+export const resumePlan = async (planId) => {
+  const existing = loadList(PLANS_STORAGE_KEY).find(p => p.id === planId);
+  if (!existing) throw new Error(`Plan ${planId} not found`);
+
+  const plan = updatePlan(planId, {
+    status: PLAN_STATUS.ACTIVE,
+    next_run_at: new Date(Date.now() + PLAN_INTERVALS[existing.interval].ms).toISOString()
+  });
+
+  dispatchPlansUpdated(plan);
+  return plan;
+};
+
+/**
+ * Delete a plan; its runs stay in the log
+ * @param {string} planId - ID of the plan
+ */
+export const deletePlan = async (planId) => {
+  const plans = loadList(PLANS_STORAGE_KEY);
+  const plan = plans.find(p => p.id === planId);
+  if (!plan) throw new Error(`Plan ${planId} not found`);
+
+  saveList(PLANS_STORAGE_KEY, plans.filter(p => p.id !== planId));
+  dispatchPlansUpdated({ ...plan, deleted: true });
+};
+
+/**
+ * Add a run to the log and move the plan on to its next run
+ * @param {Object} plan - Plan that ran
+ * @param {Object} run - Run details (status, quantity, price, total, reason)
+ * @returns {Object} The logged run
+ */
+const logRun = (plan, run) => {
+  const now = Date.now();
+  const entry = {
+    id: `${plan.id}-${now}`,
+    plan_id: plan.id,
+    stock_id: plan.stock_id,
+    symbol: plan.symbol,
+    amount: plan.amount,
+    created_at: new Date(now).toISOString(),
+    quantity: 0,
+    price: null,
+    total: 0,
+    reason: null,
+    ...run
+  };
+
+  const runs = loadList(RUNS_STORAGE_KEY);
+  runs.unshift(entry);
+  saveList(RUNS_STORAGE_KEY, runs.slice(0, MAX_RUNS));
+
+  const filled = entry.status === RUN_STATUS.FILLED;
+  const updatedPlan = updatePlan(plan.id, {
+    last_run_at: entry.created_at,
+    next_run_at: new Date(now + PLAN_INTERVALS[plan.interval].ms).toISOString(),
+    runs: plan.runs + 1,
+    shares_bought: roundShares(plan.shares_bought + (filled ? entry.quantity : 0)),
+    invested: plan.invested + (filled ? entry.total : 0)
+  });
+
+  dispatchPlansUpdated(updatedPlan || plan, entry);
+  return entry;
+};
+
+/**
+ * Make one purchase for a plan
+ * Buys as many shares as the amount covers after trading costs, fractions included.
+ * Skips the run when the amount does not cover the costs of the smallest fraction or there is not enough cash
+ * @param {Object} plan - Plan to run
+ */
+const runPlan = async (plan) => {
+  try {
+    let price = getLatestPrice(plan.stock_id, null);
+    if (price === null) {
+      const stock = await getStockById(plan.stock_id);
+      price = getLatestPrice(stock.id, stock.current_price);
+    }
+
+    const feeModel = getFeeModel();
+    const quantity = maxAffordableQuantity(plan.amount, price, feeModel);
+    if (quantity === 0) {
+      logRun(plan, { status: RUN_STATUS.SKIPPED, price, reason: `$${plan.amount.toFixed(2)} does not cover the trading costs at $${price.toFixed(2)}` });
+      return;
+    }
+
+    const costs = calculateTradeCosts(price, quantity, 'buy', feeModel);
+    const portfolio = await getUserPortfolio();
+    const cash = portfolio?.buying_power ?? portfolio?.cash_balance ?? 0;
+    if (costs.total > cash) {
+      logRun(plan, {
+        status: RUN_STATUS.SKIPPED,
+        quantity,
+        price,
+        reason: `Not enough cash ($${cash.toFixed(2)} available, $${costs.total.toFixed(2)} needed)`
+      });
+      return;
+    }
+
+    console.log(`Plan ${plan.id}: buying ${quantity} ${plan.symbol} at $${price.toFixed(2)}`);
+    await executeTrade(plan.stock_id, quantity, 'buy');
+    logRun(plan, { status: RUN_STATUS.FILLED, quantity, price, total: costs.total });
+  } catch (error) {
+    console.error(`Error running plan ${plan.id}:`, error);
+    logRun(plan, { status: RUN_STATUS.FAILED, reason: error.message || 'Trade rejected' });
+  } finally {
+    runningPlans.delete(plan.id);
+  }
+};
+
+/**
+ * Run every active plan that is due
+ * @param {number} now - Current time in milliseconds
+ * @returns {Promise<void>}
+ */
+export const runDuePlans = async (now = Date.now()) => {
+  const due = loadList(PLANS_STORAGE_KEY).filter(plan =>
+    plan.status === PLAN_STATUS.ACTIVE &&
+    !runningPlans.has(plan.id) &&
+    new Date(plan.next_run_at).getTime() <= now
+  );
+
+  // Claim them all first so an overlapping check does not queue them again
+  due.forEach(plan => runningPlans.add(plan.id));
+
+  // One at a time so each run sees the cash left by the previous one
+  for (const plan of due) {
+    // The plan may have been paused or deleted while earlier runs were going through
+    const current = loadList(PLANS_STORAGE_KEY).find(p => p.id === plan.id);
+    if (current && current.status === PLAN_STATUS.ACTIVE) {
+      await runPlan(current);
+    } else {
+      runningPlans.delete(plan.id);
+    }
+  }
+};
+
+// Run plans for the rest of the session as soon as the service is loaded
+setInterval(runDuePlans, SCHEDULER_INTERVAL_MS);
@@ -0,0 +1,75 @@
+/**
+ * Event history service for frontend
+ * Keeps a per-stock log of the market events that moved each stock's price,
+ * so charts can pin headlines to the price moves they caused
+ */
+
+// Local storage key for the event impact log
+const EVENT_HISTORY_STORAGE_KEY = 'officestonks_event_impacts';
+
+// Maximum number of stock impacts kept
+const MAX_EVENT_IMPACTS = 1000;
+
+const loadImpacts = () => {
+  try {
+    const json = localStorage.getItem(EVENT_HISTORY_STORAGE_KEY);
+    const list = json ? JSON.parse(json) : [];
+    return Array.isArray(list) ? list : [];
+  } catch (e) {
+    console.error('Error reading event history from localStorage:', e);
+    return [];
+  }
+};
+
+/**
+ * Record the stocks an event moved
+ * @param {Object} event - Market, sector or company event
+ * @param {Array} updatedStocks - Result of updateStocksFromEvent (id, symbol, previous_price, new_price)
+ */
+export const recordEventImpacts = (event, updatedStocks) => {
+  if (!event || !Array.isArray(updatedStocks) || updatedStocks.length === 0) return;
+
+  const publishedAt = new Date(event.published_at || Date.now()).toISOString();
+  const impacts = updatedStocks.map(stock => ({
+    id: `${event.id}-${stock.id}`,
+    event_id: event.id,
+    event_type: event.event_type,
+    headline: event.headline,
+    importance: event.importance,
+    price_impact: event.price_impact,
+    published_at: publishedAt,
+    stock_id: Number(stock.id),
+    symbol: stock.symbol,
+    previous_price: stock.previous_price,
+    new_price: stock.new_price,
+    // Realized move, which can differ from the headline impact after price protection
+    change_percentage: stock.previous_price > 0
+      ? ((stock.new_price - stock.previous_price) / stock.previous_price) * 100
+      : 0
+  }));
+
+  try {
+    const stored = [...impacts, ...loadImpacts()].slice(0, MAX_EVENT_IMPACTS);
+    localStorage.setItem(EVENT_HISTORY_STORAGE_KEY, JSON.stringify(stored));
+  } catch (e) {
+    console.error('Error saving event history:', e);
+  }
+
+  document.dispatchEvent(new CustomEvent('event-history-updated', {
+    detail: { eventId: event.id, stockIds: impacts.map(i => i.stock_id), timestamp: new Date().toISOString() }
+  }));
+};
+
+/**
+ * Get the events that moved a stock
+ * @param {number} stockId - ID of the stock
+ * @param {number|null} since - Only return events published at or after this time (milliseconds)
+ * @returns {Array} Event impacts, oldest first
+ */
+export const getStockEvents = (stockId, since = null) => {
+  return loadImpacts()
+    .filter(impact =>
+      impact.stock_id === Number(stockId) &&
+      (!since || new Date(impact.published_at).getTime() >= since))
+    .reverse();
+};
@@ -0,0 +1,263 @@
+/**
+ * Trading cost service for frontend
+ * Holds the fee model and the ledger of costs paid on each trade
+ *
+ * - The fee model lives on the server, so the one an admin sets applies to every player.
+ *   It is fetched when the app loads and whenever the user changes, and cached here so
+ *   previews and order checks can price trades without waiting on the API.
+ * - Buys and sells are charged by the server with the trade, from its fee model, and the
+ *   costs it reports back (`costs` on the trade result) are recorded in a per-user ledger
+ *   for the transaction history. A server that reports no costs has not charged any, so
+ *   the costs are booked in the ledger instead, as for shorts.
+ * - Shorts and covers never reach the trading API (see shorts.js), so their costs are
+ *   booked in the same ledger and taken off the cash returned by getUserPortfolio, next to
+ *   the rest of the short ledger's cash.
+ */
+
+import { getUserId } from './auth';
+import { fetchWithAuth } from '../utils/http';
+import { ENDPOINTS } from '../config/api';
+import { calculateTradeCosts, DEFAULT_FEE_MODEL } from '../utils/fees';
+
+// Local storage key for the cached fee model (global, not per user)
+const FEE_MODEL_STORAGE_KEY = 'officestonks_fee_model';
+
+// Local storage key for the cost ledger - suffixed with the user ID
+const FEE_LEDGER_STORAGE_KEY = 'officestonks_trade_fees';
+
+// Maximum number of recorded trades kept in the ledger
+const MAX_LEDGER_ENTRIES = 1000;
+
+// How far apart a transaction and its recorded costs may be to still match
+const MATCH_WINDOW_MS = 2 * 60 * 1000;
+
+const ledgerKey = () => `${FEE_LEDGER_STORAGE_KEY}_${getUserId() || 'guest'}`;
+
+/**
+ * Current fee model, as last fetched from the server
+ * @returns {Object} Fee model with commission, percentFee, slippagePer100Shares and maxSlippage
+ */
+export const getFeeModel = () => {
+  try {
+    const json = localStorage.getItem(FEE_MODEL_STORAGE_KEY);
+    return json ? { ...DEFAULT_FEE_MODEL, ...JSON.parse(json) } : { ...DEFAULT_FEE_MODEL };
+  } catch (e) {
+    console.error('Error reading fee model from localStorage:', e);
+    return { ...DEFAULT_FEE_MODEL };
+  }
+};
+
+/**
+ * Check fee model fields and turn them into numbers
+ * @param {Object} model - Fee model fields
+ * @returns {Object} Complete fee model
+ */
+const normalizeFeeModel = (model) => {
+  const normalized = { ...DEFAULT_FEE_MODEL, ...model };
+
+  Object.keys(DEFAULT_FEE_MODEL).forEach(key => {
+    const value = Number(normalized[key]);
+    if (!Number.isFinite(value) || value < 0) {
+      throw new Error(`Invalid ${key}: must be a number of at least 0`);
+    }
+    normalized[key] = value;
+  });
+
+  return normalized;
+};
+
+/**
+ * Cache the server's fee model and notify components
+ * @param {Object} model - Fee model
+ */
+const cacheFeeModel = (model) => {
+  localStorage.setItem(FEE_MODEL_STORAGE_KEY, JSON.stringify(model));
+
+  document.dispatchEvent(new CustomEvent('fee-model-updated', {
+    detail: { model, timestamp: new Date().toISOString() }
+  }));
+};
+
+/**
+ * Fetch the fee model from the server
+ * Keeps the cached model when the API is unavailable
+ * @returns {Promise<Object>} The current fee model
+ */
+export const syncFeeModel = async () => {
+  try {
+    const model = normalizeFeeModel(await fetchWithAuth(ENDPOINTS.FEE_MODEL));
+    if (JSON.stringify(model) !== JSON.stringify(getFeeModel())) {
+      cacheFeeModel(model);
+    }
+    return model;
+  } catch (error) {
+    console.warn('Fee model API unavailable, using the cached fee model:', error.message);
+    return getFeeModel();
+  }
+};
+
+/**
+ * Update the fee model for every player (admin only)
+ * @param {Object} changes - Fee model fields to change
+ * @returns {Promise<Object>} The updated fee model
+ */
+export const updateFeeModel = async (changes) => {
+  const model = normalizeFeeModel({ ...getFeeModel(), ...changes });
+
+  // Only the server's copy is charged, so a model it did not take must not be shown as applied
+  const saved = await fetchWithAuth(ENDPOINTS.ADMIN_FEE_MODEL, {
+    method: 'PUT',
+    body: JSON.stringify(model)
+  });
+  const applied = saved && typeof saved === 'object' ? normalizeFeeModel(saved) : model;
+
+  cacheFeeModel(applied);
+  console.log('Fee model updated:', applied);
+  return applied;
+};
+
+/**
+ * Restore the default fee model for every player (admin only)
+ * @returns {Promise<Object>} The default fee model
+ */
+export const resetFeeModel = () => updateFeeModel(DEFAULT_FEE_MODEL);
+
+/**
+ * Price a trade under the current fee model
+ * @param {number} price - Quoted price per share
+ * @param {number} quantity - Shares traded
+ * @param {string} action - 'buy', 'sell', 'short' or 'cover'
+ * @returns {Object} Trade costs (see calculateTradeCosts)
+ */
+export const previewTradeCosts = (price, quantity, action) => (
+  calculateTradeCosts(price, quantity, action, getFeeModel())
+);
+
+/**
+ * Read the cost ledger from localStorage
+ * @returns {Object} Ledger with the total cost booked locally and one entry per trade
+ */
+const loadLedger = () => {
+  const emptyLedger = { total: 0, entries: [] };
+
+  try {
+    const json = localStorage.getItem(ledgerKey());
+    return json ? { ...emptyLedger, ...JSON.parse(json) } : emptyLedger;
+  } catch (e) {
+    console.error('Error reading trade fee ledger from localStorage:', e);
+    return emptyLedger;
+  }
+};
+
+const saveLedger = (ledger) => {
+  localStorage.setItem(ledgerKey(), JSON.stringify(ledger));
+};
+
+/**
+ * Record the costs of an executed trade
+ * @param {number} stockId - Stock traded
+ * @param {number} quantity - Shares traded
+ * @param {string} action - 'buy', 'sell', 'short' or 'cover'
+ * @param {number} price - Quoted price the trade executed at
+ * @param {Object|null} charged - Costs the server charged with the trade (see calculateTradeCosts),
+ *   or null when the trade did not go through the server and its costs are booked here
+ * @returns {Object} The ledger entry
+ */
+export const recordTradeCosts = (stockId, quantity, action, price, charged = null) => {
+  const costs = charged
+    ? { ...previewTradeCosts(price, quantity, action), ...charged }
+    : previewTradeCosts(price, quantity, action);
+  const entry = {
+    id: `fee-${Date.now()}-${Math.random().toString(36).substring(2, 8)}`,
+    created_at: new Date().toISOString(),
+    stock_id: stockId,
+    transaction_type: action,
+    quantity: costs.quantity,
+    price,
+    execution_price: costs.execution_price,
+    slippage: costs.slippage,
+    commission: costs.commission,
+    percent_fee: costs.percent_fee,
+    fees: costs.fees,
+    cost: costs.cost,
+    net_amount: costs.total,
+    booked_by: charged ? 'server' : 'local'
+  };
+
+  const ledger = loadLedger();
+  // Server charges are already in the cash balance the API returns
+  if (!charged) ledger.total += entry.cost;
+  ledger.entries = [entry, ...ledger.entries].slice(0, MAX_LEDGER_ENTRIES);
+  saveLedger(ledger);
+
+  console.log(`Trade costs recorded for ${action} ${quantity} x stock ${stockId}: $${entry.cost.toFixed(2)}`);
+
+  document.dispatchEvent(new CustomEvent('trade-fees-recorded', {
+    detail: { entry, timestamp: entry.created_at }
+  }));
+
+  return entry;
+};
+
+/**
+ * Take the costs booked locally (shorts and covers) off a portfolio from the API
+ * @param {Object} portfolio - Portfolio from the API
+ * @returns {Object} Portfolio with cash reduced by those costs and fees_paid set
+ */
+export const applyTradeCosts = (portfolio) => {
+  if (!portfolio) return portfolio;
+
+  const { total } = loadLedger();
+  if (!total) return portfolio;
+
+  return {
+    ...portfolio,
+    cash_balance: portfolio.cash_balance - total,
+    total_value: portfolio.total_value - total,
+    fees_paid: total
+  };
+};
+
+/**
+ * Attach recorded trading costs to transactions from the history
+ * Each transaction is matched to the closest unused ledger entry for the same stock,
+ * type and quantity recorded around the same time
+ * @param {Array} transactions - Transactions newest first
+ * @returns {Array} Transactions with fees, slippage, execution_price and net_amount where recorded
+ */
+export const attachTradeCosts = (transactions) => {
+  const { entries } = loadLedger();
+  if (entries.length === 0 || !Array.isArray(transactions)) return transactions;
+
+  const used = new Set();
+
+  return transactions.map(transaction => {
+    const time = new Date(transaction.created_at).getTime();
+    let match = null;
+
+    entries.forEach(entry => {
+      if (used.has(entry.id) ||
+          entry.stock_id !== transaction.stock_id ||
+          entry.transaction_type !== transaction.transaction_type ||
+          entry.quantity !== transaction.quantity) {
+        return;
+      }
+
+      const distance = Math.abs(new Date(entry.created_at).getTime() - time);
+      if (distance <= MATCH_WINDOW_MS && (!match || distance < match.distance)) {
+        match = { entry, distance };
+      }
+    });
+
+    if (!match) return transaction;
+
+    used.add(match.entry.id);
+    const { execution_price, slippage, commission, percent_fee, fees, net_amount } = match.entry;
+
+    return { ...transaction, execution_price, slippage, commission, percent_fee, fees, net_amount };
+  });
+};
+
+// Fetch the fee model on load, and again once a user logs in
+syncFeeModel();
+document.addEventListener('auth-changed', syncFeeModel);
@@ -7,8 +7,19 @@
  * with a variety of templates and realistic parameters.
  */
 
-import { addListener } from './websocket';
+import { addListener, notifyStockUpdate, notifyMarketEvent } from './websocket';
+import { recordEventImpacts } from './event-history';
 import { updateStocksFromEvent, getAllStocks } from './stock';
+import { reseedPriceEngine } from './price-engine';
+import { createRandom, randomSeed } from '../utils/random';
+import {
+  DEFAULT_SPILLOVER_WEIGHTS,
+  listSectors,
+  stocksInSector,
+  sectorSpillover,
+  normalizeSpilloverWeights,
+  validateSpilloverWeights
+} from '../utils/sector-events';
 
 // Import the listeners object from websocket.js
 // This is a workaround to directly access the listeners
@@ -33,6 +44,55 @@ try {
 // Cache for all stocks to avoid too many API calls
 let cachedStocks = null;
 
+// Seed pinned by an admin; without one every session gets a fresh seed
+const SEED_STORAGE_KEY = 'marketEventSeed';
+
+// Every random choice the generator makes - events, impacts, timing and the price moves they
+// cause - comes from this generator, so a session can be replayed from its seed
+let sessionRandom = createRandom(localStorage.getItem(SEED_STORAGE_KEY) || randomSeed());
+
+// Cross-sector spillover weights set by an admin (see utils/sector-events.js)
+const SPILLOVER_STORAGE_KEY = 'sectorSpilloverWeights';
+
+// Counterparties for deals and partnerships when no other company is listed
+const UNLISTED_COMPANIES = ['Northwind Systems', 'Harbor Point Group', 'Summit Labs', 'Crestline Partners'];
+
+/**
+ * Stocks that sector and company events are built from - the admin managed stocks if there are
+ * any, otherwise the stocks last fetched from the API
+ * @returns {Array} - Stocks ({ id, symbol, name, sector })
+ */
+const getEventStocks = () => {
+  try {
+    const mockStocks = JSON.parse(localStorage.getItem('mockStocksData') || '[]');
+    if (Array.isArray(mockStocks) && mockStocks.length > 0) {
+      return mockStocks;
+    }
+  } catch (e) {
+    console.error('Error parsing mock stocks from localStorage:', e);
+  }
+  return Array.isArray(cachedStocks) ? cachedStocks : [];
+};
+
+// A stock as the company named in a company event
+const toCompany = (stock) => ({
+  id: stock.id,
+  name: stock.name || stock.symbol,
+  sector: stock.sector || 'General'
+});
+
+// Names of the listed companies other than this one, or unlisted ones if it is the only one
+const otherCompanyNames = (companies, company) => {
+  const others = companies.filter(c => c.id !== company.id).map(c => c.name);
+  return others.length > 0 ? others : UNLISTED_COMPANIES;
+};
+
+// A listed company from the event's sector, or one of the template's own names if it has none
+const pickCompanyName = (random, stocks, fallbackNames) => {
+  const names = stocks.length > 0 ? stocks.map(stock => stock.name || stock.symbol) : fallbackNames;
+  return names[Math.floor(random() * names.length)];
+};
+
 // ===== DATA SOURCES FOR EVENT GENERATION =====
 
 // Common market event templates
@@ -47,63 +107,63 @@ const MARKET_EVENT_TEMPLATES = [
       { headline: 'Market Event: Central Banks Coordinate on {coordAction} to Address {globalIssue}', impact: '{coordImpact}', importance: 5 },
       { headline: 'Market Event: {centralBank} Adjusts {facilityName} by ${adjustAmount}B, {marketReaction} Markets', impact: '{adjustImpact}', importance: 4 },
     ],
-    generateDetails: () => {
+    generateDetails: (random) => {
       const centralBanks = ['Federal Reserve', 'European Central Bank', 'Bank of England', 'Bank of Japan', 'People\'s Bank of China', 'Swiss National Bank', 'Reserve Bank of Australia'];
-      const centralBank = centralBanks[Math.floor(Math.random() * centralBanks.length)];
+      const centralBank = centralBanks[Math.floor(random() * centralBanks.length)];
       
       const centralBankChairs = ['Fed Chair Powell', 'ECB President Lagarde', 'BoE Governor Bailey', 'BoJ Governor Ueda', 'PBOC Governor Pan', 'SNB Chairman Jordan'];
-      const centralBankChair = centralBankChairs[Math.floor(Math.random() * centralBankChairs.length)];
+      const centralBankChair = centralBankChairs[Math.floor(random() * centralBankChairs.length)];
       
-      const basisPoints = Math.floor(Math.random() * 50 + 25);
-      const inflationRate = (Math.random() * 5 + 2).toFixed(1);
+      const basisPoints = Math.floor(random() * 50 + 25);
+      const inflationRate = (random() * 5 + 2).toFixed(1);
       
       const economicConcerns = ['Economic Slowdown', 'Declining Growth Indicators', 'Employment Concerns', 'Recession Risks', 'Weak Consumer Spending', 'Manufacturing Contraction'];
-      const economicConcern = economicConcerns[Math.floor(Math.random() * economicConcerns.length)];
+      const economicConcern = economicConcerns[Math.floor(random() * economicConcerns.length)];
       
       const holdActions = ['Maintains', 'Holds', 'Keeps', 'Leaves Unchanged'];
-      const holdAction = holdActions[Math.floor(Math.random() * holdActions.length)];
+      const holdAction = holdActions[Math.floor(random() * holdActions.length)];
       
-      const currentRate = (Math.random() * 4.5 + 1).toFixed(2);
+      const currentRate = (random() * 4.5 + 1).toFixed(2);
       
       const forwardGuidances = ['Signaling Extended Pause', 'Leaving Door Open for Future Cuts', 'Hinting at Possible Hikes', 'Maintaining Data-Dependent Approach', 'Revising Growth Outlook'];
-      const forwardGuidance = forwardGuidances[Math.floor(Math.random() * forwardGuidances.length)];
+      const forwardGuidance = forwardGuidances[Math.floor(random() * forwardGuidances.length)];
       
-      const holdImpact = forwardGuidance.includes('Cuts') ? 0.02 : (forwardGuidance.includes('Hikes') ? -0.02 : (Math.random() > 0.5 ? 0.01 : -0.01));
+      const holdImpact = forwardGuidance.includes('Cuts') ? 0.02 : (forwardGuidance.includes('Hikes') ? -0.02 : (random() > 0.5 ? 0.01 : -0.01));
       
       const monetaryDirections = ['Hawkish Shift', 'Dovish Pivot', 'Tightening Bias', 'Easing Cycle', 'Neutral Stance', 'Policy Normalization'];
-      const monetaryDirection = monetaryDirections[Math.floor(Math.random() * monetaryDirections.length)];
+      const monetaryDirection = monetaryDirections[Math.floor(random() * monetaryDirections.length)];
       
       const directionImpact = monetaryDirection.includes('Hawkish') || monetaryDirection.includes('Tightening') ? 
-        -0.03 - Math.random() * 0.02 : monetaryDirection.includes('Dovish') || monetaryDirection.includes('Easing') ? 
-        0.03 + Math.random() * 0.02 : (Math.random() > 0.5 ? 0.01 : -0.01);
+        -0.03 - random() * 0.02 : monetaryDirection.includes('Dovish') || monetaryDirection.includes('Easing') ? 
+        0.03 + random() * 0.02 : (random() > 0.5 ? 0.01 : -0.01);
       
       const policyTools = ['Forward Guidance', 'Balance Sheet Policy', 'Reserve Requirements', 'Open Market Operations', 'Lending Facilities', 'Quantitative Measures'];
-      const policyTool = policyTools[Math.floor(Math.random() * policyTools.length)];
+      const policyTool = policyTools[Math.floor(random() * policyTools.length)];
       
       const eventNames = ['Congressional Testimony', 'Press Conference', 'Economic Symposium', 'Policy Forum', 'Annual Meeting', 'Financial Summit'];
-      const eventName = eventNames[Math.floor(Math.random() * eventNames.length)];
+      const eventName = eventNames[Math.floor(random() * eventNames.length)];
       
       const coordActions = ['Liquidity Provision', 'Currency Swap Lines', 'Unified Rate Action', 'Financial Stability Measures', 'Market Intervention'];
-      const coordAction = coordActions[Math.floor(Math.random() * coordActions.length)];
+      const coordAction = coordActions[Math.floor(random() * coordActions.length)];
       
       const globalIssues = ['Market Volatility', 'Banking System Strains', 'Currency Fluctuations', 'Growth Slowdown', 'Financial Contagion', 'Inflation Pressures'];
-      const globalIssue = globalIssues[Math.floor(Math.random() * globalIssues.length)];
+      const globalIssue = globalIssues[Math.floor(random() * globalIssues.length)];
       
-      const coordImpact = 0.03 + Math.random() * 0.04;
+      const coordImpact = 0.03 + random() * 0.04;
       
       const facilityNames = ['Asset Purchase Program', 'Repo Operations', 'Discount Window', 'Lending Facility', 'Collateral Requirements', 'Standing Facility'];
-      const facilityName = facilityNames[Math.floor(Math.random() * facilityNames.length)];
+      const facilityName = facilityNames[Math.floor(random() * facilityNames.length)];
       
-      const adjustAmount = (Math.random() * 100 + 20).toFixed(0);
+      const adjustAmount = (random() * 100 + 20).toFixed(0);
       
       const marketReactions = ['Boosting', 'Reassuring', 'Stabilizing', 'Concerning', 'Surprising', 'Confusing'];
-      const marketReaction = marketReactions[Math.floor(Math.random() * marketReactions.length)];
+      const marketReaction = marketReactions[Math.floor(random() * marketReactions.length)];
       
       const adjustImpact = marketReaction === 'Boosting' || marketReaction === 'Reassuring' || marketReaction === 'Stabilizing' ?
-        0.02 + Math.random() * 0.03 : -0.02 - Math.random() * 0.03;
+        0.02 + random() * 0.03 : -0.02 - random() * 0.03;
       
-      const direction = Math.random() > 0.5 ? 'Hikes' : 'Cuts';
-      const directionImpactSimple = direction === 'Hikes' ? -0.03 - Math.random() * 0.02 : 0.03 + Math.random() * 0.02;
+      const direction = random() > 0.5 ? 'Hikes' : 'Cuts';
+      const directionImpactSimple = direction === 'Hikes' ? -0.03 - random() * 0.02 : 0.03 + random() * 0.02;
       
       const body = `${centralBank} announced its latest decision on monetary policy, affecting global financial markets. The central bank's action on interest rates reflects their assessment of inflation, employment, and overall economic conditions. Financial markets are adjusting to the implications of this policy decision.`;
       
@@ -130,104 +190,104 @@ const MARKET_EVENT_TEMPLATES = [
       { headline: 'Market Event: Industrial Production {indDirection} {indChange}%, {indSector} Shows {indSectorPerf}', impact: '{indImpact}', importance: 3 },
       { headline: 'Market Event: Consumer Sentiment {sentimentDirection} to {sentimentValue}, {sentimentOutlook} for Economy', impact: '{sentimentImpact}', importance: 4 },
     ],
-    generateDetails: () => {
+    generateDetails: (random) => {
       // GDP details
-      const quarter = Math.ceil(Math.random() * 4);
-      const isGDPPositive = Math.random() > 0.4;
+      const quarter = Math.ceil(random() * 4);
+      const isGDPPositive = random() > 0.4;
       const direction = isGDPPositive ? 'Grows' : 'Contracts';
-      const percentChange = (Math.random() * 3 + 0.5).toFixed(1);
+      const percentChange = (random() * 3 + 0.5).toFixed(1);
       
       const comparisons = ['Beating', 'Missing', 'Matching', 'Slightly Above', 'Well Below', 'In Line With'];
-      const comparisonToExpectations = comparisons[Math.floor(Math.random() * comparisons.length)];
+      const comparisonToExpectations = comparisons[Math.floor(random() * comparisons.length)];
       
-      const forecastValue = (Math.random() * 2 + 1).toFixed(1);
+      const forecastValue = (random() * 2 + 1).toFixed(1);
       
       const gdpImpact = isGDPPositive ? 
-        (comparisonToExpectations === 'Beating' || comparisonToExpectations === 'Slightly Above' ? 0.04 + Math.random() * 0.03 : 0.02 + Math.random() * 0.02) : 
-        (comparisonToExpectations === 'Missing' || comparisonToExpectations === 'Well Below' ? -0.04 - Math.random() * 0.03 : -0.02 - Math.random() * 0.02);
+        (comparisonToExpectations === 'Beating' || comparisonToExpectations === 'Slightly Above' ? 0.04 + random() * 0.03 : 0.02 + random() * 0.02) : 
+        (comparisonToExpectations === 'Missing' || comparisonToExpectations === 'Well Below' ? -0.04 - random() * 0.03 : -0.02 - random() * 0.02);
       
       // Jobs/unemployment details
-      const jobWorse = Math.random() > 0.6;
+      const jobWorse = random() > 0.6;
       const jobDirection = jobWorse ? 'Rises' : 'Falls';
-      const jobRate = (Math.random() * 2 + 3).toFixed(1);
-      const jobsCreated = Math.floor(Math.random() * 300 + 50);
-      const jobsImpact = jobWorse ? -0.03 - Math.random() * 0.02 : 0.03 + Math.random() * 0.02;
+      const jobRate = (random() * 2 + 3).toFixed(1);
+      const jobsCreated = Math.floor(random() * 300 + 50);
+      const jobsImpact = jobWorse ? -0.03 - random() * 0.02 : 0.03 + random() * 0.02;
       
       // Inflation details
-      const inflationWorse = Math.random() > 0.5;
+      const inflationWorse = random() > 0.5;
       const inflationDirection = inflationWorse ? 'Rises' : 'Cools';
-      const inflationRate = (Math.random() * 3 + 2).toFixed(1);
+      const inflationRate = (random() * 3 + 2).toFixed(1);
       
       const timeframes = ['Year-over-Year', 'Month-over-Month', 'Annualized', 'Quarter-over-Quarter'];
-      const timeframe = timeframes[Math.floor(Math.random() * timeframes.length)];
+      const timeframe = timeframes[Math.floor(random() * timeframes.length)];
       
       const comparisonTypes = ['Down From', 'Up From', 'Steady From', 'Compared to'];
-      const comparisonTo = comparisonTypes[Math.floor(Math.random() * comparisonTypes.length)];
+      const comparisonTo = comparisonTypes[Math.floor(random() * comparisonTypes.length)];
       
-      const comparisonValue = (Math.random() * 3 + 2).toFixed(1);
+      const comparisonValue = (random() * 3 + 2).toFixed(1);
       
-      const inflationImpact = inflationWorse ? -0.03 - Math.random() * 0.03 : 0.03 + Math.random() * 0.03;
+      const inflationImpact = inflationWorse ? -0.03 - random() * 0.03 : 0.03 + random() * 0.03;
       
       // Economic indices
       const economicIndices = ['Consumer Confidence Index', 'Manufacturing PMI', 'Services PMI', 'Leading Economic Indicators', 'Business Optimism Index', 'Producer Price Index'];
-      const economicIndex = economicIndices[Math.floor(Math.random() * economicIndices.length)];
+      const economicIndex = economicIndices[Math.floor(random() * economicIndices.length)];
       
-      const indexImproving = Math.random() > 0.5;
+      const indexImproving = random() > 0.5;
       const indexDirection = indexImproving ? 'Improves' : 'Declines';
-      const indexValue = Math.floor(Math.random() * 40 + 40);
+      const indexValue = Math.floor(random() * 40 + 40);
       
       const durations = ['Third Consecutive', 'First Time in 6 Months', 'Continuing', 'Reversing Previous', 'Unexpected'];
-      const duration = durations[Math.floor(Math.random() * durations.length)];
+      const duration = durations[Math.floor(random() * durations.length)];
       
       const trends = ['Improvement', 'Decline', 'Expansion', 'Contraction', 'Stabilization'];
-      const trend = trends[Math.floor(Math.random() * trends.length)];
+      const trend = trends[Math.floor(random() * trends.length)];
       
-      const indexImpact = indexImproving ? 0.02 + Math.random() * 0.02 : -0.02 - Math.random() * 0.02;
+      const indexImpact = indexImproving ? 0.02 + random() * 0.02 : -0.02 - random() * 0.02;
       
       // Retail sales details
-      const retailBetter = Math.random() > 0.5;
+      const retailBetter = random() > 0.5;
       const retailDirection = retailBetter ? 'Grow' : 'Fall';
-      const retailChange = (Math.random() * 3 + 0.5).toFixed(1);
+      const retailChange = (random() * 3 + 0.5).toFixed(1);
       
       const retailSectors = ['Online', 'Electronics', 'Apparel', 'Food & Beverage', 'Home Improvement', 'Automotive'];
-      const retailSector = retailSectors[Math.floor(Math.random() * retailSectors.length)];
+      const retailSector = retailSectors[Math.floor(random() * retailSectors.length)];
       
-      const retailImpact = retailBetter ? 0.02 + Math.random() * 0.02 : -0.02 - Math.random() * 0.02;
+      const retailImpact = retailBetter ? 0.02 + random() * 0.02 : -0.02 - random() * 0.02;
       
       // Housing details
-      const housingBetter = Math.random() > 0.5;
+      const housingBetter = random() > 0.5;
       const housingDirection = housingBetter ? 'Increase' : 'Decrease';
-      const housingChange = (Math.random() * 8 + 1).toFixed(1);
-      const mortgageRate = (Math.random() * 3 + 4).toFixed(2);
+      const housingChange = (random() * 8 + 1).toFixed(1);
+      const mortgageRate = (random() * 3 + 4).toFixed(2);
       
-      const housingImpact = housingBetter ? 0.02 + Math.random() * 0.01 : -0.02 - Math.random() * 0.01;
+      const housingImpact = housingBetter ? 0.02 + random() * 0.01 : -0.02 - random() * 0.01;
       
       // Industrial production
-      const indBetter = Math.random() > 0.5;
+      const indBetter = random() > 0.5;
       const indDirection = indBetter ? 'Rises' : 'Falls';
-      const indChange = (Math.random() * 3 + 0.3).toFixed(1);
+      const indChange = (random() * 3 + 0.3).toFixed(1);
       
       const indSectors = ['Manufacturing', 'Mining', 'Utilities', 'Construction', 'Technology', 'Automotive'];
-      const indSector = indSectors[Math.floor(Math.random() * indSectors.length)];
+      const indSector = indSectors[Math.floor(random() * indSectors.length)];
       
       const indSectorPerfs = ['Strength', 'Weakness', 'Recovery', 'Decline', 'Stability'];
-      const indSectorPerf = indSectorPerfs[Math.floor(Math.random() * indSectorPerfs.length)];
+      const indSectorPerf = indSectorPerfs[Math.floor(random() * indSectorPerfs.length)];
       
-      const indImpact = indBetter ? 0.02 + Math.random() * 0.01 : -0.02 - Math.random() * 0.01;
+      const indImpact = indBetter ? 0.02 + random() * 0.01 : -0.02 - random() * 0.01;
       
       // Consumer sentiment
-      const sentimentBetter = Math.random() > 0.5;
+      const sentimentBetter = random() > 0.5;
       const sentimentDirection = sentimentBetter ? 'Rises' : 'Falls';
-      const sentimentValue = Math.floor(Math.random() * 30 + 70);
+      const sentimentValue = Math.floor(random() * 30 + 70);
       
       const sentimentOutlooks = ['Improving Outlook', 'Worsening Outlook', 'Mixed Signals', 'Cautious Optimism', 'Growing Concerns'];
-      const sentimentOutlook = sentimentOutlooks[Math.floor(Math.random() * sentimentOutlooks.length)];
+      const sentimentOutlook = sentimentOutlooks[Math.floor(random() * sentimentOutlooks.length)];
       
-      const sentimentImpact = sentimentBetter ? 0.02 + Math.random() * 0.02 : -0.02 - Math.random() * 0.02;
+      const sentimentImpact = sentimentBetter ? 0.02 + random() * 0.02 : -0.02 - random() * 0.02;
       
       // Common month names
       const months = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
-      const month = months[Math.floor(Math.random() * months.length)];
+      const month = months[Math.floor(random() * months.length)];
       
       const body = isGDPPositive ? 
         `Economic data shows stronger than expected growth in the ${quarter} quarter, suggesting resilient economic conditions. Financial markets are reacting positively to this development.` : 
@@ -259,121 +319,121 @@ const MARKET_EVENT_TEMPLATES = [
       { headline: 'Market Event: Natural Disaster in {region} Disrupts {affectedSector}, Insurance Losses Estimated at ${insuranceLoss}B', impact: -0.03, importance: 4 },
       { headline: 'Market Event: {country} Election Results {electionImpact} Market Sentiment, {sectorEffect} {direction}', impact: '{electionImpact}', importance: 4 },
     ],
-    generateDetails: () => {
+    generateDetails: (random) => {
       // Trade agreements
       const countrySets = [
         'US and EU', 'China and Russia', 'Japan and South Korea', 'UK and Australia', 
         'Brazil and Argentina', 'India and Singapore', 'G7 Nations', 'ASEAN Members'
       ];
-      const countriesInvolved = countrySets[Math.floor(Math.random() * countrySets.length)];
+      const countriesInvolved = countrySets[Math.floor(random() * countrySets.length)];
       
       const agreementTypes = ['Trade', 'Technology', 'Energy', 'Climate', 'Defense', 'Digital Economy', 'Financial'];
-      const agreementType = agreementTypes[Math.floor(Math.random() * agreementTypes.length)];
+      const agreementType = agreementTypes[Math.floor(random() * agreementTypes.length)];
       
       const industries = ['Technology', 'Automotive', 'Agriculture', 'Energy', 'Manufacturing', 'Healthcare', 'Financial Services'];
-      const industryImpacted = industries[Math.floor(Math.random() * industries.length)];
+      const industryImpacted = industries[Math.floor(random() * industries.length)];
       
-      const agreementPositive = Math.random() > 0.3;
-      const agreementImpact = agreementPositive ? 0.03 + Math.random() * 0.03 : -0.01 - Math.random() * 0.02;
+      const agreementPositive = random() > 0.3;
+      const agreementImpact = agreementPositive ? 0.03 + random() * 0.03 : -0.01 - random() * 0.02;
       
       // Geopolitical tensions
       const geoTensions = ['Military Conflict', 'Diplomatic Tensions', 'Trade Dispute', 'Political Instability', 'Territorial Dispute', 'Sanctions'];
-      const geoTension = geoTensions[Math.floor(Math.random() * geoTensions.length)];
+      const geoTension = geoTensions[Math.floor(random() * geoTensions.length)];
       
       const regions = [
         'East Asia', 'Middle East', 'Eastern Europe', 'South China Sea', 
         'North Africa', 'Latin America', 'South Asia', 'Western Pacific'
       ];
-      const region = regions[Math.floor(Math.random() * regions.length)];
+      const region = regions[Math.floor(random() * regions.length)];
       
       const commodities = ['Oil', 'Natural Gas', 'Gold', 'Agricultural Commodities', 'Rare Earth Metals', 'Industrial Metals'];
-      const commodityAffected = commodities[Math.floor(Math.random() * commodities.length)];
+      const commodityAffected = commodities[Math.floor(random() * commodities.length)];
       
-      const commodityUp = Math.random() > 0.3;
+      const commodityUp = random() > 0.3;
       const commodityDirection = commodityUp ? 'Surge' : 'Plunge';
-      const commodityChange = (Math.random() * 8 + 2).toFixed(1);
+      const commodityChange = (random() * 8 + 2).toFixed(1);
       
-      const tensionImpact = -0.03 - Math.random() * 0.03;
+      const tensionImpact = -0.03 - random() * 0.03;
       
       // Country policies
       const countries = [
         'China', 'United States', 'European Union', 'Japan', 'Russia', 
         'Germany', 'India', 'United Kingdom', 'Brazil', 'Australia'
       ];
-      const country = countries[Math.floor(Math.random() * countries.length)];
+      const country = countries[Math.floor(random() * countries.length)];
       
       const policyTypes = ['Fiscal Stimulus', 'Tax Reform', 'Industrial', 'Trade', 'Environmental', 'Technology', 'Immigration'];
-      const policyType = policyTypes[Math.floor(Math.random() * policyTypes.length)];
+      const policyType = policyTypes[Math.floor(random() * policyTypes.length)];
       
       const marketReactions = ['Rally', 'Decline', 'Show Mixed Reaction', 'Initially Stumble, Then Recover', 'Remain Cautious'];
-      const marketReaction = marketReactions[Math.floor(Math.random() * marketReactions.length)];
+      const marketReaction = marketReactions[Math.floor(random() * marketReactions.length)];
       
-      const policyImpact = marketReaction === 'Rally' ? 0.03 + Math.random() * 0.03 : 
-        marketReaction === 'Decline' ? -0.03 - Math.random() * 0.03 : 
-        marketReaction === 'Show Mixed Reaction' ? (Math.random() > 0.5 ? 0.01 : -0.01) : 
-        marketReaction === 'Initially Stumble, Then Recover' ? 0.01 + Math.random() * 0.02 : 
-        -0.01 - Math.random() * 0.01;
+      const policyImpact = marketReaction === 'Rally' ? 0.03 + random() * 0.03 : 
+        marketReaction === 'Decline' ? -0.03 - random() * 0.03 : 
+        marketReaction === 'Show Mixed Reaction' ? (random() > 0.5 ? 0.01 : -0.01) : 
+        marketReaction === 'Initially Stumble, Then Recover' ? 0.01 + random() * 0.02 : 
+        -0.01 - random() * 0.01;
       
       // Currency events
       const currencies = ['Euro', 'Yen', 'Yuan', 'Pound', 'Swiss Franc', 'Canadian Dollar', 'Australian Dollar', 'Russian Ruble'];
-      const currency = currencies[Math.floor(Math.random() * currencies.length)];
+      const currency = currencies[Math.floor(random() * currencies.length)];
       
-      const currencyStrengthens = Math.random() > 0.5;
+      const currencyStrengthens = random() > 0.5;
       const currencyDirection = currencyStrengthens ? 'Strengthens' : 'Weakens';
-      const currencyChange = (Math.random() * 3 + 0.5).toFixed(2);
+      const currencyChange = (random() * 3 + 0.5).toFixed(2);
       
       const currencyEvents = [
         'Interest Rate Decision', 'Trade Balance Data', 'Political Developments', 
         'Economic Growth Figures', 'Central Bank Intervention', 'Inflation Report'
       ];
-      const currencyEvent = currencyEvents[Math.floor(Math.random() * currencyEvents.length)];
+      const currencyEvent = currencyEvents[Math.floor(random() * currencyEvents.length)];
       
       const currencyImpact = currencyStrengthens ? 
-        (currency === 'Euro' || currency === 'Yen' ? -0.01 - Math.random() * 0.02 : 0.01 + Math.random() * 0.02) : 
-        (currency === 'Euro' || currency === 'Yen' ? 0.01 + Math.random() * 0.02 : -0.01 - Math.random() * 0.02);
+        (currency === 'Euro' || currency === 'Yen' ? -0.01 - random() * 0.02 : 0.01 + random() * 0.02) : 
+        (currency === 'Euro' || currency === 'Yen' ? 0.01 + random() * 0.02 : -0.01 - random() * 0.02);
       
       // Supply chain
       const supplyIssues = ['Disruptions', 'Bottlenecks', 'Improvements', 'Restructuring', 'Shortages', 'Normalization'];
-      const supplyIssue = supplyIssues[Math.floor(Math.random() * supplyIssues.length)];
+      const supplyIssue = supplyIssues[Math.floor(random() * supplyIssues.length)];
       
-      const industry = industries[Math.floor(Math.random() * industries.length)];
+      const industry = industries[Math.floor(random() * industries.length)];
       
       const deliveryChanges = ['Extend Significantly', 'Improve Marginally', 'Return to Normal', 'Reach Record Delays', 'Show Regional Variations'];
-      const deliveryChange = deliveryChanges[Math.floor(Math.random() * deliveryChanges.length)];
+      const deliveryChange = deliveryChanges[Math.floor(random() * deliveryChanges.length)];
       
       const supplyImpact = supplyIssue === 'Improvements' || supplyIssue === 'Normalization' ? 
-        0.02 + Math.random() * 0.02 : -0.02 - Math.random() * 0.03;
+        0.02 + random() * 0.02 : -0.02 - random() * 0.03;
       
       // Forecasts
       const organizations = ['IMF', 'World Bank', 'OECD', 'WTO', 'United Nations', 'G20', 'Economic Forum'];
-      const organization = organizations[Math.floor(Math.random() * organizations.length)];
+      const organization = organizations[Math.floor(random() * organizations.length)];
       
       const forecastDirections = ['Higher', 'Lower', 'Stable', 'Mixed', 'Volatile'];
-      const forecastDirection = forecastDirections[Math.floor(Math.random() * forecastDirections.length)];
+      const forecastDirection = forecastDirections[Math.floor(random() * forecastDirections.length)];
       
       const economicMetrics = ['GDP Growth', 'Inflation', 'Trade Volume', 'Investment Flows', 'Consumer Spending', 'Industrial Output'];
-      const economicMetric = economicMetrics[Math.floor(Math.random() * economicMetrics.length)];
+      const economicMetric = economicMetrics[Math.floor(random() * economicMetrics.length)];
       
       const forecastAdjustments = ['Revising Up From', 'Cutting Below', 'Maintaining', 'Significantly Altering', 'Slightly Modifying'];
-      const forecastAdjustment = forecastAdjustments[Math.floor(Math.random() * forecastAdjustments.length)];
+      const forecastAdjustment = forecastAdjustments[Math.floor(random() * forecastAdjustments.length)];
       
       const forecastImpact = (forecastDirection === 'Higher' && economicMetric !== 'Inflation') || forecastAdjustment === 'Revising Up From' ? 
-        0.02 + Math.random() * 0.02 : (forecastDirection === 'Lower' || forecastAdjustment === 'Cutting Below') ? 
-        -0.02 - Math.random() * 0.02 : (Math.random() > 0.5 ? 0.01 : -0.01);
+        0.02 + random() * 0.02 : (forecastDirection === 'Lower' || forecastAdjustment === 'Cutting Below') ? 
+        -0.02 - random() * 0.02 : (random() > 0.5 ? 0.01 : -0.01);
       
       // Natural disasters
-      const insuranceLoss = (Math.random() * 50 + 10).toFixed(1);
+      const insuranceLoss = (random() * 50 + 10).toFixed(1);
       const affectedSectors = ['Transport Infrastructure', 'Manufacturing Facilities', 'Energy Production', 'Agricultural Output', 'Shipping Routes'];
-      const affectedSector = affectedSectors[Math.floor(Math.random() * affectedSectors.length)];
+      const affectedSector = affectedSectors[Math.floor(random() * affectedSectors.length)];
       
       // Elections
       const electionResults = ['Create Uncertainty', 'Boost Confidence', 'Raise Concerns', 'Provide Clarity'];
-      const electionResult = electionResults[Math.floor(Math.random() * electionResults.length)];
+      const electionResult = electionResults[Math.floor(random() * electionResults.length)];
       const electionImpactValue = electionResult === 'Boost Confidence' || electionResult === 'Provide Clarity' ? 
-        0.02 + Math.random() * 0.02 : -0.02 - Math.random() * 0.02;
+        0.02 + random() * 0.02 : -0.02 - random() * 0.02;
       
       const sectorEffects = ['Banking Stocks', 'Energy Companies', 'Technology Shares', 'Healthcare Providers', 'Defense Contractors'];
-      const sectorEffect = sectorEffects[Math.floor(Math.random() * sectorEffects.length)];
+      const sectorEffect = sectorEffects[Math.floor(random() * sectorEffects.length)];
       
       const direction = electionResult === 'Boost Confidence' || electionResult === 'Provide Clarity' ? 'Rally' : 'Decline';
       
@@ -399,6 +459,8 @@ const SECTOR_EVENT_TEMPLATES = [
   {
     name: 'Technology Sector',
     sector: 'Technology',
+    // Stock sectors these templates are written for
+    sectors: ['Technology', 'Software', 'Hardware', 'Semiconductors', 'Cybersecurity'],
     templates: [
       { headline: 'Sector Event: AI Breakthrough Sends Tech Stocks {direction}, {companyName} Leads with {percentChange}% Move', impact: '{directionImpact}', importance: 5 },
       { headline: 'Sector Event: Global Chip Shortage {status}, {companyName} Adjusts Production Targets by {percentChange}%', impact: '{statusImpact}', importance: 4 },
@@ -409,33 +471,33 @@ const SECTOR_EVENT_TEMPLATES = [
       { headline: 'Sector Event: {companyName} Unveils Revolutionary {productType}, Tech Sector Reacts with {percentChange}% Surge', impact: 0.06, importance: 5 },
       { headline: 'Sector Event: Semiconductor Production Costs {direction} {percentChange}% Due to {resourceName} Shortage', impact: '{directionImpact}', importance: 4 },
     ],
-    generateDetails: () => {
-      const direction = Math.random() > 0.5 ? 'Surge' : 'Plummet';
-      const directionImpact = direction === 'Surge' ? (0.03 + Math.random() * 0.04) : -(0.03 + Math.random() * 0.04);
+    generateDetails: (random, { stocks }) => {
+      const direction = random() > 0.5 ? 'Surge' : 'Plummet';
+      const directionImpact = direction === 'Surge' ? (0.03 + random() * 0.04) : -(0.03 + random() * 0.04);
       
-      const status = Math.random() > 0.5 ? 'Eases as Production Ramps Up' : 'Worsens as Demand Outpaces Supply';
-      const statusImpact = status.includes('Eases') ? (0.02 + Math.random() * 0.03) : -(0.02 + Math.random() * 0.04);
+      const status = random() > 0.5 ? 'Eases as Production Ramps Up' : 'Worsens as Demand Outpaces Supply';
+      const statusImpact = status.includes('Eases') ? (0.02 + random() * 0.03) : -(0.02 + random() * 0.04);
       
-      const earningsDirection = Math.random() > 0.6 ? 'Record-Breaking' : (Math.random() > 0.5 ? 'Disappointing' : 'Mixed');
-      const earningsImpact = earningsDirection === 'Record-Breaking' ? (0.04 + Math.random() * 0.03) : (earningsDirection === 'Disappointing' ? -(0.03 + Math.random() * 0.04) : (Math.random() > 0.5 ? 0.01 : -0.01));
+      const earningsDirection = random() > 0.6 ? 'Record-Breaking' : (random() > 0.5 ? 'Disappointing' : 'Mixed');
+      const earningsImpact = earningsDirection === 'Record-Breaking' ? (0.04 + random() * 0.03) : (earningsDirection === 'Disappointing' ? -(0.03 + random() * 0.04) : (random() > 0.5 ? 0.01 : -0.01));
       
       const techCompanies = ['MicroTech', 'Quantum Systems', 'CyberCore', 'DataSphere', 'NexGen', 'TechGiant', 'InfoStream', 'ByteForge', 'AlphaLogic', 'NetPeak'];
-      const companyName = techCompanies[Math.floor(Math.random() * techCompanies.length)];
+      const companyName = pickCompanyName(random, stocks, techCompanies);
       
-      const percentChange = (Math.random() * 15 + 5).toFixed(1);
-      const dataAmount = Math.floor(Math.random() * 100 + 10);
-      const fineAmount = (Math.random() * 10 + 1).toFixed(1);
+      const percentChange = (random() * 15 + 5).toFixed(1);
+      const dataAmount = Math.floor(random() * 100 + 10);
+      const fineAmount = (random() * 10 + 1).toFixed(1);
       
       const regions = ['EU Commission', 'US FTC', 'Chinese Regulators', 'UK Competition Authority', 'Global Tech Council'];
-      const region = regions[Math.floor(Math.random() * regions.length)];
+      const region = regions[Math.floor(random() * regions.length)];
       
       const productTypes = ['Quantum Processor', 'AI Assistant', 'Neural Interface', 'Virtual Reality System', 'Augmented Reality Glasses', 'Self-Learning Algorithm'];
-      const productType = productTypes[Math.floor(Math.random() * productTypes.length)];
+      const productType = productTypes[Math.floor(random() * productTypes.length)];
       
       const resources = ['Rare Earth Metals', 'Silicon', 'Manufacturing Capacity', 'Specialized Labor', 'Component Parts'];
-      const resourceName = resources[Math.floor(Math.random() * resources.length)];
+      const resourceName = resources[Math.floor(random() * resources.length)];
       
-      const quarter = Math.ceil(Math.random() * 4);
+      const quarter = Math.ceil(random() * 4);
       
       const body = direction === 'Surge' 
         ? `Technology companies are experiencing significant growth as ${companyName} leads the sector with innovative solutions. Analysts predict continued expansion in the coming months.` 
@@ -447,14 +509,15 @@ const SECTOR_EVENT_TEMPLATES = [
         earningsDirection, earningsImpact,
         companyName, percentChange, dataAmount, fineAmount,
         region, productType, resourceName, quarter,
-        body,
-        related_sectors: ['Technology', 'Software', 'Hardware', 'Semiconductors', 'Cybersecurity']
+        body
       };
     }
   },
   {
     name: 'Financial Sector',
     sector: 'Finance',
+    // Stock sectors these templates are written for
+    sectors: ['Finance', 'Financial', 'Financial Services', 'Banking', 'Insurance', 'Investment Services', 'FinTech'],
     templates: [
       { headline: 'Sector Event: {centralBank} {rateAction} Interest Rates by {basisPoints} bps, Banking Stocks {direction}', impact: '{directionImpact}', importance: 5 },
       { headline: 'Sector Event: {regulator} Imposes ${fineAmount}B Fine on {bankName} for {violationType} Violations', impact: -0.04, importance: 4 },
@@ -465,53 +528,53 @@ const SECTOR_EVENT_TEMPLATES = [
       { headline: 'Sector Event: FinTech Disruption Accelerates, Traditional Banks {direction} as {techFirm} Enters Market', impact: '{directionImpact}', importance: 4 },
       { headline: 'Sector Event: Mortgage Rates {direction} to {rateValue}%, {mortgageAction} Housing Market', impact: '{directionImpact}', importance: 3 },
     ],
-    generateDetails: () => {
-      const direction = Math.random() > 0.5 ? 'Rally' : 'Slump';
-      const directionImpact = direction === 'Rally' ? (0.02 + Math.random() * 0.04) : -(0.02 + Math.random() * 0.05);
+    generateDetails: (random, { stocks }) => {
+      const direction = random() > 0.5 ? 'Rally' : 'Slump';
+      const directionImpact = direction === 'Rally' ? (0.02 + random() * 0.04) : -(0.02 + random() * 0.05);
       
       const centralBanks = ['Federal Reserve', 'European Central Bank', 'Bank of England', 'Bank of Japan', 'People\'s Bank of China'];
-      const centralBank = centralBanks[Math.floor(Math.random() * centralBanks.length)];
+      const centralBank = centralBanks[Math.floor(random() * centralBanks.length)];
       
-      const rateAction = Math.random() > 0.6 ? 'Raises' : (Math.random() > 0.5 ? 'Cuts' : 'Maintains');
-      const basisPoints = Math.floor(Math.random() * 50 + 25);
+      const rateAction = random() > 0.6 ? 'Raises' : (random() > 0.5 ? 'Cuts' : 'Maintains');
+      const basisPoints = Math.floor(random() * 50 + 25);
       
       const banks = ['GlobeBank', 'FirstNational', 'InvestCorp', 'MerchantTrust', 'SovereignFinancial', 'MetroBank', 'AtlasCapital', 'OmegaFinance'];
-      const bankName = banks[Math.floor(Math.random() * banks.length)];
-      const targetBank = banks[Math.floor(Math.random() * banks.length)];
+      const bankName = pickCompanyName(random, stocks, banks);
+      const targetBank = banks[Math.floor(random() * banks.length)];
       
       const regulators = ['SEC', 'Federal Reserve', 'OCC', 'FDIC', 'CFPB', 'European Banking Authority'];
-      const regulator = regulators[Math.floor(Math.random() * regulators.length)];
+      const regulator = regulators[Math.floor(random() * regulators.length)];
       
       const violationTypes = ['Money Laundering', 'Market Manipulation', 'Consumer Protection', 'Regulatory Reporting', 'Capital Requirement'];
-      const violationType = violationTypes[Math.floor(Math.random() * violationTypes.length)];
+      const violationType = violationTypes[Math.floor(random() * violationTypes.length)];
       
       const regulationTypes = ['Capital', 'Liquidity', 'Stress Testing', 'Consumer Protection', 'Risk Management', 'Cybersecurity'];
-      const regulationType = regulationTypes[Math.floor(Math.random() * regulationTypes.length)];
+      const regulationType = regulationTypes[Math.floor(random() * regulationTypes.length)];
       
-      const profitDirection = Math.random() > 0.5 ? 'Up' : 'Down';
-      const profitImpact = profitDirection === 'Up' ? (0.03 + Math.random() * 0.04) : -(0.03 + Math.random() * 0.04);
+      const profitDirection = random() > 0.5 ? 'Up' : 'Down';
+      const profitImpact = profitDirection === 'Up' ? (0.03 + random() * 0.04) : -(0.03 + random() * 0.04);
       
       const mergerActions = ['Merge', 'Acquire', 'Form Strategic Partnership'];
-      const mergerAction = mergerActions[Math.floor(Math.random() * mergerActions.length)];
+      const mergerAction = mergerActions[Math.floor(random() * mergerActions.length)];
       
-      const assetSize = (Math.random() * 5 + 1).toFixed(1);
-      const fineAmount = (Math.random() * 10 + 1).toFixed(1);
-      const percentChange = (Math.random() * 20 + 5).toFixed(1);
+      const assetSize = (random() * 5 + 1).toFixed(1);
+      const fineAmount = (random() * 10 + 1).toFixed(1);
+      const percentChange = (random() * 20 + 5).toFixed(1);
       
       const techFirms = ['PayTech', 'DigiWallet', 'BlockChain Financial', 'TechPay', 'CryptoBank'];
-      const techFirm = techFirms[Math.floor(Math.random() * techFirms.length)];
+      const techFirm = techFirms[Math.floor(random() * techFirms.length)];
       
-      const rateValue = (Math.random() * 3 + 3).toFixed(2);
+      const rateValue = (random() * 3 + 3).toFixed(2);
       const mortgageActions = ['Cooling', 'Stimulating', 'Restructuring', 'Transforming'];
-      const mortgageAction = mortgageActions[Math.floor(Math.random() * mortgageActions.length)];
+      const mortgageAction = mortgageActions[Math.floor(random() * mortgageActions.length)];
       
       const disasterTypes = ['Hurricane', 'Flood', 'Wildfire', 'Earthquake', 'Pandemic Resurgence', 'Cyber Attack'];
-      const disasterType = disasterTypes[Math.floor(Math.random() * disasterTypes.length)];
+      const disasterType = disasterTypes[Math.floor(random() * disasterTypes.length)];
       
       const regions = ['Southeast Asia', 'Eastern Europe', 'Western United States', 'Gulf Coast', 'Mediterranean Region', 'Pacific Islands'];
-      const region = regions[Math.floor(Math.random() * regions.length)];
+      const region = regions[Math.floor(random() * regions.length)];
       
-      const quarter = Math.ceil(Math.random() * 4);
+      const quarter = Math.ceil(random() * 4);
       
       const body = direction === 'Rally' 
         ? `Financial institutions are showing strength with ${bankName} leading gains. ${centralBank}'s policies have created favorable conditions for the banking sector.` 
@@ -525,14 +588,15 @@ const SECTOR_EVENT_TEMPLATES = [
         mergerAction, assetSize, fineAmount, percentChange,
         techFirm, rateValue, mortgageAction,
         disasterType, region, quarter,
-        body,
-        related_sectors: ['Finance', 'Banking', 'Insurance', 'Investment Services', 'FinTech']
+        body
       };
     }
   },
   {
     name: 'Energy Sector',
     sector: 'Energy',
+    // Stock sectors these templates are written for
+    sectors: ['Energy', 'Oil & Gas', 'Utilities', 'Renewables', 'Natural Resources'],
     templates: [
       { headline: 'Sector Event: Crude Oil Prices {direction} {percentChange}% After {oilEvent} in {region}', impact: '{directionImpact}', importance: 5 },
       { headline: 'Sector Event: {energyCompany} Announces ${investmentAmount}B Investment in {renewableType} Energy', impact: 0.05, importance: 4 },
@@ -543,73 +607,73 @@ const SECTOR_EVENT_TEMPLATES = [
       { headline: 'Sector Event: Renewable Energy Costs {direction} {percentChange}% as {technologyType} Efficiency Improves', impact: '{renewableImpact}', importance: 3 },
       { headline: 'Sector Event: Global Energy Demand Projected to {demandDirection} {percentChange}% by {forecastYear}, {fuelType} Leading', impact: '{demandImpact}', importance: 3 },
     ],
-    generateDetails: () => {
-      const direction = Math.random() > 0.5 ? 'Surge' : 'Plunge';
-      const directionImpact = direction === 'Surge' ? (0.03 + Math.random() * 0.05) : -(0.03 + Math.random() * 0.05);
+    generateDetails: (random, { stocks }) => {
+      const direction = random() > 0.5 ? 'Surge' : 'Plunge';
+      const directionImpact = direction === 'Surge' ? (0.03 + random() * 0.05) : -(0.03 + random() * 0.05);
       
-      const percentChange = (Math.random() * 15 + 5).toFixed(1);
+      const percentChange = (random() * 15 + 5).toFixed(1);
       
       const oilEvents = ['Supply Disruption', 'Production Agreement', 'Strategic Reserve Release', 'Pipeline Shutdown', 'Geopolitical Tensions', 'Trade Sanctions'];
-      const oilEvent = oilEvents[Math.floor(Math.random() * oilEvents.length)];
+      const oilEvent = oilEvents[Math.floor(random() * oilEvents.length)];
       
       const regions = ['Middle East', 'North Sea', 'Gulf of Mexico', 'Caspian Region', 'West Africa', 'North America'];
-      const region = regions[Math.floor(Math.random() * regions.length)];
+      const region = regions[Math.floor(random() * regions.length)];
       
       const energyCompanies = ['GlobalEnergy', 'PetroCorp', 'EnergyOne', 'FossilFuels Inc.', 'RenewaCorp', 'AtomicPower', 'SolarStream', 'GreenEnergy'];
-      const energyCompany = energyCompanies[Math.floor(Math.random() * energyCompanies.length)];
+      const energyCompany = pickCompanyName(random, stocks, energyCompanies);
       
-      const investmentAmount = (Math.random() * 20 + 5).toFixed(1);
+      const investmentAmount = (random() * 20 + 5).toFixed(1);
       
       const renewableTypes = ['Solar', 'Wind', 'Hydroelectric', 'Geothermal', 'Biomass', 'Hydrogen', 'Tidal'];
-      const renewableType = renewableTypes[Math.floor(Math.random() * renewableTypes.length)];
+      const renewableType = renewableTypes[Math.floor(random() * renewableTypes.length)];
       
       const countries = ['United States', 'European Union', 'China', 'India', 'Japan', 'Brazil', 'United Kingdom', 'Canada'];
-      const country = countries[Math.floor(Math.random() * countries.length)];
+      const country = countries[Math.floor(random() * countries.length)];
       
       const policyActions = ['Phase Out', 'Double', 'Eliminate', 'Restructure', 'Cap', 'Tax'];
-      const policyAction = policyActions[Math.floor(Math.random() * policyActions.length)];
+      const policyAction = policyActions[Math.floor(random() * policyActions.length)];
       
       const policyTypes = ['Subsidies', 'Production', 'Consumption', 'Emissions', 'Imports', 'Infrastructure'];
-      const policyType = policyTypes[Math.floor(Math.random() * policyTypes.length)];
+      const policyType = policyTypes[Math.floor(random() * policyTypes.length)];
       
-      const targetYear = 2030 + Math.floor(Math.random() * 20);
-      const policyImpact = policyAction === 'Phase Out' || policyAction === 'Eliminate' || policyAction === 'Tax' ? -0.03 - Math.random() * 0.03 : 0.03 + Math.random() * 0.03;
+      const targetYear = 2030 + Math.floor(random() * 20);
+      const policyImpact = policyAction === 'Phase Out' || policyAction === 'Eliminate' || policyAction === 'Tax' ? -0.03 - random() * 0.03 : 0.03 + random() * 0.03;
       
       const weatherEvents = ['Cold Snap', 'Heat Wave', 'Hurricane Season', 'Mild Winter', 'Drought', 'Flooding'];
-      const weatherEvent = weatherEvents[Math.floor(Math.random() * weatherEvents.length)];
+      const weatherEvent = weatherEvents[Math.floor(random() * weatherEvents.length)];
       
       const cartels = ['OPEC+', 'Major Producers', 'Energy Alliance', 'Oil Exporters', 'G7 Energy Council'];
-      const cartelName = cartels[Math.floor(Math.random() * cartels.length)];
+      const cartelName = cartels[Math.floor(random() * cartels.length)];
       
       const productionActions = ['Increases', 'Cuts', 'Maintains', 'Freezes', 'Reconsiders'];
-      const productionAction = productionActions[Math.floor(Math.random() * productionActions.length)];
+      const productionAction = productionActions[Math.floor(random() * productionActions.length)];
       
-      const productionChange = (Math.random() * 3 + 0.5).toFixed(1);
-      const productionImpact = productionAction === 'Increases' ? -0.04 - Math.random() * 0.03 : 0.04 + Math.random() * 0.03;
+      const productionChange = (random() * 3 + 0.5).toFixed(1);
+      const productionImpact = productionAction === 'Increases' ? -0.04 - random() * 0.03 : 0.04 + random() * 0.03;
       
       const incidentTypes = ['Explosion', 'Leak', 'Fire', 'Technical Failure', 'Safety Violation', 'Cyber Attack'];
-      const incidentType = incidentTypes[Math.floor(Math.random() * incidentTypes.length)];
+      const incidentType = incidentTypes[Math.floor(random() * incidentTypes.length)];
       
       const facilityTypes = ['Refinery', 'Offshore Platform', 'Pipeline', 'Storage', 'Processing', 'Terminal'];
-      const facilityType = facilityTypes[Math.floor(Math.random() * facilityTypes.length)];
+      const facilityType = facilityTypes[Math.floor(random() * facilityTypes.length)];
       
       const productionEffects = ['Halted', 'Reduced by 50%', 'Temporarily Suspended', 'Minimally Affected', 'Severely Impacted'];
-      const productionEffect = productionEffects[Math.floor(Math.random() * productionEffects.length)];
+      const productionEffect = productionEffects[Math.floor(random() * productionEffects.length)];
       
       const technologyTypes = ['Solar Panel', 'Wind Turbine', 'Battery Storage', 'Grid Integration', 'Smart Meter'];
-      const technologyType = technologyTypes[Math.floor(Math.random() * technologyTypes.length)];
+      const technologyType = technologyTypes[Math.floor(random() * technologyTypes.length)];
       
-      const renewableImpact = direction === 'Surge' ? -0.02 - Math.random() * 0.02 : 0.03 + Math.random() * 0.03;
+      const renewableImpact = direction === 'Surge' ? -0.02 - random() * 0.02 : 0.03 + random() * 0.03;
       
       const demandDirections = ['Increase', 'Decrease', 'Shift', 'Stabilize'];
-      const demandDirection = demandDirections[Math.floor(Math.random() * demandDirections.length)];
+      const demandDirection = demandDirections[Math.floor(random() * demandDirections.length)];
       
-      const demandImpact = demandDirection === 'Increase' ? 0.02 + Math.random() * 0.03 : -0.02 - Math.random() * 0.02;
+      const demandImpact = demandDirection === 'Increase' ? 0.02 + random() * 0.03 : -0.02 - random() * 0.02;
       
-      const forecastYear = 2030 + Math.floor(Math.random() * 15);
+      const forecastYear = 2030 + Math.floor(random() * 15);
       
       const fuelTypes = ['Renewables', 'Natural Gas', 'Nuclear', 'Oil', 'Coal', 'Hydrogen'];
-      const fuelType = fuelTypes[Math.floor(Math.random() * fuelTypes.length)];
+      const fuelType = fuelTypes[Math.floor(random() * fuelTypes.length)];
       
       const body = direction === 'Surge' 
         ? `Energy markets are responding to ${oilEvent} in ${region}, driving prices higher. ${energyCompany} is particularly affected by these developments.` 
@@ -624,14 +688,15 @@ const SECTOR_EVENT_TEMPLATES = [
         productionImpact, incidentType, facilityType,
         productionEffect, technologyType, renewableImpact,
         demandDirection, demandImpact, forecastYear, fuelType,
-        body,
-        related_sectors: ['Energy', 'Oil & Gas', 'Utilities', 'Renewables', 'Natural Resources']
+        body
       };
     }
   },
   {
     name: 'Healthcare Sector',
     sector: 'Healthcare',
+    // Stock sectors these templates are written for
+    sectors: ['Healthcare', 'Pharmaceuticals', 'Biotechnology', 'Medical Devices', 'Healthcare Providers'],
     templates: [
       { headline: 'Sector Event: {pharmaCompany} Reports {trialOutcome} Results for {drugType} Treatment, Stock {direction} {percentChange}%', impact: '{trialImpact}', importance: 5 },
       { headline: 'Sector Event: {country} Approves {therapyName} for {diseaseType}, {pharmaCompany} Leads Sector {direction}', impact: '{approvalImpact}', importance: 4 },
@@ -642,95 +707,95 @@ const SECTOR_EVENT_TEMPLATES = [
       { headline: 'Sector Event: Medical Device Makers {direction} as {hospitalGroup} Reports {deviceDemand} Demand', impact: '{deviceImpact}', importance: 3 },
       { headline: 'Sector Event: Healthcare Labor Costs {direction} {percentChange}% Amid {laborEvent}, Affecting Hospital Margins', impact: '{laborImpact}', importance: 4 },
     ],
-    generateDetails: () => {
-      const direction = Math.random() > 0.5 ? 'Surge' : 'Plummet';
-      const directionImpact = direction === 'Surge' ? (0.03 + Math.random() * 0.04) : -(0.03 + Math.random() * 0.04);
+    generateDetails: (random, { stocks }) => {
+      const direction = random() > 0.5 ? 'Surge' : 'Plummet';
+      const directionImpact = direction === 'Surge' ? (0.03 + random() * 0.04) : -(0.03 + random() * 0.04);
       
-      const percentChange = (Math.random() * 20 + 5).toFixed(1);
+      const percentChange = (random() * 20 + 5).toFixed(1);
       
       const pharmaCompanies = ['LifeScience', 'MediCorp', 'BioPharma', 'GeneticHealth', 'CuraTech', 'VitalMed', 'TherapeuticOne', 'MolecularRx'];
-      const pharmaCompany = pharmaCompanies[Math.floor(Math.random() * pharmaCompanies.length)];
-      const targetCompany = pharmaCompanies[Math.floor(Math.random() * pharmaCompanies.length)];
+      const pharmaCompany = pickCompanyName(random, stocks, pharmaCompanies);
+      const targetCompany = pharmaCompanies[Math.floor(random() * pharmaCompanies.length)];
       
       const trialOutcomes = ['Breakthrough', 'Promising Phase III', 'Disappointing Phase II', 'Mixed', 'Groundbreaking', 'Inconclusive'];
-      const trialOutcome = trialOutcomes[Math.floor(Math.random() * trialOutcomes.length)];
+      const trialOutcome = trialOutcomes[Math.floor(random() * trialOutcomes.length)];
       
       const trialImpact = (trialOutcome === 'Breakthrough' || trialOutcome === 'Promising Phase III' || trialOutcome === 'Groundbreaking') ? 
-        (0.05 + Math.random() * 0.05) : (trialOutcome === 'Disappointing Phase II' || trialOutcome === 'Inconclusive') ? 
-        -(0.05 + Math.random() * 0.04) : (Math.random() > 0.5 ? 0.02 : -0.02);
+        (0.05 + random() * 0.05) : (trialOutcome === 'Disappointing Phase II' || trialOutcome === 'Inconclusive') ? 
+        -(0.05 + random() * 0.04) : (random() > 0.5 ? 0.02 : -0.02);
       
       const drugTypes = ['Cancer', 'Diabetes', 'Alzheimer\'s', 'Immunotherapy', 'Cardiovascular', 'Rare Disease', 'Vaccine', 'Gene Therapy'];
-      const drugType = drugTypes[Math.floor(Math.random() * drugTypes.length)];
+      const drugType = drugTypes[Math.floor(random() * drugTypes.length)];
       
       const countries = ['FDA', 'EMA', 'MHRA', 'Health Canada', 'Japanese Regulators', 'Chinese NMPA'];
-      const country = countries[Math.floor(Math.random() * countries.length)];
+      const country = countries[Math.floor(random() * countries.length)];
       
       const therapyNames = ['Genefactor', 'Immunotide', 'Curaxen', 'Vitalmab', 'Theraprex', 'Novacel', 'Oncozyme', 'Cardiostat'];
-      const therapyName = therapyNames[Math.floor(Math.random() * therapyNames.length)];
+      const therapyName = therapyNames[Math.floor(random() * therapyNames.length)];
       
       const diseaseTypes = ['Metastatic Cancer', 'Type 2 Diabetes', 'Chronic Heart Failure', 'Autoimmune Disease', 'Rare Genetic Disorder', 'Infectious Disease'];
-      const diseaseType = diseaseTypes[Math.floor(Math.random() * diseaseTypes.length)];
+      const diseaseType = diseaseTypes[Math.floor(random() * diseaseTypes.length)];
       
-      const approvalImpact = 0.04 + Math.random() * 0.05;
+      const approvalImpact = 0.04 + random() * 0.05;
       
       const regions = ['North America', 'Europe', 'Asia-Pacific', 'Emerging Markets', 'Global', 'Developed Markets'];
-      const region = regions[Math.floor(Math.random() * regions.length)];
+      const region = regions[Math.floor(random() * regions.length)];
       
       const spendingDirections = ['Increase', 'Decrease', 'Grow', 'Contract', 'Stabilize at'];
-      const spendingDirection = spendingDirections[Math.floor(Math.random() * spendingDirections.length)];
+      const spendingDirection = spendingDirections[Math.floor(random() * spendingDirections.length)];
       
       const spendingImpact = (spendingDirection === 'Increase' || spendingDirection === 'Grow') ? 
-        (0.02 + Math.random() * 0.03) : (spendingDirection === 'Decrease' || spendingDirection === 'Contract') ? 
-        -(0.02 + Math.random() * 0.03) : (Math.random() > 0.5 ? 0.01 : -0.01);
+        (0.02 + random() * 0.03) : (spendingDirection === 'Decrease' || spendingDirection === 'Contract') ? 
+        -(0.02 + random() * 0.03) : (random() > 0.5 ? 0.01 : -0.01);
       
-      const fiscalYear = 2025 + Math.floor(Math.random() * 5);
+      const fiscalYear = 2025 + Math.floor(random() * 5);
       
       const regulators = ['FDA', 'EMA', 'WHO', 'Health Authority', 'Regulatory Committee', 'HHS'];
-      const regulatorName = regulators[Math.floor(Math.random() * regulators.length)];
+      const regulatorName = regulators[Math.floor(random() * regulators.length)];
       
       const decisionTypes = ['Warning Letter', 'Approval', 'Rejection', 'Safety Alert', 'Priority Review', 'Clinical Hold'];
-      const decisionType = decisionTypes[Math.floor(Math.random() * decisionTypes.length)];
+      const decisionType = decisionTypes[Math.floor(random() * decisionTypes.length)];
       
       const productTypes = ['Blockbuster Drug', 'Medical Device', 'Biosimilar', 'Diagnostic Test', 'Therapeutic', 'Vaccine'];
-      const productType = productTypes[Math.floor(Math.random() * productTypes.length)];
+      const productType = productTypes[Math.floor(random() * productTypes.length)];
       
       const regulationImpact = (decisionType === 'Approval' || decisionType === 'Priority Review') ? 
-        (0.03 + Math.random() * 0.04) : (decisionType === 'Rejection' || decisionType === 'Warning Letter' || decisionType === 'Clinical Hold') ? 
-        -(0.03 + Math.random() * 0.04) : (Math.random() > 0.5 ? 0.01 : -0.01);
+        (0.03 + random() * 0.04) : (decisionType === 'Rejection' || decisionType === 'Warning Letter' || decisionType === 'Clinical Hold') ? 
+        -(0.03 + random() * 0.04) : (random() > 0.5 ? 0.01 : -0.01);
       
       const dealTypes = ['Acquire', 'Merge with', 'Partner with', 'Take Majority Stake in', 'Form Joint Venture with'];
-      const dealType = dealTypes[Math.floor(Math.random() * dealTypes.length)];
+      const dealType = dealTypes[Math.floor(random() * dealTypes.length)];
       
-      const dealAmount = (Math.random() * 50 + 10).toFixed(1);
-      const portfolioSize = Math.floor(Math.random() * 20 + 3);
+      const dealAmount = (random() * 50 + 10).toFixed(1);
+      const portfolioSize = Math.floor(random() * 20 + 3);
       
       const insurers = ['HealthGuard', 'MediCare Partners', 'InsurWell', 'NationalHealth', 'CareShield', 'LifeCoverage'];
-      const insurerName = insurers[Math.floor(Math.random() * insurers.length)];
+      const insurerName = insurers[Math.floor(random() * insurers.length)];
       
       const coverageActions = ['Expanded Coverage', 'Reduced Reimbursement', 'New Payment Model', 'Prior Authorization', 'Full Coverage'];
-      const coverageAction = coverageActions[Math.floor(Math.random() * coverageActions.length)];
+      const coverageAction = coverageActions[Math.floor(random() * coverageActions.length)];
       
       const treatmentTypes = ['Gene Therapy', 'Specialty Medications', 'Preventive Care', 'Telehealth', 'Experimental', 'Home Care'];
-      const treatmentType = treatmentTypes[Math.floor(Math.random() * treatmentTypes.length)];
+      const treatmentType = treatmentTypes[Math.floor(random() * treatmentTypes.length)];
       
       const coverageImpact = (coverageAction === 'Expanded Coverage' || coverageAction === 'Full Coverage') ? 
-        (0.02 + Math.random() * 0.03) : (coverageAction === 'Reduced Reimbursement' || coverageAction === 'Prior Authorization') ? 
-        -(0.02 + Math.random() * 0.03) : (Math.random() > 0.5 ? 0.01 : -0.01);
+        (0.02 + random() * 0.03) : (coverageAction === 'Reduced Reimbursement' || coverageAction === 'Prior Authorization') ? 
+        -(0.02 + random() * 0.03) : (random() > 0.5 ? 0.01 : -0.01);
       
       const hospitalGroups = ['Regional Hospitals', 'National Health Systems', 'Urban Medical Centers', 'Rural Providers', 'Teaching Hospitals'];
-      const hospitalGroup = hospitalGroups[Math.floor(Math.random() * hospitalGroups.length)];
+      const hospitalGroup = hospitalGroups[Math.floor(random() * hospitalGroups.length)];
       
       const deviceDemands = ['Increasing', 'Decreasing', 'Record', 'Weak', 'Stable', 'Volatile'];
-      const deviceDemand = deviceDemands[Math.floor(Math.random() * deviceDemands.length)];
+      const deviceDemand = deviceDemands[Math.floor(random() * deviceDemands.length)];
       
       const deviceImpact = (deviceDemand === 'Increasing' || deviceDemand === 'Record') ? 
-        (0.03 + Math.random() * 0.02) : (deviceDemand === 'Decreasing' || deviceDemand === 'Weak') ? 
-        -(0.03 + Math.random() * 0.02) : (Math.random() > 0.5 ? 0.01 : -0.01);
+        (0.03 + random() * 0.02) : (deviceDemand === 'Decreasing' || deviceDemand === 'Weak') ? 
+        -(0.03 + random() * 0.02) : (random() > 0.5 ? 0.01 : -0.01);
       
       const laborEvents = ['Staffing Shortages', 'Union Negotiations', 'Industry Restructuring', 'Skill Demand Surge', 'Regulatory Changes'];
-      const laborEvent = laborEvents[Math.floor(Math.random() * laborEvents.length)];
+      const laborEvent = laborEvents[Math.floor(random() * laborEvents.length)];
       
-      const laborImpact = direction === 'Surge' ? -(0.02 + Math.random() * 0.02) : 0.02 + Math.random() * 0.02;
+      const laborImpact = direction === 'Surge' ? -(0.02 + random() * 0.02) : 0.02 + random() * 0.02;
       
       const body = direction === 'Surge' 
         ? `Healthcare sector is experiencing positive momentum after ${pharmaCompany}'s announcement about ${therapyName}. Treatment for ${diseaseType} shows promising results in clinical trials.` 
@@ -746,13 +811,56 @@ const SECTOR_EVENT_TEMPLATES = [
         insurerName, coverageAction, treatmentType, coverageImpact,
         hospitalGroup, deviceDemand, deviceImpact,
         laborEvent, laborImpact,
-        body,
-        related_sectors: ['Healthcare', 'Pharmaceuticals', 'Biotechnology', 'Medical Devices', 'Healthcare Providers']
+        body
       };
     }
   },
 ];
 
+// Sector event templates for sectors without their own
+const GENERAL_SECTOR_TEMPLATES = {
+  name: 'General Sector',
+  templates: [
+    { headline: 'Sector Event: {sector} Stocks {direction} as {driver}', impact: '{directionImpact}', importance: 4 },
+    { headline: 'Sector Event: Analysts {ratingAction} {sector} Sector, Citing {reason}', impact: '{ratingImpact}', importance: 3 },
+    { headline: 'Sector Event: {companyName} {guidanceAction} Outlook, {sector} Peers {direction}', impact: '{directionImpact}', importance: 4 },
+    { headline: 'Sector Event: Regulators Propose New {regulationType} Rules for {sector} Companies', impact: -0.03, importance: 4 },
+  ],
+  generateDetails: (random, { sector, stocks }) => {
+    const direction = random() > 0.5 ? 'Rally' : 'Slide';
+    const directionImpact = direction === 'Rally' ? (0.02 + random() * 0.04) : -(0.02 + random() * 0.04);
+    
+    const drivers = direction === 'Rally'
+      ? ['Demand Beats Forecasts', 'Input Costs Ease', 'Investors Rotate Into the Sector', 'Consumer Spending Picks Up']
+      : ['Demand Softens', 'Input Costs Climb', 'Investors Rotate Out of the Sector', 'Consumer Spending Cools'];
+    const driver = drivers[Math.floor(random() * drivers.length)];
+    
+    const ratingAction = random() > 0.5 ? 'Upgrade' : 'Downgrade';
+    const ratingImpact = ratingAction === 'Upgrade' ? (0.02 + random() * 0.03) : -(0.02 + random() * 0.03);
+    
+    const reasons = ['Pricing Power', 'Margin Pressure', 'Valuations', 'Shifting Consumer Habits', 'Supply Chain Costs'];
+    const reason = reasons[Math.floor(random() * reasons.length)];
+    
+    const companyName = pickCompanyName(random, stocks, [`A Leading ${sector} Company`]);
+    const guidanceAction = direction === 'Rally' ? 'Raises' : 'Cuts';
+    
+    const regulationTypes = ['Disclosure', 'Competition', 'Consumer Protection', 'Data Privacy', 'Pricing'];
+    const regulationType = regulationTypes[Math.floor(random() * regulationTypes.length)];
+    
+    const body = direction === 'Rally'
+      ? `${sector} stocks are moving higher, led by ${companyName}. Analysts expect the strength to carry into the coming weeks.`
+      : `${sector} stocks are under pressure, with ${companyName} among the hardest hit. Strategists advise caution until the picture clears.`;
+    
+    return {
+      sector,
+      direction, directionImpact, driver,
+      ratingAction, ratingImpact, reason,
+      companyName, guidanceAction, regulationType,
+      body
+    };
+  }
+};
+
 // Company event templates
 const COMPANY_EVENT_TEMPLATES = [
   {
@@ -766,49 +874,38 @@ const COMPANY_EVENT_TEMPLATES = [
       { headline: 'Company Event: {company} {resultPhrase} Driven by {driverType}, {executiveTitle} {commentType}', impact: '{resultImpact}', importance: 4 },
       { headline: 'Company Event: {company} to {capitalAction} Following {resultType} Earnings Report', impact: '{capitalImpact}', importance: 4 },
     ],
-    generateDetails: () => {
-      const companies = [
-        { name: 'TechCorp', id: 1, sector: 'Technology' },
-        { name: 'MegaBank', id: 2, sector: 'Finance' },
-        { name: 'EnergyFuture', id: 3, sector: 'Energy' },
-        { name: 'RetailGiant', id: 4, sector: 'Retail' },
-        { name: 'HealthInnovate', id: 5, sector: 'Healthcare' },
-        { name: 'GrowthSoftware', id: 6, sector: 'Technology' },
-        { name: 'IndustrialPro', id: 7, sector: 'Manufacturing' },
-        { name: 'FoodCorp', id: 8, sector: 'Consumer Goods' },
-      ];
-      
-      const company = companies[Math.floor(Math.random() * companies.length)];
-      const quarter = Math.ceil(Math.random() * 4);
+    generateDetails: (random, { companies }) => {
+      const company = companies[Math.floor(random() * companies.length)];
+      const quarter = Math.ceil(random() * 4);
       
       // Earnings metrics
-      const positiveEarnings = Math.random() > 0.4;
+      const positiveEarnings = random() > 0.4;
       const beatsMisses = positiveEarnings ? 'Beats Expectations' : 'Misses Forecasts';
-      const epsAmount = (Math.random() * 0.5 + 0.05).toFixed(2);
+      const epsAmount = (random() * 0.5 + 0.05).toFixed(2);
       
-      const positiveRevenue = Math.random() > 0.4;
+      const positiveRevenue = random() > 0.4;
       const revenueVerb = positiveRevenue ? 'Reaches' : 'Falls Short at';
-      const revenueAmount = (Math.random() * 10 + 1).toFixed(1);
+      const revenueAmount = (random() * 10 + 1).toFixed(1);
       
-      const earningsImpact = (positiveEarnings && positiveRevenue) ? 0.06 + Math.random() * 0.04 : 
-                            (!positiveEarnings && !positiveRevenue) ? -0.07 - Math.random() * 0.03 :
-                            (positiveEarnings ? 0.02 + Math.random() * 0.03 : -0.03 - Math.random() * 0.03);
+      const earningsImpact = (positiveEarnings && positiveRevenue) ? 0.06 + random() * 0.04 : 
+                            (!positiveEarnings && !positiveRevenue) ? -0.07 - random() * 0.03 :
+                            (positiveEarnings ? 0.02 + random() * 0.03 : -0.03 - random() * 0.03);
       
       // Guidance details
-      const positiveGuidance = Math.random() > 0.4;
+      const positiveGuidance = random() > 0.4;
       const guidanceDirection = positiveGuidance ? 'Strong' : 'Cautious';
       
       const guidanceTargets = ['Next Quarter', 'Full Year', 'Revenue Growth', 'Profit Margins', 'Market Expansion'];
-      const guidanceTarget = guidanceTargets[Math.floor(Math.random() * guidanceTargets.length)];
+      const guidanceTarget = guidanceTargets[Math.floor(random() * guidanceTargets.length)];
       
       const shareReaction = positiveGuidance ? 'Jump' : 'Drop';
-      const shareAmount = (Math.random() * 8 + 2).toFixed(1);
+      const shareAmount = (random() * 8 + 2).toFixed(1);
       
-      const guidanceImpact = positiveGuidance ? 0.05 + Math.random() * 0.04 : -0.06 - Math.random() * 0.04;
+      const guidanceImpact = positiveGuidance ? 0.05 + random() * 0.04 : -0.06 - random() * 0.04;
       
       // Segment performance
-      const profitChange = (Math.random() * 25 + 5).toFixed(1);
-      const profitDirection = Math.random() > 0.4 ? 'Growth' : 'Decline';
+      const profitChange = (random() * 25 + 5).toFixed(1);
+      const profitDirection = random() > 0.4 ? 'Growth' : 'Decline';
       
       const segments = {
         'Technology': ['Cloud Services', 'Hardware', 'Enterprise Solutions', 'Consumer Products'],
@@ -821,84 +918,84 @@ const COMPANY_EVENT_TEMPLATES = [
       };
       
       const segment = segments[company.sector] ? 
-        segments[company.sector][Math.floor(Math.random() * segments[company.sector].length)] : 
+        segments[company.sector][Math.floor(random() * segments[company.sector].length)] : 
         'Core Business';
       
       const segmentImportances = ['Critical', 'Important', 'Contributing', 'Minor', 'Growing in Importance'];
-      const segmentImportance = segmentImportances[Math.floor(Math.random() * segmentImportances.length)];
+      const segmentImportance = segmentImportances[Math.floor(random() * segmentImportances.length)];
       
       const segmentImpact = (profitDirection === 'Growth' && (segmentImportance === 'Critical' || segmentImportance === 'Important')) ? 
-        0.04 + Math.random() * 0.03 : 
+        0.04 + random() * 0.03 : 
         (profitDirection === 'Decline' && (segmentImportance === 'Critical' || segmentImportance === 'Important')) ? 
-        -0.04 - Math.random() * 0.03 : 
-        (profitDirection === 'Growth' ? 0.02 + Math.random() * 0.01 : -0.02 - Math.random() * 0.01);
+        -0.04 - random() * 0.03 : 
+        (profitDirection === 'Growth' ? 0.02 + random() * 0.01 : -0.02 - random() * 0.01);
       
       // Margin details
-      const margin = (Math.random() * 10 + 20).toFixed(1);
-      const marginDirection = Math.random() > 0.5 ? 'Improvement' : 'Contraction';
+      const margin = (random() * 10 + 20).toFixed(1);
+      const marginDirection = random() > 0.5 ? 'Improvement' : 'Contraction';
       
       const marginFactors = [
         'Cost Control Measures', 'Raw Material Costs', 'Supply Chain Efficiencies', 
         'Pricing Strategy', 'Production Scalability', 'Labor Costs',
         'Automation Investments', 'Market Competition'
       ];
-      const marginFactor = marginFactors[Math.floor(Math.random() * marginFactors.length)];
+      const marginFactor = marginFactors[Math.floor(random() * marginFactors.length)];
       
-      const marginImpact = marginDirection === 'Improvement' ? 0.03 + Math.random() * 0.02 : -0.03 - Math.random() * 0.02;
+      const marginImpact = marginDirection === 'Improvement' ? 0.03 + random() * 0.02 : -0.03 - random() * 0.02;
       
       // Analyst reactions
       const analyzeDirections = ['Upgrade', 'Downgrade', 'Maintain Outlook on', 'Raise Price Target for', 'Cut Price Target for', 'Initiate Coverage on'];
-      const analyzeDirection = analyzeDirections[Math.floor(Math.random() * analyzeDirections.length)];
+      const analyzeDirection = analyzeDirections[Math.floor(random() * analyzeDirections.length)];
       
       const noteContents = [
         'Citing Growth Potential', 'Expressing Concern Over Margins', 'Highlighting Market Position', 
         'Pointing to Competitive Threats', 'Praising Management Execution', 'Questioning Strategy',
         'Emphasizing Valuation Concerns', 'Noting Technological Advantage'
       ];
-      const noteContent = noteContents[Math.floor(Math.random() * noteContents.length)];
+      const noteContent = noteContents[Math.floor(random() * noteContents.length)];
       
       const analysisImpact = (analyzeDirection === 'Upgrade' || analyzeDirection === 'Raise Price Target for') ? 
-        0.04 + Math.random() * 0.03 : 
+        0.04 + random() * 0.03 : 
         (analyzeDirection === 'Downgrade' || analyzeDirection === 'Cut Price Target for') ? 
-        -0.04 - Math.random() * 0.03 : 
+        -0.04 - random() * 0.03 : 
         (noteContent.includes('Growth') || noteContent.includes('Advantage') || noteContent.includes('Praising')) ? 
-        0.02 + Math.random() * 0.01 : 
+        0.02 + random() * 0.01 : 
         (noteContent.includes('Concern') || noteContent.includes('Threats') || noteContent.includes('Questioning')) ? 
-        -0.02 - Math.random() * 0.01 : 
-        0.01 * (Math.random() > 0.5 ? 1 : -1);
+        -0.02 - random() * 0.01 : 
+        0.01 * (random() > 0.5 ? 1 : -1);
       
       // Executive comments
       const resultPhrases = [
         'Reports Strong Quarterly Performance', 'Posts Mixed Results', 'Exceeds Market Expectations', 
         'Announces Disappointing Earnings', 'Delivers Solid Growth', 'Faces Profitability Challenges'
       ];
-      const resultPhrase = resultPhrases[Math.floor(Math.random() * resultPhrases.length)];
+      const resultPhrase = resultPhrases[Math.floor(random() * resultPhrases.length)];
       
       const driverTypes = [
         'Expanding Customer Base', 'New Product Adoption', 'Cost-Cutting Initiatives', 
         'International Expansion', 'Strategic Partnerships', 'Operational Efficiencies',
         'Digital Transformation', 'Market Share Gains', 'Pricing Strategy'
       ];
-      const driverType = driverTypes[Math.floor(Math.random() * driverTypes.length)];
+      const driverType = driverTypes[Math.floor(random() * driverTypes.length)];
       
       const executiveTitles = ['CEO', 'CFO', 'President', 'Chief Operating Officer', 'Executive Chairman'];
-      const executiveTitle = executiveTitles[Math.floor(Math.random() * executiveTitles.length)];
+      const executiveTitle = executiveTitles[Math.floor(random() * executiveTitles.length)];
       
       const commentTypes = [
         'Expresses Confidence in Strategy', 'Notes Challenging Environment', 'Highlights Future Opportunities', 
         'Announces Strategic Review', 'Details Growth Initiatives', 'Addresses Market Concerns'
       ];
-      const commentType = commentTypes[Math.floor(Math.random() * commentTypes.length)];
+      const commentType = commentTypes[Math.floor(random() * commentTypes.length)];
       
       const resultImpact = resultPhrase.includes('Strong') || resultPhrase.includes('Exceeds') || resultPhrase.includes('Solid') ? 
-        0.05 + Math.random() * 0.03 : 
+        0.05 + random() * 0.03 : 
         resultPhrase.includes('Disappointing') || resultPhrase.includes('Challenges') ? 
-        -0.05 - Math.random() * 0.03 : 
+        -0.05 - random() * 0.03 : 
         commentType.includes('Confidence') || commentType.includes('Opportunities') || commentType.includes('Growth') ? 
-        0.02 + Math.random() * 0.02 : 
+        0.02 + random() * 0.02 : 
         commentType.includes('Challenging') || commentType.includes('Concerns') ? 
-        -0.02 - Math.random() * 0.02 : 
-        0.01 * (Math.random() > 0.5 ? 1 : -1);
+        -0.02 - random() * 0.02 : 
+        0.01 * (random() > 0.5 ? 1 : -1);
       
       // Capital allocation
       const capitalActions = [
@@ -906,20 +1003,20 @@ const COMPANY_EVENT_TEMPLATES = [
         'Issue New Shares', 'Announce Debt Reduction Plan', 'Restructure Debt',
         'Launch Special Dividend', 'Suspend Share Repurchases'
       ];
-      const capitalAction = capitalActions[Math.floor(Math.random() * capitalActions.length)];
+      const capitalAction = capitalActions[Math.floor(random() * capitalActions.length)];
       
       const resultTypes = ['Strong', 'Mixed', 'Disappointing', 'Record', 'Better-Than-Expected', 'Below-Expectations'];
-      const resultType = resultTypes[Math.floor(Math.random() * resultTypes.length)];
+      const resultType = resultTypes[Math.floor(random() * resultTypes.length)];
       
       const capitalImpact = (capitalAction.includes('Increase') || capitalAction.includes('Raise') || capitalAction.includes('Special')) ? 
-        0.04 + Math.random() * 0.03 : 
+        0.04 + random() * 0.03 : 
         (capitalAction.includes('Cut') || capitalAction.includes('Suspend')) ? 
-        -0.04 - Math.random() * 0.03 : 
+        -0.04 - random() * 0.03 : 
         (resultType === 'Strong' || resultType === 'Record' || resultType === 'Better-Than-Expected') ? 
-        0.03 + Math.random() * 0.02 : 
+        0.03 + random() * 0.02 : 
         (resultType === 'Disappointing' || resultType === 'Below-Expectations') ? 
-        -0.03 - Math.random() * 0.02 : 
-        0.01 * (Math.random() > 0.5 ? 1 : -1);
+        -0.03 - random() * 0.02 : 
+        0.01 * (random() > 0.5 ? 1 : -1);
       
       // Generate a consistent body paragraph
       const positiveResult = resultPhrase.includes('Strong') || resultPhrase.includes('Exceeds') || resultPhrase.includes('Solid');
@@ -955,166 +1052,155 @@ const COMPANY_EVENT_TEMPLATES = [
       { headline: 'Company Event: {company} {investmentAction} ${amount}B in {technologyArea}, {executiveComment}', impact: '{investmentImpact}', importance: 4 },
       { headline: 'Company Event: {company} {policyVerb} {policyType} Policy, {policyDetail}', impact: '{policyImpact}', importance: 3 },
     ],
-    generateDetails: () => {
-      const companies = [
-        { name: 'TechCorp', id: 1, sector: 'Technology' },
-        { name: 'MegaBank', id: 2, sector: 'Finance' },
-        { name: 'EnergyFuture', id: 3, sector: 'Energy' },
-        { name: 'RetailGiant', id: 4, sector: 'Retail' },
-        { name: 'HealthInnovate', id: 5, sector: 'Healthcare' },
-        { name: 'GrowthSoftware', id: 6, sector: 'Technology' },
-        { name: 'IndustrialPro', id: 7, sector: 'Manufacturing' },
-        { name: 'FoodCorp', id: 8, sector: 'Consumer Goods' },
-      ];
-      
-      const company = companies[Math.floor(Math.random() * companies.length)];
+    generateDetails: (random, { companies }) => {
+      const company = companies[Math.floor(random() * companies.length)];
       
-      // Filter to get a different company for target/partner
-      const potentialTargets = companies.filter(c => c.id !== company.id);
-      const targetCompany = potentialTargets[Math.floor(Math.random() * potentialTargets.length)].name;
-      const partnerCompany = potentialTargets[Math.floor(Math.random() * potentialTargets.length)].name;
+      // Filter to get a different company for target/partner (an unlisted one if there is no other)
+      const potentialTargets = otherCompanyNames(companies, company);
+      const targetCompany = potentialTargets[Math.floor(random() * potentialTargets.length)];
+      const partnerCompany = potentialTargets[Math.floor(random() * potentialTargets.length)];
       
       // Deal details
       const dealTypes = ['Acquisition', 'Merger', 'Majority Stake Purchase', 'Strategic Investment'];
-      const dealType = dealTypes[Math.floor(Math.random() * dealTypes.length)];
+      const dealType = dealTypes[Math.floor(random() * dealTypes.length)];
       
-      const dealAmount = (Math.random() * 40 + 5).toFixed(1);
+      const dealAmount = (random() * 40 + 5).toFixed(1);
       
       const strategicValues = [
         'Expanding Market Reach', 'Enhancing Product Portfolio', 'Gaining Technological Edge',
         'Entering New Vertical', 'Consolidating Industry Position', 'Accelerating Growth Strategy'
       ];
-      const strategicValue = strategicValues[Math.floor(Math.random() * strategicValues.length)];
+      const strategicValue = strategicValues[Math.floor(random() * strategicValues.length)];
       
-      const dealImpact = Math.random() > 0.3 ? 0.06 + Math.random() * 0.04 : -0.05 - Math.random() * 0.03;
+      const dealImpact = random() > 0.3 ? 0.06 + random() * 0.04 : -0.05 - random() * 0.03;
       
       // Strategy announcements
       const strategyTypes = [
         'Digital Transformation', 'Sustainability', 'Innovation', 'Growth', 
         'Market Expansion', 'Cost Optimization', 'Operational Excellence'
       ];
-      const strategyType = strategyTypes[Math.floor(Math.random() * strategyTypes.length)];
+      const strategyType = strategyTypes[Math.floor(random() * strategyTypes.length)];
       
       const strategyGoals = [
         '50% Revenue Growth', 'Carbon Neutrality', 'Market Leadership', 
         'Doubled Profit Margins', 'Global Expansion', '$10B in New Sales',
         'Product Line Diversification', 'AI-Driven Operations'
       ];
-      const strategyGoal = strategyGoals[Math.floor(Math.random() * strategyGoals.length)];
+      const strategyGoal = strategyGoals[Math.floor(random() * strategyGoals.length)];
       
-      const targetYear = 2025 + Math.floor(Math.random() * 10);
+      const targetYear = 2025 + Math.floor(random() * 10);
       
-      const strategyImpact = Math.random() > 0.3 ? 0.04 + Math.random() * 0.03 : -0.02 - Math.random() * 0.03;
+      const strategyImpact = random() > 0.3 ? 0.04 + random() * 0.03 : -0.02 - random() * 0.03;
       
       // Restructuring
       const restructureActions = [
         'Streamline', 'Consolidate', 'Reorganize', 'Centralize', 
         'Decentralize', 'Optimize', 'Overhaul', 'Transform'
       ];
-      const restructureAction = restructureActions[Math.floor(Math.random() * restructureActions.length)];
+      const restructureAction = restructureActions[Math.floor(random() * restructureActions.length)];
       
       const actionImpacts = ['Saving', 'Cutting', 'Reducing', 'Improving', 'Enhancing', 'Targeting'];
-      const actionImpact = actionImpacts[Math.floor(Math.random() * actionImpacts.length)];
+      const actionImpact = actionImpacts[Math.floor(random() * actionImpacts.length)];
       
-      const impactAmount = `$${(Math.random() * 900 + 100).toFixed(0)}M`;
+      const impactAmount = `$${(random() * 900 + 100).toFixed(0)}M`;
       
       const impactAreas = ['Annual Costs', 'Operating Expenses', 'Process Efficiency', 'Production Costs', 'Supply Chain'];
-      const impactArea = impactAreas[Math.floor(Math.random() * impactAreas.length)];
+      const impactArea = impactAreas[Math.floor(random() * impactAreas.length)];
       
       const restructureImpact = (actionImpact === 'Saving' || actionImpact === 'Cutting' || actionImpact === 'Reducing') ?
-        0.04 + Math.random() * 0.03 : Math.random() > 0.5 ? 0.02 + Math.random() * 0.02 : -0.02 - Math.random() * 0.01;
+        0.04 + random() * 0.03 : random() > 0.5 ? 0.02 + random() * 0.02 : -0.02 - random() * 0.01;
       
       // Market expansion
       const newMarkets = [
         'European', 'Asian', 'Latin American', 'Healthcare', 'Automotive', 
         'Enterprise', 'Consumer', 'Digital', 'Renewable Energy', 'Financial Services'
       ];
-      const newMarket = newMarkets[Math.floor(Math.random() * newMarkets.length)];
+      const newMarket = newMarkets[Math.floor(random() * newMarkets.length)];
       
       const expansionMethods = [
         'New Product Line', 'Strategic Acquisition', 'Joint Venture', 
         'Licensing Agreement', 'Direct Investment', 'R&D Initiative'
       ];
-      const expansionMethod = expansionMethods[Math.floor(Math.random() * expansionMethods.length)];
+      const expansionMethod = expansionMethods[Math.floor(random() * expansionMethods.length)];
       
       const analystViews = [
         'Analysts Express Optimism', 'Market Response Positive', 'Raising Growth Expectations',
         'Some Analysts Question Timing', 'Integration Challenges Expected', 'Competitive Advantage Noted'
       ];
-      const analystView = analystViews[Math.floor(Math.random() * analystViews.length)];
+      const analystView = analystViews[Math.floor(random() * analystViews.length)];
       
       const expansionImpact = (analystView.includes('Optimism') || analystView.includes('Positive') || analystView.includes('Raising') || analystView.includes('Advantage')) ?
-        0.04 + Math.random() * 0.03 : (analystView.includes('Question') || analystView.includes('Challenges')) ?
-        -0.02 - Math.random() * 0.02 : Math.random() > 0.6 ? 0.02 + Math.random() * 0.01 : -0.01 - Math.random() * 0.01;
+        0.04 + random() * 0.03 : (analystView.includes('Question') || analystView.includes('Challenges')) ?
+        -0.02 - random() * 0.02 : random() > 0.6 ? 0.02 + random() * 0.01 : -0.01 - random() * 0.01;
       
       // Workforce changes
-      const amount = (Math.random() * 15 + 5).toFixed(0);
+      const amount = (random() * 15 + 5).toFixed(0);
       const workforceChanges = ['Reduction', 'Expansion', 'Reallocation', 'Retraining'];
-      const workforceChange = workforceChanges[Math.floor(Math.random() * workforceChanges.length)];
+      const workforceChange = workforceChanges[Math.floor(random() * workforceChanges.length)];
       
       const reasonPhrases = [
         'Cost-Cutting Measure', 'Supporting Growth Strategy', 'Aligning with Digital Transformation',
         'Response to Market Conditions', 'Part of Strategic Restructuring', 'Addressing Skill Gaps'
       ];
-      const reasonPhrase = reasonPhrases[Math.floor(Math.random() * reasonPhrases.length)];
+      const reasonPhrase = reasonPhrases[Math.floor(random() * reasonPhrases.length)];
       
       const workforceImpact = workforceChange === 'Reduction' ? 
-        (reasonPhrase.includes('Growth') || reasonPhrase.includes('Digital') ? 0.01 + Math.random() * 0.02 : -0.04 - Math.random() * 0.03) : 
-        workforceChange === 'Expansion' ? 0.03 + Math.random() * 0.02 : Math.random() > 0.5 ? 0.01 : -0.01;
+        (reasonPhrase.includes('Growth') || reasonPhrase.includes('Digital') ? 0.01 + random() * 0.02 : -0.04 - random() * 0.03) : 
+        workforceChange === 'Expansion' ? 0.03 + random() * 0.02 : random() > 0.5 ? 0.01 : -0.01;
       
       // Partnerships
       const partnershipVerbs = ['Forms Strategic Partnership', 'Announces Collaboration', 'Signs Agreement', 'Establishes Joint Venture'];
-      const partnershipVerb = partnershipVerbs[Math.floor(Math.random() * partnershipVerbs.length)];
+      const partnershipVerb = partnershipVerbs[Math.floor(random() * partnershipVerbs.length)];
       
       const partnershipGoals = [
         'Develop New Technology', 'Enter Emerging Markets', 'Launch Innovative Product Line',
         'Enhance Supply Chain Efficiency', 'Accelerate Research Initiatives', 'Share Distribution Networks'
       ];
-      const partnershipGoal = partnershipGoals[Math.floor(Math.random() * partnershipGoals.length)];
+      const partnershipGoal = partnershipGoals[Math.floor(random() * partnershipGoals.length)];
       
       const timeframes = ['Multi-Year', 'Five-Year', 'Long-Term', 'Initial Two-Year', 'Immediate'];
-      const timeframe = timeframes[Math.floor(Math.random() * timeframes.length)];
+      const timeframe = timeframes[Math.floor(random() * timeframes.length)];
       
-      const partnershipImpact = Math.random() > 0.3 ? 0.03 + Math.random() * 0.02 : -0.01 - Math.random() * 0.02;
+      const partnershipImpact = random() > 0.3 ? 0.03 + random() * 0.02 : -0.01 - random() * 0.02;
       
       // Investments
       const investmentActions = ['Invests', 'Commits', 'Allocates', 'Secures Funding of'];
-      const investmentAction = investmentActions[Math.floor(Math.random() * investmentActions.length)];
+      const investmentAction = investmentActions[Math.floor(random() * investmentActions.length)];
       
       const technologyAreas = [
         'Artificial Intelligence', 'Sustainable Technology', 'Manufacturing Capacity',
         'Next-Generation Products', 'Cloud Infrastructure', 'Quantum Computing',
         'Research Facilities', 'Automation Solutions', '5G Technology'
       ];
-      const technologyArea = technologyAreas[Math.floor(Math.random() * technologyAreas.length)];
+      const technologyArea = technologyAreas[Math.floor(random() * technologyAreas.length)];
       
       const executiveComments = [
         'CEO Highlights Strategic Importance', 'Aiming for Market Leadership', 
         'Expected to Deliver Long-Term Value', 'Addressing Competitive Pressures',
         'Building Foundation for Future Growth', 'Part of Multi-Phase Initiative'
       ];
-      const executiveComment = executiveComments[Math.floor(Math.random() * executiveComments.length)];
+      const executiveComment = executiveComments[Math.floor(random() * executiveComments.length)];
       
-      const investmentImpact = Math.random() > 0.25 ? 0.04 + Math.random() * 0.03 : -0.02 - Math.random() * 0.02;
+      const investmentImpact = random() > 0.25 ? 0.04 + random() * 0.03 : -0.02 - random() * 0.02;
       
       // Corporate policies
       const policyVerbs = ['Announces New', 'Updates', 'Revises', 'Implements', 'Adopts'];
-      const policyVerb = policyVerbs[Math.floor(Math.random() * policyVerbs.length)];
+      const policyVerb = policyVerbs[Math.floor(random() * policyVerbs.length)];
       
       const policyTypes = [
         'Environmental', 'Remote Work', 'Executive Compensation', 'Shareholder Return',
         'Diversity & Inclusion', 'Corporate Governance', 'Data Privacy', 'Ethical AI'
       ];
-      const policyType = policyTypes[Math.floor(Math.random() * policyTypes.length)];
+      const policyType = policyTypes[Math.floor(random() * policyTypes.length)];
       
       const policyDetails = [
         'Industry-Leading Standards', 'Responding to Regulatory Changes', 
         'Aligning with Strategic Vision', 'Addressing Stakeholder Concerns',
         'Enhancing Corporate Reputation', 'Setting New Benchmarks'
       ];
-      const policyDetail = policyDetails[Math.floor(Math.random() * policyDetails.length)];
+      const policyDetail = policyDetails[Math.floor(random() * policyDetails.length)];
       
-      const policyImpact = Math.random() > 0.4 ? 0.02 + Math.random() * 0.02 : -0.01 - Math.random() * 0.02;
+      const policyImpact = random() > 0.4 ? 0.02 + random() * 0.02 : -0.01 - random() * 0.02;
       
       // Generate a consistent body paragraph
       const body = `${company.name} (ID: ${company.id}) has announced significant strategic initiatives that are expected to reshape its business operations and market position. These changes reflect the company's response to evolving industry dynamics and competitive pressures.`;
@@ -1146,19 +1232,8 @@ const COMPANY_EVENT_TEMPLATES = [
       { headline: 'Company Event: {company} Addresses {issueType} Issue with {productName}, {resolutionDetails}', impact: '{issueImpact}', importance: 4 },
       { headline: 'Company Event: {company} {partnerVerb} with {partnerName} to {developmentGoal}', impact: 0.03, importance: 3 },
     ],
-    generateDetails: () => {
-      const companies = [
-        { name: 'TechCorp', id: 1, sector: 'Technology' },
-        { name: 'MegaBank', id: 2, sector: 'Finance' },
-        { name: 'EnergyFuture', id: 3, sector: 'Energy' },
-        { name: 'RetailGiant', id: 4, sector: 'Retail' },
-        { name: 'HealthInnovate', id: 5, sector: 'Healthcare' },
-        { name: 'GrowthSoftware', id: 6, sector: 'Technology' },
-        { name: 'IndustrialPro', id: 7, sector: 'Manufacturing' },
-        { name: 'FoodCorp', id: 8, sector: 'Consumer Goods' },
-      ];
-      
-      const company = companies[Math.floor(Math.random() * companies.length)];
+    generateDetails: (random, { companies }) => {
+      const company = companies[Math.floor(random() * companies.length)];
       
       // Product names by sector
       const productNamesBySector = {
@@ -1174,14 +1249,14 @@ const COMPANY_EVENT_TEMPLATES = [
       const productNames = productNamesBySector[company.sector] || 
         ['NextGen Pro', 'SmartSolution', 'InnovateX', 'PremiumPlus', 'UltraEdge'];
       
-      const productName = productNames[Math.floor(Math.random() * productNames.length)];
+      const productName = productNames[Math.floor(random() * productNames.length)];
       
       // Product descriptions
       const productDescriptions = [
         'Revolutionary New Product', 'Next-Generation Solution', 'Industry-First Innovation',
         'Advanced Platform', 'Enhanced Service Offering', 'Breakthrough Technology'
       ];
-      const productDescription = productDescriptions[Math.floor(Math.random() * productDescriptions.length)];
+      const productDescription = productDescriptions[Math.floor(random() * productDescriptions.length)];
       
       // Key features
       const keyFeatures = [
@@ -1189,11 +1264,11 @@ const COMPANY_EVENT_TEMPLATES = [
         'Improved User Experience', '50% Performance Gain', 'Sustainable Design',
         'Real-Time Processing', 'Enterprise-Grade Scalability', 'Patented Technology'
       ];
-      const keyFeature = keyFeatures[Math.floor(Math.random() * keyFeatures.length)];
+      const keyFeature = keyFeatures[Math.floor(random() * keyFeatures.length)];
       
       // Approval details
       const approvalTypes = ['Regulatory', 'FDA', 'Patent', 'International', 'Industry Certification'];
-      const approvalType = approvalTypes[Math.floor(Math.random() * approvalTypes.length)];
+      const approvalType = approvalTypes[Math.floor(random() * approvalTypes.length)];
       
       const productTypes = {
         'Technology': ['Security System', 'Enterprise Software', 'Cloud Platform', 'Data Analytics Tool'],
@@ -1206,18 +1281,18 @@ const COMPANY_EVENT_TEMPLATES = [
       };
       
       const sectorProductTypes = productTypes[company.sector] || ['New Product', 'Service Offering', 'Software Solution', 'Consumer Device'];
-      const productType = sectorProductTypes[Math.floor(Math.random() * sectorProductTypes.length)];
+      const productType = sectorProductTypes[Math.floor(random() * sectorProductTypes.length)];
       
       const marketPotentials = [
         'Opening $5B Market Opportunity', 'Expected to Boost Annual Revenue by 15%',
         'Targeting Growing Customer Segment', 'First-to-Market Advantage',
         'Addressing Unmet Customer Need', 'Significant Competitive Advantage'
       ];
-      const marketPotential = marketPotentials[Math.floor(Math.random() * marketPotentials.length)];
+      const marketPotential = marketPotentials[Math.floor(random() * marketPotentials.length)];
       
       // Research details
       const researchVerbs = ['Announces', 'Reports', 'Patents', 'Demonstrates', 'Publishes'];
-      const researchVerb = researchVerbs[Math.floor(Math.random() * researchVerbs.length)];
+      const researchVerb = researchVerbs[Math.floor(random() * researchVerbs.length)];
       
       const researchAreas = {
         'Technology': ['Quantum Computing', 'Artificial Intelligence', 'Machine Learning', 'Cybersecurity', 'Edge Computing'],
@@ -1230,40 +1305,40 @@ const COMPANY_EVENT_TEMPLATES = [
       };
       
       const sectorResearchAreas = researchAreas[company.sector] || ['Technology', 'Production Process', 'Materials Science', 'Customer Experience'];
-      const researchArea = sectorResearchAreas[Math.floor(Math.random() * sectorResearchAreas.length)];
+      const researchArea = sectorResearchAreas[Math.floor(random() * sectorResearchAreas.length)];
       
       const potentialUses = [
         'Could Revolutionize Industry', 'Expected to Launch Within 18 Months',
         'Significant Commercial Applications', 'Patents Pending for Key Components',
         'Potential $1B Market Opportunity', 'Multiple Industry Applications'
       ];
-      const potentialUse = potentialUses[Math.floor(Math.random() * potentialUses.length)];
+      const potentialUse = potentialUses[Math.floor(random() * potentialUses.length)];
       
       // Competition details
       const competitionVerbs = ['Challenges', 'Outperforms', 'Targets', 'Disrupts', 'Gains Edge Over'];
-      const competitionVerb = competitionVerbs[Math.floor(Math.random() * competitionVerbs.length)];
+      const competitionVerb = competitionVerbs[Math.floor(random() * competitionVerbs.length)];
       
       // Filter to get a different company for competition
       const potentialCompetitors = companies.filter(c => c.id !== company.id && c.sector === company.sector);
       const competitionName = potentialCompetitors.length > 0 ? 
-        potentialCompetitors[Math.floor(Math.random() * potentialCompetitors.length)].name : 
+        potentialCompetitors[Math.floor(random() * potentialCompetitors.length)].name : 
         'Industry Competitors';
       
       const productAdvantages = [
         '30% Performance Improvement', 'Lower Cost Structure', 'Enhanced Feature Set',
         'Superior User Experience', 'Advanced Technology', 'More Sustainable Approach'
       ];
-      const productAdvantage = productAdvantages[Math.floor(Math.random() * productAdvantages.length)];
+      const productAdvantage = productAdvantages[Math.floor(random() * productAdvantages.length)];
       
       const competitionImpact = competitionVerb === 'Outperforms' || competitionVerb === 'Gains Edge Over' ? 
-        0.05 + Math.random() * 0.03 : 0.03 + Math.random() * 0.02;
+        0.05 + random() * 0.03 : 0.03 + random() * 0.02;
       
       // Metrics
-      const percentChange = (Math.random() * 30 + 10).toFixed(1);
-      const direction = Math.random() > 0.3 ? 'Increase' : 'Decrease';
+      const percentChange = (random() * 30 + 10).toFixed(1);
+      const direction = random() > 0.3 ? 'Increase' : 'Decrease';
       
       const metricNames = ['Sales', 'Market Share', 'Customer Adoption', 'Production Volume', 'Efficiency', 'Customer Satisfaction'];
-      const metricName = metricNames[Math.floor(Math.random() * metricNames.length)];
+      const metricName = metricNames[Math.floor(random() * metricNames.length)];
       
       const productLines = {
         'Technology': ['Enterprise', 'Consumer', 'Cloud', 'Security', 'Mobile'],
@@ -1276,42 +1351,42 @@ const COMPANY_EVENT_TEMPLATES = [
       };
       
       const sectorProductLines = productLines[company.sector] || ['Flagship', 'Entry-Level', 'Premium', 'Core', 'New'];
-      const productLine = sectorProductLines[Math.floor(Math.random() * sectorProductLines.length)];
+      const productLine = sectorProductLines[Math.floor(random() * sectorProductLines.length)];
       
       const metricImpact = direction === 'Increase' ? 
         (metricName === 'Sales' || metricName === 'Market Share' || metricName === 'Customer Adoption' || metricName === 'Customer Satisfaction' ? 
-          0.04 + Math.random() * 0.03 : 0.02 + Math.random() * 0.02) : 
-        -0.03 - Math.random() * 0.03;
+          0.04 + random() * 0.03 : 0.02 + random() * 0.02) : 
+        -0.03 - random() * 0.03;
       
       // Issues
       const issueTypes = ['Quality', 'Security', 'Performance', 'Compatibility', 'Supply Chain', 'Regulatory'];
-      const issueType = issueTypes[Math.floor(Math.random() * issueTypes.length)];
+      const issueType = issueTypes[Math.floor(random() * issueTypes.length)];
       
       const resolutionDetails = [
         'Software Update Released', 'Comprehensive Fix Implemented', 'Voluntary Recall Announced',
         'Enhanced Version Launched', 'Root Cause Identified', 'Customer Support Program Established'
       ];
-      const resolutionDetail = resolutionDetails[Math.floor(Math.random() * resolutionDetails.length)];
+      const resolutionDetail = resolutionDetails[Math.floor(random() * resolutionDetails.length)];
       
       const issueImpact = resolutionDetail.includes('Recall') ? 
-        -0.05 - Math.random() * 0.02 : 
+        -0.05 - random() * 0.02 : 
         (resolutionDetail.includes('Fix') || resolutionDetail.includes('Update') || resolutionDetail.includes('Enhanced')) ? 
-        0.02 + Math.random() * 0.02 : -0.02 - Math.random() * 0.02;
+        0.02 + random() * 0.02 : -0.02 - random() * 0.02;
       
       // Partnerships
       const partnerVerbs = ['Partners', 'Collaborates', 'Forms Alliance', 'Signs Development Agreement'];
-      const partnerVerb = partnerVerbs[Math.floor(Math.random() * partnerVerbs.length)];
+      const partnerVerb = partnerVerbs[Math.floor(random() * partnerVerbs.length)];
       
-      // Filter to get a different company for partner
-      const potentialPartners = companies.filter(c => c.id !== company.id);
-      const partnerName = potentialPartners[Math.floor(Math.random() * potentialPartners.length)].name;
+      // Filter to get a different company for partner (an unlisted one if there is no other)
+      const potentialPartners = otherCompanyNames(companies, company);
+      const partnerName = potentialPartners[Math.floor(random() * potentialPartners.length)];
       
       const developmentGoals = [
         'Develop Next-Generation Technology', 'Accelerate Product Innovation',
         'Enter New Market Segment', 'Enhance Product Capabilities',
         'Create Industry Standard', 'Launch Joint Research Initiative'
       ];
-      const developmentGoal = developmentGoals[Math.floor(Math.random() * developmentGoals.length)];
+      const developmentGoal = developmentGoals[Math.floor(random() * developmentGoals.length)];
       
       // Generate a consistent body paragraph
       const body = `${company.name} (ID: ${company.id}) has made significant progress in its product development and innovation initiatives. This development is expected to strengthen the company's competitive position in the ${company.sector} sector and contribute to long-term growth.`;
@@ -1338,14 +1413,17 @@ const COMPANY_EVENT_TEMPLATES = [
 /**
  * Selects a template and generates event details
  * @param {object} templateGroup - Group of templates to choose from
+ * @param {function} random - Random number generator (defaults to the session generator)
+ * @param {object} context - What the templates are about: { sector, stocks } for sector events,
+ *   { companies } for company events
  * @returns {object} - Generated event details
  */
-const generateEventFromTemplate = (templateGroup) => {
+const generateEventFromTemplate = (templateGroup, random = sessionRandom, context = {}) => {
   // Select a random template from the group
-  const template = templateGroup.templates[Math.floor(Math.random() * templateGroup.templates.length)];
+  const template = templateGroup.templates[Math.floor(random() * templateGroup.templates.length)];
   
   // Generate variable details for this template
-  const details = templateGroup.generateDetails();
+  const details = templateGroup.generateDetails(random, context);
   
   // Replace template placeholders with actual values
   let headline = template.headline;
@@ -1366,7 +1444,7 @@ const generateEventFromTemplate = (templateGroup) => {
   const body = details.body || `${summary}. This event may affect related ${templateGroup.sector ? 'companies in the ' + templateGroup.sector + ' sector' : 'markets'}.`;
   
   // Generate stock impact options
-  const impactOptions = generateImpactOptions(Number(impact));
+  const impactOptions = generateImpactOptions(Number(impact), random);
   
   // Get the actual impact from the options (the one marked as actual)
   const actualImpactOption = impactOptions.find(option => option.is_actual);
@@ -1386,9 +1464,10 @@ const generateEventFromTemplate = (templateGroup) => {
 /**
  * Generates 5 random price impact options, with one being the actual impact
  * @param {number} actualImpact - The actual price impact 
+ * @param {function} random - Random number generator (defaults to the session generator)
  * @returns {Array} - Array of impact options with the actual impact included
  */
-const generateImpactOptions = (actualImpact) => {
+const generateImpactOptions = (actualImpact, random = sessionRandom) => {
   // Get impact settings from local storage
   const storedMinImpact = localStorage.getItem('eventMinImpact');
   const storedMaxImpact = localStorage.getItem('eventMaxImpact');
@@ -1400,9 +1479,9 @@ const generateImpactOptions = (actualImpact) => {
   // Function to generate a random impact value
   const generateRandomImpact = () => {
     // Random value between min and max impact
-    const magnitude = minImpact + Math.random() * (maxImpact - minImpact);
+    const magnitude = minImpact + random() * (maxImpact - minImpact);
     // 50% chance of positive or negative
-    return magnitude * (Math.random() > 0.5 ? 1 : -1);
+    return magnitude * (random() > 0.5 ? 1 : -1);
   };
   
   // Create array with the actual impact
@@ -1423,7 +1502,7 @@ const generateImpactOptions = (actualImpact) => {
   }
   
   // Shuffle the array to randomize the position of the actual impact
-  return options.sort(() => Math.random() - 0.5).map(impact => ({
+  return options.sort(() => random() - 0.5).map(impact => ({
     value: impact,
     formatted: `${impact >= 0 ? '+' : ''}${(impact * 100).toFixed(2)}%`,
     is_actual: Math.abs(impact - actualImpact) < 0.0001 // Mark the actual impact
@@ -1432,14 +1511,15 @@ const generateImpactOptions = (actualImpact) => {
 
 /**
  * Generates a market event
+ * @param {function} random - Random number generator (defaults to the session generator)
  * @returns {object} - Generated market event
  */
-export const generateMarketEvent = () => {
-  const templateGroup = MARKET_EVENT_TEMPLATES[Math.floor(Math.random() * MARKET_EVENT_TEMPLATES.length)];
-  const eventDetails = generateEventFromTemplate(templateGroup);
+export const generateMarketEvent = (random = sessionRandom) => {
+  const templateGroup = MARKET_EVENT_TEMPLATES[Math.floor(random() * MARKET_EVENT_TEMPLATES.length)];
+  const eventDetails = generateEventFromTemplate(templateGroup, random);
   
   return {
-    id: `market-event-${Date.now()}-${Math.random().toString(36).substring(2, 10)}`,
+    id: `market-event-${Date.now()}-${random().toString(36).substring(2, 10)}`,
     event_type: 'market_event',
     published_at: new Date(),
     ...eventDetails
@@ -1447,31 +1527,54 @@ export const generateMarketEvent = () => {
 };
 
 /**
- * Generates a sector event
+ * Generates a sector event about one of the sectors of the listed stocks
+ * Falls back to a market event while no stocks with a sector are known
+ * @param {function} random - Random number generator (defaults to the session generator)
+ * @param {Array} stocks - Stocks to build the event from (defaults to the live stock list)
  * @returns {object} - Generated sector event
  */
-export const generateSectorEvent = () => {
-  const templateGroup = SECTOR_EVENT_TEMPLATES[Math.floor(Math.random() * SECTOR_EVENT_TEMPLATES.length)];
-  const eventDetails = generateEventFromTemplate(templateGroup);
+export const generateSectorEvent = (random = sessionRandom, stocks = getEventStocks()) => {
+  const sectors = listSectors(stocks);
+  if (sectors.length === 0) {
+    return generateMarketEvent(random);
+  }
+  
+  const sector = sectors[Math.floor(random() * sectors.length)];
+  const sectorStocks = stocksInSector(stocks, sector);
+  const templateGroup = SECTOR_EVENT_TEMPLATES.find(group =>
+    group.sectors.some(name => name.toLowerCase() === sector.toLowerCase())) || GENERAL_SECTOR_TEMPLATES;
+  const eventDetails = generateEventFromTemplate(templateGroup, random, { sector, stocks: sectorStocks });
   
   return {
-    id: `sector-event-${Date.now()}-${Math.random().toString(36).substring(2, 10)}`,
+    id: `sector-event-${Date.now()}-${random().toString(36).substring(2, 10)}`,
     event_type: 'sector_event',
     published_at: new Date(),
-    ...eventDetails
+    ...eventDetails,
+    sector,
+    related_sectors: [sector],
+    related_stocks: sectorStocks.map(stock => stock.id),
+    sector_spillover: sectorSpillover([sector], getSpilloverWeights(), sectors)
   };
 };
 
 /**
- * Generates a company event
+ * Generates a company event about one of the listed stocks
+ * Falls back to a market event while no stocks are known
+ * @param {function} random - Random number generator (defaults to the session generator)
+ * @param {Array} stocks - Stocks to build the event from (defaults to the live stock list)
  * @returns {object} - Generated company event
  */
-export const generateCompanyEvent = () => {
-  const templateGroup = COMPANY_EVENT_TEMPLATES[Math.floor(Math.random() * COMPANY_EVENT_TEMPLATES.length)];
-  const eventDetails = generateEventFromTemplate(templateGroup);
+export const generateCompanyEvent = (random = sessionRandom, stocks = getEventStocks()) => {
+  const companies = stocks.filter(stock => stock && stock.id).map(toCompany);
+  if (companies.length === 0) {
+    return generateMarketEvent(random);
+  }
+  
+  const templateGroup = COMPANY_EVENT_TEMPLATES[Math.floor(random() * COMPANY_EVENT_TEMPLATES.length)];
+  const eventDetails = generateEventFromTemplate(templateGroup, random, { companies });
   
   return {
-    id: `company-event-${Date.now()}-${Math.random().toString(36).substring(2, 10)}`,
+    id: `company-event-${Date.now()}-${random().toString(36).substring(2, 10)}`,
     event_type: 'company_event',
     published_at: new Date(),
     ...eventDetails
@@ -1480,17 +1583,18 @@ export const generateCompanyEvent = () => {
 
 /**
  * Generates a random event of any type
+ * @param {function} random - Random number generator (defaults to the session generator)
  * @returns {object} - Generated event
  */
-export const generateRandomEvent = () => {
-  const eventType = Math.random();
+export const generateRandomEvent = (random = sessionRandom) => {
+  const eventType = random();
   
   if (eventType < 0.3) {
-    return generateMarketEvent();
+    return generateMarketEvent(random);
   } else if (eventType < 0.6) {
-    return generateSectorEvent();
+    return generateSectorEvent(random);
   } else {
-    return generateCompanyEvent();
+    return generateCompanyEvent(random);
   }
 };
 
@@ -1502,28 +1606,33 @@ let maxEventFrequency = 30000; // Maximum: 30 seconds
 let minImpactPercentage = 1; // Minimum impact: 1%
 let maxImpactPercentage = 7; // Maximum impact: 7%
 let isGenerating = false;
+let eventCallback = null;
+let randomEventsSuppressed = false;
+let stockCheckInterval = null;
 
 /**
  * Starts the event generator with a specified frequency range
  * @param {number} minFrequency - Minimum milliseconds between events (default: 10000)
  * @param {number} maxFrequency - Maximum milliseconds between events (default: 30000)
  * @param {function} callback - Optional callback for each generated event
+ * @param {function} random - Random number generator (defaults to the session generator)
  * @returns {function} - Function to stop the generator
  */
-export const startEventGenerator = (minFrequency = 10000, maxFrequency = 30000, callback = null) => {
+export const startEventGenerator = (minFrequency = 10000, maxFrequency = 30000, callback = null, random = sessionRandom) => {
   if (isGenerating) {
     stopEventGenerator();
   }
   
   eventFrequency = minFrequency;
   maxEventFrequency = maxFrequency;
+  eventCallback = callback;
   isGenerating = true;
   console.log(`Starting market event generator with ${minFrequency/1000}-${maxFrequency/1000} second frequency range`);
   
   // Function to generate an event with guaranteed price impact
   const generateEventWithImpact = () => {
     // Generate a random event
-    let event = generateRandomEvent();
+    let event = generateRandomEvent(random);
     
     // Get impact settings from local storage if available
     const storedMinImpact = localStorage.getItem('eventMinImpact');
@@ -1537,10 +1646,10 @@ export const startEventGenerator = (minFrequency = 10000, maxFrequency = 30000,
     const maxImpact = maxImpactPercentage / 100;
     
     // Ensure the event has a meaningful price impact (within configured range)
-    if (Math.abs(event.price_impact) < minImpact || Math.random() > 0.7) {
+    if (Math.abs(event.price_impact) < minImpact || random() > 0.7) {
       // Generate random impact within the configured range
-      const impactSize = minImpact + Math.random() * (maxImpact - minImpact);
-      const impact = impactSize * (Math.random() > 0.5 ? 1 : -1);
+      const impactSize = minImpact + random() * (maxImpact - minImpact);
+      const impact = impactSize * (random() > 0.5 ? 1 : -1);
       
       event.price_impact = impact;
       console.log(`Adjusted price impact to ${(impact * 100).toFixed(2)}% to ensure market effect (range: ${minImpactPercentage}%-${maxImpactPercentage}%)`);
@@ -1551,6 +1660,12 @@ export const startEventGenerator = (minFrequency = 10000, maxFrequency = 30000,
   
   // Function to generate and dispatch an event
   const generateAndDispatchEvent = () => {
+    // A scenario is playing in place of random events - just keep the schedule going
+    if (randomEventsSuppressed) {
+      scheduleNextEvent();
+      return null;
+    }
+
     // Generate event with guaranteed impact
     const event = generateEventWithImpact();
     console.log('Generated market event:', event);
@@ -1562,7 +1677,7 @@ export const startEventGenerator = (minFrequency = 10000, maxFrequency = 30000,
     }
     
     // Dispatch as a WebSocket-like message
-    dispatchWebSocketEvent(event);
+    dispatchWebSocketEvent(event, random);
     
     // Schedule next event with random timing within the range
     scheduleNextEvent();
@@ -1578,7 +1693,7 @@ export const startEventGenerator = (minFrequency = 10000, maxFrequency = 30000,
     }
     
     // Calculate random delay between min and max frequency
-    const randomDelay = minFrequency + Math.random() * (maxFrequency - minFrequency);
+    const randomDelay = minFrequency + random() * (maxFrequency - minFrequency);
     console.log(`Next event scheduled in ${(randomDelay/1000).toFixed(1)} seconds`);
     
     // Schedule the next event
@@ -1598,7 +1713,7 @@ export const startEventGenerator = (minFrequency = 10000, maxFrequency = 30000,
   
   // Set up a listener for localStorage changes (for stock management)
   // This is a workaround since there's no direct localStorage change event
-  const checkLocalStorageInterval = setInterval(() => {
+  stockCheckInterval = setInterval(() => {
     const mockStocksJson = localStorage.getItem('mockStocksData');
     if (mockStocksJson) {
       try {
@@ -1607,17 +1722,8 @@ export const startEventGenerator = (minFrequency = 10000, maxFrequency = 30000,
         if (cachedStocks && mockStocks.length !== cachedStocks.length) {
           console.log('Stock count changed in localStorage, refreshing cache');
           refreshCachedStocks();
-        } else if (cachedStocks && mockStocks.length > 0) {
-          // Check if any stock prices have changed
-          for (let i = 0; i < mockStocks.length; i++) {
-            const cachedStock = cachedStocks.find(s => s.id === mockStocks[i].id);
-            if (cachedStock && cachedStock.current_price !== mockStocks[i].current_price) {
-              console.log(`Stock price changed for ${mockStocks[i].symbol}, refreshing cache`);
-              refreshCachedStocks();
-              break;
-            }
-          }
         }
+        // Prices change all the time under the price engine; events read them fresh when they fire
       } catch (e) {
         console.error('Error checking localStorage for stock changes:', e);
       }
@@ -1630,10 +1736,6 @@ export const startEventGenerator = (minFrequency = 10000, maxFrequency = 30000,
   // Return function to stop the generator
   return () => {
     stopEventGenerator();
-    // Also clear the localStorage check interval
-    if (checkLocalStorageInterval) {
-      clearInterval(checkLocalStorageInterval);
-    }
   };
 };
 
@@ -1641,6 +1743,12 @@ export const startEventGenerator = (minFrequency = 10000, maxFrequency = 30000,
  * Stops the event generator
  */
 export const stopEventGenerator = () => {
+  // Also clear the localStorage check interval, so an old schedule can't fire another event
+  if (stockCheckInterval) {
+    clearInterval(stockCheckInterval);
+    stockCheckInterval = null;
+  }
+
   if (eventGeneratorInterval) {
     clearInterval(eventGeneratorInterval);
     eventGeneratorInterval = null;
@@ -1652,8 +1760,9 @@ export const stopEventGenerator = () => {
 /**
  * Dispatches a WebSocket-like event for a market event
  * @param {object} event - The event to dispatch
+ * @param {function} random - Random number generator for the price moves (defaults to the session generator)
  */
-const dispatchWebSocketEvent = async (event) => {
+const dispatchWebSocketEvent = async (event, random = sessionRandom) => {
   // Determine the appropriate event type based on the event
   const wsEventType = event.event_type || 'news_item';
   
@@ -1668,35 +1777,33 @@ const dispatchWebSocketEvent = async (event) => {
   // NEW: Update stock prices based on the event
   if (['market_event', 'sector_event', 'company_event'].includes(wsEventType)) {
     try {
-      // Lazy load stocks data if not already cached
-      if (!cachedStocks) {
-        console.log('Fetching stocks for the first time...');
-        // Try to get stocks from localStorage first (admin managed stocks)
-        const mockStocksJson = localStorage.getItem('mockStocksData');
-        if (mockStocksJson) {
-          try {
-            const mockStocks = JSON.parse(mockStocksJson);
-            if (Array.isArray(mockStocks) && mockStocks.length > 0) {
-              cachedStocks = mockStocks;
-              console.log(`Using ${cachedStocks.length} stocks from localStorage (admin managed stocks)`);
-            }
-          } catch (e) {
-            console.error('Error parsing mock stocks from localStorage:', e);
+      // Admin managed stocks are read fresh for every event, so price engine moves and admin
+      // edits are picked up; stocks from the API are fetched once and cached
+      const mockStocksJson = localStorage.getItem('mockStocksData');
+      if (mockStocksJson) {
+        try {
+          const mockStocks = JSON.parse(mockStocksJson);
+          if (Array.isArray(mockStocks) && mockStocks.length > 0) {
+            cachedStocks = mockStocks;
           }
+        } catch (e) {
+          console.error('Error parsing mock stocks from localStorage:', e);
         }
-        
-        // Fallback to API if no stocks found in localStorage
-        if (!cachedStocks || !Array.isArray(cachedStocks) || cachedStocks.length === 0) {
-          cachedStocks = await getAllStocks();
-          console.log(`Fetched ${cachedStocks.length} stocks from API`);
-        }
-        
-        console.log(`Cached ${cachedStocks.length} stocks for future events`);
+      }
+      
+      // Fallback to API if no stocks found in localStorage
+      if (!cachedStocks || !Array.isArray(cachedStocks) || cachedStocks.length === 0) {
+        console.log('Fetching stocks for the first time...');
+        cachedStocks = await getAllStocks();
+        console.log(`Fetched ${cachedStocks.length} stocks from API`);
       }
       
       // Update stocks based on this event
       console.log(`Updating stock prices based on ${wsEventType}...`);
-      const updatedStocks = await updateStocksFromEvent(wsEventType, eventData, cachedStocks);
+      const updatedStocks = await updateStocksFromEvent(wsEventType, eventData, cachedStocks, random);
+      
+      // Remember which stocks this event moved for the price chart markers
+      recordEventImpacts(eventData, updatedStocks);
       
       // For each updated stock, send a stock_update message
       if (updatedStocks && updatedStocks.length > 0) {
@@ -1725,7 +1832,10 @@ const dispatchWebSocketEvent = async (event) => {
               data: JSON.stringify(stockUpdateMessage)
             });
             window.dispatchEvent(stockUpdateEvent);
-          }, Math.random() * 2000); // Stagger updates over 2 seconds for more realistic effect
+            
+            // Let session subscribers (order matching etc.) see the generated price
+            notifyStockUpdate(stockUpdateMessage);
+          }, random() * 2000); // Stagger updates over 2 seconds for more realistic effect
         });
       }
     } catch (error) {
@@ -1733,6 +1843,9 @@ const dispatchWebSocketEvent = async (event) => {
     }
   }
   
+  // Let session subscribers (price alerts etc.) see the generated event
+  notifyMarketEvent(eventData);
+  
   // METHOD 1: Create a CustomEvent that mimics a WebSocket message
   const wsEvent = new CustomEvent('message', {
     detail: {
@@ -1839,9 +1952,142 @@ export const setEventImpactRange = (minImpact, maxImpact) => {
   console.log(`Event impact range set to ${minImpactPercentage}%-${maxImpactPercentage}%`);
 };
 
+/**
+ * Gets the cross-sector spillover weights
+ * @returns {object} - Share of a sector's move felt by each other sector, by sector
+ */
+export const getSpilloverWeights = () => {
+  try {
+    const json = localStorage.getItem(SPILLOVER_STORAGE_KEY);
+    return json ? JSON.parse(json) : { ...DEFAULT_SPILLOVER_WEIGHTS };
+  } catch (e) {
+    console.error('Error reading spillover weights from localStorage:', e);
+    return { ...DEFAULT_SPILLOVER_WEIGHTS };
+  }
+};
+
+/**
+ * Sets the cross-sector spillover weights used by sector events from now on
+ * @param {object} weights - Share (0-1) of a sector's move felt by each other sector, by sector
+ * @returns {object} - The weights now in use, without the zero weights
+ */
+export const updateSpilloverWeights = (weights) => {
+  const errors = validateSpilloverWeights(weights);
+  if (errors.length > 0) {
+    throw new Error(errors.join('; '));
+  }
+  
+  // Key the weights by the sectors as the stocks spell them, so each sector has one row and column
+  const normalized = normalizeSpilloverWeights(weights, listSectors(getEventStocks()));
+  const cleaned = Object.entries(normalized).reduce((result, [from, targets]) => {
+    const nonZero = Object.entries(targets || {}).filter(([, weight]) => Number(weight) > 0);
+    if (nonZero.length > 0) {
+      result[from] = nonZero.reduce((row, [to, weight]) => ({ ...row, [to]: Number(weight) }), {});
+    }
+    return result;
+  }, {});
+  
+  localStorage.setItem(SPILLOVER_STORAGE_KEY, JSON.stringify(cleaned));
+  console.log('Sector spillover weights updated:', cleaned);
+  return cleaned;
+};
+
+/**
+ * Restores the default cross-sector spillover weights
+ * @returns {object} - The default weights
+ */
+export const resetSpilloverWeights = () => {
+  localStorage.removeItem(SPILLOVER_STORAGE_KEY);
+  console.log('Sector spillover weights reset to defaults');
+  return getSpilloverWeights();
+};
+
+/**
+ * Publishes an event that was not generated from the templates (e.g. a scripted scenario event)
+ * through the same path as generated events, so it moves prices and reaches the news feed
+ * @param {object} event - Event fields (event_type, headline, importance, price_impact, ...)
+ * @returns {object} - The published event
+ */
+export const publishMarketEvent = (event) => {
+  const published = {
+    id: `${event.event_type.replace('_', '-')}-${Date.now()}-${sessionRandom().toString(36).substring(2, 10)}`,
+    published_at: new Date(),
+    ...event
+  };
+
+  // Sector news spills over into other sectors the same way as for generated events
+  if (published.event_type === 'sector_event' && Array.isArray(published.related_sectors) && !published.sector_spillover) {
+    published.sector_spillover = sectorSpillover(
+      published.related_sectors,
+      getSpilloverWeights(),
+      listSectors(getEventStocks())
+    );
+  }
+
+  if (eventCallback) {
+    eventCallback(published);
+  }
+  dispatchWebSocketEvent(published);
+
+  return published;
+};
+
+/**
+ * Pauses or resumes the random events, leaving the schedule running
+ * @param {boolean} suppressed - Whether to hold back random events
+ */
+export const suppressRandomEvents = (suppressed) => {
+  randomEventsSuppressed = suppressed;
+  console.log(`Random market events ${suppressed ? 'paused' : 'resumed'}`);
+};
+
+/**
+ * Gets the seed of the current event sequence
+ * @returns {string} - The seed
+ */
+export const getEventSeed = () => sessionRandom.seed;
+
+/**
+ * Whether the seed is pinned, so that it is used again after a reload
+ * @returns {boolean}
+ */
+export const isEventSeedPinned = () => localStorage.getItem(SEED_STORAGE_KEY) !== null;
+
+/**
+ * Restarts the event sequence from a seed. Starting from the same stock prices, a seed always
+ * produces the same events, impacts, timing and price moves.
+ * @param {string|number} seed - Seed to replay (a fresh random seed if empty)
+ * @param {boolean} pin - Keep using this seed after a reload
+ * @returns {string} - The seed now in use
+ */
+export const setEventSeed = (seed, pin = true) => {
+  const nextSeed = seed === null || seed === undefined || String(seed).trim() === '' ? randomSeed() : String(seed).trim();
+  sessionRandom = createRandom(nextSeed);
+
+  if (pin) {
+    localStorage.setItem(SEED_STORAGE_KEY, nextSeed);
+  } else {
+    localStorage.removeItem(SEED_STORAGE_KEY);
+  }
+
+  // The price paths between events follow the seed too
+  reseedPriceEngine(nextSeed);
+
+  // Start the schedule again so the first event comes from the new seed
+  if (isGenerating) {
+    startEventGenerator(eventFrequency, maxEventFrequency, eventCallback);
+  }
+
+  console.log(`Market event seed set to ${nextSeed}${pin ? ' (pinned)' : ''}`);
+  return nextSeed;
+};
+
 // Auto-start the generator when this module is imported
 // Use a small delay to ensure all listeners are set up first
 setTimeout(() => {
   // Start with default 10-30 second range
   startEventGenerator(10000, 30000);
+  
+  // Move prices between events
+  reseedPriceEngine(sessionRandom.seed);
 }, 5000);
\ No newline at end of file
@@ -0,0 +1,288 @@
+/**
+ * Orders service for frontend
+ * Handles limit orders that stay pending until the live price crosses their limit price
+ *
+ * Orders are kept in localStorage per user and matched against every stock update
+ * (real WebSocket and market event generator) for the whole session.
+ */
+
+import { getUserId } from './auth';
+import { executeTrade } from './stock';
+import { subscribeToStockUpdates } from './websocket';
+
+// Local storage keys - suffixed with the user ID
+const ORDERS_STORAGE_KEY = 'officestonks_orders';
+const ORDER_EVENTS_STORAGE_KEY = 'officestonks_order_events';
+
+// Maximum number of order status changes kept for the transaction history
+const MAX_ORDER_EVENTS = 500;
+
+export const ORDER_STATUS = {
+  PENDING: 'pending',
+  FILLED: 'filled',
+  CANCELLED: 'cancelled',
+  EXPIRED: 'expired'
+};
+
+// Order lifetime in milliseconds for each time-in-force option (null = good 'til cancelled)
+export const TIME_IN_FORCE = {
+  day: 24 * 60 * 60 * 1000,
+  gtc: null
+};
+
+// Orders with a trade request in flight - prevents double fills on rapid price updates
+const fillingOrders = new Set();
+
+const storageKey = (baseKey) => `${baseKey}_${getUserId() || 'guest'}`;
+
+/**
+ * Read a JSON array from localStorage
+ * @param {string} baseKey - Storage key without the user suffix
+ * @returns {Array} Stored items or an empty array
+ */
+const loadList = (baseKey) => {
+  try {
+    const json = localStorage.getItem(storageKey(baseKey));
+    const list = json ? JSON.parse(json) : [];
+    return Array.isArray(list) ? list : [];
+  } catch (e) {
+    console.error(`Error reading ${baseKey} from localStorage:`, e);
+    return [];
+  }
+};
+
+const saveList = (baseKey, list) => {
+  localStorage.setItem(storageKey(baseKey), JSON.stringify(list));
+};
+
+/**
+ * Notify components that orders changed
+ * @param {Object} order - The order whose status changed
+ */
+const dispatchOrdersUpdated = (order) => {
+  document.dispatchEvent(new CustomEvent('orders-updated', {
+    detail: { order, timestamp: new Date().toISOString() }
+  }));
+};
+
+/**
+ * Record an order status change in the order history
+ * @param {Object} order - Order after the status change
+ * @param {string} [reason] - Optional explanation (e.g. why an order was cancelled)
+ */
+const recordOrderEvent = (order, reason = null) => {
+  const events = loadList(ORDER_EVENTS_STORAGE_KEY);
+
+  events.unshift({
+    id: `${order.id}-${order.status}`,
+    order_id: order.id,
+    stock_id: order.stock_id,
+    symbol: order.symbol,
+    side: order.side,
+    quantity: order.quantity,
+    limit_price: order.limit_price,
+    fill_price: order.fill_price || null,
+    status: order.status,
+    reason,
+    created_at: new Date().toISOString()
+  });
+
+  saveList(ORDER_EVENTS_STORAGE_KEY, events.slice(0, MAX_ORDER_EVENTS));
+};
+
+/**
+ * Change the status of a stored order and record the change
+ * @param {string} orderId - ID of the order
+ * @param {Object} changes - Fields to update, including the new status
+ * @param {string} [reason] - Optional explanation for the history
+ * @returns {Object|null} The updated order or null if not found
+ */
+const updateOrderStatus = (orderId, changes, reason = null) => {
+  const orders = loadList(ORDERS_STORAGE_KEY);
+  const index = orders.findIndex(o => o.id === orderId);
+  if (index === -1) return null;
+
+  const updatedOrder = {
+    ...orders[index],
+    ...changes,
+    updated_at: new Date().toISOString()
+  };
+  orders[index] = updatedOrder;
+  saveList(ORDERS_STORAGE_KEY, orders);
+
+  recordOrderEvent(updatedOrder, reason);
+  dispatchOrdersUpdated(updatedOrder);
+  return updatedOrder;
+};
+
+/**
+ * Check whether a limit order should fill at the given price
+ * Buy orders fill at or below the limit, sell orders at or above it
+ * @param {Object} order - Pending order
+ * @param {number} price - Latest market price
+ * @returns {boolean} True if the price crossed the limit
+ */
+export const shouldFillOrder = (order, price) => {
+  if (!order || order.status !== ORDER_STATUS.PENDING || !price) return false;
+  return order.side === 'buy' ? price <= order.limit_price : price >= order.limit_price;
+};
+
+/**
+ * Expire pending orders whose time in force has run out
+ * @param {number} now - Current time in milliseconds
+ * @returns {Array} Orders that were expired
+ */
+export const expireOrders = (now = Date.now()) => {
+  const expired = loadList(ORDERS_STORAGE_KEY).filter(order =>
+    order.status === ORDER_STATUS.PENDING &&
+    order.expires_at &&
+    new Date(order.expires_at).getTime() <= now
+  );
+
+  return expired
+    .map(order => updateOrderStatus(order.id, { status: ORDER_STATUS.EXPIRED }, 'Time in force ended'))
+    .filter(Boolean);
+};
+
+/**
+ * Get all orders for the current user, newest first
+ * @param {number|null} stockId - Optional stock ID to filter by
+ * @returns {Promise<Array>} List of orders
+ */
+export const getOrders = async (stockId = null) => {
+  expireOrders();
+
+  return loadList(ORDERS_STORAGE_KEY)
+    .filter(order => stockId === null || order.stock_id === Number(stockId))
+    .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+};
+
+/**
+ * Get pending orders for the current user
+ * @param {number|null} stockId - Optional stock ID to filter by
+ * @returns {Promise<Array>} List of pending orders
+ */
+export const getOpenOrders = async (stockId = null) => {
+  const orders = await getOrders(stockId);
+  return orders.filter(order => order.status === ORDER_STATUS.PENDING);
+};
+
+/**
+ * Get the order status history (pending, filled, cancelled, expired)
+ * @param {number} limit - Max number of entries to return
+ * @returns {Promise<Array>} Order events, newest first
+ */
+export const getOrderHistory = async (limit = 50) => {
+  expireOrders();
+  return loadList(ORDER_EVENTS_STORAGE_KEY).slice(0, limit);
+};
+
+/**
+ * Place a limit order
+ * @param {Object} params - Order parameters
+ * @param {number} params.stockId - ID of the stock
+ * @param {string} params.symbol - Stock symbol (for display)
+ * @param {string} params.side - 'buy' or 'sell'
+ * @param {number} params.quantity - Number of shares
+ * @param {number} params.limitPrice - Limit price per share
+ * @param {string} params.timeInForce - Key of TIME_IN_FORCE ('day' or 'gtc')
+ * @returns {Promise<Object>} The created order
+ */
+export const createOrder = async ({ stockId, symbol, side, quantity, limitPrice, timeInForce = 'gtc' }) => {
+  if (side !== 'buy' && side !== 'sell') {
+    throw new Error(`Invalid order side: ${side}`);
+  }
+  if (!quantity || quantity <= 0) {
+    throw new Error('Quantity must be greater than zero');
+  }
+  if (!limitPrice || limitPrice <= 0) {
+    throw new Error('Limit price must be greater than zero');
+  }
+  if (!(timeInForce in TIME_IN_FORCE)) {
+    throw new Error(`Invalid time in force: ${timeInForce}`);
+  }
+
+  const now = Date.now();
+  const lifetime = TIME_IN_FORCE[timeInForce];
+
+  const order = {
+    id: `order-${now}-${Math.random().toString(36).substring(2, 8)}`,
+    stock_id: Number(stockId),
+    symbol,
+    side,
+    quantity,
+    limit_price: Number(limitPrice),
+    time_in_force: timeInForce,
+    status: ORDER_STATUS.PENDING,
+    created_at: new Date(now).toISOString(),
+    expires_at: lifetime ? new Date(now + lifetime).toISOString() : null
+  };
+
+  const orders = loadList(ORDERS_STORAGE_KEY);
+  orders.push(order);
+  saveList(ORDERS_STORAGE_KEY, orders);
+
+  recordOrderEvent(order);
+  dispatchOrdersUpdated(order);
+  console.log(`Placed limit ${side} order for ${quantity} ${symbol} @ $${order.limit_price.toFixed(2)}`);
+
+  return order;
+};
+
+/**
+ * Cancel a pending order
+ * @param {string} orderId - ID of the order to cancel
+ * @returns {Promise<Object>} The cancelled order
+ */
+export const cancelOrder = async (orderId) => {
+  const order = loadList(ORDERS_STORAGE_KEY).find(o => o.id === orderId);
+
+  if (!order) {
+    throw new Error(`Order ${orderId} not found`);
+  }
+  if (order.status !== ORDER_STATUS.PENDING) {
+    throw new Error(`Only pending orders can be cancelled (order is ${order.status})`);
+  }
+
+  return updateOrderStatus(orderId, { status: ORDER_STATUS.CANCELLED }, 'Cancelled by user');
+};
+
+/**
+ * Fill an order through the regular trading endpoint
+ * @param {Object} order - Pending order whose limit was crossed
+ * @param {number} price - Price that triggered the fill
+ */
+const fillOrder = async (order, price) => {
+  fillingOrders.add(order.id);
+
+  try {
+    console.log(`Limit ${order.side} order ${order.id} triggered at $${price.toFixed(2)}`);
+    await executeTrade(order.stock_id, order.quantity, order.side);
+    updateOrderStatus(order.id, {
+      status: ORDER_STATUS.FILLED,
+      fill_price: price,
+      filled_at: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error(`Error filling order ${order.id}:`, error);
+    updateOrderStatus(order.id, { status: ORDER_STATUS.CANCELLED }, error.message || 'Trade rejected');
+  } finally {
+    fillingOrders.delete(order.id);
+  }
+};
+
+/**
+ * Match pending orders against a stock price update
+ * @param {Object} update - Stock update with stock_id and price
+ */
+const handleStockUpdate = (update) => {
+  expireOrders();
+
+  loadList(ORDERS_STORAGE_KEY)
+    .filter(order => order.stock_id === update.stock_id && !fillingOrders.has(order.id))
+    .filter(order => shouldFillOrder(order, update.price))
+    .forEach(order => fillOrder(order, update.price));
+};
+
+// Match orders for the rest of the session as soon as the service is loaded
+subscribeToStockUpdates(handleStockUpdate);
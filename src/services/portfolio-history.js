@@ -0,0 +1,153 @@
+/**
+ * Portfolio history service for frontend
+ * Records snapshots of cash, stock value and total value per user:
+ * - when a page loads the portfolio
+ * - after every trade
+ * - at most once a minute while the price stream moves a held stock
+ */
+
+import { getUserId } from './auth';
+import { getUserPortfolio } from './stock';
+import { getLatestPrice, subscribeToStockUpdates } from './websocket';
+
+// Local storage key - suffixed with the user ID
+const SNAPSHOTS_STORAGE_KEY = 'officestonks_portfolio_snapshots';
+
+// Maximum number of snapshots kept per user
+const MAX_SNAPSHOTS = 3000;
+
+// Minimum time between snapshots driven by the price stream
+const PRICE_SNAPSHOT_INTERVAL_MS = 60 * 1000;
+
+// Holdings and cash from the last snapshot, revalued on price updates.
+// Belongs to the logged in user: cleared when the user changes.
+let lastPortfolio = null;
+let lastSnapshotTime = 0;
+
+const storageKey = () => `${SNAPSHOTS_STORAGE_KEY}_${getUserId() || 'guest'}`;
+
+const loadSnapshots = () => {
+  try {
+    const json = localStorage.getItem(storageKey());
+    const list = json ? JSON.parse(json) : [];
+    return Array.isArray(list) ? list : [];
+  } catch (e) {
+    console.error('Error reading portfolio snapshots from localStorage:', e);
+    return [];
+  }
+};
+
+/**
+ * Store a snapshot and notify listeners
+ * @param {Object} snapshot - Snapshot to append
+ */
+const saveSnapshot = (snapshot) => {
+  const snapshots = [...loadSnapshots(), snapshot].slice(-MAX_SNAPSHOTS);
+
+  try {
+    localStorage.setItem(storageKey(), JSON.stringify(snapshots));
+  } catch (e) {
+    console.error('Error saving portfolio snapshot:', e);
+  }
+
+  lastSnapshotTime = Date.now();
+  document.dispatchEvent(new CustomEvent('portfolio-snapshot-recorded', {
+    detail: { snapshot, timestamp: snapshot.timestamp }
+  }));
+};
+
+/**
+ * Record a snapshot of a portfolio
+ * @param {Object} portfolio - Portfolio from getUserPortfolio (prices already applied)
+ * @param {string} reason - 'load', 'trade' or 'price'
+ * @returns {Object|null} The snapshot
+ */
+export const recordPortfolioSnapshot = (portfolio, reason = 'load') => {
+  if (!portfolio || typeof portfolio.cash_balance !== 'number') return null;
+
+  lastPortfolio = {
+    cash_balance: portfolio.cash_balance,
+    positions: (portfolio.portfolio_items || [])
+      .filter(item => item && item.stock_id)
+      .map(item => ({
+        stock_id: item.stock_id,
+        quantity: item.quantity,
+        price: item.stock?.current_price || 0
+      }))
+  };
+
+  const stockValue = lastPortfolio.positions
+    .reduce((total, position) => total + position.quantity * getLatestPrice(position.stock_id, position.price), 0);
+
+  const snapshot = {
+    timestamp: new Date().toISOString(),
+    cash_balance: portfolio.cash_balance,
+    stock_value: stockValue,
+    total_value: portfolio.cash_balance + stockValue,
+    reason
+  };
+
+  saveSnapshot(snapshot);
+  return snapshot;
+};
+
+/**
+ * Get snapshots for the current user
+ * @param {number|null} since - Only return snapshots at or after this time (milliseconds)
+ * @returns {Array} Snapshots oldest first
+ */
+export const getPortfolioSnapshots = (since = null) => {
+  const snapshots = loadSnapshots();
+  return since ? snapshots.filter(s => new Date(s.timestamp).getTime() >= since) : snapshots;
+};
+
+/**
+ * Revalue the last known holdings when the price stream moves one of them
+ * @param {Object} update - Stock update with stock_id and price
+ */
+const handleStockUpdate = (update) => {
+  if (!lastPortfolio || Date.now() - lastSnapshotTime < PRICE_SNAPSHOT_INTERVAL_MS) return;
+  if (!lastPortfolio.positions.some(position => position.stock_id === update.stock_id)) return;
+
+  const stockValue = lastPortfolio.positions.reduce((total, position) => {
+    const price = position.stock_id === update.stock_id
+      ? update.price
+      : getLatestPrice(position.stock_id, position.price);
+    return total + position.quantity * price;
+  }, 0);
+
+  saveSnapshot({
+    timestamp: new Date().toISOString(),
+    cash_balance: lastPortfolio.cash_balance,
+    stock_value: stockValue,
+    total_value: lastPortfolio.cash_balance + stockValue,
+    reason: 'price'
+  });
+};
+
+/**
+ * Snapshot the portfolio after each trade
+ */
+const handleTradeExecuted = async () => {
+  const userId = getUserId();
+  try {
+    const portfolio = await getUserPortfolio();
+    // The user may have changed while the portfolio was loading
+    if (getUserId() === userId) recordPortfolioSnapshot(portfolio, 'trade');
+  } catch (error) {
+    console.error('Error recording portfolio snapshot after trade:', error);
+  }
+};
+
+/**
+ * Forget the previous user's holdings so price updates never snapshot them for the new user
+ */
+const handleAuthChanged = () => {
+  lastPortfolio = null;
+  lastSnapshotTime = 0;
+};
+
+// Record snapshots for the rest of the session as soon as the service is loaded
+subscribeToStockUpdates(handleStockUpdate);
+document.addEventListener('trade-executed', handleTradeExecuted);
+document.addEventListener('auth-changed', handleAuthChanged);
@@ -0,0 +1,102 @@
+/**
+ * Price engine service for frontend
+ * Moves the admin managed stock prices between market events with the stochastic price model
+ * (see utils/price-model.js), using each stock's own drift, volatility, mean reversion and fair
+ * value. Market events are applied on top as jumps by updateStocksFromEvent.
+ *
+ * The engine draws from its own seeded generator, reseeded alongside the market event seed, so a
+ * replayed seed gives the same price paths as well as the same events.
+ */
+
+import {
+  stockPriceCache,
+  pausedStocks,
+  marketEventGenerationPaused,
+  getLatestPrice,
+  notifyStockUpdate
+} from './websocket';
+import { createRandom, randomSeed } from '../utils/random';
+import { stepPrice, priceModelParams } from '../utils/price-model';
+
+// How often prices move; every tick is the same step of session time so seeded runs repeat
+const TICK_MS = 5000;
+
+let random = createRandom(`${randomSeed()}:prices`);
+let ticker = null;
+
+/**
+ * Move every stock one step along its price model
+ */
+const tick = () => {
+  if (marketEventGenerationPaused) return;
+
+  let stocks;
+  try {
+    stocks = JSON.parse(localStorage.getItem('mockStocksData') || '[]');
+  } catch (e) {
+    console.error('Price engine: Error parsing mock stocks from localStorage:', e);
+    return;
+  }
+  // Real backend stocks are priced by the server
+  if (!Array.isArray(stocks) || stocks.length === 0) return;
+
+  const timestamp = new Date().toISOString();
+  const updates = [];
+
+  stocks.forEach(stock => {
+    if (!stock || !stock.id) return;
+    if (pausedStocks.has(Number(stock.id)) || pausedStocks.has(String(stock.id))) return;
+
+    // Stocks created before the price model anchor to the price they had when it started
+    if (stock.fair_value === undefined || stock.fair_value === null) {
+      stock.fair_value = stock.current_price || 100;
+    }
+
+    const currentPrice = getLatestPrice(stock.id, stock.current_price || 100);
+    const newPrice = stepPrice(currentPrice, priceModelParams(stock), TICK_MS, random);
+
+    stockPriceCache[stock.id] = newPrice;
+    stock.current_price = newPrice;
+
+    updates.push({
+      type: 'stock_update',
+      stock_id: stock.id,
+      symbol: stock.symbol,
+      price: newPrice,
+      change_percentage: (newPrice / currentPrice - 1) * 100,
+      event_source: 'price_model',
+      timestamp
+    });
+  });
+
+  localStorage.setItem('mockStocksData', JSON.stringify(stocks));
+  updates.forEach(notifyStockUpdate);
+};
+
+/**
+ * Start moving prices (restarts the engine if it is already running)
+ */
+export const startPriceEngine = () => {
+  stopPriceEngine();
+  ticker = setInterval(tick, TICK_MS);
+  console.log('Price engine started');
+};
+
+/**
+ * Stop moving prices between events
+ */
+export const stopPriceEngine = () => {
+  if (ticker) {
+    clearInterval(ticker);
+    ticker = null;
+  }
+};
+
+/**
+ * Restart the price paths from a seed
+ * @param {string|number} seed - Market event seed; the engine uses its own stream derived from it
+ */
+export const reseedPriceEngine = (seed) => {
+  random = createRandom(`${seed}:prices`);
+  startPriceEngine();
+};
@@ -0,0 +1,159 @@
+/**
+ * Price history service for frontend
+ * Records every stock update (real WebSocket and market event generator) into
+ * OHLC candles at several intervals and persists them in localStorage
+ */
+
+import { subscribeToStockUpdates } from './websocket';
+
+// Local storage key prefix - one entry per stock
+const HISTORY_STORAGE_KEY = 'officestonks_price_history';
+
+// How often dirty histories are written to localStorage
+const PERSIST_DELAY_MS = 5000;
+
+// Candle intervals with their length and how many candles are kept
+export const INTERVALS = {
+  '1m': { ms: 60 * 1000, maxCandles: 360 },
+  '5m': { ms: 5 * 60 * 1000, maxCandles: 288 },
+  '1h': { ms: 60 * 60 * 1000, maxCandles: 336 },
+  '1d': { ms: 24 * 60 * 60 * 1000, maxCandles: 365 }
+};
+
+// In-memory histories by stock ID: { [interval]: [{ time, open, high, low, close }] }
+const histories = {};
+
+// Stock IDs with changes not yet written to localStorage
+const dirtyStocks = new Set();
+let persistTimer = null;
+
+const emptyHistory = () => Object.keys(INTERVALS).reduce((history, interval) => {
+  history[interval] = [];
+  return history;
+}, {});
+
+/**
+ * Load a stock's history, reading it from localStorage the first time
+ * @param {number} stockId - ID of the stock
+ * @returns {Object} Candles by interval
+ */
+const loadHistory = (stockId) => {
+  if (!histories[stockId]) {
+    try {
+      const json = localStorage.getItem(`${HISTORY_STORAGE_KEY}_${stockId}`);
+      histories[stockId] = json ? { ...emptyHistory(), ...JSON.parse(json) } : emptyHistory();
+    } catch (e) {
+      console.error(`Error reading price history for stock ${stockId}:`, e);
+      histories[stockId] = emptyHistory();
+    }
+  }
+  return histories[stockId];
+};
+
+const persistDirtyHistories = () => {
+  persistTimer = null;
+
+  dirtyStocks.forEach(stockId => {
+    try {
+      localStorage.setItem(`${HISTORY_STORAGE_KEY}_${stockId}`, JSON.stringify(histories[stockId]));
+    } catch (e) {
+      console.error(`Error saving price history for stock ${stockId}:`, e);
+    }
+  });
+  dirtyStocks.clear();
+};
+
+/**
+ * Fold a price into the candle list of one interval
+ * @param {Array} candles - Candles for the interval, oldest first (modified in place)
+ * @param {number} price - Observed price
+ * @param {number} time - Observation time in milliseconds
+ * @param {Object} interval - Entry of INTERVALS
+ */
+const addToCandles = (candles, price, time, interval) => {
+  const bucketTime = Math.floor(time / interval.ms) * interval.ms;
+  const last = candles[candles.length - 1];
+
+  if (last && last.time === bucketTime) {
+    last.high = Math.max(last.high, price);
+    last.low = Math.min(last.low, price);
+    last.close = price;
+  } else if (!last || bucketTime > last.time) {
+    candles.push({ time: bucketTime, open: price, high: price, low: price, close: price });
+    if (candles.length > interval.maxCandles) {
+      candles.splice(0, candles.length - interval.maxCandles);
+    }
+  }
+  // Updates older than the latest candle (e.g. delayed messages) are ignored
+};
+
+/**
+ * Record a price observation for a stock
+ * @param {number} stockId - ID of the stock
+ * @param {number} price - Observed price
+ * @param {string|number} timestamp - Observation time (ISO string or milliseconds)
+ */
+export const recordPrice = (stockId, price, timestamp = Date.now()) => {
+  const id = Number(stockId);
+  const value = Number(price);
+  const time = typeof timestamp === 'number' ? timestamp : new Date(timestamp).getTime();
+  if (!id || !(value > 0) || isNaN(time)) return;
+
+  const history = loadHistory(id);
+  Object.entries(INTERVALS).forEach(([key, interval]) => {
+    addToCandles(history[key], value, time, interval);
+  });
+
+  dirtyStocks.add(id);
+  if (!persistTimer) {
+    persistTimer = setTimeout(persistDirtyHistories, PERSIST_DELAY_MS);
+  }
+
+  document.dispatchEvent(new CustomEvent('price-history-updated', {
+    detail: { stockId: id, price: value, timestamp: new Date(time).toISOString() }
+  }));
+};
+
+/**
+ * Get the candles recorded for a stock
+ * @param {number} stockId - ID of the stock
+ * @param {string} interval - Key of INTERVALS
+ * @param {number|null} since - Only return candles starting at or after this time (milliseconds)
+ * @returns {Array} Candles oldest first: { time, open, high, low, close }
+ */
+export const getPriceHistory = (stockId, interval = '1m', since = null) => {
+  if (!INTERVALS[interval]) {
+    throw new Error(`Unknown price history interval: ${interval}`);
+  }
+
+  const candles = loadHistory(Number(stockId))[interval];
+  return (since ? candles.filter(candle => candle.time >= since) : candles).map(candle => ({ ...candle }));
+};
+
+/**
+ * Get the IDs of every stock with recorded history
+ * @returns {Array<number>} Stock IDs
+ */
+export const getRecordedStockIds = () => [...new Set([
+  ...Object.keys(histories).map(Number),
+  ...Object.keys(localStorage)
+    .filter(key => key.startsWith(`${HISTORY_STORAGE_KEY}_`))
+    .map(key => Number(key.substring(HISTORY_STORAGE_KEY.length + 1)))
+])];
+
+/**
+ * Delete recorded history
+ * @param {number|null} stockId - Stock to clear, or null for all stocks
+ */
+export const clearPriceHistory = (stockId = null) => {
+  const ids = stockId === null ? getRecordedStockIds() : [Number(stockId)];
+
+  ids.forEach(id => {
+    delete histories[id];
+    dirtyStocks.delete(id);
+    localStorage.removeItem(`${HISTORY_STORAGE_KEY}_${id}`);
+  });
+};
+
+// Record prices for the rest of the session as soon as the service is loaded
+subscribeToStockUpdates(update => recordPrice(update.stock_id, update.price, update.timestamp));
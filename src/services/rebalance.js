@@ -0,0 +1,88 @@
+/**
+ * Rebalancing service for frontend
+ * Stores the user's target weights and executes proposed rebalancing orders
+ *
+ * Targets are kept in localStorage per user, for stocks and for sectors separately, so
+ * switching between the two keeps both sets.
+ */
+
+import { getUserId } from './auth';
+import { executeTrade } from './stock';
+import { REBALANCE_MODES } from '../utils/rebalance';
+
+// Local storage key - suffixed with the user ID
+const TARGETS_STORAGE_KEY = 'officestonks_rebalance_targets';
+
+export const DEFAULT_REBALANCE_TARGETS = {
+  mode: REBALANCE_MODES.STOCK,
+  // Target weight in percent by stock ID
+  stocks: {},
+  // Target weight in percent by sector name
+  sectors: {},
+  // Trades smaller than this many dollars are left out of a proposal
+  minTradeValue: 25
+};
+
+const storageKey = () => `${TARGETS_STORAGE_KEY}_${getUserId() || 'guest'}`;
+
+/**
+ * Get the rebalancing targets for the current user
+ * @returns {Object} { mode, stocks, sectors, minTradeValue }
+ */
+export const getRebalanceTargets = () => {
+  try {
+    const json = localStorage.getItem(storageKey());
+    return { ...DEFAULT_REBALANCE_TARGETS, ...(json ? JSON.parse(json) : {}) };
+  } catch (e) {
+    console.error('Error reading rebalance targets from localStorage:', e);
+    return { ...DEFAULT_REBALANCE_TARGETS };
+  }
+};
+
+/**
+ * Update the rebalancing targets for the current user
+ * @param {Object} changes - Fields to change (mode, stocks, sectors or minTradeValue)
+ * @returns {Object} The updated targets
+ */
+export const updateRebalanceTargets = (changes) => {
+  const targets = { ...getRebalanceTargets(), ...changes };
+  localStorage.setItem(storageKey(), JSON.stringify(targets));
+
+  document.dispatchEvent(new CustomEvent('rebalance-targets-updated', {
+    detail: { targets, timestamp: new Date().toISOString() }
+  }));
+
+  return targets;
+};
+
+/**
+ * Execute the orders of a rebalancing proposal one at a time, sells first
+ * A failed order does not stop the rest; a buy that can no longer be afforded is rejected by the trade API
+ * @param {Array} orders - Proposed orders ({ stock_id, symbol, action, quantity })
+ * @param {function} onProgress - Called with the results so far after each order
+ * @returns {Promise<Array>} Orders with status 'success' or 'failed' and a message
+ */
+export const executeRebalance = async (orders, onProgress = () => {}) => {
+  const results = orders.map(order => ({ ...order, status: 'pending', message: '' }));
+  onProgress([...results]);
+
+  for (let i = 0; i < results.length; i++) {
+    const order = results[i];
+    try {
+      await executeTrade(order.stock_id, order.quantity, order.action);
+      results[i] = { ...order, status: 'success' };
+    } catch (err) {
+      console.error(`Rebalance order ${order.action} ${order.quantity} ${order.symbol} failed:`, err);
+      results[i] = { ...order, status: 'failed', message: err.message || 'Trade failed' };
+    }
+    onProgress([...results]);
+  }
+
+  console.log(`Rebalance executed: ${results.filter(result => result.status === 'success').length} of ${results.length} orders filled`);
+
+  document.dispatchEvent(new CustomEvent('rebalance-executed', {
+    detail: { results, timestamp: new Date().toISOString() }
+  }));
+
+  return results;
+};
@@ -0,0 +1,271 @@
+/**
+ * Scenario player service for frontend
+ * Plays scripted market scenarios (see utils/scenario.js for the format) through the market
+ * event generator, either alongside the random events or in place of them
+ *
+ * The loaded scenario and the playback position are kept in localStorage, so a scenario survives a
+ * reload; it always comes back paused.
+ */
+
+import { getAllStocks } from './stock';
+import { publishMarketEvent, suppressRandomEvents } from './market-event-generator';
+import {
+  validateScenario,
+  scenarioDuration,
+  eventsDue,
+  buildScenarioEvent,
+  SCENARIO_MODES
+} from '../utils/scenario';
+
+// Local storage key for the loaded scenario and its position
+const SCENARIO_STORAGE_KEY = 'marketScenario';
+
+// How often playback moves on
+const TICK_MS = 1000;
+
+export const BUILT_IN_SCENARIOS = [
+  {
+    name: '2008 Bank Crisis',
+    description: 'A housing slump turns into a banking panic, then a slow recovery on government support.',
+    mode: SCENARIO_MODES.REPLACE,
+    events: [
+      { at: 0, type: 'market', headline: 'Home Prices Post Steepest Annual Drop on Record', importance: 4, impact: -2 },
+      { at: 30, type: 'sector', headline: 'Subprime Mortgage Defaults Spread to Major Lenders', sectors: ['Financial'], importance: 5, impact: -6 },
+      { at: 60, type: 'company', headline: 'JPMorgan Agrees to Rescue Failing Investment Bank', stocks: ['JPM'], importance: 5, impact: -4 },
+      { at: 90, type: 'market', headline: 'Credit Markets Freeze as Banks Stop Lending to Each Other', importance: 5, impact: -5 },
+      { at: 120, type: 'sector', headline: 'Consumers Cut Back Sharply on Big-Ticket Purchases', sectors: ['Consumer Cyclical', 'Automotive'], importance: 4, impact: -5 },
+      { at: 150, type: 'company', headline: 'Automakers Ask Congress for Emergency Loans', stocks: ['TSLA'], importance: 4, impact: -6 },
+      { at: 180, type: 'market', headline: 'Government Unveils $700 Billion Bank Rescue Plan', importance: 5, impact: 4 },
+      { at: 210, type: 'sector', headline: 'Stress Tests Show Largest Banks Have Enough Capital', sectors: ['Financial'], importance: 4, impact: 6 },
+      { at: 240, type: 'market', headline: 'Central Bank Holds Rates Near Zero, Markets Rally', importance: 4, impact: 3 }
+    ]
+  },
+  {
+    name: 'AI Bubble',
+    description: 'Excitement over artificial intelligence drives tech stocks up until the spending questions start.',
+    mode: SCENARIO_MODES.ALONGSIDE,
+    events: [
+      { at: 0, type: 'company', headline: 'NVIDIA Data Center Revenue Triples on AI Chip Demand', stocks: ['NVDA'], importance: 5, impact: 8 },
+      { at: 30, type: 'sector', headline: 'Every Tech Giant Announces an AI Assistant', sectors: ['Technology', 'Communication Services'], importance: 4, impact: 5 },
+      { at: 60, type: 'company', headline: 'Microsoft Doubles AI Infrastructure Budget', stocks: ['MSFT', 'NVDA'], importance: 4, impact: 4 },
+      { at: 90, type: 'market', headline: 'AI Enthusiasm Pushes Indexes to Record Highs', importance: 4, impact: 3 },
+      { at: 120, type: 'sector', headline: 'Analysts Question When AI Spending Will Pay Off', sectors: ['Technology'], importance: 4, impact: -5 },
+      { at: 150, type: 'company', headline: 'NVIDIA Guidance Disappoints as Orders Slow', stocks: ['NVDA'], importance: 5, impact: -9 },
+      { at: 180, type: 'market', headline: 'Tech Sell-Off Drags Broader Market Lower', importance: 5, impact: -4 }
+    ]
+  }
+];
+
+let scenario = null;
+let position = 0;
+// Time the events have been played up to; -1 until the events at zero have played
+let playedTo = -1;
+let playing = false;
+let ticker = null;
+let lastTick = null;
+
+const saveState = () => {
+  if (scenario) {
+    localStorage.setItem(SCENARIO_STORAGE_KEY, JSON.stringify({ scenario, position }));
+  } else {
+    localStorage.removeItem(SCENARIO_STORAGE_KEY);
+  }
+};
+
+/**
+ * Current playback state
+ * @returns {Object} { scenario, position, duration, playing, finished }
+ */
+export const getScenarioState = () => {
+  const duration = scenarioDuration(scenario);
+  return {
+    scenario,
+    position,
+    duration,
+    playing,
+    // Played through to the end - for a scenario whose events are all at zero, once they have fired
+    finished: scenario !== null && playedTo >= duration
+  };
+};
+
+/**
+ * Notify components that the scenario or its position changed
+ */
+const dispatchScenarioUpdated = () => {
+  document.dispatchEvent(new CustomEvent('scenario-updated', {
+    detail: { state: getScenarioState(), timestamp: new Date().toISOString() }
+  }));
+};
+
+/**
+ * Stocks to aim scenario events at - the admin managed stocks if there are any
+ * @returns {Promise<Array>} Stocks
+ */
+const loadStocks = async () => {
+  try {
+    const mockStocks = JSON.parse(localStorage.getItem('mockStocksData') || '[]');
+    if (Array.isArray(mockStocks) && mockStocks.length > 0) {
+      return mockStocks;
+    }
+  } catch (e) {
+    console.error('Error parsing mock stocks from localStorage:', e);
+  }
+  return (await getAllStocks()) || [];
+};
+
+/**
+ * Publish scenario events through the event generator
+ * @param {Array<number>} indexes - Indexes of the events to publish
+ */
+const fireEvents = async (indexes) => {
+  const current = scenario;
+  const stocks = await loadStocks();
+
+  indexes.forEach(index => {
+    const event = buildScenarioEvent(current.events[index], stocks, current.name);
+    if (event.price_impact === 0 && current.events[index].impact !== 0) {
+      console.warn(`Scenario event "${event.summary}" matched no listed stocks, so it moves no prices`);
+    }
+    publishMarketEvent(event);
+  });
+};
+
+const tick = () => {
+  const now = Date.now();
+  const duration = scenarioDuration(scenario);
+  const to = Math.min(duration, position + (now - lastTick) / 1000);
+  const due = eventsDue(scenario, playedTo, to);
+
+  lastTick = now;
+  position = to;
+  playedTo = to;
+  if (due.length > 0) {
+    fireEvents(due);
+  }
+
+  if (position >= duration) {
+    console.log(`Scenario ${scenario.name} finished`);
+    pauseScenario();
+    return;
+  }
+
+  saveState();
+  dispatchScenarioUpdated();
+};
+
+/**
+ * Load a scenario, replacing the current one; it starts paused at the beginning
+ * @param {Object|string} data - Scenario object or its JSON
+ * @returns {Object} Playback state
+ */
+export const loadScenario = (data) => {
+  const { scenario: loaded, errors } = validateScenario(data);
+  if (!loaded) {
+    throw new Error(errors.join('; '));
+  }
+
+  pauseScenario();
+  scenario = loaded;
+  position = 0;
+  playedTo = -1;
+  saveState();
+
+  console.log(`Loaded scenario ${scenario.name} with ${scenario.events.length} events`);
+  dispatchScenarioUpdated();
+  return getScenarioState();
+};
+
+/**
+ * Stop and remove the loaded scenario
+ */
+export const unloadScenario = () => {
+  pauseScenario();
+  scenario = null;
+  position = 0;
+  playedTo = -1;
+  saveState();
+  dispatchScenarioUpdated();
+};
+
+/**
+ * Play the scenario from its current position, from the start again if it had finished
+ * @returns {Object} Playback state
+ */
+export const playScenario = () => {
+  if (!scenario) throw new Error('No scenario is loaded');
+  if (playing) return getScenarioState();
+
+  if (playedTo >= scenarioDuration(scenario)) {
+    position = 0;
+    playedTo = -1;
+  }
+
+  playing = true;
+  lastTick = Date.now();
+  ticker = setInterval(tick, TICK_MS);
+  if (scenario.mode === SCENARIO_MODES.REPLACE) {
+    suppressRandomEvents(true);
+  }
+
+  console.log(`Playing scenario ${scenario.name} from ${position.toFixed(0)}s`);
+  // Fire anything due right at the current position (e.g. events at zero) without waiting a tick
+  tick();
+  return getScenarioState();
+};
+
+/**
+ * Pause the scenario, bringing back random events if it had replaced them
+ * @returns {Object} Playback state
+ */
+export const pauseScenario = () => {
+  if (ticker) {
+    clearInterval(ticker);
+    ticker = null;
+  }
+  if (playing) {
+    playing = false;
+    suppressRandomEvents(false);
+  }
+
+  saveState();
+  dispatchScenarioUpdated();
+  return getScenarioState();
+};
+
+/**
+ * Move the playback position; events before the new position count as played, as do events at it
+ * unless seeking back to the start
+ * @param {number} seconds - New position in seconds from the start
+ * @returns {Object} Playback state
+ */
+export const seekScenario = (seconds) => {
+  if (!scenario) throw new Error('No scenario is loaded');
+
+  position = Math.max(0, Math.min(scenarioDuration(scenario), Number(seconds) || 0));
+  playedTo = position === 0 ? -1 : position;
+  lastTick = Date.now();
+  saveState();
+  dispatchScenarioUpdated();
+  return getScenarioState();
+};
+
+/**
+ * The loaded scenario as JSON, for saving to a file
+ * @returns {string|null} Scenario JSON
+ */
+export const exportScenario = () => (scenario ? JSON.stringify(scenario, null, 2) : null);
+
+// Bring back the scenario that was loaded before the last reload
+try {
+  const saved = JSON.parse(localStorage.getItem(SCENARIO_STORAGE_KEY) || 'null');
+  if (saved) {
+    const { scenario: restored } = validateScenario(saved.scenario);
+    if (restored) {
+      scenario = restored;
+      position = Math.max(0, Math.min(scenarioDuration(restored), Number(saved.position) || 0));
+      playedTo = position === 0 ? -1 : position;
+    }
+  }
+} catch (e) {
+  console.error('Error restoring the saved scenario:', e);
+}
@@ -0,0 +1,61 @@
+/**
+ * User settings service for frontend
+ * Stores per-user preferences in localStorage
+ */
+
+import { getUserId } from './auth';
+import { LOT_METHODS } from '../utils/tax-lots';
+
+// Local storage key - suffixed with the user ID
+const SETTINGS_STORAGE_KEY = 'officestonks_settings';
+
+export const DEFAULT_SETTINGS = {
+  // Tax lot method used for cost basis and realized P&L
+  lotMethod: LOT_METHODS.FIFO,
+  // Concentration limits in percent of invested value (0 turns a warning off)
+  maxStockWeight: 25,
+  maxSectorWeight: 50,
+  // Annual risk-free rate in percent used by the Sharpe ratio
+  riskFreeRate: 2,
+  // Largest price move in percent accepted between reviewing and submitting a market order
+  maxPriceDrift: 1
+};
+
+const storageKey = () => `${SETTINGS_STORAGE_KEY}_${getUserId() || 'guest'}`;
+
+/**
+ * Get all settings for the current user
+ * @returns {Object} Settings merged over the defaults
+ */
+export const getSettings = () => {
+  try {
+    const json = localStorage.getItem(storageKey());
+    return { ...DEFAULT_SETTINGS, ...(json ? JSON.parse(json) : {}) };
+  } catch (e) {
+    console.error('Error reading settings from localStorage:', e);
+    return { ...DEFAULT_SETTINGS };
+  }
+};
+
+/**
+ * Get a single setting for the current user
+ * @param {string} key - Setting name
+ * @returns {*} Setting value
+ */
+export const getSetting = (key) => getSettings()[key];
+
+/**
+ * Update settings for the current user
+ * @param {Object} changes - Settings to change
+ * @returns {Object} The updated settings
+ */
+export const updateSettings = (changes) => {
+  const settings = { ...getSettings(), ...changes };
+  localStorage.setItem(storageKey(), JSON.stringify(settings));
+
+  document.dispatchEvent(new CustomEvent('settings-updated', {
+    detail: { settings, changes, timestamp: new Date().toISOString() }
+  }));
+
+  return settings;
+};
@@ -0,0 +1,352 @@
+/**
+ * Short selling service for frontend
+ * Handles short positions, collateral and margin calls
+ *
+ * The trading API only supports buying and selling owned shares, so short positions are
+ * booked in a local ledger per user and merged into the portfolio returned by getUserPortfolio:
+ * - Opening a short credits the sale proceeds to cash and adds a negative position
+ * - (1 + INITIAL_MARGIN) x the short market value is held back from cash as collateral
+ * - Covering buys the borrowed shares back out of cash
+ * - When cash drops below (1 + MAINTENANCE_MARGIN) x the short market value the position
+ *   is margin called and shorts are force-covered, largest first, until the requirement is met
+ */
+
+import { getUserId } from './auth';
+import { applyTradeCosts } from './fees';
+import { getLatestPrice, subscribeToStockUpdates } from './websocket';
+import { fetchWithAuth } from '../utils/http';
+import { ENDPOINTS } from '../config/api';
+import { roundShares, formatShares, MIN_SHARES } from '../utils/shares';
+
+// Local storage key - suffixed with the user ID
+const SHORTS_STORAGE_KEY = 'officestonks_shorts';
+
+// Collateral required on top of the short proceeds when opening a short
+export const INITIAL_MARGIN = 0.5;
+
+// Collateral that must remain on top of the short market value before a margin call
+export const MAINTENANCE_MARGIN = 0.3;
+
+// Server cash balance from the last portfolio fetch, used by the margin monitor.
+// Belongs to the logged in user: cleared when the user changes and refreshed after trades.
+let lastServerCashBalance = null;
+
+const storageKey = () => `${SHORTS_STORAGE_KEY}_${getUserId() || 'guest'}`;
+
+/**
+ * Read the short ledger from localStorage
+ * @returns {Object} Ledger with positions, cash adjustment and transactions
+ */
+const loadLedger = () => {
+  const emptyLedger = { positions: {}, cash_adjustment: 0, transactions: [] };
+
+  try {
+    const json = localStorage.getItem(storageKey());
+    return json ? { ...emptyLedger, ...JSON.parse(json) } : emptyLedger;
+  } catch (e) {
+    console.error('Error reading short ledger from localStorage:', e);
+    return emptyLedger;
+  }
+};
+
+const saveLedger = (ledger) => {
+  localStorage.setItem(storageKey(), JSON.stringify(ledger));
+};
+
+/**
+ * Notify components that short positions changed
+ * @param {string} eventName - 'shorts-updated' or 'margin-call'
+ * @param {Object} detail - Event details
+ */
+const dispatchShortEvent = (eventName, detail) => {
+  document.dispatchEvent(new CustomEvent(eventName, {
+    detail: { ...detail, timestamp: new Date().toISOString() }
+  }));
+};
+
+/**
+ * Record a short or cover in the ledger's transaction list
+ * @param {Object} ledger - Ledger to update
+ * @param {Object} position - Position traded
+ * @param {string} type - 'short' or 'cover'
+ * @param {number} quantity - Shares traded
+ * @param {number} price - Price per share
+ * @param {Object} extra - Additional transaction fields
+ * @returns {Object} The transaction
+ */
+const recordTransaction = (ledger, position, type, quantity, price, extra = {}) => {
+  const transaction = {
+    id: `${type}-${Date.now()}-${Math.random().toString(36).substring(2, 8)}`,
+    created_at: new Date().toISOString(),
+    stock_id: position.stock_id,
+    stock: { symbol: position.symbol },
+    transaction_type: type,
+    quantity,
+    price,
+    ...extra
+  };
+
+  ledger.transactions.unshift(transaction);
+  return transaction;
+};
+
+const getPositionPrice = (position) => getLatestPrice(position.stock_id, position.last_price);
+
+/**
+ * Get collateral and margin figures for a cash balance
+ * @param {number} cashBalance - Cash balance including short proceeds
+ * @param {Object} ledger - Optional ledger (loaded if not provided)
+ * @returns {Object} Short value, collateral, maintenance requirement, buying power and margin call flag
+ */
+export const getMarginStatus = (cashBalance, ledger = loadLedger()) => {
+  const shortValue = Object.values(ledger.positions)
+    .reduce((total, position) => total + position.quantity * getPositionPrice(position), 0);
+
+  const collateral = shortValue * (1 + INITIAL_MARGIN);
+  const maintenance = shortValue * (1 + MAINTENANCE_MARGIN);
+
+  return {
+    short_value: shortValue,
+    collateral,
+    maintenance,
+    buying_power: Math.max(0, cashBalance - collateral),
+    margin_call: shortValue > 0 && cashBalance < maintenance
+  };
+};
+
+/**
+ * Get open short positions for the current user
+ * @returns {Promise<Array>} Short positions
+ */
+export const getShortPositions = async () => {
+  return Object.values(loadLedger().positions);
+};
+
+/**
+ * Merge short positions into a portfolio fetched from the API
+ * Shorts appear as portfolio items with a negative quantity
+ * @param {Object} portfolio - Portfolio as returned by the API
+ * @returns {Object} Portfolio including short positions and margin figures
+ */
+export const applyShortPositions = (portfolio) => {
+  if (!portfolio) return portfolio;
+
+  lastServerCashBalance = portfolio.cash_balance;
+
+  const ledger = loadLedger();
+  if (Object.keys(ledger.positions).length === 0 && !ledger.cash_adjustment) {
+    return portfolio;
+  }
+
+  const cashBalance = portfolio.cash_balance + ledger.cash_adjustment;
+
+  const shortItems = Object.values(ledger.positions).map(position => ({
+    stock_id: position.stock_id,
+    quantity: -position.quantity,
+    is_short: true,
+    entry_price: position.entry_price,
+    stock: {
+      ...position.stock,
+      current_price: getPositionPrice(position)
+    }
+  }));
+
+  const portfolioItems = [...(portfolio.portfolio_items || []), ...shortItems];
+  const stockValue = portfolioItems.reduce((total, item) =>
+    item && item.stock ? total + item.quantity * item.stock.current_price : total, 0);
+  const margin = getMarginStatus(cashBalance, ledger);
+
+  return {
+    ...portfolio,
+    portfolio_items: portfolioItems,
+    cash_balance: cashBalance,
+    stock_value: stockValue,
+    total_value: cashBalance + stockValue,
+    short_collateral: margin.collateral,
+    buying_power: margin.buying_power,
+    margin_call: margin.margin_call
+  };
+};
+
+/**
+ * Open or add to a short position
+ * @param {Object} stock - Stock being shorted (id, symbol, name, sector)
+ * @param {number} quantity - Shares to borrow and sell
+ * @param {number} price - Execution price
+ * @param {Object} portfolio - Current portfolio from getUserPortfolio
+ * @returns {Promise<Object>} Trade result
+ */
+export const openShort = async (stock, quantity, price, portfolio) => {
+  if (!quantity || quantity <= 0) {
+    throw new Error('Quantity must be greater than zero');
+  }
+
+  const longPosition = portfolio.portfolio_items.find(item => item.stock_id === stock.id && item.quantity > 0);
+  if (longPosition) {
+    throw new Error(`Sell your ${formatShares(longPosition.quantity)} shares of ${stock.symbol} before shorting it`);
+  }
+
+  const buyingPower = portfolio.buying_power ?? portfolio.cash_balance;
+  const requiredCollateral = quantity * price * INITIAL_MARGIN;
+  if (requiredCollateral > buyingPower) {
+    throw new Error(`Shorting requires $${requiredCollateral.toFixed(2)} of collateral but only $${buyingPower.toFixed(2)} is available`);
+  }
+
+  const ledger = loadLedger();
+  const existing = ledger.positions[stock.id];
+  const totalQuantity = roundShares((existing?.quantity || 0) + quantity);
+
+  const position = {
+    stock_id: stock.id,
+    symbol: stock.symbol,
+    stock: { id: stock.id, symbol: stock.symbol, name: stock.name, sector: stock.sector },
+    quantity: totalQuantity,
+    entry_price: existing
+      ? (existing.entry_price * existing.quantity + price * quantity) / totalQuantity
+      : price,
+    last_price: price,
+    opened_at: existing?.opened_at || new Date().toISOString()
+  };
+
+  ledger.positions[stock.id] = position;
+  ledger.cash_adjustment += quantity * price;
+  const transaction = recordTransaction(ledger, position, 'short', quantity, price);
+  saveLedger(ledger);
+
+  dispatchShortEvent('shorts-updated', { position, transaction });
+  console.log(`Shorted ${formatShares(quantity)} ${stock.symbol} @ $${price.toFixed(2)}`);
+
+  return { success: true, transaction };
+};
+
+/**
+ * Buy back borrowed shares, closing all or part of a short position
+ * @param {number} stockId - ID of the shorted stock
+ * @param {number} quantity - Shares to cover
+ * @param {number} price - Execution price
+ * @param {Object} ledger - Optional ledger (loaded if not provided)
+ * @param {string} reason - Optional reason recorded with the transaction (e.g. margin call)
+ * @returns {Promise<Object>} Trade result
+ */
+export const coverShort = async (stockId, quantity, price, ledger = loadLedger(), reason = null) => {
+  const position = ledger.positions[stockId];
+
+  if (!position) {
+    throw new Error('You have no short position in this stock');
+  }
+  if (!quantity || quantity <= 0 || quantity > position.quantity) {
+    throw new Error(`You can cover between ${MIN_SHARES} and ${formatShares(position.quantity)} shares`);
+  }
+
+  const realizedPnl = (position.entry_price - price) * quantity;
+
+  if (quantity === position.quantity) {
+    delete ledger.positions[stockId];
+  } else {
+    ledger.positions[stockId] = { ...position, quantity: roundShares(position.quantity - quantity), last_price: price };
+  }
+  ledger.cash_adjustment -= quantity * price;
+
+  const transaction = recordTransaction(ledger, position, 'cover', quantity, price, {
+    realized_pnl: realizedPnl,
+    reason
+  });
+  saveLedger(ledger);
+
+  dispatchShortEvent('shorts-updated', { position, transaction });
+  console.log(`Covered ${formatShares(quantity)} ${position.symbol} @ $${price.toFixed(2)} (P&L $${realizedPnl.toFixed(2)})`);
+
+  return { success: true, transaction };
+};
+
+/**
+ * Merge locally booked short/cover transactions into a page of API transactions
+ * Only transactions within the time span of the page are merged so paging stays consistent
+ * @param {Array} transactions - Page of transactions from the API
+ * @param {number} limit - Page size requested
+ * @param {number} offset - Page offset requested
+ * @returns {Array} Transactions sorted newest first
+ */
+export const mergeShortTransactions = (transactions, limit, offset) => {
+  const shortTransactions = loadLedger().transactions;
+  if (shortTransactions.length === 0) return transactions;
+
+  const pageTimes = transactions.map(t => new Date(t.created_at).getTime());
+  const newest = offset === 0 || pageTimes.length === 0 ? Infinity : Math.max(...pageTimes);
+  const oldest = transactions.length < limit || pageTimes.length === 0 ? -Infinity : Math.min(...pageTimes);
+
+  const inPage = shortTransactions.filter(t => {
+    const time = new Date(t.created_at).getTime();
+    return time <= newest && time >= oldest;
+  });
+
+  return [...transactions, ...inPage]
+    .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+};
+
+/**
+ * Margin monitor - force-cover shorts while cash is below the maintenance requirement
+ * @param {Object} update - Stock update with stock_id and price
+ */
+const handleStockUpdate = async (update) => {
+  const ledger = loadLedger();
+  const position = ledger.positions[update.stock_id];
+  if (!position || lastServerCashBalance === null) return;
+
+  ledger.positions[update.stock_id] = { ...position, last_price: update.price };
+  saveLedger(ledger);
+
+  const cashBalance = () => lastServerCashBalance + ledger.cash_adjustment;
+  let margin = getMarginStatus(cashBalance(), ledger);
+
+  while (margin.margin_call) {
+    // Cover the largest short first - it frees the most collateral
+    const largest = Object.values(ledger.positions).sort((a, b) =>
+      b.quantity * getPositionPrice(b) - a.quantity * getPositionPrice(a))[0];
+    const price = getPositionPrice(largest);
+
+    console.warn(`Margin call: force-covering ${formatShares(largest.quantity)} ${largest.symbol} @ $${price.toFixed(2)}`);
+    const { transaction } = await coverShort(largest.stock_id, largest.quantity, price, ledger, 'Margin call');
+
+    dispatchShortEvent('margin-call', {
+      stock_id: largest.stock_id,
+      symbol: largest.symbol,
+      quantity: largest.quantity,
+      price,
+      realized_pnl: transaction.realized_pnl
+    });
+
+    margin = getMarginStatus(cashBalance(), ledger);
+  }
+};
+
+/**
+ * Refresh the cash balance the margin monitor works from after a trade
+ * Shorts and covers already fetch the portfolio; a buy or sell changes the server cash
+ */
+const handleTradeExecuted = async () => {
+  if (Object.keys(loadLedger().positions).length === 0) return;
+
+  const userId = getUserId();
+  try {
+    const portfolio = applyTradeCosts(await fetchWithAuth(ENDPOINTS.PORTFOLIO));
+    // The user may have changed while the portfolio was loading
+    if (getUserId() === userId && typeof portfolio?.cash_balance === 'number') {
+      lastServerCashBalance = portfolio.cash_balance;
+    }
+  } catch (error) {
+    console.error('Error refreshing the cash balance for the margin monitor:', error);
+  }
+};
+
+/**
+ * Forget the previous user's cash balance so it is never checked against the new user's shorts
+ */
+const handleAuthChanged = () => {
+  lastServerCashBalance = null;
+};
+
+// Watch margin for the rest of the session as soon as the service is loaded
+subscribeToStockUpdates(handleStockUpdate);
+document.addEventListener('trade-executed', handleTradeExecuted);
+document.addEventListener('auth-changed', handleAuthChanged);
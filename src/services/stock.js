@@ -6,7 +6,12 @@
 import { fetchWithAuth } from '../utils/http';
 import { ENDPOINTS } from '../config/api';
 import { fetchViaProxy } from './public-proxy';
-import { stockPriceCache, marketEventGenerationPaused } from './websocket';
+import { stockPriceCache, marketEventGenerationPaused, getLatestPrice } from './websocket';
+import { applyShortPositions, openShort, coverShort, mergeShortTransactions } from './shorts';
+import { applyTradeCosts, attachTradeCosts, recordTradeCosts } from './fees';
+import { roundShares } from '../utils/shares';
+import { applyJump } from '../utils/price-model';
+import { sectorImpactWeights } from '../utils/sector-events';
 
 /**
  * Get all available stocks
@@ -47,49 +52,95 @@ export const getStockById = async (stockId) => {
 
 /**
  * Get the user's portfolio
+ * Short positions from the local short ledger are included with negative quantities
  * @returns {Promise<Object>} User's portfolio
  */
 export const getUserPortfolio = async () => {
+  let portfolio;
+
   try {
     try {
       // First try: Regular API
-      return await fetchWithAuth(ENDPOINTS.PORTFOLIO);
+      portfolio = await fetchWithAuth(ENDPOINTS.PORTFOLIO);
     } catch (initialError) {
       console.warn('Regular portfolio fetch failed, trying public proxy:', initialError);
       
       // Second try: Using public CORS proxy
-      return await fetchViaProxy('portfolio');
+      portfolio = await fetchViaProxy('portfolio');
     }
   } catch (error) {
     console.error('Error fetching portfolio (all methods failed):', error);
     
     // Return empty portfolio structure instead of throwing
-    return {
+    portfolio = {
       portfolio_items: [],
       cash_balance: 10000, // Default starting cash
       stock_value: 0,
       total_value: 10000
     };
   }
+
+  return applyShortPositions(applyTradeCosts(portfolio));
 };
 
 /**
- * Execute a trade (buy or sell)
+ * Execute a trade (buy, sell, short or cover)
+ * Commission, percentage fee and slippage from the fee model are charged on the trade and recorded against it
  * @param {number} stockId - ID of the stock to trade
- * @param {number} quantity - Number of shares to trade
- * @param {string} action - 'buy' or 'sell'
+ * @param {number} quantity - Number of shares to trade, fractions allowed down to SHARE_DECIMALS places
+ * @param {string} action - 'buy', 'sell', 'short' or 'cover'
  * @returns {Promise<Object>} Trade result
  */
 export const executeTrade = async (stockId, quantity, action) => {
   try {
-    return await fetchWithAuth(ENDPOINTS.TRADING, {
-      method: 'POST',
-      body: JSON.stringify({
-        stock_id: stockId,
-        quantity: quantity,
-        action: action, // 'buy' or 'sell'
-      }),
-    });
+    quantity = roundShares(quantity);
+    if (!(quantity > 0)) {
+      throw new Error('Quantity must be greater than zero');
+    }
+
+    let result;
+    let price = null;
+
+    // The trading API only handles owned shares - shorts are booked in the local short ledger
+    if (action === 'short' || action === 'cover') {
+      const [stock, portfolio] = await Promise.all([getStockById(stockId), getUserPortfolio()]);
+      price = getLatestPrice(stock.id, stock.current_price);
+
+      result = action === 'short'
+        ? await openShort(stock, quantity, price, portfolio)
+        : await coverShort(stock.id, quantity, price);
+    } else {
+      result = await fetchWithAuth(ENDPOINTS.TRADING, {
+        method: 'POST',
+        body: JSON.stringify({
+          stock_id: stockId,
+          quantity: quantity,
+          action: action, // 'buy' or 'sell'
+        }),
+      });
+      price = getLatestPrice(stockId, null);
+    }
+
+    // Buys and sells are charged by the server, which reports the costs with the trade;
+    // shorts and covers only exist locally, so their costs are booked locally, as are the
+    // costs of a trade the server did not charge
+    try {
+      if (price === null) {
+        const stock = await getStockById(stockId);
+        price = getLatestPrice(stock.id, stock.current_price);
+      }
+      const charged = action === 'buy' || action === 'sell' ? result?.costs || null : null;
+      recordTradeCosts(stockId, quantity, action, price, charged);
+    } catch (feeError) {
+      console.error('Trade executed but its costs could not be recorded:', feeError);
+    }
+
+    // Let background services (portfolio history etc.) react to the trade
+    document.dispatchEvent(new CustomEvent('trade-executed', {
+      detail: { stockId, quantity, action, timestamp: new Date().toISOString() }
+    }));
+
+    return result;
   } catch (error) {
     console.error(`Error executing ${action} trade:`, error);
     throw error;
@@ -103,32 +154,44 @@ export const executeTrade = async (stockId, quantity, action) => {
  * @returns {Promise<Array>} List of transactions
  */
 export const getTransactionHistory = async (limit = 50, offset = 0) => {
+  let transactions;
+
   try {
     try {
       // First try: Regular API
-      return await fetchWithAuth(`${ENDPOINTS.TRANSACTIONS}?limit=${limit}&offset=${offset}`);
+      transactions = await fetchWithAuth(`${ENDPOINTS.TRANSACTIONS}?limit=${limit}&offset=${offset}`);
     } catch (initialError) {
       console.warn('Regular transactions fetch failed, trying public proxy:', initialError);
       
       // Second try: Using public CORS proxy
-      return await fetchViaProxy(`transactions?limit=${limit}&offset=${offset}`);
+      transactions = await fetchViaProxy(`transactions?limit=${limit}&offset=${offset}`);
     }
   } catch (error) {
     console.error('Error fetching transaction history (all methods failed):', error);
     
     // Return empty array instead of throwing
-    return [];
+    transactions = [];
   }
+
+  // Include short and cover trades from the local short ledger
+  return attachTradeCosts(mergeShortTransactions(transactions, limit, offset));
 };
 
 /**
  * Update all stocks based on a market event
  * @param {string} eventType - Type of event (market_event, sector_event, company_event)
- * @param {object} eventData - Event data containing the impact and impact_options
+ * @param {object} eventData - Event data containing the impact and impact_options (sector events also
+ *   carry related_sectors and sector_spillover, the weight by sector of stocks outside them)
  * @param {Array} allStocks - Optional array of all stocks, will be fetched if not provided
+ * @param {function} random - Seeded random number generator for the per-stock variance, so the moves
+ *   replay with the event seed (required - there is deliberately no Math.random fallback)
  * @returns {Promise<Array>} Array of updated stock IDs and their new prices
  */
-export const updateStocksFromEvent = async (eventType, eventData, allStocks = null) => {
+export const updateStocksFromEvent = async (eventType, eventData, allStocks, random) => {
+  if (typeof random !== 'function') {
+    throw new Error('updateStocksFromEvent needs the seeded random number generator');
+  }
+
   try {
     // Check if market event generation is paused
     if (marketEventGenerationPaused) {
@@ -163,412 +226,68 @@ export const updateStocksFromEvent = async (eventType, eventData, allStocks = nu
     const updatedStocks = [];
     let stocksNeedUpdate = false;
 
-    // Apply the impact based on event type
+    // Pick the stocks the event moves, the share of the impact each one gets, and how far each
+    // one's move may stray from that
+    let affectedStocks = [];
+    let impactWeight = () => 1;
+    let spread = 0;
+
     if (eventType === 'market_event') {
-      // Market events affect all stocks
+      // Market events affect all stocks (±30% per stock)
       console.log(`Applying market-wide impact of ${actualImpact} to all ${stocks.length} stocks`);
-      
-      stocks.forEach(stock => {
-        if (!stock || !stock.id) return;
-        
-        // Apply the impact with some variance per stock (±30%)
-        const variance = 0.7 + Math.random() * 0.6; // 70% to 130% of the impact
-        const adjustedImpact = actualImpact * variance;
-        const currentPrice = stock.current_price || 100; // Fallback to 100 if no price
-        
-        // CRITICAL FIX: Market events were calculating the price change incorrectly!
-        // Check if the impact is a percentage or absolute change
-        let priceChange;
-        let newPrice;
-        
-        // IMPROVED PRICE CALCULATION LOGIC:
-        // 1. Limit negative percentage changes to prevent catastrophic drops
-        // 2. Use a higher minimum price floor
-        
-        // If impact is very small (like 0.01 to 0.05), it's probably a percentage
-        if (Math.abs(adjustedImpact) < 0.1) {
-          // It's a percentage, but we need to limit negative percentages
-          
-          // For negative impacts, don't allow more than 5% drop in a single event
-          if (adjustedImpact < 0) {
-            adjustedImpact = Math.max(adjustedImpact, -0.05);
-            console.log(`⚠️ Limited negative percentage impact to -5%: ${adjustedImpact}`);
-          }
-          
-          // Apply the percentage change
-          newPrice = currentPrice * (1 + adjustedImpact);
-        } else {
-          // It's an absolute change - limit negative changes relative to stock price
-          if (adjustedImpact < 0) {
-            // Don't allow absolute drops greater than 5% of current price
-            const maxAbsoluteDrop = currentPrice * 0.05;
-            if (Math.abs(adjustedImpact) > maxAbsoluteDrop) {
-              adjustedImpact = -maxAbsoluteDrop;
-              console.log(`⚠️ Limited negative absolute impact to -$${maxAbsoluteDrop.toFixed(2)}`);
-            }
-          }
-          
-          priceChange = adjustedImpact; // Direct dollar amount
-          newPrice = currentPrice + priceChange;
-        }
-        
-        // Enhanced price floor - use a higher minimum of $5.00 (was $1.00)
-        // Plus a stock-specific floor based on typical price range
-        let stockFloor = 5.00; // Default absolute minimum of $5.00 for all stocks
-        
-        try {
-          // Lookup the stock's symbol to determine typical price range
-          const symbol = stock.symbol;
-          if (symbol) {
-            // Set a stock-specific floor based on typical price
-            const defaultPrice = 
-              symbol === 'AAPL' ? 175.34 :
-              symbol === 'MSFT' ? 320.45 :
-              symbol === 'AMZN' ? 128.95 :
-              symbol === 'GOOGL' ? 145.60 :
-              symbol === 'FB' ? 302.75 :
-              symbol === 'TSLA' ? 245.30 :
-              symbol === 'NFLX' ? 552.80 :
-              symbol === 'NVDA' ? 468.25 :
-              symbol === 'DIS' ? 105.45 :
-              symbol === 'JPM' ? 175.15 :
-              100.00; // Default for custom stocks
-            
-            // Floor is 25% of default price or $5.00, whichever is higher
-            stockFloor = Math.max(5.00, defaultPrice * 0.25);
-          }
-        } catch (e) {
-          console.error('Error determining stock floor price in market event:', e);
-        }
-        
-        // Apply the floor to ensure price doesn't drop too low
-        if (newPrice < stockFloor) {
-          console.log(`📈 Floor protection: ${stock.symbol || 'Stock'} price ${newPrice.toFixed(2)} below floor ${stockFloor.toFixed(2)}`);
-          newPrice = stockFloor;
-        }
-        
-        // Update the price cache directly
-        stockPriceCache[stock.id] = newPrice;
-        
-        // Flag the stock for local storage update
-        stock.current_price = newPrice;
-        stocksNeedUpdate = true;
-        
-        updatedStocks.push({
-          id: stock.id,
-          symbol: stock.symbol,
-          previous_price: currentPrice,
-          new_price: newPrice,
-          change_percentage: adjustedImpact * 100
-        });
-      });
+      affectedStocks = stocks;
+      spread = 0.3;
     } 
     else if (eventType === 'sector_event' && eventData.related_sectors) {
-      // Sector events only affect stocks in specific sectors
-      // This would require sectors to be defined in the stock data
-      // For now, we'll randomly choose ~15% of stocks as affected
-      const affectedCount = Math.max(1, Math.floor(stocks.length * 0.15));
-      console.log(`Applying sector impact of ${actualImpact} to ${affectedCount} random stocks`);
-      
-      // Shuffle the stocks and pick the first 'affectedCount' stocks
-      const shuffledStocks = [...stocks].sort(() => Math.random() - 0.5);
-      const affectedStocks = shuffledStocks.slice(0, affectedCount);
-      
-      affectedStocks.forEach(stock => {
-        if (!stock || !stock.id) return;
-        
-        // Apply the impact with some variance per stock (±20%)
-        const variance = 0.8 + Math.random() * 0.4; // 80% to 120% of the impact
-        const adjustedImpact = actualImpact * variance;
-        const currentPrice = stock.current_price || 100; // Fallback to 100 if no price
-        
-        // CRITICAL FIX: Same fix as market events for sector events
-        let priceChange;
-        let newPrice;
-        
-        // IMPROVED PRICE CALCULATION LOGIC:
-        // 1. Limit negative percentage changes to prevent catastrophic drops
-        // 2. Use a higher minimum price floor
-        
-        // If impact is very small (like 0.01 to 0.05), it's probably a percentage
-        if (Math.abs(adjustedImpact) < 0.1) {
-          // It's a percentage, but we need to limit negative percentages
-          
-          // For negative impacts, don't allow more than 5% drop in a single event
-          if (adjustedImpact < 0) {
-            adjustedImpact = Math.max(adjustedImpact, -0.05);
-            console.log(`⚠️ Limited negative percentage impact to -5% (sector event): ${adjustedImpact}`);
-          }
-          
-          // Apply the percentage change
-          newPrice = currentPrice * (1 + adjustedImpact);
-        } else {
-          // It's an absolute change - limit negative changes relative to stock price
-          if (adjustedImpact < 0) {
-            // Don't allow absolute drops greater than 5% of current price
-            const maxAbsoluteDrop = currentPrice * 0.05;
-            if (Math.abs(adjustedImpact) > maxAbsoluteDrop) {
-              adjustedImpact = -maxAbsoluteDrop;
-              console.log(`⚠️ Limited negative absolute impact to -$${maxAbsoluteDrop.toFixed(2)} (sector event)`);
-            }
-          }
-          
-          priceChange = adjustedImpact; // Direct dollar amount
-          newPrice = currentPrice + priceChange;
-        }
-        
-        // Enhanced price floor - use a higher minimum of $5.00 (was $1.00)
-        // Plus a stock-specific floor based on typical price range
-        let stockFloor = 5.00; // Default absolute minimum of $5.00 for all stocks
-        
-        try {
-          // Lookup the stock's symbol to determine typical price range
-          const symbol = stock.symbol;
-          if (symbol) {
-            // Set a stock-specific floor based on typical price
-            const defaultPrice = 
-              symbol === 'AAPL' ? 175.34 :
-              symbol === 'MSFT' ? 320.45 :
-              symbol === 'AMZN' ? 128.95 :
-              symbol === 'GOOGL' ? 145.60 :
-              symbol === 'FB' ? 302.75 :
-              symbol === 'TSLA' ? 245.30 :
-              symbol === 'NFLX' ? 552.80 :
-              symbol === 'NVDA' ? 468.25 :
-              symbol === 'DIS' ? 105.45 :
-              symbol === 'JPM' ? 175.15 :
-              100.00; // Default for custom stocks
-            
-            // Floor is 25% of default price or $5.00, whichever is higher
-            stockFloor = Math.max(5.00, defaultPrice * 0.25);
-          }
-        } catch (e) {
-          console.error('Error determining stock floor price in sector event:', e);
-        }
-        
-        // Apply the floor to ensure price doesn't drop too low
-        if (newPrice < stockFloor) {
-          console.log(`📈 Floor protection: ${stock.symbol || 'Stock'} price ${newPrice.toFixed(2)} below floor ${stockFloor.toFixed(2)}`);
-          newPrice = stockFloor;
-        }
-        
-        // Update the price cache
-        stockPriceCache[stock.id] = newPrice;
-        
-        // Update the stock object for localStorage
-        stock.current_price = newPrice;
-        stocksNeedUpdate = true;
-        
-        updatedStocks.push({
-          id: stock.id,
-          symbol: stock.symbol,
-          previous_price: currentPrice,
-          new_price: newPrice,
-          change_percentage: adjustedImpact * 100
-        });
-      });
+      // Sector events affect the stocks in their sectors, and stocks in other sectors by
+      // the event's spillover weights (±20% per stock)
+      const sectorWeights = sectorImpactWeights(stocks, eventData.related_sectors, eventData.sector_spillover);
+      affectedStocks = stocks.filter(stock => sectorWeights.has(stock.id));
+      impactWeight = stock => sectorWeights.get(stock.id);
+      console.log(`Applying sector impact of ${actualImpact} to ${affectedStocks.length} stocks in or spilling over from ${eventData.related_sectors.join(', ')}`);
+      spread = 0.2;
     } 
     else if (eventType === 'company_event' && eventData.related_stocks) {
-      // Company events affect specific stocks
+      // Company events affect specific stocks (±10% per stock)
       const stockIds = Array.isArray(eventData.related_stocks) ? eventData.related_stocks : [];
       console.log(`Applying company impact of ${actualImpact} to ${stockIds.length} specific stocks`);
       
-      // If no specific stocks, pick 1-3 random stocks
       if (stockIds.length === 0) {
-        const randomCount = Math.floor(Math.random() * 3) + 1; // 1 to 3 stocks
-        const shuffledStocks = [...stocks].sort(() => Math.random() - 0.5);
-        
-        shuffledStocks.slice(0, randomCount).forEach(stock => {
-          if (!stock || !stock.id) return;
-          
-          // Apply the impact with high variance for company events (±10%)
-          const variance = 0.9 + Math.random() * 0.2; // 90% to 110% of the impact
-          const adjustedImpact = actualImpact * variance;
-          const currentPrice = stock.current_price || 100; // Fallback to 100 if no price
-          
-          // Calculate new price with the same approach as market/sector events
-          let priceChange;
-          let newPrice;
-          
-          // IMPROVED PRICE CALCULATION LOGIC:
-          // 1. Limit negative percentage changes to prevent catastrophic drops
-          // 2. Use a higher minimum price floor
-          
-          // If impact is very small, it's probably a percentage
-          if (Math.abs(adjustedImpact) < 0.1) {
-            // It's a percentage, but we need to limit negative percentages
-            
-            // For negative impacts, don't allow more than 5% drop in a single event
-            if (adjustedImpact < 0) {
-              adjustedImpact = Math.max(adjustedImpact, -0.05);
-              console.log(`⚠️ Limited negative percentage impact to -5% (company event): ${adjustedImpact}`);
-            }
-            
-            // Apply the percentage change
-            newPrice = currentPrice * (1 + adjustedImpact);
-          } else {
-            // It's an absolute change - limit negative changes relative to stock price
-            if (adjustedImpact < 0) {
-              // Don't allow absolute drops greater than 5% of current price
-              const maxAbsoluteDrop = currentPrice * 0.05;
-              if (Math.abs(adjustedImpact) > maxAbsoluteDrop) {
-                adjustedImpact = -maxAbsoluteDrop;
-                console.log(`⚠️ Limited negative absolute impact to -$${maxAbsoluteDrop.toFixed(2)} (company event)`);
-              }
-            }
-            
-            priceChange = adjustedImpact; // Direct dollar amount
-            newPrice = currentPrice + priceChange;
-          }
-          
-          // Enhanced price floor - use a higher minimum of $5.00 (was $1.00)
-          // Plus a stock-specific floor based on typical price range
-          let stockFloor = 5.00; // Default absolute minimum of $5.00 for all stocks
-          
-          try {
-            // Lookup the stock's symbol to determine typical price range
-            const symbol = stock.symbol;
-            if (symbol) {
-              // Set a stock-specific floor based on typical price
-              const defaultPrice = 
-                symbol === 'AAPL' ? 175.34 :
-                symbol === 'MSFT' ? 320.45 :
-                symbol === 'AMZN' ? 128.95 :
-                symbol === 'GOOGL' ? 145.60 :
-                symbol === 'FB' ? 302.75 :
-                symbol === 'TSLA' ? 245.30 :
-                symbol === 'NFLX' ? 552.80 :
-                symbol === 'NVDA' ? 468.25 :
-                symbol === 'DIS' ? 105.45 :
-                symbol === 'JPM' ? 175.15 :
-                100.00; // Default for custom stocks
-              
-              // Floor is 25% of default price or $5.00, whichever is higher
-              stockFloor = Math.max(5.00, defaultPrice * 0.25);
-            }
-          } catch (e) {
-            console.error('Error determining stock floor price in company event:', e);
-          }
-          
-          // Apply the floor to ensure price doesn't drop too low
-          if (newPrice < stockFloor) {
-            console.log(`📈 Floor protection: ${stock.symbol || 'Stock'} price ${newPrice.toFixed(2)} below floor ${stockFloor.toFixed(2)}`);
-            newPrice = stockFloor;
-          }
-          
-          // Update the price cache
-          stockPriceCache[stock.id] = newPrice;
-          
-          // Update the stock object for localStorage
-          stock.current_price = newPrice;
-          stocksNeedUpdate = true;
-          
-          updatedStocks.push({
-            id: stock.id,
-            symbol: stock.symbol,
-            previous_price: currentPrice,
-            new_price: newPrice,
-            change_percentage: adjustedImpact * 100
-          });
-        });
+        // If no specific stocks, pick 1-3 random stocks
+        const randomCount = Math.floor(random() * 3) + 1; // 1 to 3 stocks
+        const shuffledStocks = [...stocks].sort(() => random() - 0.5);
+        affectedStocks = shuffledStocks.slice(0, randomCount);
       } else {
-        // Update the specific stocks
-        stockIds.forEach(stockId => {
-          const stock = stocks.find(s => s.id == stockId); // Use == to handle string vs number IDs
-          if (!stock) return;
-          
-          // Apply the impact with high variance for company events (±10%)
-          const variance = 0.9 + Math.random() * 0.2; // 90% to 110% of the impact
-          const adjustedImpact = actualImpact * variance;
-          const currentPrice = stock.current_price || 100; // Fallback to 100 if no price
-          
-          // Calculate new price with the same approach as market/sector events
-          let priceChange;
-          let newPrice;
-          
-          // IMPROVED PRICE CALCULATION LOGIC:
-          // 1. Limit negative percentage changes to prevent catastrophic drops
-          // 2. Use a higher minimum price floor
-          
-          // If impact is very small, it's probably a percentage
-          if (Math.abs(adjustedImpact) < 0.1) {
-            // It's a percentage, but we need to limit negative percentages
-            
-            // For negative impacts, don't allow more than 5% drop in a single event
-            if (adjustedImpact < 0) {
-              adjustedImpact = Math.max(adjustedImpact, -0.05);
-              console.log(`⚠️ Limited negative percentage impact to -5% (company event): ${adjustedImpact}`);
-            }
-            
-            // Apply the percentage change
-            newPrice = currentPrice * (1 + adjustedImpact);
-          } else {
-            // It's an absolute change - limit negative changes relative to stock price
-            if (adjustedImpact < 0) {
-              // Don't allow absolute drops greater than 5% of current price
-              const maxAbsoluteDrop = currentPrice * 0.05;
-              if (Math.abs(adjustedImpact) > maxAbsoluteDrop) {
-                adjustedImpact = -maxAbsoluteDrop;
-                console.log(`⚠️ Limited negative absolute impact to -$${maxAbsoluteDrop.toFixed(2)} (company event)`);
-              }
-            }
-            
-            priceChange = adjustedImpact; // Direct dollar amount
-            newPrice = currentPrice + priceChange;
-          }
-          
-          // Enhanced price floor - use a higher minimum of $5.00 (was $1.00)
-          // Plus a stock-specific floor based on typical price range
-          let stockFloor = 5.00; // Default absolute minimum of $5.00 for all stocks
-          
-          try {
-            // Lookup the stock's symbol to determine typical price range
-            const symbol = stock.symbol;
-            if (symbol) {
-              // Set a stock-specific floor based on typical price
-              const defaultPrice = 
-                symbol === 'AAPL' ? 175.34 :
-                symbol === 'MSFT' ? 320.45 :
-                symbol === 'AMZN' ? 128.95 :
-                symbol === 'GOOGL' ? 145.60 :
-                symbol === 'FB' ? 302.75 :
-                symbol === 'TSLA' ? 245.30 :
-                symbol === 'NFLX' ? 552.80 :
-                symbol === 'NVDA' ? 468.25 :
-                symbol === 'DIS' ? 105.45 :
-                symbol === 'JPM' ? 175.15 :
-                100.00; // Default for custom stocks
-              
-              // Floor is 25% of default price or $5.00, whichever is higher
-              stockFloor = Math.max(5.00, defaultPrice * 0.25);
-            }
-          } catch (e) {
-            console.error('Error determining stock floor price in company event:', e);
-          }
-          
-          // Apply the floor to ensure price doesn't drop too low
-          if (newPrice < stockFloor) {
-            console.log(`📈 Floor protection: ${stock.symbol || 'Stock'} price ${newPrice.toFixed(2)} below floor ${stockFloor.toFixed(2)}`);
-            newPrice = stockFloor;
-          }
-          
-          // Update the price cache
-          stockPriceCache[stock.id] = newPrice;
-          
-          // Update the stock object for localStorage
-          stock.current_price = newPrice;
-          stocksNeedUpdate = true;
-          
-          updatedStocks.push({
-            id: stock.id,
-            symbol: stock.symbol,
-            previous_price: currentPrice,
-            new_price: newPrice,
-            change_percentage: adjustedImpact * 100
-          });
-        });
+        affectedStocks = stockIds
+          .map(stockId => stocks.find(s => s.id == stockId)) // Use == to handle string vs number IDs
+          .filter(Boolean);
       }
+      spread = 0.1;
     }
+
+    // Events are jumps on top of the price model, so the move is always a percentage of the latest price
+    affectedStocks.forEach(stock => {
+      if (!stock || !stock.id) return;
+      
+      const variance = 1 - spread + random() * 2 * spread;
+      const currentPrice = getLatestPrice(stock.id, stock.current_price || 100);
+      const newPrice = applyJump(currentPrice, actualImpact * impactWeight(stock) * variance);
+      
+      // Update the price cache
+      stockPriceCache[stock.id] = newPrice;
+      
+      // Update the stock object for localStorage
+      stock.current_price = newPrice;
+      stocksNeedUpdate = true;
+      
+      updatedStocks.push({
+        id: stock.id,
+        symbol: stock.symbol,
+        previous_price: currentPrice,
+        new_price: newPrice,
+        change_percentage: (newPrice / currentPrice - 1) * 100
+      });
+    });
     
     // If stocks were updated and we're using localStorage stocks, persist the updates
     if (stocksNeedUpdate) {
@@ -576,14 +295,15 @@ export const updateStocksFromEvent = async (eventType, eventData, allStocks = nu
       const mockStocksJson = localStorage.getItem('mockStocksData');
       if (mockStocksJson) {
         try {
-          // Parse the existing mock stocks to check if these are the same stocks
-          const mockStocksCheck = JSON.parse(mockStocksJson);
-          // If stock count matches, assume these are from localStorage
-          if (mockStocksCheck.length === stocks.length) {
-            // Save the updated stocks back to localStorage
-            localStorage.setItem('mockStocksData', JSON.stringify(stocks));
-            console.log(`Saved ${updatedStocks.length} stock price updates to localStorage`);
-          }
+          // Only write the moved prices - the stocks passed in may be older than the
+          // price engine's latest moves for everything else
+          const mockStocks = JSON.parse(mockStocksJson);
+          mockStocks.forEach(mockStock => {
+            const update = updatedStocks.find(s => String(s.id) === String(mockStock.id));
+            if (update) mockStock.current_price = update.new_price;
+          });
+          localStorage.setItem('mockStocksData', JSON.stringify(mockStocks));
+          console.log(`Saved ${updatedStocks.length} stock price updates to localStorage`);
         } catch (e) {
           console.error('Error saving updated stock prices to localStorage:', e);
         }
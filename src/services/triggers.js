@@ -0,0 +1,299 @@
+/**
+ * Position triggers service for frontend
+ * Handles stop-loss, take-profit and trailing-stop triggers on held positions
+ *
+ * Triggers are kept in localStorage per user and evaluated against every stock update
+ * (real WebSocket and market event generator). When a trigger fires the position is
+ * sold through the regular trading endpoint. Only one trigger sells a stock at a time,
+ * never more than is held, and the others on that stock are disarmed once it has sold.
+ */
+
+import { getUserId } from './auth';
+import { executeTrade, getUserPortfolio } from './stock';
+import { subscribeToStockUpdates } from './websocket';
+
+// Local storage key - suffixed with the user ID
+const TRIGGERS_STORAGE_KEY = 'officestonks_triggers';
+
+export const TRIGGER_TYPE = {
+  STOP_LOSS: 'stop_loss',
+  TAKE_PROFIT: 'take_profit',
+  TRAILING_STOP: 'trailing_stop'
+};
+
+export const TRIGGER_STATUS = {
+  ARMED: 'armed',
+  TRIGGERED: 'triggered',
+  CANCELLED: 'cancelled',
+  FAILED: 'failed'
+};
+
+// How a trigger level is entered: an absolute price or a percentage
+// (from average cost for stop-loss/take-profit, from the high-water mark for trailing stops)
+export const TRIGGER_MODE = {
+  PRICE: 'price',
+  PERCENT: 'percent'
+};
+
+// Stocks with a trigger sell in flight - prevents a second trigger, or a rapid price update,
+// from selling the same position again
+const firingStocks = new Set();
+
+const storageKey = () => `${TRIGGERS_STORAGE_KEY}_${getUserId() || 'guest'}`;
+
+const loadTriggers = () => {
+  try {
+    const json = localStorage.getItem(storageKey());
+    const list = json ? JSON.parse(json) : [];
+    return Array.isArray(list) ? list : [];
+  } catch (e) {
+    console.error('Error reading triggers from localStorage:', e);
+    return [];
+  }
+};
+
+const saveTriggers = (triggers) => {
+  localStorage.setItem(storageKey(), JSON.stringify(triggers));
+};
+
+/**
+ * Notify components that triggers changed
+ * @param {Object} trigger - The trigger that changed
+ */
+const dispatchTriggersUpdated = (trigger) => {
+  document.dispatchEvent(new CustomEvent('triggers-updated', {
+    detail: { trigger, timestamp: new Date().toISOString() }
+  }));
+};
+
+/**
+ * Compute the stop price of a trailing stop from its high-water mark
+ * @param {Object} trigger - Trailing stop trigger
+ * @returns {number} Price at which the trailing stop fires
+ */
+export const getTrailingStopPrice = (trigger) => {
+  if (trigger.mode === TRIGGER_MODE.PERCENT) {
+    return trigger.high_water_mark * (1 - trigger.value / 100);
+  }
+  return trigger.high_water_mark - trigger.value;
+};
+
+/**
+ * Get the price at which a trigger fires
+ * @param {Object} trigger - Trigger to inspect
+ * @returns {number} Trigger price
+ */
+export const getTriggerPrice = (trigger) => {
+  if (trigger.type === TRIGGER_TYPE.TRAILING_STOP) {
+    return getTrailingStopPrice(trigger);
+  }
+  return trigger.trigger_price;
+};
+
+/**
+ * Check whether a trigger should fire at the given price
+ * Stops fire at or below their level, take-profits at or above it
+ * @param {Object} trigger - Armed trigger
+ * @param {number} price - Latest market price
+ * @returns {boolean} True if the trigger should fire
+ */
+export const shouldFireTrigger = (trigger, price) => {
+  if (!trigger || trigger.status !== TRIGGER_STATUS.ARMED || !price) return false;
+
+  const triggerPrice = getTriggerPrice(trigger);
+  return trigger.type === TRIGGER_TYPE.TAKE_PROFIT ? price >= triggerPrice : price <= triggerPrice;
+};
+
+/**
+ * Get triggers for the current user
+ * @param {number|null} stockId - Optional stock ID to filter by
+ * @param {boolean} armedOnly - Only return armed triggers
+ * @returns {Promise<Array>} List of triggers
+ */
+export const getTriggers = async (stockId = null, armedOnly = true) => {
+  return loadTriggers().filter(trigger =>
+    (stockId === null || trigger.stock_id === Number(stockId)) &&
+    (!armedOnly || trigger.status === TRIGGER_STATUS.ARMED)
+  );
+};
+
+/**
+ * Arm a stop-loss, take-profit or trailing-stop trigger on a position
+ * @param {Object} params - Trigger parameters
+ * @param {number} params.stockId - ID of the stock
+ * @param {string} params.symbol - Stock symbol (for display)
+ * @param {string} params.type - One of TRIGGER_TYPE
+ * @param {string} params.mode - One of TRIGGER_MODE
+ * @param {number} params.value - Price, percentage or trailing amount depending on type and mode
+ * @param {number} params.quantity - Number of shares to sell when the trigger fires
+ * @param {number} params.averageCost - Average cost of the position (used by percent mode)
+ * @param {number} params.currentPrice - Current price (starting high-water mark for trailing stops)
+ * @returns {Promise<Object>} The armed trigger
+ */
+export const createTrigger = async ({ stockId, symbol, type, mode, value, quantity, averageCost, currentPrice }) => {
+  if (!Object.values(TRIGGER_TYPE).includes(type)) {
+    throw new Error(`Invalid trigger type: ${type}`);
+  }
+  if (!Object.values(TRIGGER_MODE).includes(mode)) {
+    throw new Error(`Invalid trigger mode: ${mode}`);
+  }
+  if (!value || value <= 0) {
+    throw new Error('Trigger value must be greater than zero');
+  }
+  if (!quantity || quantity <= 0) {
+    throw new Error('Quantity must be greater than zero');
+  }
+
+  const trigger = {
+    id: `trigger-${Date.now()}-${Math.random().toString(36).substring(2, 8)}`,
+    stock_id: Number(stockId),
+    symbol,
+    type,
+    mode,
+    value: Number(value),
+    quantity,
+    average_cost: averageCost || null,
+    status: TRIGGER_STATUS.ARMED,
+    created_at: new Date().toISOString()
+  };
+
+  if (type === TRIGGER_TYPE.TRAILING_STOP) {
+    if (!currentPrice) {
+      throw new Error('A current price is required for a trailing stop');
+    }
+    if (mode === TRIGGER_MODE.PERCENT && value >= 100) {
+      throw new Error('Trailing percentage must be below 100%');
+    }
+    trigger.high_water_mark = currentPrice;
+  } else if (mode === TRIGGER_MODE.PERCENT) {
+    if (!averageCost) {
+      throw new Error('An average cost is required for a percentage trigger');
+    }
+    const direction = type === TRIGGER_TYPE.STOP_LOSS ? -1 : 1;
+    trigger.trigger_price = averageCost * (1 + direction * value / 100);
+  } else {
+    trigger.trigger_price = Number(value);
+  }
+
+  if (getTriggerPrice(trigger) <= 0) {
+    throw new Error('Trigger price must be greater than zero');
+  }
+
+  const triggers = loadTriggers();
+  triggers.push(trigger);
+  saveTriggers(triggers);
+
+  dispatchTriggersUpdated(trigger);
+  console.log(`Armed ${type} on ${quantity} ${symbol} @ $${getTriggerPrice(trigger).toFixed(2)}`);
+
+  return trigger;
+};
+
+/**
+ * Update a stored trigger
+ * @param {string} triggerId - ID of the trigger
+ * @param {Object} changes - Fields to update
+ * @param {boolean} notify - Dispatch a triggers-updated event
+ * @returns {Object|null} The updated trigger or null if not found
+ */
+const updateTrigger = (triggerId, changes, notify = true) => {
+  const triggers = loadTriggers();
+  const index = triggers.findIndex(t => t.id === triggerId);
+  if (index === -1) return null;
+
+  triggers[index] = { ...triggers[index], ...changes };
+  saveTriggers(triggers);
+
+  if (notify) {
+    dispatchTriggersUpdated(triggers[index]);
+  }
+  return triggers[index];
+};
+
+/**
+ * Disarm a trigger
+ * @param {string} triggerId - ID of the trigger to cancel
+ * @returns {Promise<Object>} The cancelled trigger
+ */
+export const cancelTrigger = async (triggerId) => {
+  const trigger = loadTriggers().find(t => t.id === triggerId);
+
+  if (!trigger) {
+    throw new Error(`Trigger ${triggerId} not found`);
+  }
+  if (trigger.status !== TRIGGER_STATUS.ARMED) {
+    throw new Error(`Only armed triggers can be cancelled (trigger is ${trigger.status})`);
+  }
+
+  return updateTrigger(triggerId, { status: TRIGGER_STATUS.CANCELLED });
+};
+
+/**
+ * Sell the position covered by a trigger
+ * Sells the trigger's quantity, or what is still held if that is less. Other armed
+ * triggers on the same stock are disarmed once the position is sold.
+ * @param {Object} trigger - Trigger whose level was crossed
+ * @param {number} price - Price that fired the trigger
+ */
+const fireTrigger = async (trigger, price) => {
+  // Claim the stock before waiting on anything
+  firingStocks.add(trigger.stock_id);
+
+  try {
+    const portfolio = await getUserPortfolio();
+    const held = portfolio?.portfolio_items?.find(item =>
+      Number(item.stock_id) === trigger.stock_id && !item.is_short && item.quantity > 0)?.quantity || 0;
+    const quantity = Math.min(trigger.quantity, held);
+    if (!(quantity > 0)) {
+      throw new Error(`No ${trigger.symbol} shares left to sell`);
+    }
+
+    console.log(`${trigger.type} on ${trigger.symbol} fired at $${price.toFixed(2)}`);
+    await executeTrade(trigger.stock_id, quantity, 'sell');
+    updateTrigger(trigger.id, {
+      status: TRIGGER_STATUS.TRIGGERED,
+      sold_quantity: quantity,
+      fired_price: price,
+      fired_at: new Date().toISOString()
+    });
+
+    loadTriggers()
+      .filter(t => t.stock_id === trigger.stock_id && t.status === TRIGGER_STATUS.ARMED)
+      .forEach(t => updateTrigger(t.id, { status: TRIGGER_STATUS.CANCELLED }));
+  } catch (error) {
+    console.error(`Error firing trigger ${trigger.id}:`, error);
+    updateTrigger(trigger.id, {
+      status: TRIGGER_STATUS.FAILED,
+      error: error.message || 'Trade rejected'
+    });
+  } finally {
+    firingStocks.delete(trigger.stock_id);
+  }
+};
+
+/**
+ * Evaluate armed triggers against a stock price update
+ * Trailing stops ratchet their high-water mark up before being checked; when several
+ * triggers are crossed at once, only the first armed one sells
+ * @param {Object} update - Stock update with stock_id and price
+ */
+const handleStockUpdate = (update) => {
+  if (firingStocks.has(update.stock_id)) return;
+
+  const crossed = loadTriggers()
+    .filter(trigger => trigger.stock_id === update.stock_id && trigger.status === TRIGGER_STATUS.ARMED)
+    .map(trigger => {
+      if (trigger.type === TRIGGER_TYPE.TRAILING_STOP && update.price > trigger.high_water_mark) {
+        return updateTrigger(trigger.id, { high_water_mark: update.price });
+      }
+      return trigger;
+    })
+    .find(trigger => shouldFireTrigger(trigger, update.price));
+
+  if (crossed) {
+    fireTrigger(crossed, update.price);
+  }
+};
+
+// Evaluate triggers for the rest of the session as soon as the service is loaded
+subscribeToStockUpdates(handleStockUpdate);
@@ -0,0 +1,227 @@
+/**
+ * Watchlist service for frontend
+ * Named, ordered lists of stocks a user wants to follow without owning them
+ *
+ * Watchlists are read from the API when it is available and fall back to a
+ * per-user copy in localStorage otherwise. Every change is applied to the local
+ * copy first and then synced to the API, so the lists keep working offline.
+ */
+
+import { getUserId } from './auth';
+import { fetchWithAuth } from '../utils/http';
+import { ENDPOINTS } from '../config/api';
+
+// Local storage key - suffixed with the user ID
+const WATCHLISTS_STORAGE_KEY = 'officestonks_watchlists';
+
+// Name of the list every user starts with
+const DEFAULT_WATCHLIST_NAME = 'My Watchlist';
+
+const storageKey = () => `${WATCHLISTS_STORAGE_KEY}_${getUserId() || 'guest'}`;
+
+const saveWatchlists = (lists) => {
+  localStorage.setItem(storageKey(), JSON.stringify(lists));
+};
+
+/**
+ * Initialize the local watchlists if needed and return them
+ * @returns {Array} Watchlists in display order
+ */
+const loadWatchlists = () => {
+  try {
+    const json = localStorage.getItem(storageKey());
+    const lists = json ? JSON.parse(json) : null;
+    if (Array.isArray(lists)) return lists;
+  } catch (e) {
+    console.error('Error reading watchlists from localStorage:', e);
+  }
+
+  const now = new Date().toISOString();
+  const initial = [{ id: `wl-${Date.now()}`, name: DEFAULT_WATCHLIST_NAME, stock_ids: [], created_at: now, updated_at: now }];
+  saveWatchlists(initial);
+  return initial;
+};
+
+/**
+ * Save a change locally, notify components and sync it to the API
+ * @param {Array} lists - Updated watchlists
+ * @param {string} action - What changed, for listeners
+ * @returns {Promise<Array>} The updated watchlists
+ */
+const commitWatchlists = async (lists, action) => {
+  saveWatchlists(lists);
+
+  document.dispatchEvent(new CustomEvent('watchlists-updated', {
+    detail: { watchlists: lists, action, timestamp: new Date().toISOString() }
+  }));
+
+  try {
+    await fetchWithAuth(ENDPOINTS.WATCHLISTS, {
+      method: 'PUT',
+      body: JSON.stringify({ watchlists: lists })
+    });
+  } catch (error) {
+    console.warn('Watchlists API unavailable, changes saved locally:', error.message);
+  }
+
+  return lists;
+};
+
+/**
+ * Apply a change to one watchlist
+ * @param {string} watchlistId - ID of the watchlist
+ * @param {Function} change - Receives the watchlist and returns the changed fields
+ * @param {string} action - What changed, for listeners
+ * @returns {Promise<Array>} The updated watchlists
+ */
+const updateWatchlist = (watchlistId, change, action) => {
+  const lists = loadWatchlists();
+  const index = lists.findIndex(list => list.id === watchlistId);
+  if (index === -1) {
+    throw new Error('Watchlist not found');
+  }
+
+  lists[index] = { ...lists[index], ...change(lists[index]), updated_at: new Date().toISOString() };
+  return commitWatchlists(lists, action);
+};
+
+/**
+ * Move an item one place up or down in an array
+ * @param {Array} items - Items in order
+ * @param {number} index - Index of the item to move
+ * @param {number} direction - -1 to move up, 1 to move down
+ * @returns {Array} Reordered copy
+ */
+const moveItem = (items, index, direction) => {
+  const target = index + direction;
+  if (index === -1 || target < 0 || target >= items.length) return items;
+
+  const reordered = [...items];
+  [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+  return reordered;
+};
+
+/**
+ * Get the current user's watchlists
+ * @returns {Promise<Array>} Watchlists in display order: { id, name, stock_ids, created_at, updated_at }
+ */
+export const getWatchlists = async () => {
+  try {
+    const lists = await fetchWithAuth(ENDPOINTS.WATCHLISTS);
+    // An empty or malformed answer (e.g. nothing synced yet) must not wipe the local lists
+    if (Array.isArray(lists) && lists.length > 0 && lists.every(list => list && list.id && Array.isArray(list.stock_ids))) {
+      saveWatchlists(lists);
+      return lists;
+    }
+  } catch (error) {
+    console.warn('Watchlists API unavailable, using local watchlists:', error.message);
+  }
+
+  return loadWatchlists();
+};
+
+/**
+ * Get the locally stored watchlists without calling the API
+ * Used by per-row controls that should not each make a request
+ * @returns {Array} Watchlists in display order
+ */
+export const getLocalWatchlists = () => loadWatchlists();
+
+/**
+ * Create a watchlist
+ * @param {string} name - Name of the watchlist
+ * @returns {Promise<Object>} The new watchlist
+ */
+export const createWatchlist = async (name) => {
+  const trimmed = (name || '').trim();
+  if (!trimmed) {
+    throw new Error('Watchlist name is required');
+  }
+
+  const now = new Date().toISOString();
+  const watchlist = {
+    id: `wl-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`,
+    name: trimmed,
+    stock_ids: [],
+    created_at: now,
+    updated_at: now
+  };
+
+  await commitWatchlists([...loadWatchlists(), watchlist], 'created');
+  return watchlist;
+};
+
+/**
+ * Rename a watchlist
+ * @param {string} watchlistId - ID of the watchlist
+ * @param {string} name - New name
+ * @returns {Promise<Array>} The updated watchlists
+ */
+export const renameWatchlist = async (watchlistId, name) => {
+  const trimmed = (name || '').trim();
+  if (!trimmed) {
+    throw new Error('Watchlist name is required');
+  }
+
+  return updateWatchlist(watchlistId, () => ({ name: trimmed }), 'renamed');
+};
+
+/**
+ * Delete a watchlist
+ * @param {string} watchlistId - ID of the watchlist
+ * @returns {Promise<Array>} The remaining watchlists
+ */
+export const deleteWatchlist = async (watchlistId) => {
+  return commitWatchlists(loadWatchlists().filter(list => list.id !== watchlistId), 'deleted');
+};
+
+/**
+ * Move a watchlist one place in the display order
+ * @param {string} watchlistId - ID of the watchlist
+ * @param {number} direction - -1 to move up, 1 to move down
+ * @returns {Promise<Array>} The reordered watchlists
+ */
+export const moveWatchlist = async (watchlistId, direction) => {
+  const lists = loadWatchlists();
+  return commitWatchlists(moveItem(lists, lists.findIndex(list => list.id === watchlistId), direction), 'reordered');
+};
+
+/**
+ * Add a stock to a watchlist
+ * @param {string} watchlistId - ID of the watchlist
+ * @param {number} stockId - ID of the stock
+ * @returns {Promise<Array>} The updated watchlists
+ */
+export const addToWatchlist = async (watchlistId, stockId) => {
+  const id = Number(stockId);
+  return updateWatchlist(watchlistId, list => ({
+    stock_ids: list.stock_ids.includes(id) ? list.stock_ids : [...list.stock_ids, id]
+  }), 'stock-added');
+};
+
+/**
+ * Remove a stock from a watchlist
+ * @param {string} watchlistId - ID of the watchlist
+ * @param {number} stockId - ID of the stock
+ * @returns {Promise<Array>} The updated watchlists
+ */
+export const removeFromWatchlist = async (watchlistId, stockId) => {
+  const id = Number(stockId);
+  return updateWatchlist(watchlistId, list => ({
+    stock_ids: list.stock_ids.filter(existing => existing !== id)
+  }), 'stock-removed');
+};
+
+/**
+ * Move a stock one place within a watchlist
+ * @param {string} watchlistId - ID of the watchlist
+ * @param {number} stockId - ID of the stock
+ * @param {number} direction - -1 to move up, 1 to move down
+ * @returns {Promise<Array>} The updated watchlists
+ */
+export const moveWatchlistStock = async (watchlistId, stockId, direction) => {
+  const id = Number(stockId);
+  return updateWatchlist(watchlistId, list => ({
+    stock_ids: moveItem(list.stock_ids, list.stock_ids.indexOf(id), direction)
+  }), 'reordered');
+};
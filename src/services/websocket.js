@@ -6,6 +6,7 @@
  */
 import { useEffect, useCallback } from 'react';
 import { getToken } from './auth';
+import { priceModelParams } from '../utils/price-model';
 
 // Connection variables
 let socket = null;
@@ -56,6 +57,17 @@ if (typeof window !== 'undefined') {
 // Cache to store latest stock prices across page navigations
 export const stockPriceCache = {};
 
+// Session-wide stock update subscribers (order matching, price history, ...)
+// Unlike `listeners` these are not cleared by closeWebSocket, so background
+// services keep receiving prices while the user moves between pages
+const stockUpdateSubscribers = new Set();
+
+// Session-wide subscribers for market, sector and company events (alerts, ...)
+const marketEventSubscribers = new Set();
+
+// Message types delivered to market event subscribers
+const MARKET_EVENT_TYPES = ['market_event', 'sector_event', 'company_event'];
+
 // Paused stocks - map of stock IDs that are currently being updated manually
 // and should not receive WebSocket updates
 export const pausedStocks = new Set();
@@ -69,6 +81,9 @@ let cacheInvalidationTime = 0;
 // Cooldown period after reset in milliseconds (5 minutes)
 const RESET_COOLDOWN_PERIOD = 300000; // 5 minutes in milliseconds
 
+// A price this far below a stock's fair value is treated as bad data rather than a market move
+const GLITCH_PRICE_RATIO = 0.05;
+
 // Global flag to indicate if market event generation should be paused
 export let marketEventGenerationPaused = false;
 
@@ -312,17 +327,8 @@ export const initWebSocket = () => {
                 const stock = stocks.find(s => s.id == stockId); // Use == for type coercion
                 
                 if (stock) {
-                  const defaultPrice = stock.symbol === 'AAPL' ? 175.34 :
-                                      stock.symbol === 'MSFT' ? 320.45 :
-                                      stock.symbol === 'AMZN' ? 128.95 :
-                                      stock.symbol === 'GOOGL' ? 145.60 :
-                                      stock.symbol === 'FB' ? 302.75 :
-                                      stock.symbol === 'TSLA' ? 245.30 :
-                                      stock.symbol === 'NFLX' ? 552.80 :
-                                      stock.symbol === 'NVDA' ? 468.25 :
-                                      stock.symbol === 'DIS' ? 105.45 :
-                                      stock.symbol === 'JPM' ? 175.15 :
-                                      100.00; // Default for custom stocks
+                  // Reset to the fair value on the stock record
+                  const defaultPrice = priceModelParams(stock).fair_value;
                   
                   // Force reset the price in the cache
                   stockPriceCache[stockId] = defaultPrice;
@@ -387,54 +393,17 @@ export const initWebSocket = () => {
               // CRITICAL FIX: Get current price and ensure we're not going below a reasonable value
               const currentPrice = stockPriceCache[stockId] || 100; // Default to 100 if no existing price
               
-              // AGGRESSIVE PRICE DROP PROTECTION: Enhanced to enforce both relative and absolute minimums
-              // 1. Don't allow prices to drop by more than 5% in a single update (was 10%)
-              // 2. Enforce an absolute minimum price floor of $5.00 (was $1.00)
-              const minimumAllowedPrice = currentPrice * 0.95; // 95% of current price - more restrictive
-              
-              // Lookup typical price range for this stock to set a stock-specific floor
-              let stockFloor = 5.00; // Default absolute minimum price of $5.00 for all stocks
-              
-              // Try to get stock information from localStorage to set a stock-specific minimum
-              try {
-                const mockStocksJson = localStorage.getItem('mockStocksData');
-                if (mockStocksJson) {
-                  const stocks = JSON.parse(mockStocksJson);
-                  const stock = stocks.find(s => s.id == stockId); // Use == for type coercion
-                  
-                  if (stock) {
-                    // Set a minimum price floor at 25% of the stock's typical price
-                    // This prevents major stocks from going too low based on their expected range
-                    const defaultPrice = stock.symbol === 'AAPL' ? 175.34 :
-                                        stock.symbol === 'MSFT' ? 320.45 :
-                                        stock.symbol === 'AMZN' ? 128.95 :
-                                        stock.symbol === 'GOOGL' ? 145.60 :
-                                        stock.symbol === 'FB' ? 302.75 :
-                                        stock.symbol === 'TSLA' ? 245.30 :
-                                        stock.symbol === 'NFLX' ? 552.80 :
-                                        stock.symbol === 'NVDA' ? 468.25 :
-                                        stock.symbol === 'DIS' ? 105.45 :
-                                        stock.symbol === 'JPM' ? 175.15 :
-                                        100.00; // Default for custom stocks
-                                        
-                    stockFloor = Math.max(5.00, defaultPrice * 0.25); // Minimum 25% of default price
-                  }
-                }
-              } catch (e) {
-                console.error('Error determining stock floor price:', e);
-              }
+              // PRICE DROP PROTECTION: don't allow prices to drop by more than 5% in a single
+              // update - bigger moves come from market events, which don't go through the socket
+              const minimumAllowedPrice = currentPrice * 0.95; // 95% of current price
               
-              // Use the highest of: 
-              // 1) 95% of current price (minimumAllowedPrice)
-              // 2) incoming price
-              // 3) stock-specific minimum price (stockFloor)
-              const safePrice = Math.max(minimumAllowedPrice, price, stockFloor);
+              const safePrice = Math.max(minimumAllowedPrice, price);
               
               // Store the safe price in cache
               stockPriceCache[stockId] = safePrice;
               
               if (safePrice !== price) {
-                console.log(`Protected stock ${stockId} from excessive price drop: ${price} -> ${safePrice} (floor: $${stockFloor.toFixed(2)})`);
+                console.log(`Protected stock ${stockId} from excessive price drop: ${price} -> ${safePrice}`);
                 
                 // Update the stock in localStorage to make the protection persistent
                 try {
@@ -475,6 +444,21 @@ export const initWebSocket = () => {
         }
       }
       
+      // Feed session subscribers with the protected price from the cache
+      if (message.type === 'stock_update' || (message.id && message.current_price)) {
+        const stockId = message.stock_id || message.id;
+        notifyStockUpdate({
+          ...message,
+          stock_id: stockId,
+          price: getLatestPrice(stockId, message.price || message.current_price)
+        });
+      }
+
+      // Feed session subscribers with news events
+      if (MARKET_EVENT_TYPES.includes(message.type)) {
+        notifyMarketEvent(message);
+      }
+
       // Call listeners for this message type
       if (listeners[message.type] && listeners[message.type].length > 0) {
         console.log(`Found ${listeners[message.type].length} listeners for type ${message.type}`);
@@ -625,7 +609,70 @@ export const getLatestPrice = (stockId, defaultPrice) => {
 };
 
 /**
- * Auto-reset a stock's price to its default value
+ * Subscribe to every stock price update for the rest of the session
+ * Receives real WebSocket updates as well as the ones produced by the market event generator
+ * @param {function} callback - Called with { stock_id, price, timestamp, ... }
+ * @returns {function} Function to unsubscribe
+ */
+export const subscribeToStockUpdates = (callback) => {
+  stockUpdateSubscribers.add(callback);
+  return () => stockUpdateSubscribers.delete(callback);
+};
+
+/**
+ * Notify session subscribers of a stock price update
+ * @param {Object} message - stock_update message with stock_id (or id) and price (or current_price)
+ */
+export const notifyStockUpdate = (message) => {
+  const stockId = message.stock_id || message.id;
+  const price = message.price || message.current_price;
+  if (!stockId || !price) return;
+
+  const update = {
+    ...message,
+    stock_id: Number(stockId),
+    price: Number(price),
+    timestamp: message.timestamp || new Date().toISOString()
+  };
+
+  stockUpdateSubscribers.forEach(callback => {
+    try {
+      callback(update);
+    } catch (error) {
+      console.error('Error in stock update subscriber:', error);
+    }
+  });
+};
+
+/**
+ * Subscribe to every market, sector and company event for the rest of the session
+ * Receives real WebSocket events as well as the ones produced by the market event generator
+ * @param {function} callback - Called with the event message (type, related_stocks/stock_ids, ...)
+ * @returns {function} Function to unsubscribe
+ */
+export const subscribeToMarketEvents = (callback) => {
+  marketEventSubscribers.add(callback);
+  return () => marketEventSubscribers.delete(callback);
+};
+
+/**
+ * Notify session subscribers of a market, sector or company event
+ * @param {Object} message - Event message with a type from MARKET_EVENT_TYPES
+ */
+export const notifyMarketEvent = (message) => {
+  if (!message || !MARKET_EVENT_TYPES.includes(message.type)) return;
+
+  marketEventSubscribers.forEach(callback => {
+    try {
+      callback(message);
+    } catch (error) {
+      console.error('Error in market event subscriber:', error);
+    }
+  });
+};
+
+/**
+ * Auto-reset a stock's price to its fair value
  * This is used in emergency situations when a stock price is detected to be too low
  * @param {string|number} stockId - ID of the stock to reset
  * @returns {Object} Result of the operation
@@ -657,19 +704,8 @@ export const autoResetStockPrice = (stockId) => {
       return { success: false, error: 'Stock not found' };
     }
     
-    // Determine default price based on stock symbol
-    const defaultPrice = 
-      stock.symbol === 'AAPL' ? 175.34 :
-      stock.symbol === 'MSFT' ? 320.45 :
-      stock.symbol === 'AMZN' ? 128.95 :
-      stock.symbol === 'GOOGL' ? 145.60 :
-      stock.symbol === 'FB' ? 302.75 :
-      stock.symbol === 'TSLA' ? 245.30 :
-      stock.symbol === 'NFLX' ? 552.80 :
-      stock.symbol === 'NVDA' ? 468.25 :
-      stock.symbol === 'DIS' ? 105.45 :
-      stock.symbol === 'JPM' ? 175.15 :
-      100.00; // Default for custom stocks
+    // Reset to the fair value on the stock record
+    const defaultPrice = priceModelParams(stock).fair_value;
     
     // Update the stock price in cache
     stockPriceCache[stockId] = defaultPrice;
@@ -959,26 +995,9 @@ const startPriceMonitoring = () => {
         // If no cached price, skip
         if (!cachedPrice) return;
         
-        // Determine the minimum allowed price for this stock
+        // Check if price is too far below the stock's fair value to be a market move
         const symbol = stock.symbol;
-        const defaultPrice = 
-          symbol === 'AAPL' ? 175.34 :
-          symbol === 'MSFT' ? 320.45 :
-          symbol === 'AMZN' ? 128.95 :
-          symbol === 'GOOGL' ? 145.60 :
-          symbol === 'FB' ? 302.75 :
-          symbol === 'TSLA' ? 245.30 :
-          symbol === 'NFLX' ? 552.80 :
-          symbol === 'NVDA' ? 468.25 :
-          symbol === 'DIS' ? 105.45 :
-          symbol === 'JPM' ? 175.15 :
-          100.00; // Default for custom stocks
-        
-        // Floor is 25% of default price or $5.00, whichever is higher
-        const stockFloor = Math.max(5.00, defaultPrice * 0.25);
-        
-        // Check if price is too low (below floor or suspiciously low like $0.01)
-        if (cachedPrice < stockFloor || cachedPrice <= 1.00) {
+        if (cachedPrice < priceModelParams(stock).fair_value * GLITCH_PRICE_RATIO) {
           console.log(`🚨 DETECTED abnormally low price for ${symbol} (ID: ${stockId}): $${cachedPrice.toFixed(2)}`);
           
           // Auto-reset this stock's price
@@ -1019,8 +1038,8 @@ const startPriceMonitoring = () => {
         // If no cached price, skip
         if (!cachedPrice) return;
         
-        // Check if price is suspiciously low (below $1.00)
-        if (cachedPrice <= 1.00) {
+        // Check if price is suspiciously low for this stock
+        if (cachedPrice < priceModelParams(stock).fair_value * GLITCH_PRICE_RATIO) {
           console.log(`🚨 DETECTED suspiciously low price for ${stock.symbol} (ID: ${stockId}): $${cachedPrice.toFixed(2)}`);
           
           // Auto-reset this stock's price
@@ -0,0 +1,81 @@
+/**
+ * Portfolio allocation calculations
+ * Weights of each holding and each sector, and concentration limit checks
+ */
+
+export const UNCLASSIFIED_SECTOR = 'Unclassified';
+
+/**
+ * Weight every holding and sector by market value
+ * Short positions count towards exposure by their absolute value
+ * @param {Array} portfolioItems - Portfolio items with stock, quantity and stock_id
+ * @param {Object} sectorLookup - Optional map of stock ID to sector for items without one
+ * @returns {Object} { total, holdings, sectors } with weights as fractions, largest first
+ */
+export const calculateAllocation = (portfolioItems, sectorLookup = {}) => {
+  const holdings = (portfolioItems || [])
+    .filter(item => item && item.stock && item.quantity)
+    .map(item => ({
+      stock_id: item.stock_id,
+      symbol: item.stock.symbol,
+      name: item.stock.name,
+      sector: item.stock.sector || sectorLookup[item.stock_id] || UNCLASSIFIED_SECTOR,
+      is_short: !!item.is_short,
+      value: Math.abs(item.quantity * item.stock.current_price)
+    }));
+
+  const total = holdings.reduce((sum, holding) => sum + holding.value, 0);
+
+  const sectorMap = {};
+  holdings.forEach(holding => {
+    holding.weight = total > 0 ? holding.value / total : 0;
+
+    if (!sectorMap[holding.sector]) {
+      sectorMap[holding.sector] = { sector: holding.sector, value: 0, weight: 0, holdings: [] };
+    }
+    sectorMap[holding.sector].value += holding.value;
+    sectorMap[holding.sector].weight += holding.weight;
+    sectorMap[holding.sector].holdings.push(holding.symbol);
+  });
+
+  return {
+    total,
+    holdings: holdings.sort((a, b) => b.value - a.value),
+    sectors: Object.values(sectorMap).sort((a, b) => b.value - a.value)
+  };
+};
+
+/**
+ * Find holdings and sectors above their concentration limits
+ * @param {Object} allocation - Result of calculateAllocation
+ * @param {Object} limits - { maxStockWeight, maxSectorWeight } in percent
+ * @returns {Array} Warnings { kind: 'stock'|'sector', label, weight, limit }
+ */
+export const findConcentrationWarnings = (allocation, { maxStockWeight, maxSectorWeight }) => {
+  const warnings = [];
+
+  // A single position is always 100% of itself, so only warn once there is something to diversify into
+  if (allocation.holdings.length > 1 && maxStockWeight > 0) {
+    allocation.holdings
+      .filter(holding => holding.weight * 100 > maxStockWeight)
+      .forEach(holding => warnings.push({
+        kind: 'stock',
+        label: holding.symbol,
+        weight: holding.weight,
+        limit: maxStockWeight
+      }));
+  }
+
+  if (allocation.holdings.length > 1 && maxSectorWeight > 0) {
+    allocation.sectors
+      .filter(sector => sector.weight * 100 > maxSectorWeight)
+      .forEach(sector => warnings.push({
+        kind: 'sector',
+        label: sector.sector,
+        weight: sector.weight,
+        limit: maxSectorWeight
+      }));
+  }
+
+  return warnings;
+};
@@ -0,0 +1,37 @@
+import { calculateAllocation, findConcentrationWarnings, UNCLASSIFIED_SECTOR } from './allocation';
+
+const items = [
+  { stock_id: 1, quantity: 10, stock: { symbol: 'AAPL', sector: 'Technology', current_price: 60 } },
+  { stock_id: 2, quantity: 5, stock: { symbol: 'MSFT', sector: 'Technology', current_price: 40 } },
+  { stock_id: 10, quantity: 4, stock: { symbol: 'JPM', current_price: 50 } }
+];
+
+describe('Allocation', () => {
+  test('weights holdings and sectors by market value', () => {
+    const allocation = calculateAllocation(items, { 10: 'Financial' });
+
+    expect(allocation.total).toBe(1000);
+    expect(allocation.holdings.map(h => [h.symbol, h.weight])).toEqual([
+      ['AAPL', 0.6],
+      ['MSFT', 0.2],
+      ['JPM', 0.2]
+    ]);
+    expect(allocation.sectors[0]).toEqual(expect.objectContaining({ sector: 'Technology', value: 800 }));
+    expect(allocation.sectors[1].sector).toBe('Financial');
+  });
+
+  test('falls back to an unclassified sector', () => {
+    const allocation = calculateAllocation(items);
+    expect(allocation.sectors.map(s => s.sector)).toContain(UNCLASSIFIED_SECTOR);
+  });
+
+  test('warns when a stock or sector is above its limit', () => {
+    const allocation = calculateAllocation(items, { 10: 'Financial' });
+    const warnings = findConcentrationWarnings(allocation, { maxStockWeight: 50, maxSectorWeight: 70 });
+
+    expect(warnings).toEqual([
+      expect.objectContaining({ kind: 'stock', label: 'AAPL', limit: 50 }),
+      expect.objectContaining({ kind: 'sector', label: 'Technology', limit: 70 })
+    ]);
+  });
+});
@@ -0,0 +1,233 @@
+/**
+ * Strategy backtesting
+ * Pure functions that replay recorded price candles (and the events that moved them) through a
+ * built-in strategy and report the equity curve, trades and summary statistics
+ *
+ * Each stock in the universe trades its own equal share of the starting cash. A strategy only
+ * decides whether to be invested in a stock at each candle; orders fill at the candle close with
+ * the usual trading costs, fully in or fully out.
+ */
+
+import { sma, bollingerBands } from './indicators';
+import { calculateTradeCosts, maxAffordableQuantity, DEFAULT_FEE_MODEL } from './fees';
+import { maxDrawdown, sharpeRatio, YEAR_MS } from './risk';
+
+export const STRATEGIES = {
+  BUY_AND_HOLD: 'buy-and-hold',
+  MA_CROSSOVER: 'ma-crossover',
+  MEAN_REVERSION: 'mean-reversion',
+  NEWS_MOMENTUM: 'news-momentum'
+};
+
+// Label, description and tunable parameters of each strategy
+export const STRATEGY_DETAILS = {
+  [STRATEGIES.BUY_AND_HOLD]: {
+    label: 'Buy and Hold',
+    description: 'Buys every stock at the first candle and holds it to the end.',
+    params: []
+  },
+  [STRATEGIES.MA_CROSSOVER]: {
+    label: 'Moving Average Crossover',
+    description: 'Holds a stock while its fast moving average is above its slow one.',
+    params: [
+      { key: 'fast', label: 'Fast period', default: 5, min: 1 },
+      { key: 'slow', label: 'Slow period', default: 20, min: 2 }
+    ]
+  },
+  [STRATEGIES.MEAN_REVERSION]: {
+    label: 'Mean Reversion',
+    description: 'Buys when the price closes below the lower Bollinger band and sells once it is back at the average.',
+    params: [
+      { key: 'period', label: 'Period', default: 20, min: 2 },
+      { key: 'multiplier', label: 'Band width (std devs)', default: 2, min: 0.5, step: 0.5 }
+    ]
+  },
+  [STRATEGIES.NEWS_MOMENTUM]: {
+    label: 'News Momentum',
+    description: 'Buys after an important event lifts a stock and sells after a set number of candles, ' +
+      'or straight away on an important event that knocks it down.',
+    params: [
+      { key: 'minImportance', label: 'Minimum importance', default: 4, min: 1, max: 5 },
+      { key: 'holdCandles', label: 'Hold for (candles)', default: 10, min: 1 }
+    ]
+  }
+};
+
+/**
+ * Default parameters of a strategy
+ * @param {string} strategy - One of STRATEGIES
+ * @returns {Object} Parameter values by key
+ */
+export const defaultStrategyParams = (strategy) => STRATEGY_DETAILS[strategy].params.reduce((params, param) => {
+  params[param.key] = param.default;
+  return params;
+}, {});
+
+/**
+ * Whether the strategy wants to be invested at each candle of one stock
+ * @param {string} strategy - One of STRATEGIES
+ * @param {Object} params - Strategy parameters
+ * @param {Array} candles - Candles oldest first ({ time, close })
+ * @param {Array} events - Event impacts for the stock ({ published_at, importance, change_percentage })
+ * @param {number} intervalMs - Candle length in milliseconds
+ * @returns {Array<boolean>} Desired position for each candle
+ */
+export const strategySignals = (strategy, params, candles, events = [], intervalMs = 0) => {
+  const closes = candles.map(candle => candle.close);
+
+  switch (strategy) {
+    case STRATEGIES.BUY_AND_HOLD:
+      return closes.map(() => true);
+
+    case STRATEGIES.MA_CROSSOVER: {
+      const fast = sma(closes, Number(params.fast));
+      const slow = sma(closes, Number(params.slow));
+      return closes.map((close, i) => fast[i] !== null && slow[i] !== null && fast[i] > slow[i]);
+    }
+
+    case STRATEGIES.MEAN_REVERSION: {
+      const bands = bollingerBands(closes, Number(params.period), Number(params.multiplier));
+      let invested = false;
+      return closes.map((close, i) => {
+        const { middle, lower } = bands[i];
+        if (middle !== null) {
+          if (!invested && close < lower) invested = true;
+          else if (invested && close >= middle) invested = false;
+        }
+        return invested;
+      });
+    }
+
+    case STRATEGIES.NEWS_MOMENTUM: {
+      const important = events
+        .filter(event => event.importance >= Number(params.minImportance))
+        .map(event => ({ time: new Date(event.published_at).getTime(), change: event.change_percentage }));
+      let heldFor = null;
+
+      return candles.map(candle => {
+        // Events published while this candle was open are acted on at its close
+        const news = important.filter(event => event.time >= candle.time && event.time < candle.time + intervalMs);
+        const latest = news[news.length - 1];
+
+        if (latest && latest.change > 0) {
+          heldFor = 0;
+        } else if (latest && latest.change < 0) {
+          heldFor = null;
+        } else if (heldFor !== null) {
+          heldFor += 1;
+          if (heldFor >= Number(params.holdCandles)) heldFor = null;
+        }
+        return heldFor !== null;
+      });
+    }
+
+    default:
+      throw new Error(`Unknown strategy: ${strategy}`);
+  }
+};
+
+/**
+ * Run a backtest
+ * @param {Object} options
+ * @param {string} options.strategy - One of STRATEGIES
+ * @param {Object} options.params - Strategy parameters
+ * @param {Array} options.universe - Stocks to trade ({ stock_id, symbol, candles, events }); stocks without candles are left out
+ * @param {number} options.intervalMs - Candle length in milliseconds
+ * @param {number} options.startingCash - Cash at the start, split evenly between the stocks
+ * @param {Object} options.feeModel - Fee model
+ * @returns {Object} { equity: [{ time, value, benchmark }], trades, stats }
+ */
+export const runBacktest = ({
+  strategy,
+  params,
+  universe,
+  intervalMs,
+  startingCash,
+  feeModel = DEFAULT_FEE_MODEL
+}) => {
+  const traded = universe.filter(stock => stock.candles && stock.candles.length > 0);
+  const sleeve = startingCash / Math.max(traded.length, 1);
+  const stocks = traded
+    .map(stock => ({
+      ...stock,
+      signals: strategySignals(strategy, params, stock.candles, stock.events, intervalMs),
+      byTime: new Map(stock.candles.map((candle, index) => [candle.time, index])),
+      cash: sleeve,
+      shares: 0,
+      entryCost: 0,
+      lastClose: null,
+      firstClose: stock.candles[0].close
+    }));
+
+  const times = [...new Set(stocks.flatMap(stock => stock.candles.map(candle => candle.time)))].sort((a, b) => a - b);
+  const trades = [];
+  const equity = [];
+
+  times.forEach(time => {
+    stocks.forEach(stock => {
+      const index = stock.byTime.get(time);
+      if (index === undefined) return;
+
+      const { close } = stock.candles[index];
+      stock.lastClose = close;
+      const wanted = stock.signals[index];
+
+      if (wanted && stock.shares === 0) {
+        const quantity = maxAffordableQuantity(stock.cash, close, feeModel);
+        if (quantity > 0) {
+          const costs = calculateTradeCosts(close, quantity, 'buy', feeModel);
+          stock.cash -= costs.total;
+          stock.shares = quantity;
+          stock.entryCost = costs.total;
+          trades.push({ time, stock_id: stock.stock_id, symbol: stock.symbol, action: 'buy', quantity, costs, pnl: null });
+        }
+      } else if (!wanted && stock.shares > 0) {
+        const costs = calculateTradeCosts(close, stock.shares, 'sell', feeModel);
+        stock.cash += costs.total;
+        trades.push({
+          time,
+          stock_id: stock.stock_id,
+          symbol: stock.symbol,
+          action: 'sell',
+          quantity: stock.shares,
+          costs,
+          pnl: costs.total - stock.entryCost
+        });
+        stock.shares = 0;
+        stock.entryCost = 0;
+      }
+    });
+
+    // Benchmark: every stock bought in equal parts at its first candle, without trading costs
+    equity.push({
+      time,
+      value: stocks.reduce((sum, stock) => sum + stock.cash + stock.shares * (stock.lastClose || 0), 0),
+      benchmark: stocks.reduce((sum, stock) => sum +
+        (stock.lastClose === null ? sleeve : sleeve * stock.lastClose / stock.firstClose), 0)
+    });
+  });
+
+  const values = equity.map(point => point.value);
+  const returns = values.slice(1).map((value, i) => (values[i] > 0 ? value / values[i] - 1 : 0));
+  const finalValue = values.length > 0 ? values[values.length - 1] : startingCash;
+  const finalBenchmark = equity.length > 0 ? equity[equity.length - 1].benchmark : startingCash;
+  const closed = trades.filter(trade => trade.action === 'sell');
+
+  return {
+    equity,
+    trades,
+    stats: {
+      starting_value: startingCash,
+      final_value: finalValue,
+      total_return: startingCash > 0 ? finalValue / startingCash - 1 : 0,
+      benchmark_return: startingCash > 0 ? finalBenchmark / startingCash - 1 : 0,
+      max_drawdown: maxDrawdown(values),
+      sharpe_ratio: intervalMs > 0 ? sharpeRatio(returns, YEAR_MS / intervalMs) : null,
+      trade_count: trades.length,
+      round_trips: closed.length,
+      win_rate: closed.length > 0 ? closed.filter(trade => trade.pnl > 0).length / closed.length : null,
+      trading_costs: trades.reduce((sum, trade) => sum + trade.costs.cost, 0),
+      open_positions: stocks.filter(stock => stock.shares > 0).map(stock => stock.symbol)
+    }
+  };
+};
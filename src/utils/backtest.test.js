@@ -0,0 +1,70 @@
+import { runBacktest, strategySignals, defaultStrategyParams, STRATEGIES } from './backtest';
+
+const freeModel = { commission: 0, percentFee: 0, slippagePer100Shares: 0, maxSlippage: 0 };
+const MINUTE = 60 * 1000;
+
+const candlesFrom = (closes) => closes.map((close, i) => ({ time: i * MINUTE, close }));
+
+describe('Backtesting', () => {
+  test('buy and hold matches the benchmark without trading costs', () => {
+    const result = runBacktest({
+      strategy: STRATEGIES.BUY_AND_HOLD,
+      params: {},
+      universe: [
+        { stock_id: 1, symbol: 'AAA', candles: candlesFrom([10, 12, 15]) },
+        { stock_id: 2, symbol: 'BBB', candles: candlesFrom([20, 18, 10]) }
+      ],
+      intervalMs: MINUTE,
+      startingCash: 1000,
+      feeModel: freeModel
+    });
+
+    expect(result.trades).toHaveLength(2);
+    expect(result.stats.final_value).toBeCloseTo(500 * 1.5 + 500 * 0.5);
+    expect(result.stats.total_return).toBeCloseTo(result.stats.benchmark_return);
+    expect(result.stats.max_drawdown).toBeCloseTo(1 - 1000 / 1050);
+    expect(result.stats.open_positions).toEqual(['AAA', 'BBB']);
+  });
+
+  test('moving average crossover trades on the cross', () => {
+    const signals = strategySignals(STRATEGIES.MA_CROSSOVER, { fast: 1, slow: 2 }, candlesFrom([10, 11, 12, 11, 10]));
+
+    expect(signals).toEqual([false, true, true, false, false]);
+  });
+
+  test('mean reversion buys below the lower band and sells at the average', () => {
+    const signals = strategySignals(
+      STRATEGIES.MEAN_REVERSION,
+      { period: 3, multiplier: 1 },
+      candlesFrom([10, 10, 10, 7, 8, 10, 10])
+    );
+
+    expect(signals).toEqual([false, false, false, true, true, false, false]);
+  });
+
+  test('news momentum follows important events and holds for a set time', () => {
+    const events = [
+      { published_at: new Date(MINUTE + 5000).toISOString(), importance: 5, change_percentage: 3 },
+      { published_at: new Date(4 * MINUTE + 5000).toISOString(), importance: 2, change_percentage: 4 }
+    ];
+    const params = { ...defaultStrategyParams(STRATEGIES.NEWS_MOMENTUM), holdCandles: 2 };
+    const signals = strategySignals(STRATEGIES.NEWS_MOMENTUM, params, candlesFrom([10, 11, 12, 13, 14, 15]), events, MINUTE);
+
+    expect(signals).toEqual([false, true, true, false, false, false]);
+  });
+
+  test('round trips count towards the win rate', () => {
+    const result = runBacktest({
+      strategy: STRATEGIES.MA_CROSSOVER,
+      params: { fast: 1, slow: 2 },
+      universe: [{ stock_id: 1, symbol: 'AAA', candles: candlesFrom([10, 11, 12, 11, 10]) }],
+      intervalMs: MINUTE,
+      startingCash: 1100,
+      feeModel: freeModel
+    });
+
+    expect(result.trades.map(trade => trade.action)).toEqual(['buy', 'sell']);
+    expect(result.trades[1].pnl).toBeCloseTo(0);
+    expect(result.stats.win_rate).toBe(0);
+  });
+});
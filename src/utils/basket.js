@@ -0,0 +1,126 @@
+/**
+ * Basket trade planning
+ * Pure functions that turn basket legs entered as shares, dollars or target weights
+ * into orders (fractional shares allowed) with costs and a cash check
+ */
+
+import { calculateTradeCosts, maxAffordableQuantity, DEFAULT_FEE_MODEL } from './fees';
+import { floorShares, formatShares } from './shares';
+
+export const LEG_MODES = {
+  SHARES: 'shares',
+  DOLLARS: 'dollars',
+  WEIGHT: 'weight'
+};
+
+export const LEG_MODE_LABELS = {
+  [LEG_MODES.SHARES]: 'Shares',
+  [LEG_MODES.DOLLARS]: 'Dollars',
+  [LEG_MODES.WEIGHT]: 'Target weight (%)'
+};
+
+/**
+ * Work out the order for a single leg
+ * @param {Object} leg - { stock_id, symbol, mode, side, value }
+ * @param {Object} context - { price, held, totalValue, feeModel }
+ * @returns {Object} { action, quantity, price, costs, error }
+ */
+const planLeg = (leg, { price, held, totalValue, feeModel }) => {
+  const value = Number(leg.value);
+
+  if (!(price > 0)) {
+    return { action: leg.side, quantity: 0, error: 'No price available' };
+  }
+  if (!Number.isFinite(value) || value < 0) {
+    return { action: leg.side, quantity: 0, error: 'Enter a positive amount' };
+  }
+
+  let action = leg.side;
+  let quantity;
+
+  if (leg.mode === LEG_MODES.WEIGHT) {
+    // Trade the difference between the current holding and the target share of the portfolio
+    const targetValue = totalValue * value / 100;
+    const difference = targetValue - held * price;
+    action = difference >= 0 ? 'buy' : 'sell';
+    quantity = floorShares(Math.abs(difference) / price);
+  } else if (leg.mode === LEG_MODES.DOLLARS) {
+    // A dollar buy spends at most the amount, trading costs included
+    quantity = action === 'buy' ? maxAffordableQuantity(value, price, feeModel) : floorShares(value / price);
+  } else {
+    quantity = floorShares(value);
+  }
+
+  if (action === 'sell' && quantity > held) {
+    return { action, quantity, price, error: `Only ${formatShares(held)} shares held` };
+  }
+
+  return {
+    action,
+    quantity,
+    price,
+    costs: quantity > 0 ? calculateTradeCosts(price, quantity, action, feeModel) : null,
+    error: null
+  };
+};
+
+/**
+ * Plan a basket of trades
+ * Sells are ordered before buys so their proceeds can fund the purchases
+ * @param {Array} legs - Legs entered by the user ({ stock_id, symbol, mode, side, value })
+ * @param {Object} options
+ * @param {Object} options.prices - Latest price by stock ID
+ * @param {Object} options.holdings - Shares held by stock ID
+ * @param {number} options.cash - Cash available
+ * @param {number} options.totalValue - Total portfolio value, used for target weights
+ * @param {Object} options.feeModel - Fee model
+ * @returns {Object} { orders, buy_total, sell_total, fees, slippage, cash_after, has_errors, can_execute }
+ */
+export const planBasket = (legs, { prices, holdings = {}, cash, totalValue, feeModel = DEFAULT_FEE_MODEL }) => {
+  const orders = legs.map(leg => ({
+    stock_id: leg.stock_id,
+    symbol: leg.symbol,
+    ...planLeg(leg, {
+      price: prices[leg.stock_id],
+      held: holdings[leg.stock_id] || 0,
+      totalValue,
+      feeModel
+    })
+  }));
+
+  const priced = orders.filter(order => order.costs);
+  const sum = (items, key) => items.reduce((total, order) => total + order.costs[key], 0);
+  const buys = priced.filter(order => order.action === 'buy');
+  const sells = priced.filter(order => order.action === 'sell');
+
+  const buyTotal = sum(buys, 'total');
+  const sellTotal = sum(sells, 'total');
+  const cashAfter = cash + sellTotal - buyTotal;
+  const hasErrors = orders.some(order => order.error);
+
+  return {
+    orders: [...orders].sort((a, b) => (a.action === 'sell' ? 0 : 1) - (b.action === 'sell' ? 0 : 1)),
+    buy_total: buyTotal,
+    sell_total: sellTotal,
+    fees: sum(priced, 'fees'),
+    slippage: sum(priced, 'slippage'),
+    cash_after: cashAfter,
+    has_errors: hasErrors,
+    can_execute: !hasErrors && priced.length > 0 && cashAfter >= 0
+  };
+};
+
+/**
+ * Legs that would undo the orders that went through
+ * @param {Array} results - Executed orders ({ stock_id, symbol, action, quantity, status })
+ * @returns {Array} Share legs trading the other way
+ */
+export const reversalLegs = (results) => results
+  .filter(result => result.status === 'success')
+  .map(result => ({
+    stock_id: result.stock_id,
+    symbol: result.symbol,
+    mode: LEG_MODES.SHARES,
+    side: result.action === 'buy' ? 'sell' : 'buy',
+    value: result.quantity
+  }));
@@ -0,0 +1,45 @@
+import { planBasket, reversalLegs, LEG_MODES } from './basket';
+
+const freeModel = { commission: 0, percentFee: 0, slippagePer100Shares: 0, maxSlippage: 0 };
+
+describe('Basket planning', () => {
+  const prices = { 1: 10, 2: 50 };
+
+  test('sizes legs by shares, dollars and target weight', () => {
+    const plan = planBasket([
+      { stock_id: 1, symbol: 'AAA', mode: LEG_MODES.DOLLARS, side: 'buy', value: 105 },
+      { stock_id: 2, symbol: 'BBB', mode: LEG_MODES.WEIGHT, side: 'buy', value: 10 }
+    ], { prices, holdings: { 2: 10 }, cash: 1000, totalValue: 2000, feeModel: freeModel });
+
+    const [sell, buy] = plan.orders;
+    expect(sell).toMatchObject({ stock_id: 2, action: 'sell', quantity: 6 });
+    expect(buy).toMatchObject({ stock_id: 1, action: 'buy', quantity: 10.5 });
+    expect(plan.cash_after).toBeCloseTo(1000 + 300 - 105);
+    expect(plan.can_execute).toBe(true);
+  });
+
+  test('fails the cash check when buys exceed cash and sale proceeds', () => {
+    const plan = planBasket([
+      { stock_id: 2, symbol: 'BBB', mode: LEG_MODES.SHARES, side: 'buy', value: 30 }
+    ], { prices, cash: 1000, totalValue: 1000, feeModel: freeModel });
+
+    expect(plan.cash_after).toBeCloseTo(-500);
+    expect(plan.can_execute).toBe(false);
+  });
+
+  test('flags sells larger than the holding', () => {
+    const plan = planBasket([
+      { stock_id: 1, symbol: 'AAA', mode: LEG_MODES.SHARES, side: 'sell', value: 5 }
+    ], { prices, holdings: { 1: 2 }, cash: 0, totalValue: 20, feeModel: freeModel });
+
+    expect(plan.orders[0].error).toMatch(/2 shares/);
+    expect(plan.can_execute).toBe(false);
+  });
+
+  test('reversalLegs undoes successful legs only', () => {
+    expect(reversalLegs([
+      { stock_id: 1, symbol: 'AAA', action: 'buy', quantity: 3, status: 'success' },
+      { stock_id: 2, symbol: 'BBB', action: 'sell', quantity: 1, status: 'failed' }
+    ])).toEqual([{ stock_id: 1, symbol: 'AAA', mode: LEG_MODES.SHARES, side: 'sell', value: 3 }]);
+  });
+});
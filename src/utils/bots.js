@@ -0,0 +1,75 @@
+/**
+ * Trading bot helpers
+ * Pure functions shared by the bot runtime: script checks, order validation and trade rate limiting
+ */
+
+import { roundShares } from './shares';
+
+// Actions a bot can place
+export const BOT_ACTIONS = ['buy', 'sell'];
+
+// Window the per-bot trade limit is counted over
+export const RATE_LIMIT_WINDOW_MS = 60 * 1000;
+
+// The only globals left in a bot's worker: language built-ins, console and timers.
+// Everything else (network, storage, script loading, other workers) is deleted before the bot runs.
+export const BOT_GLOBALS = [
+  'Object', 'Array', 'Number', 'Boolean', 'String', 'Symbol', 'BigInt', 'Date', 'Math', 'JSON', 'RegExp',
+  'Promise', 'Map', 'Set', 'WeakMap', 'WeakSet', 'Reflect', 'Proxy', 'Intl',
+  'Error', 'TypeError', 'RangeError', 'SyntaxError', 'ReferenceError', 'EvalError', 'URIError', 'AggregateError',
+  'parseInt', 'parseFloat', 'isNaN', 'isFinite', 'NaN', 'Infinity', 'undefined',
+  'encodeURIComponent', 'decodeURIComponent', 'encodeURI', 'decodeURI',
+  'console', 'setTimeout', 'clearTimeout', 'setInterval', 'clearInterval', 'queueMicrotask'
+];
+
+/**
+ * Check a bot script for what the worker cannot take away at run time
+ * Dynamic import() is syntax rather than a global, so it is refused before the script runs
+ * @param {string} code - Bot script
+ * @returns {string|null} Problem with the script, null when it can run
+ */
+export const checkBotScript = (code) => {
+  if (/\bimport\b/.test(code)) {
+    return 'Bot scripts cannot use import';
+  }
+  return null;
+};
+
+/**
+ * Check a bot's trade rate limit
+ * @param {Array<number>} tradeTimes - Times of the bot's recent trades in milliseconds
+ * @param {number} limit - Trades allowed per window
+ * @param {number} now - Current time in milliseconds
+ * @param {number} windowMs - Window length in milliseconds
+ * @returns {Object} { allowed, recent } - recent is tradeTimes trimmed to the window
+ */
+export const checkRateLimit = (tradeTimes, limit, now = Date.now(), windowMs = RATE_LIMIT_WINDOW_MS) => {
+  const recent = tradeTimes.filter(time => now - time < windowMs);
+  return { allowed: recent.length < limit, recent };
+};
+
+/**
+ * Turn an order request from a bot into a trade
+ * @param {Object} request - { action, stock, quantity } where stock is a stock ID or symbol
+ * @param {Array} stocks - Known stocks ({ id, symbol })
+ * @returns {Object} { stock, action, quantity, error }
+ */
+export const validateBotOrder = (request, stocks) => {
+  const { action, stock: ref } = request || {};
+  const quantity = roundShares(Number(request?.quantity));
+
+  if (!BOT_ACTIONS.includes(action)) {
+    return { error: `Unknown action: ${action}` };
+  }
+
+  const stock = stocks.find(s =>
+    s.id === Number(ref) || (typeof ref === 'string' && s.symbol.toUpperCase() === ref.toUpperCase()));
+  if (!stock) {
+    return { error: `Unknown stock: ${ref}` };
+  }
+  if (!(quantity > 0)) {
+    return { error: `Quantity must be greater than zero (got ${request.quantity})` };
+  }
+
+  return { stock, action, quantity, error: null };
+};
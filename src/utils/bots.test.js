@@ -0,0 +1,36 @@
+import { checkRateLimit, validateBotOrder, checkBotScript, RATE_LIMIT_WINDOW_MS } from './bots';
+
+const stocks = [
+  { id: 1, symbol: 'AAPL' },
+  { id: 2, symbol: 'MSFT' }
+];
+
+describe('Trading bots', () => {
+  test('rate limit counts only trades inside the window', () => {
+    const now = 10 * RATE_LIMIT_WINDOW_MS;
+    const times = [now - RATE_LIMIT_WINDOW_MS - 1, now - 5000, now - 1000];
+
+    expect(checkRateLimit(times, 2, now)).toEqual({ allowed: false, recent: [now - 5000, now - 1000] });
+    expect(checkRateLimit(times, 3, now).allowed).toBe(true);
+    expect(checkRateLimit([], 1, now).allowed).toBe(true);
+  });
+
+  test('orders can name a stock by symbol or ID', () => {
+    expect(validateBotOrder({ action: 'buy', stock: 'aapl', quantity: 2 }, stocks))
+      .toEqual({ stock: stocks[0], action: 'buy', quantity: 2, error: null });
+    expect(validateBotOrder({ action: 'sell', stock: 2, quantity: '1.5' }, stocks).stock).toBe(stocks[1]);
+  });
+
+  test('bad orders are rejected with a reason', () => {
+    expect(validateBotOrder({ action: 'short', stock: 'AAPL', quantity: 1 }, stocks).error).toMatch(/Unknown action/);
+    expect(validateBotOrder({ action: 'buy', stock: 'NOPE', quantity: 1 }, stocks).error).toMatch(/Unknown stock/);
+    expect(validateBotOrder({ action: 'buy', stock: 'AAPL', quantity: 0 }, stocks).error).toMatch(/greater than zero/);
+    expect(validateBotOrder({ action: 'buy', stock: 'AAPL', quantity: 'lots' }, stocks).error).toMatch(/greater than zero/);
+  });
+
+  test('scripts that could load code with import are refused', () => {
+    expect(checkBotScript("onPriceUpdate(function (u) { log('important', u.price); });")).toBeNull();
+    expect(checkBotScript("import('https://example.com/x.js')")).toMatch(/cannot use import/);
+    expect(checkBotScript('var load = 1; import/* */ ("x")')).toMatch(/cannot use import/);
+  });
+});
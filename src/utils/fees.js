@@ -0,0 +1,97 @@
+/**
+ * Trading cost calculations
+ * Pure functions that price a trade under a fee model:
+ * - commission: flat fee in dollars per trade
+ * - percentFee: percentage of the trade value
+ * - slippagePer100Shares: percentage the execution price moves against the trader for every 100 shares
+ * - maxSlippage: cap on the slippage percentage
+ */
+
+import { MIN_SHARES, roundShares } from './shares';
+
+export const DEFAULT_FEE_MODEL = {
+  commission: 1,
+  percentFee: 0.05,
+  slippagePer100Shares: 0.05,
+  maxSlippage: 1
+};
+
+// Actions that pay out cash; the others receive it
+const BUY_ACTIONS = ['buy', 'cover'];
+
+/**
+ * Slippage percentage for an order size
+ * @param {number} quantity - Shares traded
+ * @param {Object} model - Fee model
+ * @returns {number} Slippage as a percentage of the price
+ */
+export const slippagePercent = (quantity, model = DEFAULT_FEE_MODEL) => {
+  const percent = (Math.abs(quantity) / 100) * (model.slippagePer100Shares || 0);
+  return Math.min(percent, model.maxSlippage ?? Infinity);
+};
+
+/**
+ * Price a trade including fees and slippage
+ * Buys fill above the quoted price and sells below it; fees are added to the cost of a buy
+ * and taken off the proceeds of a sell
+ * @param {number} price - Quoted price per share
+ * @param {number} quantity - Shares traded
+ * @param {string} action - 'buy', 'sell', 'short' or 'cover'
+ * @param {Object} model - Fee model
+ * @returns {Object} { price, execution_price, quantity, gross, slippage, commission, percent_fee, fees, total, cost }
+ *   gross is the value at the execution price, total the cash paid (buys) or received (sells),
+ *   and cost everything lost to the market compared with trading at the quoted price
+ */
+export const calculateTradeCosts = (price, quantity, action, model = DEFAULT_FEE_MODEL) => {
+  const side = BUY_ACTIONS.includes(action) ? 1 : -1;
+  const shares = Math.abs(quantity) || 0;
+
+  const executionPrice = price * (1 + side * slippagePercent(shares, model) / 100);
+  const gross = executionPrice * shares;
+  const slippage = Math.abs(executionPrice - price) * shares;
+
+  const commission = shares > 0 ? (model.commission || 0) : 0;
+  const percentFee = gross * (model.percentFee || 0) / 100;
+  const fees = commission + percentFee;
+
+  return {
+    price,
+    execution_price: executionPrice,
+    quantity: shares,
+    gross,
+    slippage,
+    commission,
+    percent_fee: percentFee,
+    fees,
+    total: gross + side * fees,
+    cost: fees + slippage
+  };
+};
+
+/**
+ * Largest quantity whose total cost, fees included, fits in a cash amount
+ * @param {number} cash - Cash available
+ * @param {number} price - Quoted price per share
+ * @param {Object} model - Fee model
+ * @param {number} increment - Smallest quantity step (MIN_SHARES for fractional shares, 1 for whole shares)
+ * @returns {number} Maximum affordable quantity
+ */
+export const maxAffordableQuantity = (cash, price, model = DEFAULT_FEE_MODEL, increment = MIN_SHARES) => {
+  if (!(price > 0) || !(cash > 0)) return 0;
+
+  // Binary search over whole steps - the total cost only grows with the quantity
+  const fits = (steps) => calculateTradeCosts(price, roundShares(steps * increment), 'buy', model).total <= cash;
+  let low = 0;
+  let high = Math.floor(cash / price / increment);
+
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2);
+    if (fits(middle)) {
+      low = middle;
+    } else {
+      high = middle - 1;
+    }
+  }
+
+  return roundShares(low * increment);
+};
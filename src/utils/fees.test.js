@@ -0,0 +1,45 @@
+import { calculateTradeCosts, maxAffordableQuantity, slippagePercent } from './fees';
+
+const model = { commission: 2, percentFee: 0.1, slippagePer100Shares: 0.5, maxSlippage: 1 };
+
+describe('Trading costs', () => {
+  test('buys fill above the quote and pay fees on top', () => {
+    const costs = calculateTradeCosts(100, 100, 'buy', model);
+
+    expect(costs.execution_price).toBeCloseTo(100.5);
+    expect(costs.slippage).toBeCloseTo(50);
+    expect(costs.percent_fee).toBeCloseTo(10.05);
+    expect(costs.fees).toBeCloseTo(12.05);
+    expect(costs.total).toBeCloseTo(10050 + 12.05);
+    expect(costs.cost).toBeCloseTo(62.05);
+  });
+
+  test('sells fill below the quote and fees come off the proceeds', () => {
+    const costs = calculateTradeCosts(100, 100, 'sell', model);
+
+    expect(costs.execution_price).toBeCloseTo(99.5);
+    expect(costs.total).toBeCloseTo(9950 - 2 - 9.95);
+  });
+
+  test('slippage grows with size up to the cap', () => {
+    expect(slippagePercent(100, model)).toBeCloseTo(0.5);
+    expect(slippagePercent(1000, model)).toBe(1);
+  });
+
+  test('maxAffordableQuantity leaves room for costs', () => {
+    const quantity = maxAffordableQuantity(1000, 10, model, 1);
+
+    expect(quantity).toBeLessThan(100);
+    expect(calculateTradeCosts(10, quantity, 'buy', model).total).toBeLessThanOrEqual(1000);
+    expect(calculateTradeCosts(10, quantity + 1, 'buy', model).total).toBeGreaterThan(1000);
+  });
+
+  test('maxAffordableQuantity sizes fractional shares by default', () => {
+    const quantity = maxAffordableQuantity(500, 552, model);
+
+    expect(quantity).toBeGreaterThan(0.89);
+    expect(quantity).toBeLessThan(1);
+    expect(calculateTradeCosts(552, quantity, 'buy', model).total).toBeLessThanOrEqual(500);
+    expect(calculateTradeCosts(552, quantity + 0.0001, 'buy', model).total).toBeGreaterThan(500);
+  });
+});
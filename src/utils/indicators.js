@@ -0,0 +1,237 @@
+/**
+ * Technical indicators
+ * Pure functions computing SMA, EMA, RSI, MACD and Bollinger Bands
+ *
+ * Every indicator is built from a step function `(state, value) => { state, value }`
+ * so it can be updated one price at a time from the live stock update stream.
+ * The series helpers simply fold the step function over an array of prices.
+ * Values are null until an indicator has seen enough prices to be defined.
+ */
+
+export const DEFAULT_INDICATOR_SETTINGS = {
+  smaPeriod: 20,
+  emaPeriod: 12,
+  rsiPeriod: 14,
+  macdFast: 12,
+  macdSlow: 26,
+  macdSignal: 9,
+  bollingerPeriod: 20,
+  bollingerMultiplier: 2
+};
+
+/**
+ * Simple moving average step
+ * @param {Object|null} state - Previous state (null to start)
+ * @param {number} value - Next price
+ * @param {number} period - Number of prices averaged
+ * @returns {Object} { state, value }
+ */
+export const smaStep = (state, value, period) => {
+  const window = [...(state?.window || []), value].slice(-period);
+  const average = window.length === period
+    ? window.reduce((sum, v) => sum + v, 0) / period
+    : null;
+
+  return { state: { window }, value: average };
+};
+
+/**
+ * Exponential moving average step, seeded with the SMA of the first `period` prices
+ * @param {Object|null} state - Previous state (null to start)
+ * @param {number} value - Next price
+ * @param {number} period - EMA period
+ * @returns {Object} { state, value }
+ */
+export const emaStep = (state, value, period) => {
+  const count = (state?.count || 0) + 1;
+
+  if (count < period) {
+    return { state: { count, sum: (state?.sum || 0) + value, ema: null }, value: null };
+  }
+
+  const ema = count === period
+    ? ((state?.sum || 0) + value) / period
+    : (value - state.ema) * (2 / (period + 1)) + state.ema;
+
+  return { state: { count, ema }, value: ema };
+};
+
+/**
+ * Relative strength index step using Wilder's smoothing
+ * @param {Object|null} state - Previous state (null to start)
+ * @param {number} value - Next price
+ * @param {number} period - RSI period
+ * @returns {Object} { state, value } with value between 0 and 100
+ */
+export const rsiStep = (state, value, period) => {
+  if (!state) {
+    return { state: { previous: value, count: 0, gainSum: 0, lossSum: 0 }, value: null };
+  }
+
+  const change = value - state.previous;
+  const gain = Math.max(change, 0);
+  const loss = Math.max(-change, 0);
+  const count = state.count + 1;
+
+  let next;
+  if (count < period) {
+    next = { previous: value, count, gainSum: state.gainSum + gain, lossSum: state.lossSum + loss };
+    return { state: next, value: null };
+  }
+
+  const avgGain = count === period
+    ? (state.gainSum + gain) / period
+    : (state.avgGain * (period - 1) + gain) / period;
+  const avgLoss = count === period
+    ? (state.lossSum + loss) / period
+    : (state.avgLoss * (period - 1) + loss) / period;
+
+  next = { previous: value, count, avgGain, avgLoss };
+  const rsi = avgLoss === 0 ? 100 : 100 - 100 / (1 + avgGain / avgLoss);
+
+  return { state: next, value: rsi };
+};
+
+/**
+ * MACD step: fast EMA minus slow EMA, with a signal EMA of the MACD line
+ * @param {Object|null} state - Previous state (null to start)
+ * @param {number} value - Next price
+ * @param {number} fast - Fast EMA period
+ * @param {number} slow - Slow EMA period
+ * @param {number} signal - Signal EMA period
+ * @returns {Object} { state, value: { macd, signal, histogram } }
+ */
+export const macdStep = (state, value, fast, slow, signal) => {
+  const fastResult = emaStep(state?.fast, value, fast);
+  const slowResult = emaStep(state?.slow, value, slow);
+
+  if (fastResult.value === null || slowResult.value === null) {
+    return {
+      state: { fast: fastResult.state, slow: slowResult.state, signal: state?.signal || null },
+      value: { macd: null, signal: null, histogram: null }
+    };
+  }
+
+  const macd = fastResult.value - slowResult.value;
+  const signalResult = emaStep(state?.signal, macd, signal);
+
+  return {
+    state: { fast: fastResult.state, slow: slowResult.state, signal: signalResult.state },
+    value: {
+      macd,
+      signal: signalResult.value,
+      histogram: signalResult.value === null ? null : macd - signalResult.value
+    }
+  };
+};
+
+/**
+ * Bollinger Bands step: SMA with bands a number of standard deviations away
+ * @param {Object|null} state - Previous state (null to start)
+ * @param {number} value - Next price
+ * @param {number} period - SMA period
+ * @param {number} multiplier - Standard deviations for the bands
+ * @returns {Object} { state, value: { upper, middle, lower } }
+ */
+export const bollingerStep = (state, value, period, multiplier) => {
+  const { state: smaState, value: middle } = smaStep(state, value, period);
+
+  if (middle === null) {
+    return { state: smaState, value: { upper: null, middle: null, lower: null } };
+  }
+
+  const variance = smaState.window.reduce((sum, v) => sum + (v - middle) ** 2, 0) / period;
+  const deviation = Math.sqrt(variance) * multiplier;
+
+  return {
+    state: smaState,
+    value: { upper: middle + deviation, middle, lower: middle - deviation }
+  };
+};
+
+/**
+ * Fold a step function over a list of prices
+ * @param {Array<number>} values - Prices, oldest first
+ * @param {Function} step - (state, value) => { state, value }
+ * @returns {Array} Indicator value for each price
+ */
+const series = (values, step) => {
+  let state = null;
+  return values.map(value => {
+    const result = step(state, value);
+    state = result.state;
+    return result.value;
+  });
+};
+
+/**
+ * @param {Array<number>} values - Prices, oldest first
+ * @param {number} period - Number of prices averaged
+ * @returns {Array<number|null>} SMA for each price
+ */
+export const sma = (values, period) => series(values, (s, v) => smaStep(s, v, period));
+
+/**
+ * @param {Array<number>} values - Prices, oldest first
+ * @param {number} period - EMA period
+ * @returns {Array<number|null>} EMA for each price
+ */
+export const ema = (values, period) => series(values, (s, v) => emaStep(s, v, period));
+
+/**
+ * @param {Array<number>} values - Prices, oldest first
+ * @param {number} period - RSI period
+ * @returns {Array<number|null>} RSI for each price
+ */
+export const rsi = (values, period = 14) => series(values, (s, v) => rsiStep(s, v, period));
+
+/**
+ * @param {Array<number>} values - Prices, oldest first
+ * @param {number} fast - Fast EMA period
+ * @param {number} slow - Slow EMA period
+ * @param {number} signal - Signal EMA period
+ * @returns {Array<Object>} { macd, signal, histogram } for each price
+ */
+export const macd = (values, fast = 12, slow = 26, signal = 9) =>
+  series(values, (s, v) => macdStep(s, v, fast, slow, signal));
+
+/**
+ * @param {Array<number>} values - Prices, oldest first
+ * @param {number} period - SMA period
+ * @param {number} multiplier - Standard deviations for the bands
+ * @returns {Array<Object>} { upper, middle, lower } for each price
+ */
+export const bollingerBands = (values, period = 20, multiplier = 2) =>
+  series(values, (s, v) => bollingerStep(s, v, period, multiplier));
+
+/**
+ * Update every indicator with the next price
+ * @param {Object|null} state - Previous state from updateIndicators (null to start)
+ * @param {number} price - Next price
+ * @param {Object} settings - Indicator periods (see DEFAULT_INDICATOR_SETTINGS)
+ * @returns {Object} { state, values: { sma, ema, rsi, macd, signal, histogram, upper, middle, lower } }
+ */
+export const updateIndicators = (state, price, settings = DEFAULT_INDICATOR_SETTINGS) => {
+  const smaResult = smaStep(state?.sma, price, settings.smaPeriod);
+  const emaResult = emaStep(state?.ema, price, settings.emaPeriod);
+  const rsiResult = rsiStep(state?.rsi, price, settings.rsiPeriod);
+  const macdResult = macdStep(state?.macd, price, settings.macdFast, settings.macdSlow, settings.macdSignal);
+  const bollingerResult = bollingerStep(state?.bollinger, price, settings.bollingerPeriod, settings.bollingerMultiplier);
+
+  return {
+    state: {
+      sma: smaResult.state,
+      ema: emaResult.state,
+      rsi: rsiResult.state,
+      macd: macdResult.state,
+      bollinger: bollingerResult.state
+    },
+    values: {
+      sma: smaResult.value,
+      ema: emaResult.value,
+      rsi: rsiResult.value,
+      ...macdResult.value,
+      ...bollingerResult.value
+    }
+  };
+};
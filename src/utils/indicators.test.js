@@ -0,0 +1,78 @@
+import { sma, ema, rsi, macd, bollingerBands, updateIndicators, DEFAULT_INDICATOR_SETTINGS } from './indicators';
+
+describe('Technical Indicators', () => {
+  test('sma averages the last period prices', () => {
+    const result = sma([1, 2, 3, 4, 5], 3);
+
+    // Not defined until three prices have been seen
+    expect(result).toEqual([null, null, 2, 3, 4]);
+  });
+
+  test('ema is seeded with the sma and then smoothed', () => {
+    const result = ema([1, 2, 3, 4, 5], 3);
+
+    // Seed = (1 + 2 + 3) / 3, then k = 2 / (3 + 1) = 0.5
+    expect(result[1]).toBeNull();
+    expect(result[2]).toBeCloseTo(2);
+    expect(result[3]).toBeCloseTo(3);
+    expect(result[4]).toBeCloseTo(4);
+  });
+
+  test('rsi uses Wilder smoothing of gains and losses', () => {
+    const result = rsi([1, 2, 1, 2], 2);
+
+    // First average: gain 0.5, loss 0.5 -> 50
+    // Next: gain (0.5 + 1) / 2 = 0.75, loss (0.5 + 0) / 2 = 0.25 -> RS 3 -> 75
+    expect(result[1]).toBeNull();
+    expect(result[2]).toBeCloseTo(50);
+    expect(result[3]).toBeCloseTo(75);
+  });
+
+  test('rsi is 100 when prices only rise', () => {
+    const result = rsi([1, 2, 3, 4, 5, 6], 3);
+
+    expect(result[5]).toBe(100);
+  });
+
+  test('macd subtracts the slow ema from the fast ema', () => {
+    const result = macd([1, 2, 3, 4, 5, 6], 2, 3, 2);
+
+    // Slow EMA is not ready until the third price
+    expect(result[1].macd).toBeNull();
+
+    // Linear prices keep the fast EMA 0.5 above the slow EMA
+    expect(result[2].macd).toBeCloseTo(0.5);
+    expect(result[2].signal).toBeNull();
+    expect(result[5].macd).toBeCloseTo(0.5);
+    expect(result[5].signal).toBeCloseTo(0.5);
+    expect(result[5].histogram).toBeCloseTo(0);
+  });
+
+  test('bollingerBands are two standard deviations around the sma', () => {
+    const result = bollingerBands([2, 4, 4, 4, 5, 5, 7, 9], 8, 2);
+
+    // Mean 5, population standard deviation 2
+    expect(result[6].middle).toBeNull();
+    expect(result[7].middle).toBeCloseTo(5);
+    expect(result[7].upper).toBeCloseTo(9);
+    expect(result[7].lower).toBeCloseTo(1);
+  });
+
+  test('updateIndicators matches the series functions when fed one price at a time', () => {
+    const prices = Array.from({ length: 60 }, (_, i) => 100 + Math.sin(i / 3) * 5 + i * 0.1);
+    const settings = DEFAULT_INDICATOR_SETTINGS;
+
+    let state = null;
+    let values = null;
+    prices.forEach(price => {
+      ({ state, values } = updateIndicators(state, price, settings));
+    });
+
+    const last = prices.length - 1;
+    expect(values.sma).toBeCloseTo(sma(prices, settings.smaPeriod)[last]);
+    expect(values.ema).toBeCloseTo(ema(prices, settings.emaPeriod)[last]);
+    expect(values.rsi).toBeCloseTo(rsi(prices, settings.rsiPeriod)[last]);
+    expect(values.macd).toBeCloseTo(macd(prices)[last].macd);
+    expect(values.upper).toBeCloseTo(bollingerBands(prices)[last].upper);
+  });
+});
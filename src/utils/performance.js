@@ -0,0 +1,35 @@
+/**
+ * Portfolio performance calculations
+ * Pure functions over portfolio value snapshots ({ timestamp, total_value })
+ * Trades only move money between cash and stock, and the app has no deposits or withdrawals,
+ * so every change in total value between snapshots counts as return
+ */
+
+/**
+ * Return of each sub-period between consecutive snapshots
+ * @param {Array} snapshots - Snapshots oldest first
+ * @returns {Array<number>} Sub-period returns as fractions
+ */
+export const periodReturns = (snapshots) => {
+  const returns = [];
+
+  for (let i = 1; i < snapshots.length; i++) {
+    const previous = snapshots[i - 1].total_value;
+    const current = snapshots[i].total_value;
+    if (previous > 0) {
+      returns.push(current / previous - 1);
+    }
+  }
+
+  return returns;
+};
+
+/**
+ * Time-weighted return: sub-period returns chained together, so snapshots taken at
+ * irregular times all count
+ * @param {Array} snapshots - Snapshots oldest first
+ * @returns {number} Return as a fraction (0.05 = 5%)
+ */
+export const timeWeightedReturn = (snapshots) => {
+  return periodReturns(snapshots).reduce((growth, r) => growth * (1 + r), 1) - 1;
+};
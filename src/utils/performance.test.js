@@ -0,0 +1,29 @@
+import { periodReturns, timeWeightedReturn } from './performance';
+
+const snapshot = (total_value) => ({ timestamp: '2024-01-01T10:00:00Z', total_value });
+
+describe('Performance', () => {
+  test('each pair of snapshots gives one sub-period return', () => {
+    const returns = periodReturns([snapshot(10000), snapshot(11000), snapshot(9900)]);
+
+    expect(returns).toHaveLength(2);
+    expect(returns[0]).toBeCloseTo(0.1);
+    expect(returns[1]).toBeCloseTo(-0.1);
+  });
+
+  test('periods starting from an empty portfolio are skipped', () => {
+    expect(periodReturns([snapshot(0), snapshot(5000), snapshot(5500)])).toEqual([expect.closeTo(0.1)]);
+    expect(periodReturns([snapshot(10000)])).toEqual([]);
+  });
+
+  test('sub-period returns are chained', () => {
+    // +10% then -10% loses 1% overall
+    expect(timeWeightedReturn([snapshot(10000), snapshot(11000), snapshot(9900)])).toBeCloseTo(-0.01);
+    expect(timeWeightedReturn([snapshot(10000), snapshot(10500), snapshot(10500), snapshot(12600)])).toBeCloseTo(0.26);
+  });
+
+  test('no history means no return', () => {
+    expect(timeWeightedReturn([])).toBe(0);
+    expect(timeWeightedReturn([snapshot(10000)])).toBe(0);
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * Stochastic price model
+ * Between market events each stock follows geometric Brownian motion with its own drift and
+ * volatility, pulled back toward a fair value kept on the stock record (mean reversion in log
+ * price). Market events are applied on top as jumps.
+ *
+ * Rates are per hour of session time: drift and volatility in percent, mean reversion as the
+ * share of the gap to fair value closed per hour.
+ */
+
+export const HOUR_MS = 60 * 60 * 1000;
+
+// Used for stocks that don't set their own parameters
+export const DEFAULT_PRICE_MODEL = {
+  drift: 0,
+  volatility: 2,
+  mean_reversion: 1
+};
+
+// Prices never go below a cent
+export const MIN_PRICE = 0.01;
+
+// A single event can take at most 90% off a price
+export const MAX_JUMP_DROP = -0.9;
+
+const numberOr = (value, fallback) => {
+  const number = Number(value);
+  return value === null || value === undefined || value === '' || !Number.isFinite(number) ? fallback : number;
+};
+
+/**
+ * Price model parameters of a stock, with defaults for anything it doesn't set
+ * @param {Object} stock - Stock record (drift, volatility, mean_reversion, fair_value, current_price)
+ * @returns {Object} { drift, volatility, mean_reversion, fair_value }
+ */
+export const priceModelParams = (stock) => ({
+  drift: numberOr(stock.drift, DEFAULT_PRICE_MODEL.drift),
+  volatility: numberOr(stock.volatility, DEFAULT_PRICE_MODEL.volatility),
+  mean_reversion: numberOr(stock.mean_reversion, DEFAULT_PRICE_MODEL.mean_reversion),
+  fair_value: numberOr(stock.fair_value, numberOr(stock.current_price, 100))
+});
+
+/**
+ * Check price model parameters entered by an admin
+ * @param {Object} params - { drift, volatility, mean_reversion, fair_value }
+ * @returns {Array<string>} Problems, empty when the parameters are usable
+ */
+export const validatePriceModel = ({ drift, volatility, mean_reversion: meanReversion, fair_value: fairValue }) => {
+  const errors = [];
+  if (!Number.isFinite(Number(drift)) || Math.abs(Number(drift)) > 100) {
+    errors.push('Drift must be between -100% and 100% per hour');
+  }
+  if (!Number.isFinite(Number(volatility)) || Number(volatility) < 0 || Number(volatility) > 100) {
+    errors.push('Volatility must be between 0% and 100% per hour');
+  }
+  if (!Number.isFinite(Number(meanReversion)) || Number(meanReversion) < 0 || Number(meanReversion) > 60) {
+    errors.push('Mean reversion must be between 0 and 60 per hour');
+  }
+  if (!Number.isFinite(Number(fairValue)) || Number(fairValue) < MIN_PRICE) {
+    errors.push(`Fair value must be at least $${MIN_PRICE.toFixed(2)}`);
+  }
+  return errors;
+};
+
+/**
+ * Draw from the standard normal distribution (Box-Muller)
+ * @param {function} random - Uniform random number generator
+ * @returns {number}
+ */
+export const normalRandom = (random) => {
+  // 1 - random() keeps the logarithm away from zero
+  const u = 1 - random();
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+};
+
+/**
+ * Move a price forward in time
+ * @param {number} price - Current price
+ * @param {Object} params - Price model parameters (see priceModelParams)
+ * @param {number} dtMs - Time step in milliseconds
+ * @param {function} random - Uniform random number generator
+ * @returns {number} New price
+ */
+export const stepPrice = (price, params, dtMs, random) => {
+  const dt = dtMs / HOUR_MS;
+  const mu = params.drift / 100;
+  const sigma = params.volatility / 100;
+  // Closing more than the whole gap in one step would overshoot the fair value
+  const pull = Math.min(1, params.mean_reversion * dt);
+
+  const logPrice = Math.log(price);
+  const next = logPrice +
+    (mu - sigma * sigma / 2) * dt +
+    pull * (Math.log(params.fair_value) - logPrice) +
+    sigma * Math.sqrt(dt) * normalRandom(random);
+
+  return Math.max(MIN_PRICE, Math.exp(next));
+};
+
+/**
+ * Apply a market event to a price
+ * @param {number} price - Current price
+ * @param {number} impact - Fractional move (0.05 for +5%)
+ * @returns {number} New price
+ */
+export const applyJump = (price, impact) => Math.max(MIN_PRICE, price * (1 + Math.max(impact, MAX_JUMP_DROP)));
@@ -0,0 +1,60 @@
+import {
+  stepPrice,
+  applyJump,
+  priceModelParams,
+  validatePriceModel,
+  DEFAULT_PRICE_MODEL,
+  HOUR_MS,
+  MIN_PRICE
+} from './price-model';
+import { createRandom } from './random';
+
+const path = (seed, steps, params) => {
+  const random = createRandom(seed);
+  const prices = [100];
+  for (let i = 0; i < steps; i++) {
+    prices.push(stepPrice(prices[i], params, 5000, random));
+  }
+  return prices;
+};
+
+describe('Stochastic price model', () => {
+  test('stocks without parameters get the defaults and their price as fair value', () => {
+    expect(priceModelParams({ current_price: 42 })).toEqual({ ...DEFAULT_PRICE_MODEL, fair_value: 42 });
+    expect(priceModelParams({ current_price: 42, fair_value: 50, drift: '1.5', volatility: '' }))
+      .toEqual({ ...DEFAULT_PRICE_MODEL, drift: 1.5, fair_value: 50 });
+  });
+
+  test('without volatility or reversion the price grows at the drift', () => {
+    const params = { drift: 10, volatility: 0, mean_reversion: 0, fair_value: 100 };
+
+    expect(stepPrice(100, params, HOUR_MS, Math.random)).toBeCloseTo(100 * Math.exp(0.1));
+  });
+
+  test('mean reversion pulls the price toward fair value', () => {
+    const params = { drift: 0, volatility: 0, mean_reversion: 0.5, fair_value: 100 };
+
+    expect(stepPrice(200, params, HOUR_MS, Math.random)).toBeCloseTo(Math.sqrt(200 * 100));
+    // Never overshoots, however long the step
+    expect(stepPrice(200, params, 10 * HOUR_MS, Math.random)).toBeCloseTo(100);
+  });
+
+  test('the same seed gives the same price path', () => {
+    const params = { drift: 1, volatility: 5, mean_reversion: 1, fair_value: 100 };
+
+    expect(path('abc', 50, params)).toEqual(path('abc', 50, params));
+    expect(path('abc', 50, params)).not.toEqual(path('xyz', 50, params));
+  });
+
+  test('jumps move the price by the impact but never wipe it out', () => {
+    expect(applyJump(100, 0.05)).toBeCloseTo(105);
+    expect(applyJump(100, -0.2)).toBeCloseTo(80);
+    expect(applyJump(100, -3)).toBeCloseTo(10);
+    expect(applyJump(0.01, -0.5)).toBe(MIN_PRICE);
+  });
+
+  test('invalid parameters are reported', () => {
+    expect(validatePriceModel({ drift: 0, volatility: 2, mean_reversion: 1, fair_value: 100 })).toEqual([]);
+    expect(validatePriceModel({ drift: 'x', volatility: -1, mean_reversion: 100, fair_value: 0 })).toHaveLength(4);
+  });
+});
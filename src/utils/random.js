@@ -0,0 +1,48 @@
+/**
+ * Seeded random numbers
+ * A small deterministic generator (mulberry32) used in place of Math.random() wherever a
+ * session needs to be replayed: the same seed always gives the same sequence of numbers
+ */
+
+/**
+ * Turn a seed into a 32-bit integer state
+ * @param {string|number} seed - Any seed; numbers and their string forms give the same state
+ * @returns {number} Unsigned 32-bit integer
+ */
+export const hashSeed = (seed) => {
+  const text = String(seed);
+  let hash = 2166136261;
+
+  // FNV-1a over the characters of the seed
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Create a seeded random number generator
+ * @param {string|number} seed - Seed for the sequence
+ * @returns {function} Function returning the next number in [0, 1), like Math.random(); its seed is on `.seed`
+ */
+export const createRandom = (seed) => {
+  let state = hashSeed(seed);
+
+  const random = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  random.seed = String(seed);
+
+  return random;
+};
+
+/**
+ * Make up a new seed, for sessions that were not given one
+ * @returns {string} Short alphanumeric seed
+ */
+export const randomSeed = () => Math.floor(Math.random() * 4294967296).toString(36);
@@ -0,0 +1,31 @@
+import { createRandom, hashSeed, randomSeed } from './random';
+
+const take = (random, count) => Array.from({ length: count }, () => random());
+
+describe('Seeded random numbers', () => {
+  test('the same seed gives the same sequence', () => {
+    expect(take(createRandom('demo'), 20)).toEqual(take(createRandom('demo'), 20));
+    expect(take(createRandom(42), 5)).toEqual(take(createRandom('42'), 5));
+  });
+
+  test('different seeds give different sequences', () => {
+    expect(take(createRandom('a'), 5)).not.toEqual(take(createRandom('b'), 5));
+    expect(hashSeed('a')).not.toBe(hashSeed('b'));
+  });
+
+  test('numbers fall in [0, 1) and spread across the range', () => {
+    const numbers = take(createRandom('spread'), 2000);
+
+    expect(numbers.every(n => n >= 0 && n < 1)).toBe(true);
+    const mean = numbers.reduce((sum, n) => sum + n, 0) / numbers.length;
+    expect(mean).toBeGreaterThan(0.45);
+    expect(mean).toBeLessThan(0.55);
+  });
+
+  test('the seed is kept on the generator', () => {
+    const seed = randomSeed();
+
+    expect(seed).toMatch(/^[0-9a-z]+$/);
+    expect(createRandom(seed).seed).toBe(seed);
+  });
+});
@@ -0,0 +1,225 @@
+/**
+ * Portfolio rebalancing
+ * Pure functions that compare holdings against target weights per stock or per sector
+ * and propose the buy and sell orders that bring the portfolio back to target
+ *
+ * Weights are a share of the rebalanceable value: cash plus long holdings. Holdings and
+ * sectors without a target are left alone, and whatever is not targeted stays in cash.
+ */
+
+import { calculateTradeCosts, maxAffordableQuantity, DEFAULT_FEE_MODEL } from './fees';
+import { floorShares } from './shares';
+
+export const REBALANCE_MODES = {
+  STOCK: 'stock',
+  SECTOR: 'sector'
+};
+
+export const REBALANCE_MODE_LABELS = {
+  [REBALANCE_MODES.STOCK]: 'By Stock',
+  [REBALANCE_MODES.SECTOR]: 'By Sector'
+};
+
+/**
+ * Spread each target over individual stocks
+ * A sector target is split between the stocks already held in the sector by their value,
+ * or evenly across the sector when none of it is held
+ * @returns {Object} { stockTargets: { [stockId]: fraction }, errors }
+ */
+const resolveStockTargets = (mode, targets, positions, stocks) => {
+  const stockTargets = {};
+  const errors = [];
+
+  Object.entries(targets).forEach(([key, percent]) => {
+    const weight = Number(percent) / 100;
+
+    if (mode === REBALANCE_MODES.STOCK) {
+      stockTargets[key] = weight;
+      return;
+    }
+
+    const held = positions.filter(position => position.sector === key && position.value > 0);
+    const heldValue = held.reduce((sum, position) => sum + position.value, 0);
+
+    if (held.length > 0) {
+      held.forEach(position => {
+        stockTargets[position.stock_id] = weight * position.value / heldValue;
+      });
+      return;
+    }
+
+    const members = stocks.filter(stock => stock.sector === key);
+    if (members.length === 0) {
+      if (weight > 0) errors.push(`No stocks to buy in ${key}`);
+      return;
+    }
+    members.forEach(stock => {
+      stockTargets[stock.id] = weight / members.length;
+    });
+  });
+
+  return { stockTargets, errors };
+};
+
+/**
+ * Propose the orders that move a portfolio to its target weights
+ * Sells come first so their proceeds fund the buys; when the cash is not enough the buys are
+ * scaled down together. Trades smaller than the minimum trade value are left out.
+ * @param {Object} options
+ * @param {string} options.mode - REBALANCE_MODES.STOCK or REBALANCE_MODES.SECTOR
+ * @param {Object} options.targets - Target weight in percent by stock ID or sector name
+ * @param {Array} options.positions - Long holdings ({ stock_id, symbol, sector, quantity })
+ * @param {Array} options.stocks - Every stock that can be traded ({ id, symbol, sector })
+ * @param {Object} options.prices - Latest price by stock ID
+ * @param {number} options.cash - Cash available to invest
+ * @param {number} options.minTradeValue - Smallest trade worth making, in dollars
+ * @param {Object} options.feeModel - Fee model
+ * @returns {Object} { total_value, rows, cash_weight, cash_target, orders, buy_total, sell_total, fees,
+ *   slippage, cash_after, scaled, errors, can_execute }
+ */
+export const planRebalance = ({
+  mode,
+  targets,
+  positions,
+  stocks = [],
+  prices,
+  cash,
+  minTradeValue = 0,
+  feeModel = DEFAULT_FEE_MODEL
+}) => {
+  const stockById = {};
+  stocks.forEach(stock => {
+    stockById[stock.id] = stock;
+  });
+
+  const valued = positions
+    .filter(position => position.quantity > 0)
+    .map(position => ({
+      ...position,
+      price: prices[position.stock_id],
+      value: position.quantity * (prices[position.stock_id] || 0)
+    }));
+  const totalValue = cash + valued.reduce((sum, position) => sum + position.value, 0);
+
+  const errors = [];
+  const percents = Object.values(targets).map(Number);
+  const targetTotal = percents.reduce((sum, percent) => sum + percent, 0);
+  if (percents.some(percent => !Number.isFinite(percent) || percent < 0)) {
+    errors.push('Targets must be positive percentages');
+  }
+  if (targetTotal > 100.0001) {
+    errors.push(`Targets add up to ${targetTotal.toFixed(1)}%, more than 100%`);
+  }
+
+  // Current against target weight for each stock or sector
+  const keyOf = (position) => (mode === REBALANCE_MODES.SECTOR ? position.sector : String(position.stock_id));
+  const rowMap = {};
+  const rowFor = (key, symbol) => {
+    if (!rowMap[key]) {
+      const label = mode === REBALANCE_MODES.SECTOR ? key : (symbol || stockById[key]?.symbol || key);
+      rowMap[key] = { key, label, value: 0, target_weight: null };
+    }
+    return rowMap[key];
+  };
+  valued.forEach(position => {
+    rowFor(keyOf(position), position.symbol).value += position.value;
+  });
+  Object.entries(targets).forEach(([key, percent]) => {
+    rowFor(key).target_weight = Number(percent) / 100;
+  });
+  const rows = Object.values(rowMap).map(row => {
+    const currentWeight = totalValue > 0 ? row.value / totalValue : 0;
+    return {
+      ...row,
+      current_weight: currentWeight,
+      drift: row.target_weight === null ? null : currentWeight - row.target_weight
+    };
+  }).sort((a, b) => b.value - a.value || a.label.localeCompare(b.label));
+
+  const untargetedValue = rows
+    .filter(row => row.target_weight === null)
+    .reduce((sum, row) => sum + row.value, 0);
+
+  const summary = {
+    total_value: totalValue,
+    rows,
+    cash_weight: totalValue > 0 ? cash / totalValue : 0,
+    cash_target: totalValue > 0 ? Math.max(0, 1 - targetTotal / 100 - untargetedValue / totalValue) : 0
+  };
+
+  const empty = {
+    ...summary,
+    orders: [],
+    buy_total: 0,
+    sell_total: 0,
+    fees: 0,
+    slippage: 0,
+    cash_after: cash,
+    scaled: false
+  };
+
+  if (errors.length > 0 || totalValue <= 0) {
+    return { ...empty, errors, can_execute: false };
+  }
+
+  const resolved = resolveStockTargets(mode, targets, valued, stocks);
+  errors.push(...resolved.errors);
+
+  // Dollar difference between the target and the holding for each targeted stock
+  const sells = [];
+  const buys = [];
+  Object.entries(resolved.stockTargets).forEach(([stockId, weight]) => {
+    const id = Number(stockId);
+    const position = valued.find(item => item.stock_id === id);
+    const price = prices[id];
+    const symbol = position?.symbol || stockById[id]?.symbol || stockId;
+    const difference = totalValue * weight - (position?.value || 0);
+
+    if (!(price > 0)) {
+      if (Math.abs(difference) >= minTradeValue && weight > 0) errors.push(`No price available for ${symbol}`);
+      return;
+    }
+    if (Math.abs(difference) < minTradeValue) return;
+
+    if (difference < 0) {
+      const quantity = Math.min(floorShares(-difference / price), position?.quantity || 0);
+      if (quantity > 0) sells.push({ stock_id: id, symbol, action: 'sell', quantity, price });
+    } else {
+      buys.push({ stock_id: id, symbol, action: 'buy', amount: difference, price });
+    }
+  });
+
+  const priceOrder = (order) => ({ ...order, costs: calculateTradeCosts(order.price, order.quantity, order.action, feeModel) });
+  const pricedSells = sells.map(priceOrder);
+  const sellTotal = pricedSells.reduce((sum, order) => sum + order.costs.total, 0);
+
+  // Spend no more than the cash plus the sale proceeds, scaling every buy by the same factor
+  const available = cash + sellTotal;
+  const wanted = buys.reduce((sum, order) => sum + order.amount, 0);
+  const scale = wanted > available ? Math.max(0, available) / wanted : 1;
+
+  const pricedBuys = buys
+    .map(order => {
+      const { amount, ...rest } = order;
+      return { ...rest, quantity: maxAffordableQuantity(amount * scale, order.price, feeModel) };
+    })
+    .filter(order => order.quantity > 0 && order.quantity * order.price >= minTradeValue)
+    .map(priceOrder);
+  const buyTotal = pricedBuys.reduce((sum, order) => sum + order.costs.total, 0);
+
+  const orders = [...pricedSells, ...pricedBuys];
+  const sum = (key) => orders.reduce((total, order) => total + order.costs[key], 0);
+
+  return {
+    ...summary,
+    orders,
+    buy_total: buyTotal,
+    sell_total: sellTotal,
+    fees: sum('fees'),
+    slippage: sum('slippage'),
+    cash_after: cash + sellTotal - buyTotal,
+    scaled: scale < 1,
+    errors,
+    can_execute: errors.length === 0 && orders.length > 0
+  };
+};
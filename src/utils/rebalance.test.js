@@ -0,0 +1,102 @@
+import { planRebalance, REBALANCE_MODES } from './rebalance';
+
+const freeModel = { commission: 0, percentFee: 0, slippagePer100Shares: 0, maxSlippage: 0 };
+
+const stocks = [
+  { id: 1, symbol: 'AAA', sector: 'Tech' },
+  { id: 2, symbol: 'BBB', sector: 'Tech' },
+  { id: 3, symbol: 'CCC', sector: 'Energy' },
+  { id: 4, symbol: 'DDD', sector: 'Energy' }
+];
+const prices = { 1: 10, 2: 20, 3: 50, 4: 25 };
+
+describe('Rebalancing', () => {
+  test('sells overweight stocks and buys underweight ones', () => {
+    const plan = planRebalance({
+      mode: REBALANCE_MODES.STOCK,
+      targets: { 1: '30', 3: '50' },
+      positions: [{ stock_id: 1, symbol: 'AAA', sector: 'Tech', quantity: 60 }],
+      stocks,
+      prices,
+      cash: 400,
+      feeModel: freeModel
+    });
+
+    expect(plan.total_value).toBe(1000);
+    expect(plan.orders).toEqual([
+      expect.objectContaining({ stock_id: 1, action: 'sell', quantity: 30 }),
+      expect.objectContaining({ stock_id: 3, action: 'buy', quantity: 10 })
+    ]);
+    expect(plan.cash_after).toBeCloseTo(200);
+    expect(plan.cash_target).toBeCloseTo(0.2);
+    expect(plan.can_execute).toBe(true);
+  });
+
+  test('leaves out trades below the minimum trade size', () => {
+    const plan = planRebalance({
+      mode: REBALANCE_MODES.STOCK,
+      targets: { 1: '59', 2: '10' },
+      positions: [{ stock_id: 1, symbol: 'AAA', sector: 'Tech', quantity: 60 }],
+      stocks,
+      prices,
+      cash: 400,
+      minTradeValue: 25,
+      feeModel: freeModel
+    });
+
+    expect(plan.orders.map(order => order.stock_id)).toEqual([2]);
+  });
+
+  test('scales buys down to the cash available', () => {
+    const plan = planRebalance({
+      mode: REBALANCE_MODES.STOCK,
+      targets: { 2: '30', 3: '40' },
+      positions: [{ stock_id: 1, symbol: 'AAA', sector: 'Tech', quantity: 60 }],
+      stocks,
+      prices,
+      cash: 400,
+      feeModel: { ...freeModel, commission: 1 }
+    });
+
+    expect(plan.scaled).toBe(true);
+    expect(plan.cash_after).toBeGreaterThanOrEqual(0);
+    expect(plan.buy_total).toBeLessThanOrEqual(400);
+  });
+
+  test('splits sector targets by holding value, or evenly when nothing is held', () => {
+    const plan = planRebalance({
+      mode: REBALANCE_MODES.SECTOR,
+      targets: { Tech: '50', Energy: '50' },
+      positions: [
+        { stock_id: 1, symbol: 'AAA', sector: 'Tech', quantity: 30 },
+        { stock_id: 2, symbol: 'BBB', sector: 'Tech', quantity: 15 }
+      ],
+      stocks,
+      prices,
+      cash: 1200,
+      feeModel: freeModel
+    });
+
+    const quantities = {};
+    plan.orders.forEach(order => {
+      quantities[order.stock_id] = order.quantity;
+    });
+    expect(quantities).toEqual({ 1: 15, 2: 7.5, 3: 9, 4: 18 });
+    expect(plan.rows.find(row => row.key === 'Tech').current_weight).toBeCloseTo(1 / 3);
+  });
+
+  test('rejects targets above 100%', () => {
+    const plan = planRebalance({
+      mode: REBALANCE_MODES.STOCK,
+      targets: { 1: '70', 2: '40' },
+      positions: [],
+      stocks,
+      prices,
+      cash: 1000,
+      feeModel: freeModel
+    });
+
+    expect(plan.errors[0]).toMatch(/110.0%/);
+    expect(plan.can_execute).toBe(false);
+  });
+});
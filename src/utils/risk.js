@@ -0,0 +1,149 @@
+/**
+ * Risk metric calculations
+ * Pure functions over price candles and value series: volatility, beta, Sharpe ratio and max drawdown
+ */
+
+export const YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+
+/**
+ * Simple returns keyed by candle time
+ * A return is only taken between neighbouring candles, so gaps in the recording are skipped
+ * @param {Array} candles - Candles oldest first ({ time, close })
+ * @param {number} intervalMs - Candle length in milliseconds
+ * @returns {Object} Map of candle time to return as a fraction
+ */
+export const candleReturns = (candles, intervalMs) => {
+  const returns = {};
+
+  for (let i = 1; i < candles.length; i++) {
+    const previous = candles[i - 1];
+    const current = candles[i];
+    if (current.time - previous.time === intervalMs && previous.close > 0) {
+      returns[current.time] = current.close / previous.close - 1;
+    }
+  }
+
+  return returns;
+};
+
+/**
+ * Equal-weighted market index: the average return of every stock at each time
+ * @param {Array<Object>} returnMaps - Results of candleReturns, one per stock
+ * @returns {Object} Map of time to index return
+ */
+export const marketIndexReturns = (returnMaps) => {
+  const sums = {};
+  const counts = {};
+
+  returnMaps.forEach(returns => {
+    Object.entries(returns).forEach(([time, r]) => {
+      sums[time] = (sums[time] || 0) + r;
+      counts[time] = (counts[time] || 0) + 1;
+    });
+  });
+
+  return Object.keys(sums).reduce((index, time) => {
+    index[time] = sums[time] / counts[time];
+    return index;
+  }, {});
+};
+
+/**
+ * Weighted sum of several stocks' returns, only at times where every stock has a return
+ * @param {Array<{ returns: Object, weight: number }>} components - Return maps with their weights
+ * @returns {Object} Map of time to combined return
+ */
+export const weightedReturns = (components) => {
+  if (components.length === 0) return {};
+
+  return Object.keys(components[0].returns)
+    .filter(time => components.every(c => c.returns[time] !== undefined))
+    .reduce((combined, time) => {
+      combined[time] = components.reduce((sum, c) => sum + c.weight * c.returns[time], 0);
+      return combined;
+    }, {});
+};
+
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+/**
+ * Sample standard deviation of returns
+ * @param {Array<number>} returns - Returns as fractions
+ * @returns {number|null} Standard deviation, or null with fewer than 2 returns
+ */
+export const standardDeviation = (returns) => {
+  if (returns.length < 2) return null;
+  const avg = mean(returns);
+  return Math.sqrt(returns.reduce((sum, r) => sum + (r - avg) ** 2, 0) / (returns.length - 1));
+};
+
+/**
+ * Annualized volatility
+ * @param {Array<number>} returns - Per-period returns
+ * @param {number} periodsPerYear - Number of periods in a year
+ * @returns {number|null} Volatility as a fraction
+ */
+export const volatility = (returns, periodsPerYear) => {
+  const sd = standardDeviation(returns);
+  return sd === null ? null : sd * Math.sqrt(periodsPerYear);
+};
+
+/**
+ * Beta of an asset against the market: covariance over market variance at the times both have returns
+ * @param {Object} assetReturns - Map of time to asset return
+ * @param {Object} marketReturns - Map of time to market return
+ * @returns {number|null} Beta, or null without enough overlap or market movement
+ */
+export const beta = (assetReturns, marketReturns) => {
+  const times = Object.keys(assetReturns).filter(time => marketReturns[time] !== undefined);
+  if (times.length < 2) return null;
+
+  const asset = times.map(time => assetReturns[time]);
+  const market = times.map(time => marketReturns[time]);
+  const assetMean = mean(asset);
+  const marketMean = mean(market);
+
+  let covariance = 0;
+  let variance = 0;
+  times.forEach((time, i) => {
+    covariance += (asset[i] - assetMean) * (market[i] - marketMean);
+    variance += (market[i] - marketMean) ** 2;
+  });
+
+  return variance > 0 ? covariance / variance : null;
+};
+
+/**
+ * Annualized Sharpe ratio
+ * @param {Array<number>} returns - Per-period returns
+ * @param {number} periodsPerYear - Number of periods in a year
+ * @param {number} riskFreeRate - Annual risk-free rate as a fraction
+ * @returns {number|null} Sharpe ratio, or null when volatility is zero or unknown
+ */
+export const sharpeRatio = (returns, periodsPerYear, riskFreeRate = 0) => {
+  const sd = standardDeviation(returns);
+  if (!sd) return null;
+
+  const excess = mean(returns) - riskFreeRate / periodsPerYear;
+  return (excess / sd) * Math.sqrt(periodsPerYear);
+};
+
+/**
+ * Largest fall from a running peak
+ * @param {Array<number>} values - Prices or portfolio values oldest first
+ * @returns {number|null} Drawdown as a positive fraction (0.2 = 20% below the peak)
+ */
+export const maxDrawdown = (values) => {
+  if (values.length < 2) return null;
+
+  let peak = values[0];
+  let worst = 0;
+  values.forEach(value => {
+    peak = Math.max(peak, value);
+    if (peak > 0) {
+      worst = Math.max(worst, 1 - value / peak);
+    }
+  });
+
+  return worst;
+};
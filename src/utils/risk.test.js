@@ -0,0 +1,46 @@
+import { candleReturns, marketIndexReturns, weightedReturns, volatility, beta, sharpeRatio, maxDrawdown } from './risk';
+
+const candles = (closes, start = 0, interval = 60) => closes.map((close, i) => ({ time: start + i * interval, close }));
+
+describe('Risk Metrics', () => {
+  test('candle returns skip gaps in the recording', () => {
+    const returns = candleReturns([
+      { time: 0, close: 100 },
+      { time: 60, close: 110 },
+      { time: 180, close: 121 }
+    ], 60);
+
+    expect(Object.keys(returns)).toEqual(['60']);
+    expect(returns[60]).toBeCloseTo(0.1);
+  });
+
+  test('beta measures movement relative to the market', () => {
+    const market = candleReturns(candles([100, 102, 99, 103, 101]), 60);
+    const doubled = Object.keys(market).reduce((r, time) => ({ ...r, [time]: market[time] * 2 }), {});
+
+    expect(beta(market, market)).toBeCloseTo(1);
+    expect(beta(doubled, market)).toBeCloseTo(2);
+  });
+
+  test('market index and weighted returns average the components', () => {
+    const a = { 60: 0.1, 120: 0.2 };
+    const b = { 60: 0.3 };
+
+    expect(marketIndexReturns([a, b])).toEqual({ 60: expect.closeTo(0.2), 120: expect.closeTo(0.2) });
+    expect(weightedReturns([{ returns: a, weight: 0.5 }, { returns: b, weight: 0.5 }])).toEqual({ 60: expect.closeTo(0.2) });
+  });
+
+  test('volatility and sharpe are annualized', () => {
+    const returns = [0.01, -0.01, 0.01, -0.01];
+
+    // Sample standard deviation of the series is ~0.01155, scaled by sqrt(4)
+    expect(volatility(returns, 4)).toBeCloseTo(0.0231, 4);
+    expect(sharpeRatio(returns, 4)).toBeCloseTo(0);
+    expect(sharpeRatio([0.01, 0.01], 4)).toBeNull();
+  });
+
+  test('max drawdown is measured from the running peak', () => {
+    expect(maxDrawdown([100, 120, 90, 110, 60, 130])).toBeCloseTo(0.5);
+    expect(maxDrawdown([100, 110, 120])).toBe(0);
+  });
+});
@@ -0,0 +1,196 @@
+/**
+ * Market scenarios
+ * A scenario is a JSON timeline of scripted news events for a themed session:
+ *
+ * {
+ *   "name": "2008 Bank Crisis",
+ *   "description": "Optional notes for admins",
+ *   "mode": "replace",            // "replace" pauses random events while playing, "alongside" keeps them
+ *   "events": [
+ *     {
+ *       "at": 30,                 // seconds from the start of the scenario
+ *       "type": "sector",         // "market", "sector" or "company"
+ *       "headline": "Lehman Brothers Files for Bankruptcy",
+ *       "body": "Optional article text",
+ *       "importance": 5,          // 1-5, defaults to 3
+ *       "impact": -5,             // price move in percent
+ *       "sectors": ["Financial"],  // sector events: sectors to move
+ *       "stocks": ["JPM", 12]     // company events: symbols or stock IDs to move
+ *     }
+ *   ]
+ * }
+ *
+ * These are pure functions for checking scenarios and turning their events into market events;
+ * playback lives in the scenario player service.
+ */
+
+export const SCENARIO_MODES = {
+  REPLACE: 'replace',
+  ALONGSIDE: 'alongside'
+};
+
+export const SCENARIO_MODE_LABELS = {
+  [SCENARIO_MODES.REPLACE]: 'Instead of random events',
+  [SCENARIO_MODES.ALONGSIDE]: 'Alongside random events'
+};
+
+// Scenario event types and the market event types they become
+export const SCENARIO_EVENT_TYPES = {
+  market: 'market_event',
+  sector: 'sector_event',
+  company: 'company_event'
+};
+
+// Largest scripted move in either direction
+export const MAX_IMPACT_PERCENT = 50;
+
+const isName = (value) => typeof value === 'string' && value.trim() !== '';
+
+/**
+ * Check a scenario and fill in defaults
+ * @param {Object|string} data - Scenario object or its JSON
+ * @returns {Object} { scenario, errors } - scenario is null when there are errors; its events are sorted by time
+ */
+export const validateScenario = (data) => {
+  let raw = data;
+  if (typeof data === 'string') {
+    try {
+      raw = JSON.parse(data);
+    } catch (e) {
+      return { scenario: null, errors: [`Not valid JSON: ${e.message}`] };
+    }
+  }
+
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { scenario: null, errors: ['A scenario must be a JSON object'] };
+  }
+
+  const errors = [];
+  const name = typeof raw.name === 'string' ? raw.name.trim() : '';
+  if (!name) errors.push('The scenario needs a name');
+
+  const mode = raw.mode || SCENARIO_MODES.REPLACE;
+  if (!Object.values(SCENARIO_MODES).includes(mode)) {
+    errors.push(`Unknown mode "${mode}" (use "replace" or "alongside")`);
+  }
+
+  if (!Array.isArray(raw.events) || raw.events.length === 0) {
+    errors.push('The scenario needs at least one event');
+  }
+
+  const events = (Array.isArray(raw.events) ? raw.events : []).map((event, index) => {
+    const label = `Event ${index + 1}`;
+    if (!event || typeof event !== 'object') {
+      errors.push(`${label} is not an object`);
+      return null;
+    }
+
+    const at = Number(event.at);
+    const importance = event.importance === undefined ? 3 : Number(event.importance);
+    const impact = Number(event.impact);
+    const sectors = Array.isArray(event.sectors) ? event.sectors : [];
+    const stocks = Array.isArray(event.stocks) ? event.stocks : [];
+
+    if (!Number.isFinite(at) || at < 0) errors.push(`${label}: "at" must be a number of seconds from the start`);
+    if (!SCENARIO_EVENT_TYPES[event.type]) errors.push(`${label}: type must be "market", "sector" or "company"`);
+    if (typeof event.headline !== 'string' || !event.headline.trim()) errors.push(`${label}: headline is missing`);
+    if (!Number.isInteger(importance) || importance < 1 || importance > 5) errors.push(`${label}: importance must be 1 to 5`);
+    if (!Number.isFinite(impact) || Math.abs(impact) > MAX_IMPACT_PERCENT) {
+      errors.push(`${label}: impact must be a percentage between -${MAX_IMPACT_PERCENT} and ${MAX_IMPACT_PERCENT}`);
+    }
+    if (event.type === 'sector' && sectors.length === 0) errors.push(`${label}: sector events need "sectors"`);
+    if (event.type === 'company' && stocks.length === 0) errors.push(`${label}: company events need "stocks"`);
+    if (!sectors.every(isName)) errors.push(`${label}: sectors must be sector names`);
+    if (!stocks.every(ref => isName(ref) || (Number.isInteger(ref) && ref > 0))) {
+      errors.push(`${label}: stocks must be symbols or stock IDs`);
+    }
+
+    return {
+      at,
+      type: event.type,
+      headline: typeof event.headline === 'string' ? event.headline.trim() : '',
+      body: typeof event.body === 'string' ? event.body : '',
+      importance,
+      impact,
+      sectors: sectors.map(sector => sector.trim()),
+      stocks: stocks.map(ref => (typeof ref === 'string' ? ref.trim() : ref))
+    };
+  });
+
+  if (errors.length > 0) {
+    return { scenario: null, errors };
+  }
+
+  return {
+    scenario: {
+      name,
+      description: typeof raw.description === 'string' ? raw.description : '',
+      mode,
+      events: events.sort((a, b) => a.at - b.at)
+    },
+    errors: []
+  };
+};
+
+/**
+ * Length of a scenario - the time of its last event
+ * @param {Object} scenario - Validated scenario
+ * @returns {number} Seconds
+ */
+export const scenarioDuration = (scenario) => (
+  scenario && scenario.events.length > 0 ? scenario.events[scenario.events.length - 1].at : 0
+);
+
+/**
+ * Indexes of the events that fall due when playback moves from one time to another
+ * @param {Object} scenario - Validated scenario
+ * @param {number} from - Time events have been played up to, in seconds (-1 before any have played)
+ * @param {number} to - Playback position after, in seconds
+ * @returns {Array<number>} Event indexes in timeline order
+ */
+export const eventsDue = (scenario, from, to) => scenario.events.reduce((due, event, index) => {
+  if (event.at > from && event.at <= to) due.push(index);
+  return due;
+}, []);
+
+/**
+ * Turn a scenario event into a market event like the ones the generator makes
+ * @param {Object} event - Scenario event
+ * @param {Array} stocks - Current stocks ({ id, symbol, sector })
+ * @param {string} scenarioName - Name of the scenario, shown on the event
+ * @returns {Object} Market event; related_stocks lists the stocks the event moves (no impact when it matches none)
+ */
+export const buildScenarioEvent = (event, stocks, scenarioName) => {
+  const eventType = SCENARIO_EVENT_TYPES[event.type];
+  let relatedStocks = [];
+
+  if (event.type === 'sector') {
+    const sectors = event.sectors.map(sector => sector.toLowerCase());
+    relatedStocks = stocks
+      .filter(stock => stock.sector && sectors.includes(stock.sector.toLowerCase()))
+      .map(stock => stock.id);
+  } else if (event.type === 'company') {
+    relatedStocks = event.stocks
+      .map(ref => stocks.find(stock => stock.id === Number(ref) || (typeof ref === 'string'
+        && typeof stock.symbol === 'string' && stock.symbol.toUpperCase() === ref.toUpperCase())))
+      .filter(Boolean)
+      .map(stock => stock.id);
+  }
+
+  const prefix = { market: 'Market', sector: 'Sector', company: 'Company' }[event.type];
+
+  // An event aimed at stocks that aren't listed still makes the news, but moves no prices
+  const targeted = event.type === 'market' || relatedStocks.length > 0;
+
+  return {
+    event_type: eventType,
+    headline: `${prefix} Event: ${event.headline}`,
+    summary: event.headline,
+    body: event.body || `${event.headline}. (${scenarioName})`,
+    importance: event.importance,
+    price_impact: targeted ? event.impact / 100 : 0,
+    ...(event.type === 'sector' ? { related_sectors: event.sectors } : {}),
+    ...(event.type !== 'market' ? { related_stocks: relatedStocks } : {}),
+    scenario: scenarioName
+  };
+};
@@ -0,0 +1,114 @@
+import { validateScenario, scenarioDuration, eventsDue, buildScenarioEvent, SCENARIO_MODES } from './scenario';
+
+const stocks = [
+  { id: 1, symbol: 'AAPL', sector: 'Technology' },
+  { id: 8, symbol: 'NVDA', sector: 'Technology' },
+  { id: 10, symbol: 'JPM', sector: 'Financial' }
+];
+
+const scenarioJson = JSON.stringify({
+  name: 'Test Crash',
+  events: [
+    { at: 60, type: 'company', headline: 'JPM Misses Earnings', stocks: ['jpm'], impact: -4 },
+    { at: 0, type: 'market', headline: 'Markets Open Lower', importance: 4, impact: -1 },
+    { at: 30, type: 'sector', headline: 'Chip Stocks Slide', sectors: ['technology'], impact: -3 }
+  ]
+});
+
+describe('Market scenarios', () => {
+  test('valid scenarios get defaults and a sorted timeline', () => {
+    const { scenario, errors } = validateScenario(scenarioJson);
+
+    expect(errors).toEqual([]);
+    expect(scenario.mode).toBe(SCENARIO_MODES.REPLACE);
+    expect(scenario.events.map(event => event.at)).toEqual([0, 30, 60]);
+    expect(scenario.events[2].importance).toBe(3);
+    expect(scenarioDuration(scenario)).toBe(60);
+  });
+
+  test('invalid scenarios list every problem', () => {
+    expect(validateScenario('{ nope').errors[0]).toMatch(/Not valid JSON/);
+
+    const { scenario, errors } = validateScenario({
+      mode: 'shuffle',
+      events: [
+        { at: -5, type: 'sector', headline: '', impact: 80 },
+        { at: 10, type: 'company', headline: 'No targets', importance: 9, impact: 1 }
+      ]
+    });
+    expect(scenario).toBeNull();
+    expect(errors).toEqual([
+      'The scenario needs a name',
+      'Unknown mode "shuffle" (use "replace" or "alongside")',
+      'Event 1: "at" must be a number of seconds from the start',
+      'Event 1: headline is missing',
+      'Event 1: impact must be a percentage between -50 and 50',
+      'Event 1: sector events need "sectors"',
+      'Event 2: importance must be 1 to 5',
+      'Event 2: company events need "stocks"'
+    ]);
+  });
+
+  test('stocks and sectors must be names or stock IDs', () => {
+    const { scenario, errors } = validateScenario({
+      name: 'Bad Targets',
+      events: [
+        { at: 0, type: 'company', headline: 'Unnamed Stock Rallies', stocks: ['JPM', { id: 3 }], impact: 2 },
+        { at: 5, type: 'sector', headline: 'Blank Sector Slides', sectors: [' '], impact: -2 },
+        { at: 9, type: 'company', headline: 'Missing Stock Slides', stocks: [null], impact: -2 }
+      ]
+    });
+
+    expect(scenario).toBeNull();
+    expect(errors).toEqual([
+      'Event 1: stocks must be symbols or stock IDs',
+      'Event 2: sectors must be sector names',
+      'Event 3: stocks must be symbols or stock IDs'
+    ]);
+  });
+
+  test('company events skip listed stocks without a symbol', () => {
+    const event = buildScenarioEvent(
+      { type: 'company', headline: 'JPM Beats Earnings', stocks: ['JPM', 8], importance: 3, impact: 4 },
+      [{ id: 4, sector: 'Financial' }, ...stocks],
+      'Test'
+    );
+
+    expect(event.related_stocks).toEqual([10, 8]);
+  });
+
+  test('events fall due once as playback moves on', () => {
+    const { scenario } = validateScenario(scenarioJson);
+
+    expect(eventsDue(scenario, -1, 0)).toEqual([0]);
+    expect(eventsDue(scenario, 0, 29)).toEqual([]);
+    expect(eventsDue(scenario, 29, 60)).toEqual([1, 2]);
+    expect(eventsDue(scenario, 30, 60)).toEqual([2]);
+  });
+
+  test('scenario events target the listed sectors and stocks', () => {
+    const { scenario } = validateScenario(scenarioJson);
+    const [market, sector, company] = scenario.events.map(event => buildScenarioEvent(event, stocks, 'Test Crash'));
+
+    expect(market).toMatchObject({ event_type: 'market_event', price_impact: -0.01, importance: 4 });
+    expect(market.related_stocks).toBeUndefined();
+    expect(sector).toMatchObject({ event_type: 'sector_event', related_sectors: ['technology'], related_stocks: [1, 8] });
+    expect(company).toMatchObject({
+      event_type: 'company_event',
+      headline: 'Company Event: JPM Misses Earnings',
+      related_stocks: [10],
+      price_impact: -0.04
+    });
+  });
+
+  test('events that match no stocks move no prices', () => {
+    const event = buildScenarioEvent(
+      { type: 'sector', headline: 'Airlines Ground Flights', sectors: ['Airlines'], importance: 3, impact: -5 },
+      stocks,
+      'Test'
+    );
+
+    expect(event.related_stocks).toEqual([]);
+    expect(event.price_impact).toBe(0);
+  });
+});
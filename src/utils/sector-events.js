@@ -0,0 +1,142 @@
+/**
+ * Sector events
+ * Sector events move the stocks in their sectors at full strength. News in one sector can spill
+ * over into others: spillover weights give the share of a sector's move (0 to 1) felt by each
+ * other sector, e.g. { Technology: { 'Communication Services': 0.4 } }. Sector names are matched
+ * without regard to case.
+ */
+
+// Used until an admin sets their own weights
+export const DEFAULT_SPILLOVER_WEIGHTS = {
+  Technology: { 'Communication Services': 0.4, 'Consumer Cyclical': 0.2 },
+  'Communication Services': { Technology: 0.3, Entertainment: 0.3 },
+  'Consumer Cyclical': { Automotive: 0.3, Entertainment: 0.2 },
+  Automotive: { 'Consumer Cyclical': 0.2, Technology: 0.1 },
+  Entertainment: { 'Communication Services': 0.3 },
+  Financial: { 'Consumer Cyclical': 0.2, Automotive: 0.1 }
+};
+
+const sameSector = (a, b) => typeof a === 'string' && typeof b === 'string' && a.toLowerCase() === b.toLowerCase();
+
+// Value stored under a sector name, whatever its case
+const forSector = (values, sector) => {
+  const key = Object.keys(values || {}).find(name => sameSector(name, sector));
+  return key ? values[key] : undefined;
+};
+
+/**
+ * Sectors that have at least one stock
+ * @param {Array} stocks - Stocks ({ sector })
+ * @returns {Array<string>} Sector names in alphabetical order
+ */
+export const listSectors = (stocks) => stocks
+  .reduce((sectors, stock) => {
+    if (stock && stock.sector && !sectors.some(sector => sameSector(sector, stock.sector))) {
+      sectors.push(stock.sector);
+    }
+    return sectors;
+  }, [])
+  .sort((a, b) => a.localeCompare(b));
+
+/**
+ * Stocks in a sector
+ * @param {Array} stocks - Stocks ({ id, sector })
+ * @param {string} sector - Sector name
+ * @returns {Array} Matching stocks
+ */
+export const stocksInSector = (stocks, sector) => stocks.filter(stock => stock && sameSector(stock.sector, sector));
+
+/**
+ * Share of a move in one sector felt by another
+ * @param {Object} weights - Spillover weights by sector
+ * @param {string} from - Sector the event is about
+ * @param {string} to - Sector of the stock
+ * @returns {number} 1 within the same sector, otherwise the spillover weight (0 when none is set)
+ */
+export const spilloverWeight = (weights, from, to) => {
+  if (sameSector(from, to)) return 1;
+
+  const weight = Number(forSector(forSector(weights, from), to));
+  return Number.isFinite(weight) ? weight : 0;
+};
+
+/**
+ * Spillover from an event's sectors into every other sector
+ * @param {Array<string>} sectors - Sectors the event is about
+ * @param {Object} weights - Spillover weights by sector
+ * @param {Array<string>} allSectors - Sectors that could be affected
+ * @returns {Object} Weight by affected sector, leaving out the event's own sectors and zero weights
+ */
+export const sectorSpillover = (sectors, weights, allSectors) => allSectors.reduce((spillover, sector) => {
+  if (sectors.some(eventSector => sameSector(eventSector, sector))) return spillover;
+
+  const weight = Math.max(0, ...sectors.map(eventSector => spilloverWeight(weights, eventSector, sector)));
+  if (weight > 0) spillover[sector] = weight;
+  return spillover;
+}, {});
+
+/**
+ * How strongly a sector event moves each stock
+ * @param {Array} stocks - Stocks ({ id, sector })
+ * @param {Array<string>} sectors - Sectors the event is about
+ * @param {Object} spillover - Weight by other sector (see sectorSpillover)
+ * @returns {Map} Weight by stock ID, only for stocks the event moves
+ */
+export const sectorImpactWeights = (stocks, sectors, spillover = {}) => stocks.reduce((weights, stock) => {
+  if (!stock || !stock.id || !stock.sector) return weights;
+
+  if (sectors.some(sector => sameSector(sector, stock.sector))) {
+    weights.set(stock.id, 1);
+  } else {
+    const weight = Number(forSector(spillover, stock.sector));
+    if (weight > 0) weights.set(stock.id, weight);
+  }
+  return weights;
+}, new Map());
+
+/**
+ * Spillover weights with one entry per sector, whatever the case they were entered in
+ * @param {Object} weights - Spillover weights by sector
+ * @param {Array<string>} sectors - Sector names as the stocks spell them (see listSectors)
+ * @returns {Object} Weights keyed by the stocks' spelling where a sector matches one, otherwise the
+ * first spelling entered; when two spellings give a weight for the same pair, the later one is kept
+ */
+export const normalizeSpilloverWeights = (weights, sectors = []) => {
+  const spelled = [...sectors];
+  const nameFor = (sector) => {
+    const known = spelled.find(name => sameSector(name, sector));
+    if (known) return known;
+    spelled.push(sector);
+    return sector;
+  };
+
+  return Object.entries(weights || {}).reduce((normalized, [from, targets]) => {
+    const row = nameFor(from);
+    Object.entries(targets || {}).forEach(([to, weight]) => {
+      normalized[row] = { ...normalized[row], [nameFor(to)]: weight };
+    });
+    return normalized;
+  }, {});
+};
+
+/**
+ * Check spillover weights entered by an admin
+ * @param {Object} weights - Spillover weights by sector
+ * @returns {Array<string>} Problems, empty when the weights are usable
+ */
+export const validateSpilloverWeights = (weights) => {
+  if (!weights || typeof weights !== 'object' || Array.isArray(weights)) {
+    return ['Spillover weights must be an object of sectors'];
+  }
+
+  const errors = [];
+  Object.entries(weights).forEach(([from, targets]) => {
+    Object.entries(targets || {}).forEach(([to, weight]) => {
+      const value = Number(weight);
+      if (weight === '' || !Number.isFinite(value) || value < 0 || value > 1) {
+        errors.push(`${from} → ${to}: weight must be between 0 and 1`);
+      }
+    });
+  });
+  return errors;
+};
@@ -0,0 +1,72 @@
+import {
+  listSectors,
+  stocksInSector,
+  spilloverWeight,
+  sectorSpillover,
+  sectorImpactWeights,
+  normalizeSpilloverWeights,
+  validateSpilloverWeights
+} from './sector-events';
+
+const stocks = [
+  { id: 1, symbol: 'AAPL', sector: 'Technology' },
+  { id: 4, symbol: 'GOOGL', sector: 'Communication Services' },
+  { id: 8, symbol: 'NVDA', sector: 'technology' },
+  { id: 10, symbol: 'JPM', sector: 'Financial' },
+  { id: 11, symbol: 'NEW' }
+];
+
+const weights = {
+  Technology: { 'Communication Services': 0.4 },
+  Financial: { 'communication services': 0.1, Technology: 0.2 }
+};
+
+describe('Sector events', () => {
+  test('sectors come from the stocks, whatever their case', () => {
+    expect(listSectors(stocks)).toEqual(['Communication Services', 'Financial', 'Technology']);
+    expect(stocksInSector(stocks, 'TECHNOLOGY').map(stock => stock.id)).toEqual([1, 8]);
+  });
+
+  test('spillover weights apply between different sectors only', () => {
+    expect(spilloverWeight(weights, 'Technology', 'technology')).toBe(1);
+    expect(spilloverWeight(weights, 'technology', 'Communication Services')).toBe(0.4);
+    expect(spilloverWeight(weights, 'Communication Services', 'Technology')).toBe(0);
+  });
+
+  test('an event spills over by the largest weight from any of its sectors', () => {
+    const sectors = listSectors(stocks);
+
+    expect(sectorSpillover(['Financial'], weights, sectors)).toEqual({ 'Communication Services': 0.1, Technology: 0.2 });
+    expect(sectorSpillover(['Financial', 'Technology'], weights, sectors)).toEqual({ 'Communication Services': 0.4 });
+    expect(sectorSpillover(['Financial'], {}, sectors)).toEqual({});
+  });
+
+  test('only stocks in the sector, or spilled over into, are moved', () => {
+    expect(sectorImpactWeights(stocks, ['Technology'])).toEqual(new Map([[1, 1], [8, 1]]));
+    expect(sectorImpactWeights(stocks, ['Technology'], { 'Communication Services': 0.4 }))
+      .toEqual(new Map([[1, 1], [4, 0.4], [8, 1]]));
+    expect(sectorImpactWeights(stocks, ['Energy'])).toEqual(new Map());
+  });
+
+  test('weights entered in another case are merged under the stocks\' sector names', () => {
+    const merged = normalizeSpilloverWeights(
+      { technology: { 'communication services': 0.2 }, Technology: { FINANCIAL: 0.1 }, Energy: { TECHNOLOGY: 0.5 } },
+      listSectors(stocks)
+    );
+
+    expect(merged).toEqual({
+      Technology: { 'Communication Services': 0.2, Financial: 0.1 },
+      Energy: { Technology: 0.5 }
+    });
+    expect(sectorImpactWeights(stocks, ['Energy'], sectorSpillover(['Energy'], merged, listSectors(stocks))))
+      .toEqual(new Map([[1, 0.5], [8, 0.5]]));
+  });
+
+  test('weights outside 0 to 1 are reported', () => {
+    expect(validateSpilloverWeights(weights)).toEqual([]);
+    expect(validateSpilloverWeights({ Technology: { Financial: 2, Automotive: '' } })).toEqual([
+      'Technology → Financial: weight must be between 0 and 1',
+      'Technology → Automotive: weight must be between 0 and 1'
+    ]);
+  });
+});
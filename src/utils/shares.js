@@ -0,0 +1,46 @@
+/**
+ * Share quantity helpers
+ * Quantities can be fractional down to SHARE_DECIMALS places
+ */
+
+// Decimal places a share quantity is kept to
+export const SHARE_DECIMALS = 4;
+
+// Smallest quantity that can be traded
+export const MIN_SHARES = 1 / 10 ** SHARE_DECIMALS;
+
+const SCALE = 10 ** SHARE_DECIMALS;
+
+/**
+ * Round a quantity to the share precision, removing floating point noise
+ * @param {number} quantity - Share quantity
+ * @returns {number} Rounded quantity
+ */
+export const roundShares = (quantity) => Math.round(quantity * SCALE) / SCALE;
+
+/**
+ * Round a quantity down to the share precision, so a sized order never exceeds its budget
+ * (the small tolerance keeps 0.3 / 0.1 style results from dropping a unit)
+ * @param {number} quantity - Share quantity
+ * @returns {number} Quantity rounded down
+ */
+export const floorShares = (quantity) => Math.floor(quantity * SCALE + 1e-6) / SCALE;
+
+/**
+ * Parse a quantity typed by the user
+ * @param {string|number} value - Input value
+ * @returns {number} Quantity at the share precision, 0 when not a positive number
+ */
+export const parseShares = (value) => {
+  const quantity = parseFloat(value);
+  return Number.isFinite(quantity) && quantity > 0 ? floorShares(quantity) : 0;
+};
+
+/**
+ * Format a quantity for display - whole numbers stay whole, fractions show up to SHARE_DECIMALS places
+ * @param {number} quantity - Share quantity
+ * @returns {string} Formatted quantity
+ */
+export const formatShares = (quantity) => (
+  Number(quantity || 0).toLocaleString('en-US', { maximumFractionDigits: SHARE_DECIMALS })
+);
@@ -0,0 +1,24 @@
+import { roundShares, floorShares, parseShares, formatShares } from './shares';
+
+describe('Share quantities', () => {
+  test('roundShares removes floating point noise', () => {
+    expect(roundShares(0.1 + 0.2)).toBe(0.3);
+    expect(roundShares(2.5 - 2.4999)).toBe(0.0001);
+  });
+
+  test('floorShares rounds down to the share precision', () => {
+    expect(floorShares(18.11594202)).toBe(18.1159);
+    expect(floorShares(0.3 / 0.1)).toBe(3);
+  });
+
+  test('parseShares accepts fractions and rejects non-positive input', () => {
+    expect(parseShares('0.5')).toBe(0.5);
+    expect(parseShares('abc')).toBe(0);
+    expect(parseShares('-2')).toBe(0);
+  });
+
+  test('formatShares keeps whole numbers whole', () => {
+    expect(formatShares(10)).toBe('10');
+    expect(formatShares(1234.56789)).toBe('1,234.5679');
+  });
+});
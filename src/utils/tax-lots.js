@@ -0,0 +1,180 @@
+/**
+ * Tax lot accounting
+ * Replays buy and sell transactions into lots to compute cost basis,
+ * realized P&L per sale and unrealized P&L per open lot
+ *
+ * Supported methods:
+ * - fifo: sales consume the oldest lots first
+ * - lifo: sales consume the newest lots first
+ * - average: every share carries the running average cost (sales consume lots oldest first)
+ */
+
+import { roundShares } from './shares';
+
+export const LOT_METHODS = {
+  FIFO: 'fifo',
+  LIFO: 'lifo',
+  AVERAGE: 'average'
+};
+
+export const LOT_METHOD_LABELS = {
+  [LOT_METHODS.FIFO]: 'First In, First Out (FIFO)',
+  [LOT_METHODS.LIFO]: 'Last In, First Out (LIFO)',
+  [LOT_METHODS.AVERAGE]: 'Average Cost'
+};
+
+// Sort transactions oldest first, keeping the API order for identical timestamps
+const chronological = (transactions) => transactions
+  .map((transaction, index) => ({ transaction, index }))
+  .sort((a, b) =>
+    new Date(a.transaction.created_at) - new Date(b.transaction.created_at) || b.index - a.index)
+  .map(({ transaction }) => transaction);
+
+const emptyPosition = () => ({
+  lots: [],
+  sales: [],
+  averageCost: 0,
+  realizedPnl: 0
+});
+
+/**
+ * Remove shares from the open lots of a position
+ * @param {Object} position - Position being sold from (lots modified in place)
+ * @param {number} quantity - Shares sold
+ * @param {string} method - One of LOT_METHODS
+ * @returns {Object} { costBasis, consumed: [{ lot_id, quantity, cost_per_share }], uncovered }
+ */
+const consumeLots = (position, quantity, method) => {
+  let remaining = quantity;
+  let costBasis = 0;
+  const consumed = [];
+
+  while (remaining > 0 && position.lots.length > 0) {
+    const index = method === LOT_METHODS.LIFO ? position.lots.length - 1 : 0;
+    const lot = position.lots[index];
+    const used = Math.min(lot.quantity, remaining);
+    const costPerShare = method === LOT_METHODS.AVERAGE ? position.averageCost : lot.unit_cost;
+
+    costBasis += used * costPerShare;
+    consumed.push({ lot_id: lot.id, quantity: used, cost_per_share: costPerShare });
+
+    // Quantities can be fractional - rounding keeps float noise from leaving dust lots behind
+    lot.quantity = roundShares(lot.quantity - used);
+    remaining = roundShares(remaining - used);
+    if (lot.quantity <= 0) {
+      position.lots.splice(index, 1);
+    }
+  }
+
+  return { costBasis, consumed, uncovered: remaining };
+};
+
+/**
+ * Replay transactions into tax lots
+ * Trading costs recorded on a transaction (net_amount) are included in the cost basis of buys
+ * and taken off the proceeds of sells
+ * @param {Array} transactions - Transactions in any order ({ id, stock_id, transaction_type, quantity, price, created_at, net_amount })
+ * @param {string} method - One of LOT_METHODS
+ * @returns {Object} Positions by stock ID: { lots, sales, averageCost, realizedPnl }
+ *   lots: [{ id, acquired_at, quantity, price, unit_cost, cost_per_share }]
+ *   sales: [{ transaction_id, sold_at, quantity, price, proceeds, cost_basis, realized_pnl, lots, uncovered }]
+ */
+export const buildTaxLots = (transactions, method = LOT_METHODS.FIFO) => {
+  const positions = {};
+
+  chronological(transactions || []).forEach(transaction => {
+    const { stock_id, transaction_type } = transaction;
+    const quantity = Number(transaction.quantity);
+    const price = Number(transaction.price);
+    if (!stock_id || !(quantity > 0)) return;
+
+    if (!positions[stock_id]) {
+      positions[stock_id] = emptyPosition();
+    }
+    const position = positions[stock_id];
+
+    // Cash that actually changed hands, including fees and slippage when recorded
+    const netAmount = transaction.net_amount ? Number(transaction.net_amount) : quantity * price;
+
+    if (transaction_type === 'buy') {
+      const unitCost = netAmount / quantity;
+      const heldQuantity = position.lots.reduce((total, lot) => total + lot.quantity, 0);
+      position.averageCost = (position.averageCost * heldQuantity + unitCost * quantity) / (heldQuantity + quantity);
+
+      position.lots.push({
+        id: transaction.id,
+        acquired_at: transaction.created_at,
+        quantity,
+        price,
+        unit_cost: unitCost
+      });
+    } else if (transaction_type === 'sell') {
+      const { costBasis, consumed, uncovered } = consumeLots(position, quantity, method);
+
+      // Shares sold without a recorded buy (e.g. history older than what was fetched) count at the sale price
+      const totalCostBasis = costBasis + uncovered * price;
+      const proceeds = netAmount;
+      const realizedPnl = proceeds - totalCostBasis;
+
+      position.sales.push({
+        transaction_id: transaction.id,
+        sold_at: transaction.created_at,
+        quantity,
+        price,
+        proceeds,
+        cost_basis: totalCostBasis,
+        realized_pnl: realizedPnl,
+        lots: consumed,
+        uncovered
+      });
+      position.realizedPnl += realizedPnl;
+
+      if (position.lots.length === 0) {
+        position.averageCost = 0;
+      }
+    }
+  });
+
+  // Expose the cost per share each open lot is carried at
+  Object.values(positions).forEach(position => {
+    position.lots = position.lots.map(lot => ({
+      ...lot,
+      cost_per_share: method === LOT_METHODS.AVERAGE ? position.averageCost : lot.unit_cost
+    }));
+  });
+
+  return positions;
+};
+
+/**
+ * Summarize a position's open lots at a market price
+ * @param {Object} position - Entry of buildTaxLots
+ * @param {number} currentPrice - Latest price
+ * @returns {Object} { quantity, costBasis, averageCost, marketValue, unrealizedPnl, lots }
+ *   lots include market_value and unrealized_pnl
+ */
+export const valueOpenLots = (position, currentPrice) => {
+  const lots = (position?.lots || []).map(lot => {
+    const marketValue = lot.quantity * currentPrice;
+    const costBasis = lot.quantity * lot.cost_per_share;
+    return {
+      ...lot,
+      cost_basis: costBasis,
+      market_value: marketValue,
+      unrealized_pnl: marketValue - costBasis
+    };
+  });
+
+  const quantity = lots.reduce((total, lot) => total + lot.quantity, 0);
+  const costBasis = lots.reduce((total, lot) => total + lot.cost_basis, 0);
+  const marketValue = lots.reduce((total, lot) => total + lot.market_value, 0);
+
+  return {
+    quantity,
+    costBasis,
+    averageCost: quantity > 0 ? costBasis / quantity : 0,
+    marketValue,
+    unrealizedPnl: marketValue - costBasis,
+    lots
+  };
+};
@@ -0,0 +1,87 @@
+import { buildTaxLots, valueOpenLots, LOT_METHODS } from './tax-lots';
+
+// Two buys at different prices followed by a partial sell, newest first like the API returns them
+const transactions = [
+  { id: 3, stock_id: 1, transaction_type: 'sell', quantity: 15, price: 130, created_at: '2024-01-03T10:00:00Z' },
+  { id: 2, stock_id: 1, transaction_type: 'buy', quantity: 10, price: 120, created_at: '2024-01-02T10:00:00Z' },
+  { id: 1, stock_id: 1, transaction_type: 'buy', quantity: 10, price: 100, created_at: '2024-01-01T10:00:00Z' }
+];
+
+describe('Tax Lots', () => {
+  test('fifo sells the oldest lots first', () => {
+    const position = buildTaxLots(transactions, LOT_METHODS.FIFO)[1];
+
+    // 10 @ 100 + 5 @ 120 = 1600 cost basis for 1950 proceeds
+    expect(position.sales).toHaveLength(1);
+    expect(position.sales[0].cost_basis).toBeCloseTo(1600);
+    expect(position.realizedPnl).toBeCloseTo(350);
+
+    // 5 shares left from the second lot
+    expect(position.lots).toEqual([
+      expect.objectContaining({ id: 2, quantity: 5, cost_per_share: 120 })
+    ]);
+  });
+
+  test('lifo sells the newest lots first', () => {
+    const position = buildTaxLots(transactions, LOT_METHODS.LIFO)[1];
+
+    // 10 @ 120 + 5 @ 100 = 1700 cost basis
+    expect(position.sales[0].cost_basis).toBeCloseTo(1700);
+    expect(position.realizedPnl).toBeCloseTo(250);
+    expect(position.lots).toEqual([
+      expect.objectContaining({ id: 1, quantity: 5, cost_per_share: 100 })
+    ]);
+  });
+
+  test('average cost uses the running average for every share', () => {
+    const position = buildTaxLots(transactions, LOT_METHODS.AVERAGE)[1];
+
+    // Average cost 110, so 15 shares cost 1650
+    expect(position.sales[0].cost_basis).toBeCloseTo(1650);
+    expect(position.realizedPnl).toBeCloseTo(300);
+    expect(position.lots[0].cost_per_share).toBeCloseTo(110);
+  });
+
+  test('sales without recorded buys do not invent gains', () => {
+    const position = buildTaxLots([
+      { id: 1, stock_id: 2, transaction_type: 'sell', quantity: 5, price: 50, created_at: '2024-01-01T10:00:00Z' }
+    ])[2];
+
+    expect(position.sales[0].uncovered).toBe(5);
+    expect(position.realizedPnl).toBe(0);
+  });
+
+  test('recorded trading costs are part of cost basis and proceeds', () => {
+    const position = buildTaxLots([
+      { id: 1, stock_id: 3, transaction_type: 'buy', quantity: 10, price: 10, net_amount: 102, created_at: '2024-01-01T10:00:00Z' },
+      { id: 2, stock_id: 3, transaction_type: 'sell', quantity: 10, price: 12, net_amount: 118, created_at: '2024-01-02T10:00:00Z' }
+    ])[3];
+
+    expect(position.sales[0].cost_basis).toBeCloseTo(102);
+    expect(position.sales[0].proceeds).toBeCloseTo(118);
+    expect(position.realizedPnl).toBeCloseTo(16);
+  });
+
+  test('fractional sales use up lots without leaving dust', () => {
+    const position = buildTaxLots([
+      { id: 1, stock_id: 4, transaction_type: 'buy', quantity: 0.1, price: 500, created_at: '2024-01-01T10:00:00Z' },
+      { id: 2, stock_id: 4, transaction_type: 'buy', quantity: 0.2, price: 520, created_at: '2024-01-02T10:00:00Z' },
+      { id: 3, stock_id: 4, transaction_type: 'sell', quantity: 0.3, price: 550, created_at: '2024-01-03T10:00:00Z' }
+    ])[4];
+
+    expect(position.lots).toHaveLength(0);
+    expect(position.sales[0].uncovered).toBe(0);
+    expect(position.sales[0].cost_basis).toBeCloseTo(154);
+  });
+
+  test('valueOpenLots reports unrealized P&L per lot', () => {
+    const position = buildTaxLots(transactions.slice(1), LOT_METHODS.FIFO)[1];
+    const valued = valueOpenLots(position, 110);
+
+    expect(valued.quantity).toBe(20);
+    expect(valued.averageCost).toBeCloseTo(110);
+    expect(valued.lots[0].unrealized_pnl).toBeCloseTo(100);
+    expect(valued.lots[1].unrealized_pnl).toBeCloseTo(-100);
+    expect(valued.unrealizedPnl).toBeCloseTo(0);
+  });
+});
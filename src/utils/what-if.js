@@ -0,0 +1,216 @@
+/**
+ * What-if simulation
+ * Pure functions that copy a portfolio into an in-memory sandbox, apply hypothetical trades
+ * and price shocks to it, and summarize the result - nothing here touches the real portfolio
+ *
+ * Positions carry a signed quantity (negative for shorts) and an average cost, so P&L can be
+ * worked out for the sandbox the same way the Portfolio page does for the real holdings.
+ */
+
+import { calculateAllocation, UNCLASSIFIED_SECTOR } from './allocation';
+import { calculateTradeCosts, DEFAULT_FEE_MODEL } from './fees';
+import { roundShares, formatShares } from './shares';
+
+export const SHOCK_SCOPES = {
+  MARKET: 'market',
+  SECTOR: 'sector',
+  STOCK: 'stock'
+};
+
+export const SHOCK_SCOPE_LABELS = {
+  [SHOCK_SCOPES.MARKET]: 'Whole market',
+  [SHOCK_SCOPES.SECTOR]: 'Sector',
+  [SHOCK_SCOPES.STOCK]: 'Stock'
+};
+
+/**
+ * Copy a portfolio into a sandbox
+ * @param {Object} portfolio - Portfolio from getUserPortfolio
+ * @param {Object} options
+ * @param {Object} options.prices - Latest price by stock ID (falls back to the item's current price)
+ * @param {Object} options.sectors - Sector by stock ID for items without one
+ * @param {Object} options.costBasis - Average cost per share by stock ID (falls back to the current price)
+ * @returns {Object} { cash, positions: { [stockId]: position }, realized_pl }
+ */
+export const createSandbox = (portfolio, { prices = {}, sectors = {}, costBasis = {} } = {}) => {
+  const positions = {};
+
+  (portfolio?.portfolio_items || []).forEach(item => {
+    if (!item || !item.stock || !item.quantity) return;
+
+    const price = prices[item.stock_id] ?? item.stock.current_price;
+    positions[item.stock_id] = {
+      stock_id: item.stock_id,
+      symbol: item.stock.symbol,
+      name: item.stock.name,
+      sector: item.stock.sector || sectors[item.stock_id] || UNCLASSIFIED_SECTOR,
+      quantity: item.quantity,
+      price,
+      average_cost: (item.is_short ? item.entry_price : costBasis[item.stock_id]) || price
+    };
+  });
+
+  return {
+    cash: portfolio?.cash_balance ?? 0,
+    positions,
+    realized_pl: 0
+  };
+};
+
+/**
+ * Apply a hypothetical trade to a sandbox at the position's sandbox price
+ * Buys and covers pay the trade total, sells and shorts receive it
+ * @param {Object} sandbox - Sandbox from createSandbox
+ * @param {Object} trade - { stock_id, symbol, name, sector, action, quantity, price }
+ * @param {Object} feeModel - Fee model
+ * @returns {Object} { sandbox, costs, error } - the sandbox is unchanged when there is an error
+ */
+export const applyHypotheticalTrade = (sandbox, trade, feeModel = DEFAULT_FEE_MODEL) => {
+  const quantity = roundShares(Number(trade.quantity));
+  const existing = sandbox.positions[trade.stock_id];
+  const held = existing ? existing.quantity : 0;
+  const price = existing ? existing.price : trade.price;
+
+  const fail = (error) => ({ sandbox, costs: null, error });
+
+  if (!(quantity > 0)) return fail('Enter a quantity greater than zero');
+  if (!(price > 0)) return fail(`No price available for ${trade.symbol}`);
+  if (trade.action === 'buy' && held < 0) return fail(`Cover the ${trade.symbol} short before buying`);
+  if (trade.action === 'short' && held > 0) return fail(`Sell your ${trade.symbol} shares before shorting`);
+  if (trade.action === 'sell' && quantity > Math.max(held, 0)) {
+    return fail(`Only ${formatShares(Math.max(held, 0))} ${trade.symbol} shares held`);
+  }
+  if (trade.action === 'cover' && quantity > Math.max(-held, 0)) {
+    return fail(`Only ${formatShares(Math.max(-held, 0))} ${trade.symbol} shares short`);
+  }
+
+  const costs = calculateTradeCosts(price, quantity, trade.action, feeModel);
+  const paying = trade.action === 'buy' || trade.action === 'cover';
+  const cash = sandbox.cash + (paying ? -costs.total : costs.total);
+  if (cash < 0) return fail(`Not enough cash to ${trade.action} ${formatShares(quantity)} ${trade.symbol}`);
+
+  const position = existing
+    ? { ...existing }
+    : {
+        stock_id: trade.stock_id,
+        symbol: trade.symbol,
+        name: trade.name,
+        sector: trade.sector || UNCLASSIFIED_SECTOR,
+        quantity: 0,
+        price,
+        average_cost: 0
+      };
+  let realized = 0;
+
+  if (trade.action === 'buy' || trade.action === 'short') {
+    // Opening or adding: fold the trade total into the average cost (or average short price)
+    const size = Math.abs(position.quantity);
+    position.average_cost = (position.average_cost * size + costs.total) / (size + quantity);
+    position.quantity = roundShares(position.quantity + (trade.action === 'buy' ? quantity : -quantity));
+  } else if (trade.action === 'sell') {
+    realized = costs.total - position.average_cost * quantity;
+    position.quantity = roundShares(position.quantity - quantity);
+  } else {
+    realized = position.average_cost * quantity - costs.total;
+    position.quantity = roundShares(position.quantity + quantity);
+  }
+
+  const positions = { ...sandbox.positions };
+  if (position.quantity === 0) {
+    delete positions[trade.stock_id];
+  } else {
+    positions[trade.stock_id] = position;
+  }
+
+  return {
+    sandbox: { cash, positions, realized_pl: sandbox.realized_pl + realized },
+    costs,
+    error: null
+  };
+};
+
+/**
+ * Move sandbox prices by a percentage
+ * @param {Object} sandbox - Sandbox from createSandbox
+ * @param {Object} shock - { scope: SHOCK_SCOPES value, target: sector name or stock ID, percent }
+ * @returns {Object} Sandbox with the shocked prices
+ */
+export const applyPriceShock = (sandbox, { scope, target, percent }) => {
+  const factor = Math.max(0, 1 + Number(percent) / 100);
+  const hit = (position) => scope === SHOCK_SCOPES.MARKET ||
+    (scope === SHOCK_SCOPES.SECTOR && position.sector === target) ||
+    (scope === SHOCK_SCOPES.STOCK && String(position.stock_id) === String(target));
+
+  const positions = {};
+  Object.values(sandbox.positions).forEach(position => {
+    positions[position.stock_id] = hit(position) ? { ...position, price: position.price * factor } : position;
+  });
+
+  return { ...sandbox, positions };
+};
+
+/**
+ * Value a sandbox
+ * @param {Object} sandbox - Sandbox from createSandbox
+ * @returns {Object} { cash, stock_value, total_value, unrealized_pl, realized_pl, positions, allocation }
+ */
+export const summarizeSandbox = (sandbox) => {
+  const positions = Object.values(sandbox.positions).map(position => {
+    const value = position.quantity * position.price;
+    return {
+      ...position,
+      value,
+      unrealized_pl: position.quantity * (position.price - position.average_cost)
+    };
+  });
+
+  const stockValue = positions.reduce((sum, position) => sum + position.value, 0);
+
+  return {
+    cash: sandbox.cash,
+    stock_value: stockValue,
+    total_value: sandbox.cash + stockValue,
+    unrealized_pl: positions.reduce((sum, position) => sum + position.unrealized_pl, 0),
+    realized_pl: sandbox.realized_pl,
+    positions: positions.sort((a, b) => Math.abs(b.value) - Math.abs(a.value)),
+    allocation: calculateAllocation(positions.map(position => ({
+      stock_id: position.stock_id,
+      quantity: position.quantity,
+      is_short: position.quantity < 0,
+      stock: {
+        symbol: position.symbol,
+        name: position.name,
+        sector: position.sector,
+        current_price: position.price
+      }
+    })))
+  };
+};
+
+/**
+ * Run a what-if scenario: the trades go through at today's prices, then the shocks hit
+ * @param {Object} sandbox - Sandbox from createSandbox
+ * @param {Array} trades - Hypothetical trades, applied in order
+ * @param {Array} shocks - Price shocks, applied in order
+ * @param {Object} feeModel - Fee model
+ * @returns {Object} { before, after, trades } - trades carry their costs or an error
+ */
+export const runWhatIf = (sandbox, trades, shocks, feeModel = DEFAULT_FEE_MODEL) => {
+  let current = sandbox;
+
+  const tradeResults = trades.map(trade => {
+    const result = applyHypotheticalTrade(current, trade, feeModel);
+    current = result.sandbox;
+    return { ...trade, costs: result.costs, error: result.error };
+  });
+
+  shocks.forEach(shock => {
+    current = applyPriceShock(current, shock);
+  });
+
+  return {
+    before: summarizeSandbox(sandbox),
+    after: summarizeSandbox(current),
+    trades: tradeResults
+  };
+};
@@ -0,0 +1,60 @@
+import {
+  createSandbox,
+  applyHypotheticalTrade,
+  applyPriceShock,
+  runWhatIf,
+  SHOCK_SCOPES
+} from './what-if';
+
+const freeModel = { commission: 0, percentFee: 0, slippagePer100Shares: 0, maxSlippage: 0 };
+
+const portfolio = {
+  cash_balance: 1000,
+  portfolio_items: [
+    { stock_id: 1, quantity: 10, stock: { symbol: 'OIL', name: 'Oil Co', sector: 'Energy', current_price: 50 } },
+    { stock_id: 2, quantity: 20, stock: { symbol: 'CHIP', name: 'Chip Co', sector: 'Tech', current_price: 25 } }
+  ]
+};
+
+describe('What-if simulation', () => {
+  const sandbox = createSandbox(portfolio, { costBasis: { 1: 40, 2: 25 } });
+
+  test('copies the portfolio without changing it', () => {
+    const result = applyHypotheticalTrade(sandbox, { stock_id: 1, symbol: 'OIL', action: 'sell', quantity: 10 }, freeModel);
+
+    expect(result.sandbox.positions[1]).toBeUndefined();
+    expect(result.sandbox.cash).toBe(1500);
+    expect(result.sandbox.realized_pl).toBeCloseTo(100);
+    expect(sandbox.positions[1].quantity).toBe(10);
+    expect(portfolio.portfolio_items[0].quantity).toBe(10);
+  });
+
+  test('rejects trades the portfolio could not make', () => {
+    expect(applyHypotheticalTrade(sandbox, { stock_id: 2, symbol: 'CHIP', action: 'sell', quantity: 25 }, freeModel).error)
+      .toMatch(/Only 20 CHIP/);
+    expect(applyHypotheticalTrade(sandbox, { stock_id: 3, symbol: 'NEW', action: 'buy', quantity: 30, price: 50 }, freeModel).error)
+      .toMatch(/Not enough cash/);
+  });
+
+  test('shocks only the chosen sector', () => {
+    const shocked = applyPriceShock(sandbox, { scope: SHOCK_SCOPES.SECTOR, target: 'Energy', percent: -10 });
+
+    expect(shocked.positions[1].price).toBeCloseTo(45);
+    expect(shocked.positions[2].price).toBe(25);
+  });
+
+  test('runs trades at current prices and then applies the shocks', () => {
+    const result = runWhatIf(
+      sandbox,
+      [{ stock_id: 3, symbol: 'NEW', sector: 'Energy', action: 'buy', quantity: 10, price: 20 }],
+      [{ scope: SHOCK_SCOPES.SECTOR, target: 'Energy', percent: -10 }],
+      freeModel
+    );
+
+    expect(result.before.total_value).toBe(2000);
+    expect(result.after.cash).toBe(800);
+    expect(result.after.total_value).toBeCloseTo(800 + 450 + 500 + 180);
+    expect(result.after.unrealized_pl).toBeCloseTo(50 - 20);
+    expect(result.after.allocation.sectors[0]).toMatchObject({ sector: 'Energy' });
+  });
+});